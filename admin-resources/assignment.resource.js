@@ -1,6 +1,7 @@
 import { Assignment, AssignmentMaterial, Submission } from '../models/index.js';
-import { deleteCloudinaryFile } from '../config/cloudinary.js';
+import { deleteFile } from '../services/storage/index.js';
 import { ValidationError } from 'adminjs';
+import { withAuditLog } from './withAuditLog.js';
 
 export const AssignmentResource = {
   resource: Assignment,
@@ -11,7 +12,7 @@ export const AssignmentResource = {
     },
     listProperties: ['id', 'course_id', 'title', 'deadline', 'created_by'],
     editProperties: ['course_id', 'title', 'description', 'deadline', 'created_by'],
-    actions: {
+    actions: withAuditLog('assignment', {
       delete: {
         before: async (request, context) => {
           if (request.method === 'post') {
@@ -32,36 +33,36 @@ export const AssignmentResource = {
               );
             }
             
-            // Get all assignment materials to delete from Cloudinary
+            // Get all assignment materials to delete from storage
             const materials = await AssignmentMaterial.findAll({
               where: { assignment_id: assignmentId }
             });
             
-            // Delete each material file from Cloudinary
+            // Delete each material file from storage
             for (const material of materials) {
               if (material.url && material.type === 'file') {
                 try {
-                  await deleteCloudinaryFile(material.url);
-                  console.log(`Deleted assignment material from Cloudinary`);
+                  await deleteFile(material.url);
+                  console.log(`Deleted assignment material from storage`);
                 } catch (error) {
-                  console.error('Error deleting assignment material from Cloudinary:', error);
+                  console.error('Error deleting assignment material from storage:', error);
                 }
               }
             }
             
-            // Get all submissions to delete their files from Cloudinary
+            // Get all submissions to delete their files from storage
             const submissions = await Submission.findAll({
               where: { assignment_id: assignmentId }
             });
             
-            // Delete each submission file from Cloudinary
+            // Delete each submission file from storage
             for (const submission of submissions) {
               if (submission.file_url) {
                 try {
-                  await deleteCloudinaryFile(submission.file_url);
-                  console.log(`Deleted submission file from Cloudinary`);
+                  await deleteFile(submission.file_url);
+                  console.log(`Deleted submission file from storage`);
                 } catch (error) {
-                  console.error('Error deleting submission file from Cloudinary:', error);
+                  console.error('Error deleting submission file from storage:', error);
                 }
               }
             }
@@ -69,8 +70,8 @@ export const AssignmentResource = {
           
           return request;
         },
-        guard: 'Are you sure you want to delete this assignment? This will also delete all assignment materials and their files from Cloudinary. This action cannot be undone! ',
+        guard: 'Are you sure you want to delete this assignment? This will also delete all assignment materials and their files from storage. This action cannot be undone! ',
       }
-    }
+    })
   }
 };
@@ -1,5 +1,6 @@
 import { AssignmentMaterial } from '../models/index.js';
-import { deleteCloudinaryFile } from '../config/cloudinary.js';
+import { deleteFile } from '../services/storage/index.js';
+import { withAuditLog } from './withAuditLog.js';
 
 export const AssignmentMaterialResource = {
   resource: AssignmentMaterial,
@@ -10,27 +11,27 @@ export const AssignmentMaterialResource = {
     },
     listProperties: ['id', 'assignment_id', 'title', 'type', 'url'],
     editProperties: ['assignment_id', 'title', 'type', 'url', 'file_type', 'description'],
-    actions: {
+    actions: withAuditLog('assignment_material', {
       delete: {
         before: async (request, context) => {
           if (request.method === 'post') {
             const material = await AssignmentMaterial.findByPk(context.record.id());
             
-            // Delete assignment material file from Cloudinary if exists and is a file type
+            // Delete assignment material file from storage if exists and is a file type
             if (material && material.url && material.type === 'file') {
               try {
-                await deleteCloudinaryFile(material.url);
-                console.log(`Deleted assignment material from Cloudinary`);
+                await deleteFile(material.url);
+                console.log(`Deleted assignment material from storage`);
               } catch (error) {
-                console.error('Error deleting assignment material file from Cloudinary:', error);
+                console.error('Error deleting assignment material file from storage:', error);
               }
             }
           }
           
           return request;
         },
-        guard: 'Are you sure you want to delete this assignment material? If this is a file, it will also be deleted from Cloudinary. This action cannot be undone!',
+        guard: 'Are you sure you want to delete this assignment material? If this is a file, it will also be deleted from storage. This action cannot be undone!',
       }
-    }
+    })
   }
 };
@@ -0,0 +1,29 @@
+import { AuditLog } from '../models/index.js';
+
+export const AuditLogResource = {
+  resource: AuditLog,
+  options: {
+    navigation: {
+      name: 'User Management',
+      icon: 'FileText'
+    },
+    listProperties: ['id', 'created_at', 'actor_username', 'action', 'target_type', 'target_id', 'summary'],
+    filterProperties: ['actor_id', 'actor_username', 'actor_role', 'action', 'target_type', 'target_id', 'ip_address', 'created_at'],
+    showProperties: ['id', 'created_at', 'actor_id', 'actor_username', 'actor_role', 'action', 'target_type', 'target_id', 'summary', 'before_values', 'after_values', 'ip_address'],
+    properties: {
+      before_values: { type: 'key-value' },
+      after_values: { type: 'key-value' }
+    },
+    sort: {
+      sortBy: 'created_at',
+      direction: 'desc'
+    },
+    actions: {
+      // The audit log is append-only; CSV export is on the Admin Tools page
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+      bulkDelete: { isAccessible: false }
+    }
+  }
+};
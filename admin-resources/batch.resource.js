@@ -1,5 +1,6 @@
 import { Batch, User } from '../models/index.js';
 import { ValidationError } from 'adminjs';
+import { withAuditLog } from './withAuditLog.js';
 
 export const BatchResource = {
   resource: Batch,
@@ -10,7 +11,7 @@ export const BatchResource = {
     },
     listProperties: ['id', 'name', 'code', 'year'],
     editProperties: ['name', 'code', 'description', 'year'],
-    actions: {
+    actions: withAuditLog('batch', {
       delete: {
         before: async (request, context) => {
           if (request.method === 'post') {
@@ -34,6 +35,6 @@ export const BatchResource = {
           return request;
         }
       }
-    }
+    })
   }
 };
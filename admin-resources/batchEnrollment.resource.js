@@ -1,4 +1,5 @@
 import { BatchEnrollment } from '../models/index.js';
+import { withAuditLog } from './withAuditLog.js';
 
 export const BatchEnrollmentResource = {
   resource: BatchEnrollment,
@@ -9,5 +10,6 @@ export const BatchEnrollmentResource = {
     },
     listProperties: ['id', 'batch_id', 'course_id'],
     editProperties: ['batch_id', 'course_id'],
+    actions: withAuditLog('batch_enrollment')
   }
 };
@@ -1,5 +1,6 @@
 import { Course, Assignment, Material, BatchEnrollment, CourseTeacher, FolderCourse } from '../models/index.js';
 import { ValidationError } from 'adminjs';
+import { withAuditLog } from './withAuditLog.js';
 
 export const CourseResource = {
   resource: Course,
@@ -15,7 +16,7 @@ export const CourseResource = {
         description: 'Semester/term when this course is offered (e.g., "2024 Fall", "Semester 1")'
       }
     },
-    actions: {
+    actions: withAuditLog('course', {
       delete: {
         before: async (request, context) => {
           const { record } = context;
@@ -65,6 +66,6 @@ export const CourseResource = {
           return request;
         },
       }
-    }
+    })
   }
 };
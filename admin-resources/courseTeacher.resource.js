@@ -1,4 +1,5 @@
 import { CourseTeacher, User } from '../models/index.js';
+import { withAuditLog } from './withAuditLog.js';
 
 export const CourseTeacherResource = {
   resource: CourseTeacher,
@@ -27,7 +28,7 @@ export const CourseTeacherResource = {
         description: 'Can this teacher grade student submissions?'
       }
     },
-    actions: {
+    actions: withAuditLog('course_teacher', {
       new: {
         before: async (request) => {
           // Validate that the user is a teacher
@@ -52,6 +53,6 @@ export const CourseTeacherResource = {
           return request;
         }
       }
-    }
+    })
   }
 };
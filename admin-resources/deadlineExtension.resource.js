@@ -0,0 +1,21 @@
+import { DeadlineExtension } from '../models/index.js';
+
+export const DeadlineExtensionResource = {
+  resource: DeadlineExtension,
+  options: {
+    navigation: {
+      name: 'Content Management',
+      icon: 'Clock'
+    },
+    listProperties: ['id', 'assignment_id', 'student_id', 'batch_id', 'extended_deadline', 'granted_by', 'revoked_at'],
+    filterProperties: ['assignment_id', 'student_id', 'batch_id', 'granted_by', 'revoked_by'],
+    showProperties: ['id', 'assignment_id', 'student_id', 'batch_id', 'extended_deadline', 'reason', 'granted_by', 'created_at', 'revoked_at', 'revoked_by'],
+    actions: {
+      // Extensions are an audit trail: granted and revoked by teachers from the submissions page
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+      bulkDelete: { isAccessible: false }
+    }
+  }
+};
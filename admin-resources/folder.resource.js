@@ -1,5 +1,7 @@
 import { Folder, Material, FolderCourse } from '../models/index.js';
-import { deleteCloudinaryFile } from '../config/cloudinary.js';
+import { deleteFile, isStoredFile } from '../services/storage/index.js';
+import { withAuditLog } from './withAuditLog.js';
+import { getMaterialFileUrls } from '../services/materialService.js';
 
 export const FolderResource = {
   resource: Folder,
@@ -26,7 +28,7 @@ export const FolderResource = {
         position: 3
       }
     },
-    actions: {
+    actions: withAuditLog('folder', {
       delete: {
         before: async (request, context) => {
           if (request.method === 'post') {
@@ -38,14 +40,14 @@ export const FolderResource = {
               throw new Error('Cannot delete folder with subfolders. Delete subfolders first.');
             }
             
-            // Delete materials in this folder from Cloudinary
+            // Delete materials in this folder from storage
             const materials = await Material.findAll({ where: { folder_id: folderId } });
-            for (const material of materials) {
-              if (material.file_url && material.file_url.includes('cloudinary.com')) {
+            for (const fileUrl of await getMaterialFileUrls(materials)) {
+              if (isStoredFile(fileUrl)) {
                 try {
-                  await deleteCloudinaryFile(material.file_url);
+                  await deleteFile(fileUrl);
                 } catch (error) {
-                  console.error('Error deleting material file from Cloudinary:', error);
+                  console.error('Error deleting material file from storage:', error);
                 }
               }
             }
@@ -61,6 +63,6 @@ export const FolderResource = {
         },
         guard: 'Are you sure you want to delete this folder? This will also delete all materials inside and remove all course sharing. This action cannot be undone!',
       }
-    }
+    })
   }
 };
@@ -1,4 +1,5 @@
 import { FolderCourse } from '../models/index.js';
+import { withAuditLog } from './withAuditLog.js';
 
 export const FolderCourseResource = {
   resource: FolderCourse,
@@ -24,6 +25,7 @@ export const FolderCourseResource = {
         description: 'Teacher who shared this folder',
         position: 3
       }
-    }
+    },
+    actions: withAuditLog('folder_course')
   }
 };
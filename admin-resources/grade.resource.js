@@ -0,0 +1,21 @@
+import { Grade } from '../models/index.js';
+import { withAuditLog } from './withAuditLog.js';
+
+export const GradeResource = {
+  resource: Grade,
+  options: {
+    navigation: {
+      name: 'Content Management',
+      icon: 'Award'
+    },
+    listProperties: ['id', 'course_id', 'student_id', 'grade', 'status', 'published_at'],
+    editProperties: ['course_id', 'student_id', 'grade', 'remarks', 'status', 'graded_by'],
+    filterProperties: ['course_id', 'student_id', 'status', 'graded_by'],
+    showProperties: ['id', 'course_id', 'student_id', 'grade', 'remarks', 'status', 'graded_by', 'published_at', 'created_at', 'updated_at'],
+    actions: withAuditLog('grade', {
+      delete: {
+        guard: 'Are you sure you want to delete this final grade? This action cannot be undone!',
+      }
+    })
+  }
+};
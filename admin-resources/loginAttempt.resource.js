@@ -0,0 +1,25 @@
+import { LoginAttempt } from '../models/index.js';
+
+export const LoginAttemptResource = {
+  resource: LoginAttempt,
+  options: {
+    navigation: {
+      name: 'User Management',
+      icon: 'Shield'
+    },
+    listProperties: ['id', 'created_at', 'identifier', 'user_id', 'ip_address', 'successful'],
+    filterProperties: ['identifier', 'user_id', 'ip_address', 'successful', 'created_at'],
+    showProperties: ['id', 'created_at', 'identifier', 'user_id', 'ip_address', 'successful'],
+    sort: {
+      sortBy: 'created_at',
+      direction: 'desc'
+    },
+    actions: {
+      // Login attempts are a log written by the login form
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+      bulkDelete: { isAccessible: false }
+    }
+  }
+};
@@ -1,5 +1,7 @@
 import { Material } from '../models/index.js';
-import { deleteCloudinaryFile } from '../config/cloudinary.js';
+import { deleteFile } from '../services/storage/index.js';
+import { withAuditLog } from './withAuditLog.js';
+import { getMaterialFileUrls } from '../services/materialService.js';
 
 export const MaterialResource = {
   resource: Material,
@@ -8,7 +10,7 @@ export const MaterialResource = {
       name: 'Content Management',
       icon: 'File'
     },
-    listProperties: ['id', 'course_id', 'folder_id', 'title', 'file_url'],
+    listProperties: ['id', 'course_id', 'folder_id', 'title', 'file_url', 'current_version'],
     editProperties: ['course_id', 'folder_id', 'title', 'file_url', 'description'],
     filterProperties: ['course_id', 'folder_id', 'title'],
     properties: {
@@ -19,27 +21,28 @@ export const MaterialResource = {
         description: 'Folder this material belongs to (optional if course-based)'
       }
     },
-    actions: {
+    actions: withAuditLog('material', {
       delete: {
         before: async (request, context) => {
           if (request.method === 'post') {
             const material = await Material.findByPk(context.record.id());
             
-            // Delete material file from Cloudinary if exists
-            if (material && material.file_url) {
-              try {
-                await deleteCloudinaryFile(material.file_url);
-                console.log(`Deleted course material from Cloudinary`);
-              } catch (error) {
-                console.error('Error deleting material file from Cloudinary:', error);
+            // Delete the material's files (every version) from storage
+            if (material) {
+              for (const fileUrl of await getMaterialFileUrls([material])) {
+                try {
+                  await deleteFile(fileUrl);
+                } catch (error) {
+                  console.error('Error deleting material file from storage:', error);
+                }
               }
             }
           }
           
           return request;
         },
-        guard: 'Are you sure you want to delete this material? This will also delete the file from Cloudinary. This action cannot be undone!',
+        guard: 'Are you sure you want to delete this material? This will also delete the file from storage. This action cannot be undone!',
       }
-    }
+    })
   }
 };
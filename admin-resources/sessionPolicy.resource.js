@@ -0,0 +1,29 @@
+import { SessionPolicy } from '../models/index.js';
+import { clearPolicyCache } from '../services/sessionService.js';
+import { withAuditLog } from './withAuditLog.js';
+
+/**
+ * Apply policy changes right away on this instance (others pick them up within a minute)
+ */
+const refreshPolicies = async (response) => {
+  clearPolicyCache();
+  return response;
+};
+
+export const SessionPolicyResource = {
+  resource: SessionPolicy,
+  options: {
+    navigation: {
+      name: 'User Management',
+      icon: 'Monitor'
+    },
+    listProperties: ['id', 'role', 'max_sessions', 'updated_at'],
+    editProperties: ['role', 'max_sessions'],
+    actions: withAuditLog('session_policy', {
+      new: { after: refreshPolicies },
+      edit: { after: refreshPolicies },
+      delete: { after: refreshPolicies },
+      bulkDelete: { after: refreshPolicies }
+    })
+  }
+};
@@ -1,5 +1,7 @@
 import { Submission } from '../models/index.js';
-import { deleteCloudinaryFile } from '../config/cloudinary.js';
+import { deleteFile } from '../services/storage/index.js';
+import { getVersionFileUrls } from '../services/submissionService.js';
+import { withAuditLog } from './withAuditLog.js';
 
 export const SubmissionResource = {
   resource: Submission,
@@ -10,27 +12,34 @@ export const SubmissionResource = {
     },
     listProperties: ['id', 'assignment_id', 'student_id', 'submitted_at', 'marks'],
     editProperties: ['assignment_id', 'student_id', 'file_url', 'submission_text', 'marks', 'feedback', 'graded_by'],
-    actions: {
+    actions: withAuditLog('submission', {
       delete: {
         before: async (request, context) => {
           if (request.method === 'post') {
             const submission = await Submission.findByPk(context.record.id());
             
-            // Delete submission file from Cloudinary if exists
-            if (submission && submission.file_url) {
-              try {
-                await deleteCloudinaryFile(submission.file_url);
-                console.log(`Deleted submission file from Cloudinary`);
-              } catch (error) {
-                console.error('Error deleting submission file from Cloudinary:', error);
+            // Delete the files of every attempt from storage
+            if (submission) {
+              const fileUrls = new Set([
+                submission.file_url,
+                ...await getVersionFileUrls([submission.id])
+              ].filter(Boolean));
+
+              for (const fileUrl of fileUrls) {
+                try {
+                  await deleteFile(fileUrl);
+                  console.log(`Deleted submission file from storage`);
+                } catch (error) {
+                  console.error('Error deleting submission file from storage:', error);
+                }
               }
             }
           }
           
           return request;
         },
-        guard: 'Are you sure you want to delete this submission? This will also delete the submitted file from Cloudinary. This action cannot be undone!',
+        guard: 'Are you sure you want to delete this submission? This will also delete the files of all its attempts from storage. This action cannot be undone!',
       }
-    }
+    })
   }
 };
@@ -0,0 +1,29 @@
+import { TwoFactorPolicy } from '../models/index.js';
+import { clearPolicyCache } from '../services/twoFactorService.js';
+import { withAuditLog } from './withAuditLog.js';
+
+/**
+ * Apply policy changes right away on this instance (others pick them up within a minute)
+ */
+const refreshPolicies = async (response) => {
+  clearPolicyCache();
+  return response;
+};
+
+export const TwoFactorPolicyResource = {
+  resource: TwoFactorPolicy,
+  options: {
+    navigation: {
+      name: 'User Management',
+      icon: 'Lock'
+    },
+    listProperties: ['id', 'role', 'required', 'updated_at'],
+    editProperties: ['role', 'required'],
+    actions: withAuditLog('two_factor_policy', {
+      new: { after: refreshPolicies },
+      edit: { after: refreshPolicies },
+      delete: { after: refreshPolicies },
+      bulkDelete: { after: refreshPolicies }
+    })
+  }
+};
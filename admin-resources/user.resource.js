@@ -1,5 +1,9 @@
 import { User, CourseTeacher, Assignment } from '../models/index.js';
 import { ValidationError } from 'adminjs';
+import { isLocked, unlockAccount } from '../services/loginSecurityService.js';
+import { disableTwoFactor } from '../services/twoFactorService.js';
+import { recordAudit } from '../services/auditService.js';
+import { withAuditLog } from './withAuditLog.js';
 
 export const UserResource = {
   resource: User,
@@ -8,10 +12,88 @@ export const UserResource = {
       name: 'User Management',
       icon: 'Users'
     },
-    listProperties: ['id', 'username', 'email', 'full_name', 'role', 'batch_id'],
-    editProperties: ['username', 'email', 'password', 'full_name', 'role', 'batch_id'],
-    filterProperties: ['username', 'email', 'role', 'batch_id'],
-    actions: {
+    listProperties: ['id', 'username', 'email', 'full_name', 'role', 'batch_id', 'locked_until', 'totp_enabled_at'],
+    editProperties: ['username', 'email', 'password', 'full_name', 'role', 'batch_id', 'must_change_password'],
+    filterProperties: ['username', 'email', 'role', 'batch_id', 'must_change_password', 'locked_until'],
+    properties: {
+      // Never shown: the TOTP secret would let anyone generate this user's codes
+      totp_secret: { isVisible: false },
+      totp_last_step: { isVisible: false }
+    },
+    actions: withAuditLog('user', {
+      unlock: {
+        actionType: 'record',
+        icon: 'Unlock',
+        component: false,
+        guard: 'Clear the failed login attempts and unlock this account?',
+        // Shown for locked accounts and accounts with failed attempts (which are being throttled)
+        isVisible: ({ record }) => Boolean(record && (
+          isLocked(record.params) || Number(record.params.failed_login_count) > 0
+        )),
+        handler: async (request, response, context) => {
+          const { record, resource, currentAdmin } = context;
+          await unlockAccount(record.id());
+          await recordAudit(request, {
+            action: 'user.unlock',
+            targetType: 'user',
+            targetId: record.id(),
+            summary: `Unlocked account ${record.params.username}`,
+            before: {
+              failed_login_count: record.params.failed_login_count,
+              locked_until: record.params.locked_until
+            },
+            after: { failed_login_count: 0, locked_until: null }
+          });
+          const unlocked = await resource.findOne(record.id());
+          return {
+            record: unlocked.toJSON(currentAdmin),
+            notice: { message: 'Account unlocked', type: 'success' }
+          };
+        }
+      },
+      resetTwoFactor: {
+        actionType: 'record',
+        icon: 'Smartphone',
+        component: false,
+        guard: 'Turn off two-factor authentication for this user? They will sign in with only their password (and must set it up again if their role requires it).',
+        isVisible: ({ record }) => Boolean(record && record.params.totp_enabled_at),
+        handler: async (request, response, context) => {
+          const { record, resource, currentAdmin } = context;
+          await disableTwoFactor(record.id());
+          await recordAudit(request, {
+            action: 'user.reset_two_factor',
+            targetType: 'user',
+            targetId: record.id(),
+            summary: `Reset two-factor authentication of ${record.params.username}`,
+            before: { totp_enabled_at: record.params.totp_enabled_at },
+            after: { totp_enabled_at: null }
+          });
+          const reset = await resource.findOne(record.id());
+          return {
+            record: reset.toJSON(currentAdmin),
+            notice: { message: 'Two-factor authentication reset', type: 'success' }
+          };
+        }
+      },
+      new: {
+        before: async (request) => {
+          // Accounts created here get an admin-chosen password, so the user must replace it
+          if (request.method === 'post' && request.payload) {
+            request.payload.must_change_password = true;
+          }
+          return request;
+        }
+      },
+      edit: {
+        before: async (request, context) => {
+          // The edit form holds the stored hash; anything else is a password reset by the admin
+          if (request.method === 'post' && request.payload && request.payload.password &&
+              request.payload.password !== context.record.params.password) {
+            request.payload.must_change_password = true;
+          }
+          return request;
+        }
+      },
       delete: {
         before: async (request, context) => {
           if (request.method === 'post') {
@@ -41,6 +123,6 @@ export const UserResource = {
           return request;
         }
       }
-    }
+    })
   }
 };
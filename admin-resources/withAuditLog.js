@@ -0,0 +1,102 @@
+import { recordAudit, diffValues } from '../services/auditService.js';
+
+/**
+ * Check that an AdminJS action went through (no validation errors, no error notice)
+ */
+const succeeded = (response) => {
+  if (!response || (response.notice && response.notice.type === 'error')) {
+    return false;
+  }
+  const errors = response.record && response.record.errors;
+  return !errors || Object.keys(errors).length === 0;
+};
+
+/**
+ * Append a hook to an action's existing before/after hooks
+ */
+const addHook = (action = {}, type, hook) => {
+  const existing = action[type] ? [].concat(action[type]) : [];
+  return { ...action, [type]: [...existing, hook] };
+};
+
+/**
+ * Add audit logging to a resource's new, edit, delete and bulkDelete actions
+ * Existing hooks are kept and run first; the record's values are captured before
+ * the change so the entry shows what was there before.
+ * @param {string} targetType - Audit target type, e.g. 'course'
+ * @param {Object} actions - The resource's actions options
+ * @returns {Object} - Actions options with audit hooks
+ */
+export const withAuditLog = (targetType, actions = {}) => {
+  const captureRecord = async (request, context) => {
+    if (request.method === 'post' && context.record) {
+      context.auditBefore = { ...context.record.params };
+    }
+    return request;
+  };
+
+  const captureRecords = async (request, context) => {
+    if (request.method === 'post' && context.records) {
+      context.auditBefore = context.records.map(record => ({ id: record.id(), params: { ...record.params } }));
+    }
+    return request;
+  };
+
+  return {
+    ...actions,
+    new: addHook(actions.new, 'after', async (response, request) => {
+      if (request.method === 'post' && succeeded(response) && response.record) {
+        await recordAudit(request, {
+          action: `${targetType}.create`,
+          targetType,
+          targetId: response.record.id,
+          summary: `Created ${targetType} #${response.record.id} in the admin panel`,
+          after: response.record.params
+        });
+      }
+      return response;
+    }),
+    edit: addHook(addHook(actions.edit, 'before', captureRecord), 'after', async (response, request, context) => {
+      if (request.method === 'post' && succeeded(response) && context.auditBefore && response.record) {
+        const { before, after } = diffValues(context.auditBefore, response.record.params);
+        if (Object.keys(after).length > 0) {
+          await recordAudit(request, {
+            action: `${targetType}.update`,
+            targetType,
+            targetId: response.record.id,
+            summary: `Updated ${targetType} #${response.record.id} in the admin panel (${Object.keys(after).join(', ')})`,
+            before,
+            after
+          });
+        }
+      }
+      return response;
+    }),
+    delete: addHook(addHook(actions.delete, 'before', captureRecord), 'after', async (response, request, context) => {
+      if (request.method === 'post' && succeeded(response) && context.auditBefore) {
+        await recordAudit(request, {
+          action: `${targetType}.delete`,
+          targetType,
+          targetId: context.auditBefore.id,
+          summary: `Deleted ${targetType} #${context.auditBefore.id} in the admin panel`,
+          before: context.auditBefore
+        });
+      }
+      return response;
+    }),
+    bulkDelete: addHook(addHook(actions.bulkDelete, 'before', captureRecords), 'after', async (response, request, context) => {
+      if (request.method === 'post' && succeeded(response) && context.auditBefore) {
+        await recordAudit(request, context.auditBefore.map(({ id, params }) => ({
+          action: `${targetType}.delete`,
+          targetType,
+          targetId: id,
+          summary: `Deleted ${targetType} #${id} in the admin panel (bulk delete of ${context.auditBefore.length})`,
+          before: params
+        })));
+      }
+      return response;
+    })
+  };
+};
+
+export default withAuditLog;
@@ -2,6 +2,7 @@ import AdminJS from 'adminjs';
 import * as AdminJSSequelize from '@adminjs/sequelize';
 import * as AdminJSExpress from '@adminjs/express';
 import { ComponentLoader } from 'adminjs';
+import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -17,6 +18,12 @@ import { MaterialResource } from '../admin-resources/material.resource.js';
 import { AssignmentResource } from '../admin-resources/assignment.resource.js';
 import { AssignmentMaterialResource } from '../admin-resources/assignmentMaterial.resource.js';
 import { SubmissionResource } from '../admin-resources/submission.resource.js';
+import { GradeResource } from '../admin-resources/grade.resource.js';
+import { DeadlineExtensionResource } from '../admin-resources/deadlineExtension.resource.js';
+import { LoginAttemptResource } from '../admin-resources/loginAttempt.resource.js';
+import { TwoFactorPolicyResource } from '../admin-resources/twoFactorPolicy.resource.js';
+import { SessionPolicyResource } from '../admin-resources/sessionPolicy.resource.js';
+import { AuditLogResource } from '../admin-resources/auditLog.resource.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -39,6 +46,10 @@ const adminJs = new AdminJS({
   componentLoader,
   resources: [
     UserResource,
+    LoginAttemptResource,
+    TwoFactorPolicyResource,
+    SessionPolicyResource,
+    AuditLogResource,
     BatchResource,
     CourseResource,
     CourseTeacherResource,
@@ -49,6 +60,8 @@ const adminJs = new AdminJS({
     AssignmentResource,
     AssignmentMaterialResource,
     SubmissionResource,
+    GradeResource,
+    DeadlineExtensionResource,
 
   ],
   rootPath: '/admin',
@@ -75,6 +88,13 @@ const adminJs = new AdminJS({
 });
 
 // Build router
-const adminRouter = AdminJSExpress.buildRouter(adminJs);
+// AdminJS passes action hooks a copy of the request's own properties, which drops
+// the req.ip getter - keep the client IP for the audit log
+const adminBaseRouter = express.Router();
+adminBaseRouter.use((req, res, next) => {
+  req.clientIp = req.ip;
+  next();
+});
+const adminRouter = AdminJSExpress.buildRouter(adminJs, adminBaseRouter);
 
 export { adminJs, adminRouter };
@@ -8,18 +8,22 @@ import passport from 'passport';
 import { Strategy as LocalStrategy } from 'passport-local';
 import bcrypt from 'bcrypt';
 import { User } from '../models/index.js';
+import { checkLoginAllowed, recordFailedLogin, recordSuccessfulLogin } from '../services/loginSecurityService.js';
+import { isTwoFactorEnabled } from '../services/twoFactorService.js';
 
 /**
  * LocalStrategy Configuration
  * Authenticates users using username/email and password
+ * Failed attempts are throttled and can lock the account (see loginSecurityService)
  */
 passport.use(
   new LocalStrategy(
     {
       usernameField: 'username', // Can be username or email
       passwordField: 'password',
+      passReqToCallback: true, // Needs the client IP for brute-force protection
     },
-    async (username, password, done) => {
+    async (req, username, password, done) => {
       try {
         // Find user by username or email
         const user = await User.findOne({
@@ -31,8 +35,17 @@ passport.use(
           },
         });
 
+        const attempt = { identifier: username, ip: req.ip, user };
+
+        // Refuse without checking the password while locked out or throttled
+        const check = await checkLoginAllowed(attempt);
+        if (!check.allowed) {
+          return done(null, false, { message: check.message });
+        }
+
         // User not found
         if (!user) {
+          await recordFailedLogin(attempt);
           return done(null, false, { message: 'Invalid username or password' });
         }
 
@@ -40,10 +53,16 @@ passport.use(
         const isMatch = await bcrypt.compare(password, user.password);
 
         if (!isMatch) {
+          await recordFailedLogin(attempt);
           return done(null, false, { message: 'Invalid username or password' });
         }
 
-        // Authentication successful
+        // With two-factor authentication the login only succeeds once the code is
+        // accepted (authController.verifyTwoFactor); resetting the failure counters
+        // here would let each fresh password login restart the code guessing
+        if (!isTwoFactorEnabled(user)) {
+          await recordSuccessfulLogin(attempt);
+        }
         return done(null, user);
       } catch (error) {
         return done(error);
@@ -69,7 +88,7 @@ passport.serializeUser((user, done) => {
 passport.deserializeUser(async (id, done) => {
   try {
     const user = await User.findByPk(id, {
-      attributes: ['id', 'username', 'email', 'full_name', 'role', 'batch_id'],
+      attributes: ['id', 'username', 'email', 'full_name', 'role', 'batch_id', 'must_change_password'],
     });
 
     if (!user) {
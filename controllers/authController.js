@@ -1,11 +1,30 @@
 /**
  * Authentication Controller
- * Handles login, logout, and password change logic
+ * Handles login (with two-factor authentication), logout, password change and password reset logic
  * Implemented in Phase 2 (Task 2.3)
  */
 
 import passport from 'passport';
 import { User } from '../models/index.js';
+import { requestPasswordReset, findValidToken, resetPassword, getTokenTtlMinutes } from '../services/passwordResetService.js';
+import { checkLoginAllowed, recordFailedLogin, recordSuccessfulLogin } from '../services/loginSecurityService.js';
+import { registerSession, endSession, getActiveSessions, revokeSession as endUserSession, revokeAllSessions } from '../services/sessionService.js';
+import {
+  isTwoFactorEligible,
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  generateSecret,
+  getOtpauthUrl,
+  enableTwoFactor as turnOnTwoFactor,
+  verifyTwoFactorCode,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor as turnOffTwoFactor
+} from '../services/twoFactorService.js';
+
+// A password-verified login waits this long for its second factor
+const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
 
 /**
  * Show Login Page
@@ -37,6 +56,7 @@ export const showLoginPage = (req, res) => {
  * Process Login
  * POST /auth/login
  * Uses Passport LocalStrategy for authentication
+ * Accounts with two-factor authentication continue to GET /auth/two-factor
  */
 export const processLogin = (req, res, next) => {
   // Use passport.authenticate with custom callback for better control
@@ -54,35 +74,103 @@ export const processLogin = (req, res, next) => {
       return res.redirect('/auth/login');
     }
 
-    // Establish login session
-    // req.login() is provided by Passport
-    req.logIn(user, async (err) => {
-      if (err) {
-        console.error('Session establishment error:', err);
-        req.session.error_msg = 'An error occurred. Please try again.';
+    // Password is correct - hold the login until the second factor is checked
+    if (isTwoFactorEnabled(user)) {
+      req.session.pendingTwoFactor = {
+        userId: user.id,
+        identifier: req.body.username,
+        startedAt: Date.now(),
+        attempts: 0
+      };
+      return res.redirect('/auth/two-factor');
+    }
+
+    return completeLogin(req, res, user);
+  })(req, res, next);
+};
+
+/**
+ * Show Two-Factor Code Page
+ * GET /auth/two-factor
+ */
+export const showTwoFactorPage = (req, res) => {
+  if (!getPendingTwoFactor(req)) {
+    req.session.error_msg = res.locals.error_msg || 'Your sign-in expired. Please sign in again.';
+    return res.redirect('/auth/login');
+  }
+
+  res.render('auth/two-factor', {
+    title: 'Two-Factor Authentication - LMS EduManage',
+    error: res.locals.error_msg || null,
+  });
+};
+
+/**
+ * Verify Two-Factor Code and finish the login
+ * POST /auth/two-factor
+ * Accepts a code from the authenticator app or a recovery code
+ */
+export const verifyTwoFactor = async (req, res) => {
+  try {
+    const pending = getPendingTwoFactor(req);
+    if (!pending) {
+      req.session.error_msg = 'Your sign-in expired. Please sign in again.';
+      return res.redirect('/auth/login');
+    }
+
+    const user = await User.findByPk(pending.userId);
+    if (!user || !isTwoFactorEnabled(user)) {
+      req.session.pendingTwoFactor = null;
+      req.session.error_msg = 'Your sign-in expired. Please sign in again.';
+      return res.redirect('/auth/login');
+    }
+
+    // Wrong codes count as failed logins on the same counter as wrong passwords, so
+    // the lockout applies here too; only an accepted code resets it
+    const attempt = { identifier: pending.identifier, ip: req.ip, user };
+    const check = await checkLoginAllowed(attempt);
+    if (!check.allowed) {
+      req.session.pendingTwoFactor = null;
+      req.session.error_msg = check.message;
+      return res.redirect('/auth/login');
+    }
+
+    const { valid, usedRecoveryCode } = await verifyTwoFactorCode(user, req.body.code);
+
+    if (!valid) {
+      await recordFailedLogin(attempt);
+      pending.attempts += 1;
+
+      if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+        req.session.pendingTwoFactor = null;
+        req.session.error_msg = 'Too many incorrect codes. Please sign in again.';
         return res.redirect('/auth/login');
       }
 
-      try {
-        // Store the current session ID in the user record
-        // This invalidates any previous session
-        await user.update({
-          active_session_id: req.sessionID
-        });
-
-        // Authentication successful
-        req.session.success_msg = `Welcome back, ${user.full_name}!`;
-        
-        // Role-based redirect
-        return redirectToDashboard(req, res);
-      } catch (updateErr) {
-        console.error('Error updating session ID:', updateErr);
-        // Continue with login even if session update fails
-        req.session.success_msg = `Welcome back, ${user.full_name}!`;
-        return redirectToDashboard(req, res);
-      }
-    });
-  })(req, res, next);
+      req.session.error_msg = 'Invalid authentication code';
+      return res.redirect('/auth/two-factor');
+    }
+
+    req.session.pendingTwoFactor = null;
+    // The password step does not record two-factor logins as successful
+    await recordSuccessfulLogin(attempt);
+
+    // Send recovery code users to where they can generate new codes
+    if (usedRecoveryCode) {
+      const remaining = await countRecoveryCodes(user.id);
+      return completeLogin(req, res, user, {
+        redirectTo: '/auth/change-password',
+        message: `You signed in with a recovery code. ${remaining} recovery code${remaining === 1 ? '' : 's'} left - generate new ones below.`
+      });
+    }
+
+    return completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    req.session.error_msg = 'An error occurred. Please try again.';
+    res.redirect('/auth/two-factor');
+  }
 };
 
 /**
@@ -90,7 +178,8 @@ export const processLogin = (req, res, next) => {
  * POST /auth/logout
  */
 export const logout = (req, res, next) => {
-  const user = req.user;
+  // Passport regenerates the session on logout, so remember which one is ending
+  const sessionId = req.sessionID;
   
   // req.logout() is provided by Passport
   req.logout(async (err) => {
@@ -100,15 +189,10 @@ export const logout = (req, res, next) => {
     }
 
     try {
-      // Clear the active session ID from user record
-      if (user) {
-        await User.update(
-          { active_session_id: null },
-          { where: { id: user.id } }
-        );
-      }
+      // Remove the session from the user's active sessions
+      await endSession(sessionId);
     } catch (updateErr) {
-      console.error('Error clearing session ID:', updateErr);
+      console.error('Error ending session:', updateErr);
       // Continue with logout even if update fails
     }
 
@@ -126,20 +210,148 @@ export const logout = (req, res, next) => {
 /**
  * Show Change Password Page
  * GET /auth/change-password
+ * Also hosts two-factor authentication setup for admins and teachers
  */
-export const showChangePasswordPage = (req, res) => {
+export const showChangePasswordPage = async (req, res) => {
   // Get flash messages from res.locals (populated by server.js middleware)
   const error = res.locals.error_msg || null;
   const success = res.locals.success_msg || null;
 
   // Session messages are already cleared by middleware
 
-  res.render('auth/change-password', {
-    title: 'Change Password - LMS EduManage',
-    user: req.user,
-    error,
-    success,
-  });
+  try {
+    const twoFactor = await getTwoFactorState(req);
+
+    res.render('auth/change-password', {
+      title: 'Change Password - LMS EduManage',
+      user: req.user,
+      mustChange: Boolean(req.user.must_change_password),
+      twoFactor,
+      error,
+      success,
+    });
+  } catch (err) {
+    console.error('Change password page error:', err);
+    res.status(500).send('Error loading change password page: ' + err.message);
+  }
+};
+
+/**
+ * Start Two-Factor Setup
+ * POST /auth/two-factor/setup
+ * Generates a secret that is only saved once a code from it is confirmed
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!isTwoFactorEligible(user.role)) {
+      req.session.error_msg = 'Two-factor authentication is only available for admin and teacher accounts';
+      return res.redirect('/auth/change-password');
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      req.session.error_msg = 'Two-factor authentication is already on';
+      return res.redirect('/auth/change-password');
+    }
+
+    req.session.totpSetupSecret = generateSecret();
+    res.redirect('/auth/change-password#two-factor');
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    req.session.error_msg = 'An error occurred. Please try again.';
+    res.redirect('/auth/change-password');
+  }
+};
+
+/**
+ * Confirm Two-Factor Setup
+ * POST /auth/two-factor/enable
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const secret = req.session.totpSetupSecret;
+    if (!secret) {
+      req.session.error_msg = 'Two-factor setup expired. Please start again.';
+      return res.redirect('/auth/change-password#two-factor');
+    }
+
+    const user = await User.findByPk(req.user.id);
+    const result = await turnOnTwoFactor(user, secret, req.body.code);
+
+    if (result.error) {
+      req.session.error_msg = result.error;
+      return res.redirect('/auth/change-password#two-factor');
+    }
+
+    req.session.totpSetupSecret = null;
+    req.session.newRecoveryCodes = result.recoveryCodes;
+    req.session.success_msg = 'Two-factor authentication is on. Save your recovery codes now.';
+    res.redirect('/auth/change-password#two-factor');
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    req.session.error_msg = 'An error occurred. Please try again.';
+    res.redirect('/auth/change-password#two-factor');
+  }
+};
+
+/**
+ * Turn Off Two-Factor Authentication
+ * POST /auth/two-factor/disable
+ * Requires a current code; not allowed when the role requires 2FA
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (await isTwoFactorRequired(user.role)) {
+      req.session.error_msg = `Two-factor authentication is required for ${user.role} accounts`;
+      return res.redirect('/auth/change-password#two-factor');
+    }
+
+    const { valid } = await verifyTwoFactorCode(user, req.body.code);
+    if (!valid) {
+      req.session.error_msg = 'Invalid authentication code';
+      return res.redirect('/auth/change-password#two-factor');
+    }
+
+    await turnOffTwoFactor(user.id);
+    req.session.success_msg = 'Two-factor authentication is off';
+    res.redirect('/auth/change-password#two-factor');
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    req.session.error_msg = 'An error occurred. Please try again.';
+    res.redirect('/auth/change-password#two-factor');
+  }
+};
+
+/**
+ * Replace Recovery Codes
+ * POST /auth/two-factor/recovery-codes
+ * Requires a current code; the old recovery codes stop working
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    const { valid } = await verifyTwoFactorCode(user, req.body.code);
+    if (!valid) {
+      req.session.error_msg = 'Invalid authentication code';
+      return res.redirect('/auth/change-password#two-factor');
+    }
+
+    req.session.newRecoveryCodes = await generateRecoveryCodes(user.id);
+    req.session.success_msg = 'New recovery codes generated. Your old codes no longer work.';
+    res.redirect('/auth/change-password#two-factor');
+
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    req.session.error_msg = 'An error occurred. Please try again.';
+    res.redirect('/auth/change-password#two-factor');
+  }
 };
 
 /**
@@ -192,6 +404,7 @@ export const changePassword = async (req, res) => {
 
     // Update password (will be auto-hashed by User model beforeUpdate hook)
     user.password = newPassword;
+    user.must_change_password = false;
     await user.save();
 
     // Success message
@@ -207,6 +420,285 @@ export const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Show Active Sessions Page
+ * GET /auth/sessions
+ */
+export const showSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id, req.sessionStore);
+
+    res.render('auth/sessions', {
+      title: 'Active Sessions - LMS EduManage',
+      user: req.user,
+      sessions,
+      currentSessionId: req.sessionID,
+      error: res.locals.error_msg || null,
+      success: res.locals.success_msg || null,
+    });
+  } catch (error) {
+    console.error('Show sessions error:', error);
+    res.status(500).send('Error loading sessions: ' + error.message);
+  }
+};
+
+/**
+ * Sign Out One Session
+ * POST /auth/sessions/:id/revoke
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const revoked = await endUserSession(req.user.id, req.params.id, req.sessionStore);
+    req.session.success_msg = revoked ? 'Session signed out' : null;
+    req.session.error_msg = revoked ? null : 'Session not found';
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    req.session.error_msg = 'An error occurred while signing out the session. Please try again.';
+  }
+  res.redirect('/auth/sessions');
+};
+
+/**
+ * Sign Out All Other Sessions
+ * POST /auth/sessions/revoke-others
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id, {
+      exceptSessionId: req.sessionID,
+      store: req.sessionStore
+    });
+    req.session.success_msg = `Signed out ${count} other session${count === 1 ? '' : 's'}`;
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    req.session.error_msg = 'An error occurred while signing out your other sessions. Please try again.';
+  }
+  res.redirect('/auth/sessions');
+};
+
+/**
+ * Show Forgot Password Page
+ * GET /auth/forgot-password
+ */
+export const showForgotPasswordPage = (req, res) => {
+  if (req.isAuthenticated()) {
+    return redirectToDashboard(req, res);
+  }
+
+  const error = res.locals.error_msg || null;
+  const info = req.session.info_msg || null;
+  req.session.info_msg = null;
+
+  res.render('auth/forgot-password', {
+    title: 'Forgot Password - LMS EduManage',
+    error,
+    info,
+  });
+};
+
+/**
+ * Process Forgot Password Request
+ * POST /auth/forgot-password
+ * Always shows the same message so the form cannot be used to discover accounts
+ */
+export const processForgotPassword = async (req, res) => {
+  try {
+    const { identifier } = req.body;
+
+    if (!identifier || identifier.trim() === '') {
+      req.session.error_msg = 'Please enter your username or email';
+      return res.redirect('/auth/forgot-password');
+    }
+
+    const result = await requestPasswordReset(identifier, req.ip);
+
+    if (result.limited) {
+      req.session.error_msg = 'Too many reset requests. Please wait a few minutes and try again.';
+      return res.redirect('/auth/forgot-password');
+    }
+
+    req.session.info_msg = `If an account matches what you entered, a password reset link has been sent to its email address. The link expires in ${getTokenTtlMinutes()} minutes.`;
+    res.redirect('/auth/forgot-password');
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    req.session.error_msg = 'An error occurred. Please try again.';
+    res.redirect('/auth/forgot-password');
+  }
+};
+
+/**
+ * Show Reset Password Page
+ * GET /auth/reset-password/:token
+ */
+export const showResetPasswordPage = async (req, res) => {
+  try {
+    const resetToken = await findValidToken(req.params.token);
+
+    if (!resetToken) {
+      req.session.error_msg = 'This reset link is invalid or has expired. Please request a new one.';
+      return res.redirect('/auth/forgot-password');
+    }
+
+    res.render('auth/reset-password', {
+      title: 'Reset Password - LMS EduManage',
+      token: req.params.token,
+      error: res.locals.error_msg || null,
+    });
+
+  } catch (error) {
+    console.error('Show reset password error:', error);
+    req.session.error_msg = 'An error occurred. Please try again.';
+    res.redirect('/auth/forgot-password');
+  }
+};
+
+/**
+ * Process Password Reset
+ * POST /auth/reset-password/:token
+ */
+export const processResetPassword = async (req, res) => {
+  const { token } = req.params;
+  const formUrl = `/auth/reset-password/${encodeURIComponent(token)}`;
+
+  try {
+    const { newPassword, confirmPassword } = req.body;
+
+    if (!newPassword || !confirmPassword) {
+      req.session.error_msg = 'All fields are required';
+      return res.redirect(formUrl);
+    }
+
+    if (newPassword !== confirmPassword) {
+      req.session.error_msg = 'New password and confirm password do not match';
+      return res.redirect(formUrl);
+    }
+
+    if (newPassword.length < 6) {
+      req.session.error_msg = 'New password must be at least 6 characters long';
+      return res.redirect(formUrl);
+    }
+
+    const result = await resetPassword(token, newPassword);
+
+    if (result.error) {
+      req.session.error_msg = result.error;
+      return res.redirect('/auth/forgot-password');
+    }
+
+    // A reset from a signed-in browser ends that session too
+    if (req.isAuthenticated()) {
+      return req.logout(() => {
+        req.session.info_msg = 'Your password has been reset. Please sign in with your new password.';
+        res.redirect('/auth/login');
+      });
+    }
+
+    req.session.info_msg = 'Your password has been reset. Please sign in with your new password.';
+    res.redirect('/auth/login');
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    req.session.error_msg = 'An error occurred while resetting your password. Please try again.';
+    res.redirect(formUrl);
+  }
+};
+
+/**
+ * Helper Function: Get the login waiting for its second factor
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - { userId, identifier, startedAt, attempts } or null if none or expired
+ */
+const getPendingTwoFactor = (req) => {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_TIMEOUT_MS) {
+    req.session.pendingTwoFactor = null;
+    return null;
+  }
+  return pending;
+};
+
+/**
+ * Helper Function: Two-factor section of the change password page
+ * New recovery codes are kept in the session for one page view only
+ * @param {Object} req - Express request object
+ * @returns {Object} - { eligible, enabled, required, mustSetUp, remainingCodes, setupSecret, otpauthUrl, recoveryCodes }
+ */
+const getTwoFactorState = async (req) => {
+  const user = await User.findByPk(req.user.id);
+  const eligible = isTwoFactorEligible(user.role);
+  const enabled = isTwoFactorEnabled(user);
+  const required = await isTwoFactorRequired(user.role);
+  const setupSecret = eligible && !enabled ? req.session.totpSetupSecret || null : null;
+  const recoveryCodes = req.session.newRecoveryCodes || null;
+  req.session.newRecoveryCodes = null;
+
+  return {
+    eligible,
+    enabled,
+    required,
+    mustSetUp: required && !enabled,
+    remainingCodes: enabled ? await countRecoveryCodes(user.id) : 0,
+    setupSecret,
+    otpauthUrl: setupSecret ? getOtpauthUrl(user, setupSecret) : null,
+    recoveryCodes
+  };
+};
+
+/**
+ * Helper Function: Establish the login session and redirect
+ * Shared by password-only logins and logins finished with a two-factor code
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { redirectTo, message } to override the dashboard redirect and welcome message
+ */
+const completeLogin = (req, res, user, { redirectTo = null, message = null } = {}) => {
+  // Establish login session
+  // req.login() is provided by Passport
+  req.logIn(user, async (err) => {
+    if (err) {
+      console.error('Session establishment error:', err);
+      req.session.error_msg = 'An error occurred. Please try again.';
+      return res.redirect('/auth/login');
+    }
+
+    try {
+      // Track the new session; this ends the oldest ones if the role's session limit is reached
+      await registerSession(req, user);
+    } catch (updateErr) {
+      console.error('Error registering session:', updateErr);
+      req.logout(() => {
+        req.session.error_msg = 'An error occurred. Please try again.';
+        res.redirect('/auth/login');
+      });
+      return;
+    }
+
+    // Accounts with an imported or admin-set password go straight to choosing their own
+    if (user.must_change_password) {
+      return res.redirect('/auth/change-password');
+    }
+
+    // Roles that require two-factor authentication must set it up first
+    if (!isTwoFactorEnabled(user) && await isTwoFactorRequired(user.role).catch(() => false)) {
+      return res.redirect('/auth/change-password');
+    }
+
+    if (redirectTo) {
+      req.session.success_msg = message;
+      return res.redirect(redirectTo);
+    }
+
+    // Authentication successful
+    req.session.success_msg = message || `Welcome back, ${user.full_name}!`;
+
+    // Role-based redirect
+    return redirectToDashboard(req, res);
+  });
+};
+
 /**
  * Helper Function: Role-based Dashboard Redirect
  * Redirects user to appropriate dashboard based on their role
@@ -1,18 +1,40 @@
-import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import { parseCsv, validateUserCsv, validateEnrollmentCsv, validateGradeCsv, validateBatchUpdateCsv, formatErrors } from '../services/csvService.js';
 import { User, Batch, Course, BatchEnrollment, sequelize } from '../models/index.js';
+import { recordAudit, snapshot, exportAuditLogCsv } from '../services/auditService.js';
 
 /**
  * Bulk User Upload Controller
  * Handles CSV-based bulk operations for users, enrollments, and grades
  */
 
+// Generated passwords avoid look-alike characters (0/O, 1/l/I) so they can be typed from a printout
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+const GENERATED_PASSWORD_LENGTH = 12;
+
+/**
+ * Generate a random initial password
+ * @returns {string} - GENERATED_PASSWORD_LENGTH characters from PASSWORD_ALPHABET
+ */
+const generatePassword = () => {
+  let password = '';
+  for (let i = 0; i < GENERATED_PASSWORD_LENGTH; i++) {
+    password += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+  }
+  return password;
+};
+
 /**
  * Bulk create users from CSV
+ * Imported accounts must change their password on first login. With the
+ * generate_passwords option every account gets a random password (the CSV's
+ * password column is ignored) and the response includes a credentials list
+ * for the admin to download and hand out.
  * @route POST /admin/tools/bulk-users
  */
 export const bulkCreateUsers = async (req, res) => {
   const transaction = await sequelize.transaction();
+  const generatePasswords = req.body && (req.body.generate_passwords === 'on' || req.body.generate_passwords === 'true');
   
   try {
     // Check if file is uploaded
@@ -38,7 +60,7 @@ export const bulkCreateUsers = async (req, res) => {
     }
 
     // Validate CSV data (row-level validation)
-    const validationResult = validateUserCsv(parseResult.data);
+    const validationResult = validateUserCsv(parseResult.data, { generatePasswords });
     
     // Check for header errors (fatal - cannot proceed)
     if (validationResult.headerError) {
@@ -57,6 +79,8 @@ export const bulkCreateUsers = async (req, res) => {
       errors: [],
       skipped: []
     };
+    const auditEntries = [];
+    const credentials = [];
 
     // Add validation errors to results (include all original data)
     validationResult.invalidRows.forEach(invalidRow => {
@@ -148,19 +172,38 @@ export const bulkCreateUsers = async (req, res) => {
           batchId = batch.id;
         }
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(row.password, 10);
+        const password = generatePasswords ? generatePassword() : row.password;
 
-        // Create user
+        // Create user (the password is hashed by the User beforeCreate hook)
         const user = await User.create({
           username: row.username.toLowerCase(),
           email: row.email.toLowerCase(),
-          password: hashedPassword,
+          password,
           full_name: row.full_name,
           role: row.role.toLowerCase(),
-          batch_id: batchId
+          batch_id: batchId,
+          must_change_password: true
         }, { transaction });
 
+        auditEntries.push({
+          action: 'user.bulk_create',
+          targetType: 'user',
+          targetId: user.id,
+          summary: `Created ${user.role} ${user.username} by CSV import`,
+          after: snapshot(user, ['id', 'username', 'email', 'full_name', 'role', 'batch_id', 'must_change_password'])
+        });
+
+        if (generatePasswords) {
+          credentials.push({
+            username: user.username,
+            email: user.email,
+            full_name: user.full_name,
+            role: user.role,
+            batch_code: row.batch_code || '',
+            password
+          });
+        }
+
         results.success.push({
           row: rowNum,
           username: user.username,
@@ -189,6 +232,7 @@ export const bulkCreateUsers = async (req, res) => {
 
     // Commit transaction if at least one user was created successfully
     if (results.success.length > 0) {
+      await recordAudit(req, auditEntries, { transaction });
       await transaction.commit();
       
       const hasErrors = results.errors.length > 0 || results.skipped.length > 0;
@@ -204,7 +248,8 @@ export const bulkCreateUsers = async (req, res) => {
           skipped: results.skipped.length,
           errors: results.errors.length
         },
-        results: results
+        results: results,
+        credentials: generatePasswords ? credentials : undefined
       });
     } else {
       await transaction.rollback();
@@ -284,6 +329,7 @@ export const bulkCreateEnrollments = async (req, res) => {
       errors: [],
       skipped: []
     };
+    const auditEntries = [];
 
     // Process each enrollment
     for (let i = 0; i < rows.length; i++) {
@@ -343,11 +389,19 @@ export const bulkCreateEnrollments = async (req, res) => {
         }
 
         // Create enrollment
-        await BatchEnrollment.create({
+        const enrollment = await BatchEnrollment.create({
           batch_id: batch.id,
           course_id: course.id
         }, { transaction });
 
+        auditEntries.push({
+          action: 'batch_enrollment.bulk_create',
+          targetType: 'batch_enrollment',
+          targetId: enrollment.id,
+          summary: `Enrolled batch ${row.batch_code} in course ${row.course_code} by CSV import`,
+          after: { batch_id: batch.id, course_id: course.id }
+        });
+
         results.success.push({
           row: rowNum,
           batch_code: row.batch_code,
@@ -368,6 +422,7 @@ export const bulkCreateEnrollments = async (req, res) => {
 
     // Commit transaction if at least one enrollment was created
     if (results.success.length > 0) {
+      await recordAudit(req, auditEntries, { transaction });
       await transaction.commit();
       
       return res.status(200).json({
@@ -448,6 +503,7 @@ export const bulkDeleteUsers = async (req, res) => {
       success: [],
       errors: []
     };
+    const auditEntries = [];
 
     // Process each user ID
     for (const userId of userIds) {
@@ -465,8 +521,17 @@ export const bulkDeleteUsers = async (req, res) => {
         // Check for dependencies (submissions, grades, etc.)
         // Note: With onDelete: RESTRICT, this will throw error if dependencies exist
         
+        const before = snapshot(user);
         await user.destroy({ transaction });
 
+        auditEntries.push({
+          action: 'user.bulk_delete',
+          targetType: 'user',
+          targetId: user.id,
+          summary: `Deleted ${user.role} ${user.username} (bulk delete)`,
+          before
+        });
+
         results.success.push({
           userId: userId,
           username: user.username,
@@ -491,6 +556,7 @@ export const bulkDeleteUsers = async (req, res) => {
 
     // Commit transaction if at least one user was deleted
     if (results.success.length > 0) {
+      await recordAudit(req, auditEntries, { transaction });
       await transaction.commit();
       
       return res.status(200).json({
@@ -574,6 +640,7 @@ export const bulkBatchUpdate = async (req, res) => {
       errors: validationResult.errors,
       skipped: []
     };
+    const auditEntries = [];
 
     // Process valid rows
     // Filter out rows that failed row-level validation
@@ -628,8 +695,18 @@ export const bulkBatchUpdate = async (req, res) => {
         }
 
         // Update student batch
+        const previousBatchId = student.batch_id;
         await student.update({ batch_id: batch.id }, { transaction });
 
+        auditEntries.push({
+          action: 'user.bulk_batch_update',
+          targetType: 'user',
+          targetId: student.id,
+          summary: `Moved ${student.username} to batch ${data.new_batch_code} by CSV import`,
+          before: { batch_id: previousBatchId },
+          after: { batch_id: batch.id }
+        });
+
         results.success.push({
           row: rowNum,
           student_email: data.student_email,
@@ -649,6 +726,7 @@ export const bulkBatchUpdate = async (req, res) => {
       }
     }
 
+    await recordAudit(req, auditEntries, { transaction });
     await transaction.commit();
 
     const summary = {
@@ -675,3 +753,26 @@ export const bulkBatchUpdate = async (req, res) => {
     });
   }
 };
+
+/**
+ * Export Audit Log
+ * @route GET /admin/tools/audit-log/export
+ */
+export const exportAuditLog = async (req, res) => {
+  try {
+    const { csv, count, truncated } = await exportAuditLogCsv(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (truncated) {
+      console.warn(`Audit log export by ${req.user.username} truncated to ${count} entries`);
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-log-${date}.csv`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    res.status(500).send('Error exporting audit log');
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * File Controller
+ * Hands out stored files (materials, submissions, attachments) after an access check
+ */
+
+import { FILE_KINDS, findAccessibleFile } from '../services/fileAccessService.js';
+import { isStoredFile, openFile, getSignedUrl } from '../services/storage/index.js';
+
+const OFFICE_VIEWER_URL = 'https://view.officeapps.live.com/op/view.aspx?src=';
+const OFFICE_VIEWER_SECONDS = 10 * 60; // the viewer fetches the file itself, sometimes more than once
+
+/**
+ * Stream a stored file into a download response
+ * The Content-Disposition/Content-Type headers must already be set
+ * @param {Object} res - Express response
+ * @param {string} url - Stored file URL
+ */
+const sendStoredFile = async (res, url) => {
+  try {
+    const stream = await openFile(url);
+    stream.on('error', (err) => {
+      console.error('Error reading file for proxy:', err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('Error fetching file for proxy:', err);
+    res.removeHeader('Content-Disposition');
+    res.status(500).send('Error downloading file');
+  }
+};
+
+/**
+ * Absolute version of a signed URL (local storage signs app-relative paths)
+ * @param {Object} req - Express request
+ * @param {string} url - Signed URL
+ * @returns {string}
+ */
+const toAbsoluteUrl = (req, url) => (url.startsWith('/') ? `${req.protocol}://${req.get('host')}${url}` : url);
+
+/**
+ * Send a file the user may open
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} kind - One of FILE_KINDS
+ * @param {Object} options - { download, viewer }
+ */
+const respondWithFile = async (req, res, kind, { download = false, viewer = null } = {}) => {
+  if (!FILE_KINDS.includes(kind)) {
+    return res.status(404).send('File not found');
+  }
+
+  const file = await findAccessibleFile(kind, req.params.id, req.user);
+  if (!file) {
+    return res.status(404).send('File not found or access denied');
+  }
+
+  // Signed URLs must not be cached by the browser or a proxy
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!isStoredFile(file.url)) {
+    return res.redirect(file.url);
+  }
+
+  if (download) {
+    // Keep the name but strip characters that break the header
+    const filename = (file.name || 'download').replace(/[^a-z0-9-_. ]/gi, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    return await sendStoredFile(res, file.url);
+  }
+
+  if (viewer === 'office') {
+    const signedUrl = toAbsoluteUrl(req, getSignedUrl(file.url, { expiresIn: OFFICE_VIEWER_SECONDS }));
+    return res.redirect(`${OFFICE_VIEWER_URL}${encodeURIComponent(signedUrl)}`);
+  }
+
+  res.redirect(getSignedUrl(file.url));
+};
+
+/**
+ * Open File
+ * GET /files/:kind/:id
+ * Query: download=1 forces a download, viewer=office opens Office files in the online viewer
+ * Redirects to a short-lived signed URL; links (not stored files) are redirected to as they are
+ */
+export const serveFile = async (req, res) => {
+  try {
+    await respondWithFile(req, res, req.params.kind, {
+      download: req.query.download === '1',
+      viewer: req.query.viewer
+    });
+  } catch (error) {
+    console.error('Error serving file:', error);
+    res.status(500).send('Server error');
+  }
+};
+
+/**
+ * Download handler for one kind of file
+ * Used by the older /student/.../download routes
+ * @param {string} kind - One of FILE_KINDS
+ * @returns {Function} - Express handler
+ */
+export const downloadFile = (kind) => async (req, res) => {
+  try {
+    await respondWithFile(req, res, kind, { download: true });
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,384 @@
+/**
+ * Forum Controller
+ * Course discussion boards for students and teachers
+ */
+
+import { ForumPost } from '../models/index.js';
+import {
+  getForumAccess,
+  getVisibleAssignments,
+  parseTopicInput,
+  getCourseTopics,
+  getTopic,
+  getPostTree,
+  getAuthorLabel,
+  createTopic as createForumTopic,
+  createReply,
+  deletePost,
+  deleteTopic as deleteForumTopic,
+  toggleAnswer
+} from '../services/forumService.js';
+
+/**
+ * Course page of the signed-in user's role
+ * @param {Object} user - Signed-in user
+ * @param {number} courseId - Course ID
+ * @returns {string} - URL
+ */
+const coursePageUrl = (user, courseId) => `/${user.role}/courses/${courseId}`;
+
+/**
+ * Drop the assignment label of topics about assignments the user cannot see
+ * (e.g. a teacher's Q&A thread on an assignment not yet released to students)
+ * @param {Array<Object>} topics - Topics with assignment loaded
+ * @param {Array<Object>} assignments - Result of getVisibleAssignments()
+ */
+const hideUnreleasedAssignments = (topics, assignments) => {
+  const visibleIds = new Set(assignments.map(assignment => assignment.id));
+  topics.forEach(topic => {
+    if (topic.assignment && !visibleIds.has(topic.assignment.id)) {
+      topic.assignment = null;
+    }
+  });
+};
+
+/**
+ * Load a topic the signed-in user can see
+ * Sends the error response itself when the topic is missing or off limits
+ * @param {number} topicId - Topic ID
+ * @param {Object} user - Signed-in user
+ * @param {Object} res - Response
+ * @returns {Object|null} - { topic, access } or null if a response was sent
+ */
+const loadTopic = async (topicId, user, res) => {
+  const topic = await getTopic(topicId);
+  if (!topic) {
+    res.status(404).send('Topic not found');
+    return null;
+  }
+
+  const access = await getForumAccess(topic.course_id, user);
+  if (!access) {
+    res.status(404).send('Topic not found or you do not have access to this course');
+    return null;
+  }
+
+  return { topic, access };
+};
+
+/**
+ * Load a topic for a moderation action (teachers with edit permission)
+ * @param {number} topicId - Topic ID
+ * @param {Object} user - Signed-in user
+ * @param {Object} res - Response
+ * @returns {Object|null} - Topic, or null if a response was sent
+ */
+const loadModeratedTopic = async (topicId, user, res) => {
+  const loaded = await loadTopic(topicId, user, res);
+  if (!loaded) {
+    return null;
+  }
+  if (!loaded.access.canModerate) {
+    res.status(403).send('You do not have permission to moderate this forum');
+    return null;
+  }
+  return loaded.topic;
+};
+
+/**
+ * Course Forum
+ * GET /forums/courses/:id
+ * Query: assignment (only that assignment's Q&A)
+ */
+export const showForum = async (req, res) => {
+  try {
+    const access = await getForumAccess(req.params.id, req.user);
+    if (!access) {
+      return res.status(404).send('Course not found or you do not have access to it');
+    }
+    const { course, canModerate } = access;
+
+    const assignments = await getVisibleAssignments(course.id, req.user);
+    const assignment = req.query.assignment
+      ? assignments.find(item => item.id === parseInt(req.query.assignment, 10)) || null
+      : null;
+
+    const topics = await getCourseTopics(course.id, { assignmentId: assignment ? assignment.id : null });
+    hideUnreleasedAssignments(topics, assignments);
+
+    res.render('forums/index', {
+      title: `Forum - ${course.title}`,
+      user: req.user,
+      course,
+      assignment,
+      topics,
+      canModerate,
+      courseUrl: coursePageUrl(req.user, course.id),
+      getAuthorLabel,
+      success: req.query.success,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Show Forum Error:', error);
+    res.status(500).send('Error loading forum: ' + error.message);
+  }
+};
+
+/**
+ * New Topic Form
+ * GET /forums/courses/:id/topics/new
+ * Query: assignment (pre-selects the assignment for a Q&A thread)
+ */
+export const showNewTopic = async (req, res) => {
+  try {
+    const access = await getForumAccess(req.params.id, req.user);
+    if (!access) {
+      return res.status(404).send('Course not found or you do not have access to it');
+    }
+    const { course } = access;
+
+    const assignments = await getVisibleAssignments(course.id, req.user);
+
+    res.render('forums/new-topic', {
+      title: `New Topic - ${course.title}`,
+      user: req.user,
+      course,
+      assignments,
+      selectedAssignmentId: parseInt(req.query.assignment, 10) || null,
+      courseUrl: coursePageUrl(req.user, course.id),
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Show New Topic Error:', error);
+    res.status(500).send('Error loading form: ' + error.message);
+  }
+};
+
+/**
+ * Create Topic
+ * POST /forums/courses/:id/topics
+ */
+export const createTopic = async (req, res) => {
+  const formUrl = `/forums/courses/${req.params.id}/topics/new`;
+  try {
+    const access = await getForumAccess(req.params.id, req.user);
+    if (!access) {
+      return res.status(404).send('Course not found or you do not have access to it');
+    }
+
+    const input = await parseTopicInput(req.body, access.course.id, req.user);
+    if (input.error) {
+      const query = req.body.assignment_id ? `&assignment=${encodeURIComponent(req.body.assignment_id)}` : '';
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(input.error)}${query}`);
+    }
+
+    const topic = await createForumTopic(access.course.id, req.user, input.values);
+    res.redirect(`/forums/topics/${topic.id}`);
+
+  } catch (error) {
+    console.error('Create Topic Error:', error);
+    res.redirect(`${formUrl}?error=${encodeURIComponent('Error creating topic: ' + error.message)}`);
+  }
+};
+
+/**
+ * Topic with threaded replies
+ * GET /forums/topics/:id
+ */
+export const showTopic = async (req, res) => {
+  try {
+    const loaded = await loadTopic(req.params.id, req.user, res);
+    if (!loaded) {
+      return;
+    }
+    const { topic, access } = loaded;
+
+    hideUnreleasedAssignments([topic], await getVisibleAssignments(access.course.id, req.user));
+    const posts = await getPostTree(topic.id);
+
+    // The accepted answer is repeated under the question
+    let answer = null;
+    if (topic.answer_post_id) {
+      const stack = [...posts];
+      while (stack.length > 0 && !answer) {
+        const node = stack.pop();
+        if (node.post.id === topic.answer_post_id) {
+          answer = node.post;
+        }
+        stack.push(...node.children);
+      }
+    }
+
+    res.render('forums/topic', {
+      title: `${topic.title} - Forum`,
+      user: req.user,
+      course: access.course,
+      topic,
+      posts,
+      answer,
+      canModerate: access.canModerate,
+      canReply: !topic.is_locked || access.canModerate,
+      courseUrl: coursePageUrl(req.user, access.course.id),
+      getAuthorLabel,
+      success: req.query.success,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Show Topic Error:', error);
+    res.status(500).send('Error loading topic: ' + error.message);
+  }
+};
+
+/**
+ * Reply
+ * POST /forums/topics/:id/replies
+ * Body: body, parent_id (optional, for nested replies), is_anonymous
+ */
+export const replyToTopic = async (req, res) => {
+  const topicUrl = `/forums/topics/${req.params.id}`;
+  try {
+    const loaded = await loadTopic(req.params.id, req.user, res);
+    if (!loaded) {
+      return;
+    }
+    const { topic, access } = loaded;
+
+    if (topic.is_locked && !access.canModerate) {
+      return res.redirect(`${topicUrl}?error=${encodeURIComponent('This topic is locked')}`);
+    }
+
+    const result = await createReply(topic, req.user, req.body);
+    if (result.error) {
+      return res.redirect(`${topicUrl}?error=${encodeURIComponent(result.error)}`);
+    }
+
+    res.redirect(`${topicUrl}#post-${result.post.id}`);
+
+  } catch (error) {
+    console.error('Reply To Topic Error:', error);
+    res.redirect(`${topicUrl}?error=${encodeURIComponent('Error posting reply: ' + error.message)}`);
+  }
+};
+
+/**
+ * Pin / Unpin Topic
+ * POST /forums/topics/:id/pin
+ */
+export const togglePinTopic = async (req, res) => {
+  try {
+    const topic = await loadModeratedTopic(req.params.id, req.user, res);
+    if (!topic) {
+      return;
+    }
+
+    await topic.update({ is_pinned: !topic.is_pinned });
+
+    const message = topic.is_pinned ? 'Topic pinned' : 'Topic unpinned';
+    res.redirect(`/forums/topics/${topic.id}?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error('Pin Topic Error:', error);
+    res.status(500).send('Error updating topic: ' + error.message);
+  }
+};
+
+/**
+ * Lock / Unlock Topic
+ * POST /forums/topics/:id/lock
+ */
+export const toggleLockTopic = async (req, res) => {
+  try {
+    const topic = await loadModeratedTopic(req.params.id, req.user, res);
+    if (!topic) {
+      return;
+    }
+
+    await topic.update({ is_locked: !topic.is_locked });
+
+    const message = topic.is_locked ? 'Topic locked' : 'Topic unlocked';
+    res.redirect(`/forums/topics/${topic.id}?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error('Lock Topic Error:', error);
+    res.status(500).send('Error updating topic: ' + error.message);
+  }
+};
+
+/**
+ * Delete Topic
+ * POST /forums/topics/:id/delete
+ */
+export const deleteTopic = async (req, res) => {
+  try {
+    const topic = await loadModeratedTopic(req.params.id, req.user, res);
+    if (!topic) {
+      return;
+    }
+
+    await deleteForumTopic(topic);
+
+    res.redirect(`/forums/courses/${topic.course_id}?success=${encodeURIComponent('Topic deleted')}`);
+
+  } catch (error) {
+    console.error('Delete Topic Error:', error);
+    res.status(500).send('Error deleting topic: ' + error.message);
+  }
+};
+
+/**
+ * Mark / Unmark Answer
+ * POST /forums/topics/:id/answer
+ * Body: post_id
+ */
+export const markAnswer = async (req, res) => {
+  const topicUrl = `/forums/topics/${req.params.id}`;
+  try {
+    const topic = await loadModeratedTopic(req.params.id, req.user, res);
+    if (!topic) {
+      return;
+    }
+
+    const result = await toggleAnswer(topic, parseInt(req.body.post_id, 10));
+    if (result.error) {
+      return res.redirect(`${topicUrl}?error=${encodeURIComponent(result.error)}`);
+    }
+
+    const message = result.marked ? 'Reply marked as the answer' : 'Answer unmarked';
+    res.redirect(`${topicUrl}?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error('Mark Answer Error:', error);
+    res.redirect(`${topicUrl}?error=${encodeURIComponent('Error updating answer: ' + error.message)}`);
+  }
+};
+
+/**
+ * Delete Reply
+ * POST /forums/posts/:id/delete
+ */
+export const deleteReply = async (req, res) => {
+  try {
+    const post = await ForumPost.findByPk(req.params.id);
+    if (!post) {
+      return res.status(404).send('Reply not found');
+    }
+
+    const topic = await loadModeratedTopic(post.topic_id, req.user, res);
+    if (!topic) {
+      return;
+    }
+
+    if (!post.deleted_at) {
+      await deletePost(post, req.user.id);
+    }
+
+    res.redirect(`/forums/topics/${topic.id}?success=${encodeURIComponent('Reply removed')}`);
+
+  } catch (error) {
+    console.error('Delete Reply Error:', error);
+    res.status(500).send('Error removing reply: ' + error.message);
+  }
+};
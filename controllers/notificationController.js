@@ -0,0 +1,156 @@
+/**
+ * Notification Controller
+ * Handles the notification center and each user's notification settings
+ */
+
+import {
+  NOTIFICATION_TYPES,
+  IN_APP_TYPES,
+  getPreferences,
+  savePreferences,
+  getReminderHours,
+  getNotifications,
+  markRead,
+  markAllRead
+} from '../services/notificationService.js';
+
+/**
+ * Build the notification center URL to return to after an action
+ * @param {Object} body - Request body with optional page and filter fields
+ * @returns {string} - URL
+ */
+const notificationsUrl = (body) => {
+  const params = new URLSearchParams();
+  if (body.filter === 'unread') {
+    params.set('filter', 'unread');
+  }
+  if (parseInt(body.page, 10) > 1) {
+    params.set('page', parseInt(body.page, 10));
+  }
+  const query = params.toString();
+  return query ? `/notifications?${query}` : '/notifications';
+};
+
+/**
+ * Notification Center
+ * GET /notifications
+ * Query: page, filter=unread
+ */
+export const showNotifications = async (req, res) => {
+  try {
+    const unreadOnly = req.query.filter === 'unread';
+    const { notifications, page, totalPages, total } = await getNotifications(req.user.id, {
+      page: req.query.page,
+      unreadOnly
+    });
+
+    res.render('notifications/index', {
+      title: 'Notifications - LMS EduManage',
+      user: req.user,
+      notifications,
+      types: IN_APP_TYPES,
+      page,
+      totalPages,
+      total,
+      filter: unreadOnly ? 'unread' : 'all',
+      success: res.locals.success_msg,
+      error: res.locals.error_msg
+    });
+  } catch (error) {
+    console.error('Show Notifications Error:', error);
+    res.status(500).send('Error loading notifications: ' + error.message);
+  }
+};
+
+/**
+ * Open a notification
+ * GET /notifications/:id/open
+ * Marks it read and goes to the page it points to
+ */
+export const openNotification = async (req, res) => {
+  try {
+    const notification = await markRead(req.user.id, req.params.id);
+    if (!notification) {
+      req.session.error_msg = 'Notification not found';
+      return res.redirect('/notifications');
+    }
+
+    // Only follow app paths
+    const link = notification.link && notification.link.startsWith('/') && !notification.link.startsWith('//')
+      ? notification.link
+      : '/notifications';
+    res.redirect(link);
+  } catch (error) {
+    console.error('Open Notification Error:', error);
+    res.redirect('/notifications');
+  }
+};
+
+/**
+ * Mark a notification read
+ * POST /notifications/:id/read
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    if (!await markRead(req.user.id, req.params.id)) {
+      req.session.error_msg = 'Notification not found';
+    }
+  } catch (error) {
+    console.error('Mark Notification Read Error:', error);
+    req.session.error_msg = 'An error occurred while updating the notification. Please try again.';
+  }
+  res.redirect(notificationsUrl(req.body));
+};
+
+/**
+ * Mark all notifications read
+ * POST /notifications/read-all
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const count = await markAllRead(req.user.id);
+    req.session.success_msg = count > 0
+      ? `Marked ${count} notification(s) as read`
+      : 'You have no unread notifications';
+  } catch (error) {
+    console.error('Mark All Notifications Read Error:', error);
+    req.session.error_msg = 'An error occurred while updating your notifications. Please try again.';
+  }
+  res.redirect(notificationsUrl(req.body));
+};
+
+/**
+ * Show Notification Settings
+ * GET /notifications/preferences
+ */
+export const showPreferences = async (req, res) => {
+  try {
+    res.render('notifications/preferences', {
+      title: 'Notification Settings - LMS EduManage',
+      user: req.user,
+      types: NOTIFICATION_TYPES,
+      preferences: await getPreferences(req.user.id),
+      reminderHours: getReminderHours(),
+      success: res.locals.success_msg,
+      error: res.locals.error_msg
+    });
+  } catch (error) {
+    console.error('Show Notification Preferences Error:', error);
+    res.status(500).send('Error loading notification settings: ' + error.message);
+  }
+};
+
+/**
+ * Save Notification Settings
+ * POST /notifications/preferences
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    await savePreferences(req.user.id, req.body);
+    req.session.success_msg = 'Notification settings saved';
+  } catch (error) {
+    console.error('Update Notification Preferences Error:', error);
+    req.session.error_msg = 'An error occurred while saving your notification settings. Please try again.';
+  }
+  res.redirect('/notifications/preferences');
+};
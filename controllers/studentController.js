@@ -11,16 +11,33 @@ import {
   Assignment,
   AssignmentMaterial,
   Submission, 
+  SubmissionVersion,
+  SubmissionAttachment,
   Material,
   User,
+  Grade,
   Folder,
   FolderCourse,
+  Quiz,
+  QuizAttempt,
+  Announcement,
+  AnnouncementAttachment,
   sequelize
 } from '../models/index.js';
 import { Op, QueryTypes } from 'sequelize';
-import cloudinary, { generateSignedUrl, signUrlsInArray, deleteCloudinaryFile } from '../config/cloudinary.js';
-import { checkDeadline, isDeadlinePassed } from '../services/deadlineService.js';
-import https from 'https';
+import { checkDeadline, getEffectiveDeadline, getLatePolicy, calculateLatePenalty, applyLatePenalty, validateSubmissionDeadline } from '../services/deadlineService.js';
+import { getStudentExtensionMap, getExtendedDeadline } from '../services/extensionService.js';
+import { calculateSuggestedGrade, getMaxPoints, toPercentage } from '../services/gradeService.js';
+import { getRubric, getRubricMaxPoints, getRubricScoreMap } from '../services/rubricService.js';
+import { checkAttemptLimit, countAttempts, recordAttempt, getAttachments, getAttempt, getUploadSettings, writeAttachmentsZip } from '../services/submissionService.js';
+import { getQuizForAssignment, getQuizQuestions, getQuestionsMaxScore, getStudentAttempts, isAttemptExpired, startAttempt, getAttemptQuestions, submitAttempt, getResponseMap, formatAnswer, formatCorrectAnswer, QUESTION_TYPES } from '../services/quizService.js';
+import { getCourseAnnouncements, getRecentAnnouncements, isPublished } from '../services/announcementService.js';
+import { batchEnrollmentInclude } from '../services/enrollmentService.js';
+import { getQuestionCounts } from '../services/forumService.js';
+import { isRecentlyUpdated } from '../services/materialService.js';
+import { getReleaseContext, isReleased, isAssignmentReleased, getHiddenFolderIds } from '../services/releaseService.js';
+import { getCourseModules, groupModuleItems } from '../services/moduleService.js';
+import { notifyUnlockedItems } from '../services/notificationService.js';
 
 /**
  * Get all folders accessible by a course (including inherited subfolders)
@@ -133,17 +150,24 @@ export const showDashboard = async (req, res) => {
         {
           model: Assignment,
           required: false,
-          attributes: ['id', 'title', 'deadline']
+          attributes: ['id', 'title', 'deadline', 'visible_from', 'visible_until', 'prerequisite_assignment_id']
         },
         {
           model: Material,
           required: false,
-          attributes: ['id', 'updated_at']
+          attributes: ['id', 'updated_at', 'visible_from', 'visible_until', 'prerequisite_assignment_id']
         }
       ],
       order: [['created_at', 'DESC']]
     });
 
+    // Only count what the student can see
+    const releaseContext = await getReleaseContext(studentId);
+    allEnrolledCourses.forEach(course => {
+      course.Assignments = (course.Assignments || []).filter(a => isAssignmentReleased(a, releaseContext));
+      course.Materials = (course.Materials || []).filter(m => isReleased(m, releaseContext));
+    });
+
     // Get latest material update for each course (including materials in folders)
     // Only run queries if student has enrolled courses
     let courseLatestMaterials = [];
@@ -213,11 +237,22 @@ export const showDashboard = async (req, res) => {
     // Get all course IDs for statistics (from all enrolled courses)
     const courseIds = allEnrolledCourses.map(course => course.id);
     
-    // Get upcoming assignments (not submitted, deadline in future)
-    const upcomingAssignments = await Assignment.findAll({
+    // Deadline extensions granted to this student or their batch
+    const now = new Date();
+    const allAssignmentIds = allEnrolledCourses.flatMap(course => (course.Assignments || []).map(a => a.id));
+    const extensionMap = await getStudentExtensionMap(req.user, allAssignmentIds);
+    const extendedAssignmentIds = [...extensionMap.entries()]
+      .filter(([, extendedDeadline]) => extendedDeadline > now)
+      .map(([assignmentId]) => assignmentId);
+
+    // Get upcoming assignments (not submitted, effective deadline in future)
+    const upcomingCandidates = await Assignment.findAll({
       where: {
         course_id: { [Op.in]: courseIds },
-        deadline: { [Op.gt]: new Date() }
+        [Op.or]: [
+          { deadline: { [Op.gt]: now } },
+          { id: { [Op.in]: extendedAssignmentIds } }
+        ]
       },
       include: [
         {
@@ -232,9 +267,19 @@ export const showDashboard = async (req, res) => {
           attributes: ['id', 'submitted_at']
         }
       ],
-      order: [['deadline', 'ASC']],
-      limit: 5
+      order: [['deadline', 'ASC']]
+    });
+
+    const releasedCandidates = upcomingCandidates.filter(a => isAssignmentReleased(a, releaseContext));
+
+    // Urgency is based on the student's effective deadline, so re-sort after applying extensions
+    releasedCandidates.forEach(assignment => {
+      assignment.effective_deadline = getEffectiveDeadline(assignment, extensionMap.get(assignment.id));
+      assignment.is_extended = assignment.effective_deadline > new Date(assignment.deadline);
     });
+    const upcomingAssignments = releasedCandidates
+      .sort((a, b) => a.effective_deadline - b.effective_deadline)
+      .slice(0, 5);
 
     // Filter out assignments that have already been submitted
     const pendingAssignments = upcomingAssignments.filter(
@@ -251,7 +296,7 @@ export const showDashboard = async (req, res) => {
         {
           model: Assignment,
           as: 'assignment',
-          attributes: ['id', 'title'],
+          attributes: ['id', 'title', 'max_points'],
           include: [{
             model: Course,
             as: 'course',
@@ -262,12 +307,16 @@ export const showDashboard = async (req, res) => {
       order: [['updated_at', 'DESC']],
       limit: 5
     });
+    recentGradedSubmissions.forEach(submission => {
+      submission.percentage = toPercentage(submission.marks, submission.assignment);
+    });
+
+    // Latest announcements from all enrolled courses
+    const recentAnnouncements = await getRecentAnnouncements(courseIds, 5);
 
     // Calculate statistics (use allEnrolledCourses for accurate counts)
     const totalCourses = allEnrolledCourses.length;
-    const totalAssignments = await Assignment.count({
-      where: { course_id: { [Op.in]: courseIds } }
-    });
+    const totalAssignments = allEnrolledCourses.reduce((sum, course) => sum + course.Assignments.length, 0);
     const submittedCount = await Submission.count({
       where: { student_id: studentId }
     });
@@ -296,6 +345,7 @@ export const showDashboard = async (req, res) => {
       totalEnrolledCourses: allEnrolledCourses.length,
       pendingAssignments,
       recentGradedSubmissions,
+      recentAnnouncements,
       stats: {
         totalCourses,
         toSubmit: pendingCount,
@@ -354,17 +404,23 @@ export const getAllCourses = async (req, res) => {
         {
           model: Assignment,
           required: false,
-          attributes: ['id', 'title', 'deadline']
+          attributes: ['id', 'title', 'deadline', 'visible_from', 'visible_until', 'prerequisite_assignment_id']
         },
         {
           model: Material,
           required: false,
-          attributes: ['id']
+          attributes: ['id', 'visible_from', 'visible_until', 'prerequisite_assignment_id']
         }
       ],
       order: [['created_at', 'DESC']]
     });
 
+    const releaseContext = await getReleaseContext(studentId);
+    enrolledCourses.forEach(course => {
+      course.Assignments = (course.Assignments || []).filter(a => isAssignmentReleased(a, releaseContext));
+      course.Materials = (course.Materials || []).filter(m => isReleased(m, releaseContext));
+    });
+
     res.render('student/courses', {
       title: 'My Courses',
       user: req.user,
@@ -407,11 +463,7 @@ export const getCourseView = async (req, res) => {
             attributes: ['id', 'full_name', 'email']
           }]
         },
-        {
-          model: BatchEnrollment,
-          where: { batch_id: batchId },
-          required: true  // Only show if student's batch is enrolled
-        },
+        batchEnrollmentInclude(batchId),
         {
           model: Material,
           required: false,
@@ -426,6 +478,12 @@ export const getCourseView = async (req, res) => {
               required: false,
               where: { student_id: studentId },
               attributes: ['id', 'submitted_at', 'marks', 'feedback', 'graded_by']
+            },
+            {
+              model: Quiz,
+              as: 'quiz',
+              attributes: ['id'],
+              required: false
             }
           ]
         }
@@ -441,6 +499,11 @@ export const getCourseView = async (req, res) => {
       return res.status(404).send('Course not found or you are not enrolled in this course.');
     }
 
+    // Leave out items that are scheduled for later, have ended or wait on a prerequisite
+    const releaseContext = await getReleaseContext(studentId);
+    course.Materials = (course.Materials || []).filter(m => isReleased(m, releaseContext));
+    course.Assignments = (course.Assignments || []).filter(a => isAssignmentReleased(a, releaseContext));
+
     // Fix URLs for raw files (append extension if missing) and ensure plain objects
     if (course.Materials && course.Materials.length > 0) {
       course.Materials = course.Materials.map(m => {
@@ -455,12 +518,15 @@ export const getCourseView = async (req, res) => {
             !material.file_url.toLowerCase().endsWith(`.${material.file_type.toLowerCase()}`)) {
           material.file_url = `${material.file_url}.${material.file_type}`;
         }
+        material.recently_updated = isRecentlyUpdated(material);
         return material;
       });
     }
 
-    // Get folders shared with this course (with inherited subfolders)
-    const sharedFolders = await getFoldersForCourse(courseId);
+    // Get folders shared with this course (with inherited subfolders); hidden folders hide their contents
+    const allSharedFolders = await getFoldersForCourse(courseId);
+    const hiddenFolderIds = getHiddenFolderIds(allSharedFolders, releaseContext);
+    const sharedFolders = allSharedFolders.filter(f => !hiddenFolderIds.has(f.id));
 
     // Get materials for shared folders
     const folderIds = sharedFolders.map(f => f.id);
@@ -473,6 +539,8 @@ export const getCourseView = async (req, res) => {
       });
     }
 
+    folderMaterials = folderMaterials.filter(m => isReleased(m, releaseContext));
+
     // Fix folder materials URLs
     const signedFolderMaterials = folderMaterials.map(m => {
       const material = m.get ? m.get({ plain: true }) : m;
@@ -486,6 +554,7 @@ export const getCourseView = async (req, res) => {
           !material.file_url.toLowerCase().endsWith(`.${material.file_type.toLowerCase()}`)) {
         material.file_url = `${material.file_url}.${material.file_type}`;
       }
+      material.recently_updated = isRecentlyUpdated(material);
       return material;
     });
 
@@ -501,12 +570,19 @@ export const getCourseView = async (req, res) => {
       ? course.Assignments.filter(a => a.Submissions && a.Submissions.length > 0 && a.Submissions[0].marks !== null).length
       : 0;
     
+    // Marks are points; percentages make assignments with different max points comparable
+    (course.Assignments || []).forEach(assignment => {
+      if (assignment.Submissions && assignment.Submissions.length > 0) {
+        assignment.Submissions[0].percentage = toPercentage(assignment.Submissions[0].marks, assignment);
+      }
+    });
+
     // Calculate average assignment score
     let averageScore = null;
     if (gradedAssignments > 0) {
       const scores = course.Assignments
         .filter(a => a.Submissions && a.Submissions.length > 0 && a.Submissions[0].marks !== null)
-        .map(a => parseFloat(a.Submissions[0].marks));
+        .map(a => a.Submissions[0].percentage);
       
       averageScore = (scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(2);
     }
@@ -514,10 +590,22 @@ export const getCourseView = async (req, res) => {
     // Total materials including folder materials
     const totalMaterials = (course.Materials ? course.Materials.length : 0) + folderMaterials.length;
 
+    // Published announcements, pinned first
+    const announcements = await getCourseAnnouncements(course.id);
+
+    // Learning path: the released items of each module, in module order
+    const modules = groupModuleItems(await getCourseModules(course.id), {
+      materials: [...course.Materials, ...signedFolderMaterials],
+      assignments: course.Assignments,
+      announcements
+    });
+
     res.render('student/course', {
       title: course.title,
       user: req.user,
       course,
+      announcements,
+      modules,
       folderTree,
       stats: {
         totalMaterials,
@@ -580,7 +668,7 @@ export const getAssignmentDetail = async (req, res) => {
           model: Submission,
           required: false,
           where: { student_id: studentId },
-          attributes: ['id', 'file_url', 'submission_text', 'submitted_at', 'marks', 'feedback', 'graded_by'],
+          attributes: ['id', 'file_url', 'submission_text', 'submitted_at', 'is_late', 'marks', 'feedback', 'graded_by'],
           include: [
             {
               model: User,
@@ -604,48 +692,95 @@ export const getAssignmentDetail = async (req, res) => {
       return res.status(404).send('Assignment not found or you are not enrolled in this course.');
     }
 
+    // Assignments that are not released yet (or any more) look the same as missing ones
+    if (!isAssignmentReleased(assignment, await getReleaseContext(studentId))) {
+      return res.status(404).send('Assignment not found or not available yet.');
+    }
+
+    // Quizzes are taken on their own page
+    const quiz = await getQuizForAssignment(assignment.id);
+    if (quiz) {
+      return res.redirect(`/student/quizzes/${quiz.id}`);
+    }
+
     // Get submission if exists
     const submission = assignment.Submissions && assignment.Submissions.length > 0 
       ? assignment.Submissions[0] 
       : null;
 
-    // Sign URLs for authenticated access
-    // Sign submission file URL (1-hour expiry for submissions)
-    // Sign submission file URL (1-hour expiry for submissions)
-    if (submission && submission.file_url) {
-      // submission.file_url = generateSignedUrl(submission.file_url, { type: 'submission' });
-    }
-
-    // Sign assignment materials URLs (12-hour expiry)
-    // Sign assignment materials URLs (12-hour expiry)
-    if (assignment.materials && assignment.materials.length > 0) {
-      // assignment.materials = signUrlsInArray(assignment.materials, 'url', 'assignment');
-    }
+    // Calculate deadline status using deadline service (includes extensions and late grace window)
+    const extendedDeadline = await getExtendedDeadline(assignment.id, req.user);
+    const effectiveDeadline = getEffectiveDeadline(assignment, extendedDeadline);
+    const latePolicy = getLatePolicy(assignment, effectiveDeadline);
+    const deadlineStatus = checkDeadline(effectiveDeadline, latePolicy);
+
+    // Attempt history (newest first; the latest attempt is also the Submission row)
+    const attempts = submission
+      ? await SubmissionVersion.findAll({
+          where: { submission_id: submission.id },
+          include: [{ model: SubmissionAttachment, as: 'attachments', required: false }],
+          order: [['attempt_number', 'DESC']]
+        })
+      : [];
+    attempts.forEach(attempt => {
+      attempt.files = getAttachments(attempt);
+    });
+    const submissionFiles = attempts.length > 0 ? attempts[0].files : getAttachments(submission);
+    const attemptLimit = checkAttemptLimit(assignment, submission ? Math.max(attempts.length, 1) : 0);
 
-    // Calculate deadline status using deadline service
-    const deadlineStatus = checkDeadline(assignment.deadline);
+    // Rubric (scores are only shown once the submission has been graded)
+    const rubric = await getRubric(assignment.id);
+    const rubricScores = rubric.length > 0 && submission && submission.marks !== null
+      ? await getRubricScoreMap(submission.id)
+      : new Map();
 
     // Determine if student can submit
-    const canSubmit = deadlineStatus.canSubmit && (!submission || submission.marks === null);
-    const canResubmit = deadlineStatus.canSubmit && submission && submission.marks === null;
+    const canSubmit = deadlineStatus.canSubmit && attemptLimit.allowed && (!submission || submission.marks === null);
+    const canResubmit = deadlineStatus.canSubmit && attemptLimit.allowed && submission && submission.marks === null;
     
-    // Check if submission was late
-    const isLate = submission && new Date(submission.submitted_at) > new Date(assignment.deadline);
+    // Check if submission was late and what penalty applies
+    const isLate = !!submission && (submission.is_late || new Date(submission.submitted_at) > effectiveDeadline);
+    const latePenalty = submission
+      ? calculateLatePenalty(effectiveDeadline, latePolicy, submission.submitted_at)
+      : { isLate: false, unitsLate: 0, penaltyPercent: 0 };
+    const maxPoints = getMaxPoints(assignment);
+    const penalizedMarks = submission ? applyLatePenalty(submission.marks, latePenalty.penaltyPercent, maxPoints) : null;
+
+    const questionCount = (await getQuestionCounts([assignment.id])).get(assignment.id) || 0;
 
     res.render('student/assignment', {
       title: assignment.title,
       user: req.user,
       assignment,
       submission,
+      questionCount,
       deadline: {
         date: deadlineStatus.deadline,
+        originalDate: new Date(assignment.deadline),
+        isExtended: effectiveDeadline > new Date(assignment.deadline),
         isPastDeadline: deadlineStatus.isPastDeadline,
         daysUntil: deadlineStatus.daysUntil,
-        isUrgent: deadlineStatus.isUrgent
+        isUrgent: deadlineStatus.isUrgent,
+        lateCutoff: deadlineStatus.lateCutoff,
+        isInGracePeriod: deadlineStatus.isInGracePeriod,
+        latePenaltyPercent: deadlineStatus.latePenaltyPercent,
+        message: deadlineStatus.message
       },
+      latePolicy,
       canSubmit,
       canResubmit,
-      isLate
+      attempts,
+      attemptLimit,
+      submissionFiles,
+      uploadSettings: getUploadSettings(assignment),
+      rubric,
+      rubricScores,
+      rubricMaxPoints: getRubricMaxPoints(rubric),
+      isLate,
+      latePenalty,
+      penalizedMarks,
+      maxPoints,
+      percentage: toPercentage(penalizedMarks, assignment)
     });
 
   } catch (error) {
@@ -701,17 +836,34 @@ export const submitAssignment = async (req, res) => {
       });
     }
 
-    // Check deadline using deadline service (server-side UTC validation)
-    if (isDeadlinePassed(assignment.deadline)) {
+    if (!isAssignmentReleased(assignment, await getReleaseContext(studentId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found or not available yet.'
+      });
+    }
+
+    if (await getQuizForAssignment(assignment.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment is a quiz. Please take it from the quiz page.'
+      });
+    }
+
+    // Check deadline using deadline service (server-side UTC validation, honors extensions and late cutoff)
+    const extendedDeadline = await getExtendedDeadline(assignment.id, req.user);
+    const deadlineCheck = validateSubmissionDeadline(assignment, extendedDeadline);
+    if (!deadlineCheck.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Deadline has passed. You can no longer submit or resubmit this assignment.'
+        message: deadlineCheck.message
       });
     }
 
-    // Validate that at least file OR text is provided
-    const file = req.file;
-    if (!file && !submission_text) {
+    // Validate that at least one file OR text is provided
+    // (type, count and size limits are enforced by the upload middleware)
+    const files = req.files || [];
+    if (files.length === 0 && !submission_text) {
       return res.status(400).json({
         success: false,
         message: 'Please provide either a file or text submission.'
@@ -734,52 +886,100 @@ export const submitAssignment = async (req, res) => {
       });
     }
 
+    // Enforce the assignment's attempt limit (every submission counts, including the first);
+    // checked again inside the transaction below, this only saves building the attempt
+    const attemptLimit = checkAttemptLimit(assignment, await countAttempts(existingSubmission));
+    if (!attemptLimit.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: attemptLimit.message
+      });
+    }
+
     // Prepare submission data
     const submissionData = {
       assignment_id: assignmentId,
       student_id: studentId,
-      file_url: file ? file.path : null,
+      // file_url keeps the first attachment for views that show a single file
+      file_url: files.length > 0 ? files[0].path : null,
       submission_text: submission_text || null,
-      submitted_at: new Date()
+      submitted_at: new Date(),
+      is_late: deadlineCheck.isLate
     };
+    const attachments = files.map(file => ({
+      file_url: file.path, // Stored file URL
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      size_bytes: file.size || null
+    }));
+
+    // Save the attempt: the Submission row holds the latest attempt and every
+    // attempt (with its own file) is kept as a version - nothing is overwritten or deleted
+    const result = await sequelize.transaction(async (transaction) => {
+      // Lock the assignment row so two submits sent at once are counted one after the other
+      await Assignment.findByPk(assignmentId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+      const current = await Submission.findOne({
+        where: { assignment_id: assignmentId, student_id: studentId },
+        transaction
+      });
+      if (current && current.marks !== null) {
+        return { error: 'This assignment has already been graded. You cannot resubmit.' };
+      }
 
-    let submission;
-
-    if (existingSubmission) {
-      // RESUBMISSION: Delete old file from Cloudinary if exists and new file is being uploaded
-      if (existingSubmission.file_url && file) {
-        try {
-          await deleteCloudinaryFile(existingSubmission.file_url);
-          console.log(`Deleted old submission file from Cloudinary`);
-        } catch (cloudinaryError) {
-          console.error('Error deleting old submission file from Cloudinary:', cloudinaryError);
-          // Continue with resubmission even if old file deletion fails
-        }
+      const attemptsUsed = await countAttempts(current, { transaction });
+      const limit = checkAttemptLimit(assignment, attemptsUsed);
+      if (!limit.allowed) {
+        return { error: limit.message };
       }
 
-      // Update existing submission
-      // The beforeUpdate hook will auto-update submitted_at
-      await existingSubmission.update({
-        file_url: submissionData.file_url,
-        submission_text: submissionData.submission_text,
-        submitted_at: submissionData.submitted_at
+      if (current) {
+        // RESUBMISSION: record the new attempt before the row is updated
+        await recordAttempt(current, { ...submissionData, attachments }, { transaction });
+
+        // The beforeUpdate hook will auto-update submitted_at
+        await current.update({
+          file_url: submissionData.file_url,
+          submission_text: submissionData.submission_text,
+          submitted_at: submissionData.submitted_at,
+          is_late: submissionData.is_late
+        }, { transaction });
+        return { submission: current, isResubmission: true, attempt: attemptsUsed + 1 };
+      }
+
+      // FIRST SUBMISSION: create the submission and its first version
+      const created = await Submission.create(submissionData, { transaction });
+      await recordAttempt(created, { ...submissionData, attachments }, { transaction, isNew: true });
+      return { submission: created, isResubmission: false, attempt: 1 };
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
       });
-      submission = existingSubmission;
-    } else {
-      // FIRST SUBMISSION: Create new submission
-      submission = await Submission.create(submissionData);
+    }
+    const { submission, isResubmission } = result;
+
+    // Items that have this assignment as their prerequisite are now visible to the student
+    if (!isResubmission) {
+      notifyUnlockedItems(assignmentId, studentId);
     }
 
     // Success response
     return res.status(200).json({
       success: true,
-      message: existingSubmission 
+      message: (isResubmission
         ? 'Assignment resubmitted successfully!' 
-        : 'Assignment submitted successfully!',
+        : 'Assignment submitted successfully!') +
+        (submission.is_late ? ' This submission is marked as late.' : ''),
       submission: {
         id: submission.id,
+        attempt: result.attempt,
         submitted_at: submission.submitted_at,
+        is_late: submission.is_late,
         has_file: !!submission.file_url,
+        file_count: files.length,
         has_text: !!submission.submission_text
       }
     });
@@ -793,6 +993,364 @@ export const submitAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Load a quiz with its assignment and course, only if the student's batch is enrolled
+ * @param {number} quizId - Quiz ID
+ * @param {number} batchId - Student's batch ID
+ * @returns {Object|null} - Quiz (with assignment.course) or null
+ */
+async function findStudentQuiz(quizId, batchId) {
+  return await Quiz.findByPk(quizId, {
+    include: [{
+      model: Assignment,
+      as: 'assignment',
+      required: true,
+      include: [{
+        model: Course,
+        as: 'course',
+        attributes: ['id', 'title', 'code'],
+        required: true,
+        include: [{
+          model: BatchEnrollment,
+          where: { batch_id: batchId },
+          attributes: [],
+          required: true  // Only show if student's batch is enrolled
+        }]
+      }]
+    }]
+  });
+}
+
+/**
+ * Get a student's deadline for a quiz (extensions and late policy applied)
+ * @param {Object} assignment - The quiz's Assignment
+ * @param {Object} user - Student
+ * @returns {Object} - { effectiveDeadline, latePolicy, deadlineStatus, closesAt }
+ */
+async function getQuizDeadline(assignment, user) {
+  const extendedDeadline = await getExtendedDeadline(assignment.id, user);
+  const effectiveDeadline = getEffectiveDeadline(assignment, extendedDeadline);
+  const latePolicy = getLatePolicy(assignment, effectiveDeadline);
+
+  return {
+    effectiveDeadline,
+    latePolicy,
+    deadlineStatus: checkDeadline(effectiveDeadline, latePolicy),
+    // Attempts started late still have to end by the late cutoff
+    closesAt: latePolicy ? latePolicy.lateCutoff : effectiveDeadline
+  };
+}
+
+/**
+ * Submit in-progress attempts whose time has run out (the student closed the page)
+ * @param {Array} attempts - Student's QuizAttempts
+ * @param {Object} assignment - The quiz's Assignment
+ * @param {Date} effectiveDeadline - Student's deadline
+ */
+async function closeExpiredAttempts(attempts, assignment, effectiveDeadline) {
+  for (const attempt of attempts) {
+    if (!attempt.submitted_at && isAttemptExpired(attempt)) {
+      await submitAttempt(attempt, assignment, {}, effectiveDeadline);
+    }
+  }
+}
+
+/**
+ * Quiz Overview
+ * GET /student/quizzes/:id
+ * Display: instructions, time limit, attempts and scores, start/resume button
+ */
+export const showQuiz = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const batchId = req.user.batch_id;
+
+    if (!batchId) {
+      return res.redirect('/student/dashboard');
+    }
+
+    const quiz = await findStudentQuiz(req.params.id, batchId);
+    if (!quiz) {
+      return res.status(404).send('Quiz not found or you are not enrolled in this course.');
+    }
+    if (!isAssignmentReleased(quiz.assignment, await getReleaseContext(studentId))) {
+      return res.status(404).send('Quiz not found or not available yet.');
+    }
+
+    const assignment = quiz.assignment;
+    const { effectiveDeadline, latePolicy, deadlineStatus } = await getQuizDeadline(assignment, req.user);
+
+    const attempts = await getStudentAttempts(quiz.id, studentId);
+    await closeExpiredAttempts(attempts, assignment, effectiveDeadline);
+
+    const inProgress = attempts.find(attempt => !attempt.submitted_at) || null;
+    const attemptLimit = checkAttemptLimit(assignment, attempts.length);
+    const questions = await getQuizQuestions(quiz.id);
+
+    // The Submission holds the recorded mark (latest attempt, or a teacher's override)
+    const submission = await Submission.findOne({
+      where: { assignment_id: assignment.id, student_id: studentId },
+      attributes: ['id', 'submitted_at', 'is_late', 'marks', 'feedback', 'graded_by'],
+      include: [{ model: User, as: 'grader', attributes: ['full_name'], required: false }]
+    });
+
+    const maxPoints = getMaxPoints(assignment);
+    const latePenalty = submission
+      ? calculateLatePenalty(effectiveDeadline, latePolicy, submission.submitted_at)
+      : { isLate: false, unitsLate: 0, penaltyPercent: 0 };
+    const penalizedMarks = submission ? applyLatePenalty(submission.marks, latePenalty.penaltyPercent, maxPoints) : null;
+
+    res.render('student/quiz', {
+      title: assignment.title,
+      user: req.user,
+      quiz,
+      assignment,
+      questionCount: questions.length,
+      maxScore: getQuestionsMaxScore(questions),
+      deadline: {
+        date: deadlineStatus.deadline,
+        isExtended: effectiveDeadline > new Date(assignment.deadline),
+        isPastDeadline: deadlineStatus.isPastDeadline,
+        lateCutoff: deadlineStatus.lateCutoff,
+        isInGracePeriod: deadlineStatus.isInGracePeriod,
+        message: deadlineStatus.message
+      },
+      attempts,
+      inProgress,
+      attemptLimit,
+      canStart: !inProgress && deadlineStatus.canSubmit && attemptLimit.allowed && questions.length > 0,
+      submission,
+      latePenalty,
+      penalizedMarks,
+      maxPoints,
+      percentage: toPercentage(penalizedMarks, assignment),
+      success: req.query.success,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Error loading quiz:', error);
+    res.status(500).send('Error loading quiz: ' + error.message);
+  }
+};
+
+/**
+ * Start Quiz Attempt
+ * POST /student/quizzes/:id/start
+ * Validation: enrolled, quiz open, attempts left, no attempt already in progress
+ */
+export const startQuiz = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const batchId = req.user.batch_id;
+    const quizUrl = `/student/quizzes/${req.params.id}`;
+
+    if (!batchId) {
+      return res.redirect('/student/dashboard');
+    }
+
+    const quiz = await findStudentQuiz(req.params.id, batchId);
+    if (!quiz) {
+      return res.status(404).send('Quiz not found or you are not enrolled in this course.');
+    }
+    if (!isAssignmentReleased(quiz.assignment, await getReleaseContext(studentId))) {
+      return res.status(404).send('Quiz not found or not available yet.');
+    }
+
+    const assignment = quiz.assignment;
+    const { effectiveDeadline, deadlineStatus, closesAt } = await getQuizDeadline(assignment, req.user);
+
+    if (!deadlineStatus.canSubmit) {
+      return res.redirect(`${quizUrl}?error=${encodeURIComponent(deadlineStatus.message)}`);
+    }
+
+    const attempts = await getStudentAttempts(quiz.id, studentId);
+    await closeExpiredAttempts(attempts, assignment, effectiveDeadline);
+
+    // Resume instead of starting a second attempt
+    const inProgress = attempts.find(attempt => !attempt.submitted_at);
+    if (inProgress) {
+      return res.redirect(`/student/quiz-attempts/${inProgress.id}`);
+    }
+
+    const attemptLimit = checkAttemptLimit(assignment, attempts.length);
+    if (!attemptLimit.allowed) {
+      return res.redirect(`${quizUrl}?error=${encodeURIComponent(attemptLimit.message)}`);
+    }
+
+    const questions = await getQuizQuestions(quiz.id);
+    if (questions.length === 0) {
+      return res.redirect(`${quizUrl}?error=${encodeURIComponent('This quiz has no questions yet')}`);
+    }
+
+    const attempt = await startAttempt(quiz, studentId, closesAt);
+    res.redirect(`/student/quiz-attempts/${attempt.id}`);
+
+  } catch (error) {
+    console.error('Error starting quiz:', error);
+    res.redirect(`/student/quizzes/${req.params.id}?error=${encodeURIComponent('Failed to start the quiz. Please try again.')}`);
+  }
+};
+
+/**
+ * Quiz Attempt
+ * GET /student/quiz-attempts/:id
+ * Display: the questions with a countdown while in progress, the graded answers once submitted
+ */
+export const showQuizAttempt = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const batchId = req.user.batch_id;
+
+    if (!batchId) {
+      return res.redirect('/student/dashboard');
+    }
+
+    const attempt = await QuizAttempt.findByPk(req.params.id);
+    if (!attempt || attempt.student_id !== studentId) {
+      return res.status(404).send('Quiz attempt not found.');
+    }
+
+    const quiz = await findStudentQuiz(attempt.quiz_id, batchId);
+    if (!quiz) {
+      return res.status(404).send('Quiz not found or you are not enrolled in this course.');
+    }
+
+    const assignment = quiz.assignment;
+    if (!attempt.submitted_at && isAttemptExpired(attempt)) {
+      const { effectiveDeadline } = await getQuizDeadline(assignment, req.user);
+      await submitAttempt(attempt, assignment, {}, effectiveDeadline);
+    }
+
+    const questions = await getAttemptQuestions(attempt);
+    const inProgress = !attempt.submitted_at;
+
+    let results = [];
+    if (!inProgress) {
+      const responses = await getResponseMap(attempt.id);
+      results = questions.map(question => {
+        const response = responses.get(question.id);
+        return {
+          question,
+          response,
+          answerLabel: response ? formatAnswer(question, response.answer) : '',
+          correctLabel: quiz.show_correct_answers ? formatCorrectAnswer(question) : null
+        };
+      });
+    }
+
+    res.render('student/quiz-attempt', {
+      title: assignment.title,
+      user: req.user,
+      quiz,
+      assignment,
+      attempt,
+      questions,
+      inProgress,
+      results,
+      questionTypes: QUESTION_TYPES,
+      remainingSeconds: inProgress && attempt.expires_at
+        ? Math.max(0, Math.floor((new Date(attempt.expires_at) - new Date()) / 1000))
+        : null,
+      success: req.query.success
+    });
+
+  } catch (error) {
+    console.error('Error loading quiz attempt:', error);
+    res.status(500).send('Error loading quiz attempt: ' + error.message);
+  }
+};
+
+/**
+ * Submit Quiz Attempt
+ * POST /student/quiz-attempts/:id/submit
+ * Grades the answers and records the score as the student's submission
+ */
+export const submitQuizAttempt = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const batchId = req.user.batch_id;
+    const attemptUrl = `/student/quiz-attempts/${req.params.id}`;
+
+    if (!batchId) {
+      return res.redirect('/student/dashboard');
+    }
+
+    const attempt = await QuizAttempt.findByPk(req.params.id);
+    if (!attempt || attempt.student_id !== studentId) {
+      return res.status(404).send('Quiz attempt not found.');
+    }
+
+    if (attempt.submitted_at) {
+      return res.redirect(attemptUrl);
+    }
+
+    const quiz = await findStudentQuiz(attempt.quiz_id, batchId);
+    if (!quiz) {
+      return res.status(404).send('Quiz not found or you are not enrolled in this course.');
+    }
+
+    const { effectiveDeadline } = await getQuizDeadline(quiz.assignment, req.user);
+    const { expired } = await submitAttempt(attempt, quiz.assignment, req.body, effectiveDeadline);
+
+    const message = expired
+      ? 'Time ran out before your answers were submitted, so they could not be counted.'
+      : 'Quiz submitted successfully!';
+    res.redirect(`${attemptUrl}?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error('Error submitting quiz attempt:', error);
+    res.status(500).send('Failed to submit quiz. Please go back and try again.');
+  }
+};
+
+/**
+ * Download Submission Files (ZIP)
+ * GET /student/submissions/:id/download?attempt=N
+ * Students can only download their own submissions
+ */
+export const downloadSubmissionZip = async (req, res) => {
+  try {
+    const submission = await Submission.findOne({
+      where: { id: req.params.id, student_id: req.user.id },
+      include: [{ model: Assignment, as: 'assignment', attributes: ['id', 'title'] }]
+    });
+
+    if (!submission) {
+      return res.status(404).send('Submission not found');
+    }
+
+    const attemptNumber = req.query.attempt ? parseInt(req.query.attempt, 10) : null;
+    const attempt = await getAttempt(submission.id, attemptNumber);
+    if (attemptNumber && !attempt) {
+      return res.status(404).send('Attempt not found');
+    }
+
+    const files = getAttachments(attempt || submission);
+    if (files.length === 0) {
+      return res.status(404).send('This submission has no files');
+    }
+
+    const title = submission.assignment.title.replace(/[^a-z0-9]+/gi, '_');
+    const suffix = attempt ? `_attempt${attempt.attempt_number}` : '';
+
+    res.setHeader('Content-Disposition', `attachment; filename="${title}${suffix}.zip"`);
+    res.setHeader('Content-Type', 'application/zip');
+    await writeAttachmentsZip(res, files);
+    res.end();
+
+  } catch (error) {
+    console.error('Download Submission Zip Error:', error);
+    if (res.headersSent) {
+      // Part of the archive is out already; break the download so it is not saved as complete
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(error.statusCode === 413 ? 413 : 500)
+      .send(error.statusCode === 413 ? error.message : 'Error downloading submission files');
+  }
+};
+
 /**
  * Get Submission History
  * GET /student/submissions
@@ -824,7 +1382,7 @@ export const getSubmissions = async (req, res) => {
       include: [{
         model: Assignment,
         as: 'assignment',  // Use the alias defined in model associations
-        attributes: ['id', 'title', 'deadline', 'course_id'],
+        attributes: ['id', 'title', 'deadline', 'course_id', 'max_points'],
         include: [{
           model: Course,
           as: 'course',  // Use the alias defined in model associations
@@ -843,24 +1401,24 @@ export const getSubmissions = async (req, res) => {
       ? submissions.filter(s => s.assignment && s.assignment.course)
       : submissions;
 
-    // Sign submission file URLs for authenticated access (1-hour expiry)
-    const signedSubmissions = signUrlsInArray(filteredSubmissions, 'file_url', 'submission');
+    // Files are opened through /files/submissions/<id>, so plain rows are enough
+    const plainSubmissions = filteredSubmissions.map(s => s.get({ plain: true }));
 
     // Calculate statistics
-    const total = signedSubmissions.length;
-    const graded = signedSubmissions.filter(s => s.marks !== null).length;
+    const total = plainSubmissions.length;
+    const graded = plainSubmissions.filter(s => s.marks !== null).length;
     const pending = total - graded;
     
     // Calculate average score from graded submissions
-    const gradedSubmissions = signedSubmissions.filter(s => s.marks !== null);
+    const gradedSubmissions = plainSubmissions.filter(s => s.marks !== null);
     const averageScore = gradedSubmissions.length > 0
-      ? gradedSubmissions.reduce((sum, s) => sum + parseFloat(s.marks), 0) / gradedSubmissions.length
+      ? gradedSubmissions.reduce((sum, s) => sum + toPercentage(s.marks, s.assignment), 0) / gradedSubmissions.length
       : null;
 
     res.render('student/submissions', {
       title: 'Submission History',
       user: req.user,
-      submissions: signedSubmissions,
+      submissions: plainSubmissions,
       courses: enrolledCourses,
       selectedCourseId: selectedCourseId || '',
       stats: {
@@ -922,15 +1480,30 @@ export const getGrades = async (req, res) => {
       }]
     });
 
-    // Sign submission file URLs for authenticated access
-    const signedSubmissions = signUrlsInArray(submissions, 'file_url', 'submission');
+    const plainSubmissions = submissions.map(s => s.get({ plain: true }));
 
     // Create a map of submissions by assignment_id
     const submissionMap = {};
-    signedSubmissions.forEach(sub => {
+    plainSubmissions.forEach(sub => {
       submissionMap[sub.assignment_id] = sub;
     });
 
+    // Get published final grades (drafts stay hidden until the teacher publishes them)
+    const finalGrades = await Grade.findAll({
+      where: {
+        student_id: studentId,
+        status: 'published'
+      },
+      attributes: ['course_id', 'grade', 'remarks', 'published_at']
+    });
+
+    const finalGradeMap = {};
+    finalGrades.forEach(grade => {
+      finalGradeMap[grade.course_id] = grade;
+    });
+
+    const releaseContext = await getReleaseContext(studentId);
+
     // Build course grades data organized by semester
     const semesterData = {};
     let totalGradedAssignments = 0;
@@ -944,21 +1517,30 @@ export const getGrades = async (req, res) => {
         semesterData[semester] = {
           courses: [],
           totalGraded: 0,
+          scoredCourses: 0,
           totalScore: 0,
           averageScore: null
         };
       }
 
-      // Get all assignments for this course
-      const assignments = await Assignment.findAll({
+      // Get the assignments of this course the student can see
+      const assignments = (await Assignment.findAll({
         where: { course_id: course.id },
-        attributes: ['id', 'title', 'deadline', 'description'],
+        attributes: ['id', 'title', 'deadline', 'description', 'late_cutoff', 'late_penalty_percent', 'late_penalty_unit', 'max_points', 'visible_from', 'visible_until', 'prerequisite_assignment_id'],
         order: [['deadline', 'ASC']]
-      });
+      })).filter(a => isAssignmentReleased(a, releaseContext));
+
+      // Extensions move the deadline the late penalty is measured from
+      const extensionMap = await getStudentExtensionMap(req.user, assignments.map(a => a.id));
 
       // Add submission info to each assignment
       const assignmentsWithSubmissions = assignments.map(assignment => {
         const submission = submissionMap[assignment.id] || null;
+        const effectiveDeadline = getEffectiveDeadline(assignment, extensionMap.get(assignment.id));
+        const latePenalty = submission
+          ? calculateLatePenalty(effectiveDeadline, getLatePolicy(assignment, effectiveDeadline), submission.submitted_at)
+          : null;
+        const points = submission ? applyLatePenalty(submission.marks, latePenalty.penaltyPercent, getMaxPoints(assignment)) : null;
         if (submission) {
           totalSubmissions++;
           if (submission.marks === null) {
@@ -968,11 +1550,17 @@ export const getGrades = async (req, res) => {
         return {
           id: assignment.id,
           title: assignment.title,
-          deadline: assignment.deadline,
+          deadline: effectiveDeadline,
           submission: submission ? {
             id: submission.id,
             submitted_at: submission.submitted_at,
-            marks: submission.marks,
+            // Marks shown to the student are after any late penalty, as a percentage of max points
+            marks: toPercentage(points, assignment),
+            raw_marks: toPercentage(submission.marks, assignment),
+            points,
+            max_points: getMaxPoints(assignment),
+            late_penalty: latePenalty.penaltyPercent,
+            is_late: submission.is_late,
             feedback: submission.feedback,
             file_url: submission.file_url,
             submission_text: submission.submission_text
@@ -987,18 +1575,16 @@ export const getGrades = async (req, res) => {
       const gradedCount = gradedAssignments.length;
       const totalAssignmentsCount = assignments.length;
 
-      // Calculate average score for this course
-      let courseAverageScore = null;
-      if (gradedCount > 0) {
-        const totalScore = gradedAssignments.reduce(
-          (sum, a) => sum + parseFloat(a.submission.marks), 0
-        );
-        courseAverageScore = totalScore / gradedCount;
-        totalGradedAssignments += gradedCount;
-        
-        // Add to semester totals
-        semesterData[semester].totalGraded += gradedCount;
-        semesterData[semester].totalScore += totalScore;
+      // Calculate course score from the course grading scheme (weights, drops, letter scale)
+      const courseGrade = await calculateSuggestedGrade(studentId, course.id);
+      const courseAverageScore = courseGrade.suggestedGrade;
+      totalGradedAssignments += gradedCount;
+
+      // Add to semester totals (semester average = mean of course scores)
+      semesterData[semester].totalGraded += gradedCount;
+      if (courseAverageScore !== null) {
+        semesterData[semester].scoredCourses += 1;
+        semesterData[semester].totalScore += courseAverageScore;
       }
 
       semesterData[semester].courses.push({
@@ -1013,15 +1599,18 @@ export const getGrades = async (req, res) => {
         totalAssignments: totalAssignmentsCount,
         gradedAssignments: gradedCount,
         submittedAssignments: assignmentsWithSubmissions.filter(a => a.submission).length,
-        averageScore: courseAverageScore
+        averageScore: courseAverageScore,
+        letterGrade: courseGrade.suggestedLetter,
+        categoryBreakdown: courseGrade.categoryBreakdown,
+        finalGrade: finalGradeMap[course.id] || null
       });
     }
 
     // Calculate semester averages
     Object.keys(semesterData).forEach(semester => {
       const data = semesterData[semester];
-      if (data.totalGraded > 0) {
-        data.averageScore = data.totalScore / data.totalGraded;
+      if (data.scoredCourses > 0) {
+        data.averageScore = data.totalScore / data.scoredCourses;
       }
     });
 
@@ -1053,202 +1642,3 @@ export const getGrades = async (req, res) => {
     res.status(500).send('Error loading grades: ' + error.message);
   }
 };
-
-/**
- * Download Assignment Material (Proxy)
- * GET /student/assignments/materials/:id/download
- * Proxies the file from Cloudinary to force download with correct Content-Disposition
- */
-export const downloadAssignmentMaterial = async (req, res) => {
-  try {
-    const materialId = req.params.id;
-    const studentId = req.user.id;
-    const batchId = req.user.batch_id;
-
-    if (!batchId) {
-      return res.status(403).send('Access denied');
-    }
-
-    // Get material with course check
-    const material = await AssignmentMaterial.findByPk(materialId, {
-      include: [{
-        model: Assignment,
-        as: 'assignment',
-        include: [{
-          model: Course,
-          as: 'course',
-          include: [{
-            model: BatchEnrollment,
-            where: { batch_id: batchId },
-            required: true
-          }]
-        }]
-      }]
-    });
-
-    if (!material || !material.assignment || !material.assignment.course) {
-      return res.status(404).send('Material not found or access denied');
-    }
-
-    // Determine filename
-    let filename = material.title || 'download';
-    // Clean filename (keep basic chars)
-    filename = filename.replace(/[^a-z0-9-_ ]/gi, '_').toLowerCase();
-    
-    // Get extension: Prioritize URL as it preserves the uploaded extension
-    let ext = '';
-    if (material.url) {
-      // Get everything after the last dot, and before query params
-      const urlParts = material.url.split(/[?#]/)[0];
-      const items = urlParts.split('.');
-      if (items.length > 1) {
-        ext = items.pop().toLowerCase();
-      }
-    }
-    
-    // Clean filename logic:
-    // 1. Check if filename title ALREADY contains the extension (e.g. "file.pdf" or "file_pdf")
-    // 2. Remove it to avoid "file_pdf.pdf"
-    if (ext) {
-        // Regex to match .ext or _ext at the end
-        const suffixRegex = new RegExp(`[._]${ext}$`, 'i');
-        filename = filename.replace(suffixRegex, '');
-    }
-
-    // Ensure filename ends with extension
-    if (ext) {
-      filename += '.' + ext;
-    }
-
-    // Set headers for forced download
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/octet-stream');
-    
-    // Handle Cloudinary URLs (redirect or proxy)
-    // IMPORTANT: Since Cloudinary Signed URLs are fragile to manipulation,
-    // we just fetch the original URL and pipe it.
-    
-    https.get(material.url, (stream) => {
-      stream.pipe(res);
-    }).on('error', (err) => {
-      console.error('Error fetching file for proxy:', err);
-      res.status(500).send('Error downloading file');
-    });
-
-  } catch (error) {
-    console.error('Error in download proxy:', error);
-    res.status(500).send('Server error');
-  }
-};
-
-/**
- * Download Course Material (Proxy)
- * GET /student/courses/materials/:id/download
- * Proxies the file from Cloudinary to force download with correct Content-Disposition
- */
-export const downloadCourseMaterial = async (req, res) => {
-  try {
-    const materialId = req.params.id;
-    const studentId = req.user.id;
-    const batchId = req.user.batch_id;
-
-    if (!batchId) {
-      return res.status(403).send('Access denied');
-    }
-
-    // Get material with course check via batch
-    // We need to verify if the student is in a batch that is enrolled in the course
-    // Material -> Course -> BatchEnrollment (where batch_id = student's batch)
-    const material = await Material.findByPk(materialId, {
-      include: [{
-        model: Course,
-        as: 'course',
-        include: [{
-          model: BatchEnrollment,
-          where: { batch_id: batchId },
-          required: true
-        }]
-      }]
-    });
-    
-    // Also check if it's in a folder that is shared with the course
-    // Material -> Folder -> FolderCourse -> Course -> BatchEnrollment
-    // Note: The above is a simplification; handling folder permissions strictly might need more queries
-    // IF the direct check fails, we check for folder access.
-    
-    let validMaterial = material;
-    
-    if (!validMaterial) {
-       // Try finding via Folder
-       // This is more complex because specific material isn't directly linked to course but via Folder
-       validMaterial = await Material.findByPk(materialId, {
-         include: [{
-           model: Folder,
-           as: 'folder',
-           include: [{
-             model: FolderCourse,
-             include: [{
-               model: Course,
-               include: [{
-                  model: BatchEnrollment,
-                  where: { batch_id: batchId },
-                  required: true
-               }]
-             }]
-           }]
-         }]
-       });
-       
-       // Verify the folder path actually links to a course the student has access to
-       // The include above forces the join, so if result is found, it's valid.
-       if (validMaterial && (!validMaterial.folder || !validMaterial.folder.FolderCourses || validMaterial.folder.FolderCourses.length === 0)) {
-           validMaterial = null; 
-       }
-    }
-
-    if (!validMaterial) {
-      return res.status(404).send('Material not found or access denied');
-    }
-
-    // Determine filename
-    let filename = validMaterial.title || 'download';
-    // Clean filename (keep basic chars)
-    filename = filename.replace(/[^a-z0-9-_ ]/gi, '_').toLowerCase();
-    
-    // Get extension: Prioritize URL
-    let ext = '';
-    if (validMaterial.file_url) { // uses file_url not url
-      const urlParts = validMaterial.file_url.split(/[?#]/)[0];
-      const items = urlParts.split('.');
-      if (items.length > 1) {
-        ext = items.pop().toLowerCase();
-      }
-    }
-    
-    // Clean filename logic
-    if (ext) {
-        const suffixRegex = new RegExp(`[._]${ext}$`, 'i');
-        filename = filename.replace(suffixRegex, '');
-    }
-
-    // Ensure filename ends with extension
-    if (ext) {
-      filename += '.' + ext;
-    }
-
-    // Set headers for forced download
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/octet-stream');
-    
-    https.get(validMaterial.file_url, (stream) => {
-      stream.pipe(res);
-    }).on('error', (err) => {
-      console.error('Error fetching file for proxy:', err);
-      res.status(500).send('Error downloading file');
-    });
-
-  } catch (error) {
-    console.error('Error in course material proxy:', error);
-    res.status(500).send('Server error');
-  }
-};
@@ -13,15 +13,54 @@ import {
   AssignmentMaterial,
   Submission, 
   Batch, 
-
+  Grade,
+  GradeCategory,
+  DeadlineExtension,
+  SubmissionVersion,
+  SubmissionAttachment,
+  RubricScore,
+  Quiz,
+  QuizQuestion,
+  QuizItem,
+  QuizResponse,
   Material,
   Folder,
   FolderCourse,
+  Announcement,
+  AnnouncementAttachment,
+  CourseModule,
   sequelize
 } from '../models/index.js';
 import { Op, QueryTypes } from 'sequelize';
-import cloudinary, { generateSignedUrl, signUrlsInArray, deleteCloudinaryFile } from '../config/cloudinary.js';
+import { deleteFile, isStoredFile } from '../services/storage/index.js';
 import { teacherService } from '../services/teacherService.js';
+import { getEffectiveDeadline, getLatePolicy, calculateLatePenalty, applyLatePenalty, formatDeadline } from '../services/deadlineService.js';
+import { getAssignmentExtensions, getExtendedDeadline, resolveExtendedDeadline } from '../services/extensionService.js';
+import { parseRubricInput, getRubric, getRubricMaxPoints, isRubricInUse, saveRubric, serializeRubric, scoreRubric, saveRubricScores, getRubricScoreMap } from '../services/rubricService.js';
+import { countAttempts, getAttemptCounts, getVersionFileUrls, diffText, getAttachments, getAttempt, writeAttachmentsZip, parseFileTypes, SUBMISSION_FILE_TYPES, DEFAULT_SUBMISSION_FILE_TYPES } from '../services/submissionService.js';
+import { QUESTION_TYPES, parseQuestionInput, formatCorrectAnswer, getQuizForAssignment, getQuizQuestions, getQuestionsMaxScore, parseQuestionSelection, saveQuizItems, hasAttempts, isQuestionAnswered, getItemAnalysis } from '../services/quizService.js';
+import {
+  notifyNewAssignment,
+  notifyDeadlineChanged,
+  notifyGradePosted,
+  notifyNewMaterial,
+  notifyFolderShared
+} from '../services/notificationService.js';
+import { parseAnnouncementInput, getCourseAnnouncements, createAnnouncement as createCourseAnnouncement } from '../services/announcementService.js';
+import { getCourseGrades, getEnrolledStudents, normalizeFinalGrade, getGradingScheme, validateGradingScale, DEFAULT_GRADING_SCALE, getMaxPoints, getMarksLimit, toPercentage, validateMarks } from '../services/gradeService.js';
+import { recordAudit, snapshot, diffValues } from '../services/auditService.js';
+import { getEditableCourseId, recordInitialVersion, addMaterialVersion, revertMaterial, getMaterialVersions, getMaterialFileUrls } from '../services/materialService.js';
+import { RELEASE_FIELDS, parseReleaseInput, attachReleaseSummaries, getPrerequisiteOptions } from '../services/releaseService.js';
+import {
+  parseModuleInput,
+  getCourseModules,
+  createModule as createCourseModule,
+  deleteModule as deleteCourseModule,
+  reorderModules as saveModuleOrder,
+  getModuleItemOptions,
+  setModuleItems,
+  groupModuleItems
+} from '../services/moduleService.js';
 
 
 
@@ -366,6 +405,11 @@ export const getCourseDetail = async (req, res) => {
         }, {
           model: AssignmentMaterial,
           as: 'materials'
+        }, {
+          model: Quiz,
+          as: 'quiz',
+          attributes: ['id'],
+          required: false
         }]
       }, {
         model: CourseTeacher,
@@ -418,7 +462,6 @@ export const getCourseDetail = async (req, res) => {
     if (course.Assignments) {
       course.Assignments.forEach(assignment => {
         if (assignment.materials && assignment.materials.length > 0) {
-          // assignment.materials = signUrlsInArray(assignment.materials, 'url', 'assignment');
           assignment.materials = assignment.materials.map(m => {
             const material = m.get ? m.get({ plain: true }) : m;
             
@@ -437,6 +480,16 @@ export const getCourseDetail = async (req, res) => {
       });
     }
 
+    // "Hidden until ..." indicators
+    await attachReleaseSummaries(course.Assignments || []);
+
+    const announcements = await getCourseAnnouncements(courseId, { includeScheduled: true });
+
+    // Modules with their items; the options also cover materials in shared folders
+    const folderIds = (await getFoldersForCourse(courseId)).map(f => f.id);
+    const moduleOptions = await getModuleItemOptions(courseId, folderIds);
+    const modules = groupModuleItems(await getCourseModules(courseId), moduleOptions);
+
     res.render('teacher/course-detail', {
       user: req.user,
       course,
@@ -444,7 +497,12 @@ export const getCourseDetail = async (req, res) => {
       enrolledBatches,
       isOwner,
       permissions,
-      pageTitle: course.title
+      announcements,
+      modules,
+      moduleOptions,
+      pageTitle: course.title,
+      success: req.query.success,
+      error: req.query.error
     });
 
   } catch (error) {
@@ -453,6 +511,265 @@ export const getCourseDetail = async (req, res) => {
   }
 };
 
+/**
+ * Create Announcement
+ * POST /teacher/courses/:id/announcements
+ * 
+ * Posts an announcement (optionally pinned, scheduled, with attachments)
+ * Requires edit permission on the course
+ */
+export const createAnnouncement = async (req, res) => {
+  const courseUrl = `/teacher/courses/${req.params.id}`;
+  try {
+    const course = await teacherService.checkCourseAccess(req.params.id, req.user.id, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to post announcements in this course');
+    }
+
+    const input = parseAnnouncementInput(req.body);
+    if (input.error) {
+      return res.redirect(`${courseUrl}?error=${encodeURIComponent(input.error)}`);
+    }
+
+    const announcement = await createCourseAnnouncement(course.id, req.user.id, input.values, req.files || []);
+
+    const message = new Date(announcement.publish_at) > new Date()
+      ? `Announcement scheduled for ${formatDeadline(announcement.publish_at)}`
+      : 'Announcement posted';
+    res.redirect(`${courseUrl}?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error('Create Announcement Error:', error);
+    res.redirect(`${courseUrl}?error=${encodeURIComponent('Error posting announcement: ' + error.message)}`);
+  }
+};
+
+/**
+ * Find an announcement the teacher may edit
+ * @param {number} announcementId - Announcement ID
+ * @param {number} teacherId - Teacher ID
+ * @returns {Object} - { announcement } or { status, message }
+ */
+const findEditableAnnouncement = async (announcementId, teacherId) => {
+  const announcement = await Announcement.findByPk(announcementId, {
+    include: [{ model: AnnouncementAttachment, as: 'attachments' }]
+  });
+  if (!announcement) {
+    return { status: 404, message: 'Announcement not found' };
+  }
+
+  const course = await teacherService.checkCourseAccess(announcement.course_id, teacherId, { requireEdit: true });
+  if (!course) {
+    return { status: 403, message: 'You do not have permission to manage announcements in this course' };
+  }
+
+  return { announcement };
+};
+
+/**
+ * Pin / Unpin Announcement
+ * POST /teacher/announcements/:id/pin
+ */
+export const toggleAnnouncementPin = async (req, res) => {
+  try {
+    const { announcement, status, message } = await findEditableAnnouncement(req.params.id, req.user.id);
+    if (!announcement) {
+      return res.status(status).send(message);
+    }
+
+    await announcement.update({ is_pinned: !announcement.is_pinned });
+
+    const result = announcement.is_pinned ? 'Announcement pinned' : 'Announcement unpinned';
+    res.redirect(`/teacher/courses/${announcement.course_id}?success=${encodeURIComponent(result)}`);
+
+  } catch (error) {
+    console.error('Toggle Announcement Pin Error:', error);
+    res.status(500).send('Error updating announcement: ' + error.message);
+  }
+};
+
+/**
+ * Delete Announcement
+ * POST /teacher/announcements/:id/delete
+ * Also removes its attachments from storage
+ */
+export const deleteAnnouncement = async (req, res) => {
+  try {
+    const { announcement, status, message } = await findEditableAnnouncement(req.params.id, req.user.id);
+    if (!announcement) {
+      return res.status(status).send(message);
+    }
+
+    for (const attachment of announcement.attachments) {
+      if (isStoredFile(attachment.file_url)) {
+        try {
+          await deleteFile(attachment.file_url);
+        } catch (storageError) {
+          console.error('File deletion error:', storageError);
+          // Continue with database deletion even if the file deletion fails
+        }
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await AnnouncementAttachment.destroy({ where: { announcement_id: announcement.id }, transaction });
+      await announcement.destroy({ transaction });
+    });
+
+    res.redirect(`/teacher/courses/${announcement.course_id}?success=${encodeURIComponent('Announcement deleted')}`);
+
+  } catch (error) {
+    console.error('Delete Announcement Error:', error);
+    res.status(500).send('Error deleting announcement: ' + error.message);
+  }
+};
+
+/**
+ * Find a module the teacher may edit
+ * @param {number} moduleId - CourseModule ID
+ * @param {number} teacherId - Teacher ID
+ * @returns {Object} - { module } or { status, message }
+ */
+const findEditableModule = async (moduleId, teacherId) => {
+  const module = await CourseModule.findByPk(moduleId);
+  if (!module) {
+    return { status: 404, message: 'Module not found' };
+  }
+
+  const course = await teacherService.checkCourseAccess(module.course_id, teacherId, { requireEdit: true });
+  if (!course) {
+    return { status: 403, message: 'You do not have permission to manage modules in this course' };
+  }
+
+  return { module };
+};
+
+/**
+ * Create Course Module
+ * POST /teacher/courses/:id/modules
+ * 
+ * Adds a module (e.g. "Week 3") at the end of the course
+ */
+export const createModule = async (req, res) => {
+  const courseUrl = `/teacher/courses/${req.params.id}`;
+  try {
+    const course = await teacherService.checkCourseAccess(req.params.id, req.user.id, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to manage modules in this course');
+    }
+
+    const input = parseModuleInput(req.body);
+    if (input.error) {
+      return res.redirect(`${courseUrl}?error=${encodeURIComponent(input.error)}`);
+    }
+
+    await createCourseModule(course.id, req.user.id, input.values);
+
+    res.redirect(`${courseUrl}?success=${encodeURIComponent(`Module "${input.values.title}" created`)}`);
+
+  } catch (error) {
+    console.error('Create Module Error:', error);
+    res.redirect(`${courseUrl}?error=${encodeURIComponent('Error creating module: ' + error.message)}`);
+  }
+};
+
+/**
+ * Update Course Module
+ * POST /teacher/modules/:id
+ */
+export const updateModule = async (req, res) => {
+  try {
+    const { module, status, message } = await findEditableModule(req.params.id, req.user.id);
+    if (!module) {
+      return res.status(status).send(message);
+    }
+
+    const courseUrl = `/teacher/courses/${module.course_id}`;
+    const input = parseModuleInput(req.body);
+    if (input.error) {
+      return res.redirect(`${courseUrl}?error=${encodeURIComponent(input.error)}`);
+    }
+
+    await module.update(input.values);
+
+    res.redirect(`${courseUrl}?success=${encodeURIComponent('Module updated')}`);
+
+  } catch (error) {
+    console.error('Update Module Error:', error);
+    res.status(500).send('Error updating module: ' + error.message);
+  }
+};
+
+/**
+ * Delete Course Module
+ * POST /teacher/modules/:id/delete
+ * 
+ * Its materials, assignments and announcements stay in the course without a module
+ */
+export const deleteModule = async (req, res) => {
+  try {
+    const { module, status, message } = await findEditableModule(req.params.id, req.user.id);
+    if (!module) {
+      return res.status(status).send(message);
+    }
+
+    await deleteCourseModule(module);
+
+    res.redirect(`/teacher/courses/${module.course_id}?success=${encodeURIComponent('Module deleted. Its items are still in the course')}`);
+
+  } catch (error) {
+    console.error('Delete Module Error:', error);
+    res.status(500).send('Error deleting module: ' + error.message);
+  }
+};
+
+/**
+ * Reorder Course Modules
+ * POST /teacher/courses/:id/modules/reorder
+ * Body (JSON): { order: [moduleId, ...] } with every module of the course, first to last
+ */
+export const reorderModules = async (req, res) => {
+  try {
+    const course = await teacherService.checkCourseAccess(req.params.id, req.user.id, { requireEdit: true });
+    if (!course) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to manage modules in this course' });
+    }
+
+    if (!await saveModuleOrder(course.id, req.body.order)) {
+      return res.status(400).json({ success: false, message: 'The module list is out of date. Reload the page and try again' });
+    }
+
+    res.json({ success: true, message: 'Module order saved' });
+
+  } catch (error) {
+    console.error('Reorder Modules Error:', error);
+    res.status(500).json({ success: false, message: 'Error saving module order: ' + error.message });
+  }
+};
+
+/**
+ * Update Module Items
+ * POST /teacher/modules/:id/items
+ * Body: material_ids[], assignment_ids[], announcement_ids[] (the module's complete contents)
+ */
+export const updateModuleItems = async (req, res) => {
+  try {
+    const { module, status, message } = await findEditableModule(req.params.id, req.user.id);
+    if (!module) {
+      return res.status(status).send(message);
+    }
+
+    const folderIds = (await getFoldersForCourse(module.course_id)).map(f => f.id);
+    await setModuleItems(module, req.body, folderIds);
+
+    res.redirect(`/teacher/courses/${module.course_id}?success=${encodeURIComponent(`Contents of "${module.title}" saved`)}`);
+
+  } catch (error) {
+    console.error('Update Module Items Error:', error);
+    res.status(500).send('Error saving module contents: ' + error.message);
+  }
+};
+
 /**
  * Get Course Materials
  * GET /teacher/courses/:id/materials
@@ -487,11 +804,6 @@ export const getMaterials = async (req, res) => {
       order: [['created_at', 'DESC']]
     });
 
-    // Sign URLs for authenticated access (24-hour expiry for materials)
-    // Sign URLs for authenticated access (24-hour expiry for materials)
-    // const signedMaterials = signUrlsInArray(materials, 'file_url', 'material');
-    // const signedMaterials = materials; // Use raw materials
-    
     // Fix URLs and ensure plain objects
     const signedMaterials = materials.map(m => {
       const material = m.get ? m.get({ plain: true }) : m;
@@ -550,6 +862,11 @@ export const uploadMaterial = async (req, res) => {
       return res.redirect(`/teacher/courses/${courseId}/materials?error=Title is required`);
     }
 
+    const release = await parseReleaseInput(req.body, { courseIds: [course.id] });
+    if (release.error) {
+      return res.redirect(`/teacher/courses/${courseId}/materials?error=${encodeURIComponent(release.error)}`);
+    }
+
     // If folder_id is provided, verify folder is shared with this course
     if (folder_id && folder_id !== '') {
       const folder = await Folder.findByPk(folder_id);
@@ -573,7 +890,7 @@ export const uploadMaterial = async (req, res) => {
 
     // Check if file was uploaded
     if (req.file) {
-      fileUrl = req.file.path; // Cloudinary URL
+      fileUrl = req.file.path; // Stored file URL
       
       // Extract file extension from original filename
       const originalName = req.file.originalname;
@@ -598,14 +915,16 @@ export const uploadMaterial = async (req, res) => {
     const hasFolderId = folder_id && folder_id !== '';
     const parsedFolderId = hasFolderId ? parseInt(folder_id) : null;
     
-    await Material.create({
+    const material = await Material.create({
       course_id: hasFolderId ? null : courseId, // Only set course_id for direct uploads (no folder)
       folder_id: parsedFolderId,
       title: title.trim(),
       description: description ? description.trim() : null,
       file_url: fileUrl,
-      file_type: fileType
+      file_type: fileType,
+      ...release.values
     });
+    await recordInitialVersion(material, req.user.id);
 
     // If uploading to a folder, automatically share folder AND its parent hierarchy with this course
     if (parsedFolderId) {
@@ -634,6 +953,9 @@ export const uploadMaterial = async (req, res) => {
       }
     }
 
+    // Materials released later are announced by the background job once they open
+    notifyNewMaterial(material);
+
     const successMsg = hasFolderId 
       ? 'Material uploaded to folder successfully' 
       : 'Material uploaded successfully';
@@ -649,7 +971,7 @@ export const uploadMaterial = async (req, res) => {
  * Delete Material
  * DELETE /teacher/materials/:id
  * 
- * Deletes material and associated Cloudinary file if exists
+ * Deletes material and associated stored file if exists
  */
 export const deleteMaterial = async (req, res) => {
   try {
@@ -668,66 +990,27 @@ export const deleteMaterial = async (req, res) => {
       });
     }
 
-    // Check permission based on material type
-    // Direct material (course_id set): check course access
-    // Folder material (course_id null): check folder access via shared courses
-    let hasPermission = false;
-    let redirectCourseId = fromCourseId || material.course_id;
-
-    if (material.course_id) {
-      // Direct course material - check course edit access
-      const course = await teacherService.checkCourseAccess(material.course_id, teacherId, { requireEdit: true });
-      hasPermission = !!course;
-    } else if (material.folder_id) {
-      // Folder-based material - check if teacher has access via any shared course
-      const sharedCourseIds = await FolderCourse.findAll({
-        where: { folder_id: material.folder_id },
-        attributes: ['course_id']
-      }).then(rows => rows.map(r => r.course_id));
-      
-      if (sharedCourseIds.length > 0) {
-        // Check if teacher has edit access to any of these courses
-        const teacherCourse = await CourseTeacher.findOne({
-          where: {
-            teacher_id: teacherId,
-            course_id: { [Op.in]: sharedCourseIds },
-            can_edit: true
-          }
-        });
-        
-        if (teacherCourse) {
-          hasPermission = true;
-          if (!redirectCourseId) redirectCourseId = teacherCourse.course_id;
-        } else {
-          // Check if teacher owns any of these courses
-          const ownedCourse = await Course.findOne({
-            where: {
-              id: { [Op.in]: sharedCourseIds },
-              teacher_id: teacherId
-            }
-          });
-          if (ownedCourse) {
-            hasPermission = true;
-            if (!redirectCourseId) redirectCourseId = ownedCourse.id;
-          }
-        }
-      }
-    }
-
-    if (!hasPermission) {
+    // Direct material (course_id set): course edit access
+    // Folder material (course_id null): edit access via any course the folder is shared with
+    const editableCourseId = await getEditableCourseId(material, teacherId);
+    if (!editableCourseId) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this material'
       });
     }
+    const redirectCourseId = fromCourseId || editableCourseId;
 
-    // Delete from Cloudinary if it's a Cloudinary URL
-    if (material.file_url && material.file_url.includes('cloudinary.com')) {
+    // Delete every version's file from storage (links are skipped)
+    for (const fileUrl of await getMaterialFileUrls([material])) {
+      if (!isStoredFile(fileUrl)) {
+        continue;
+      }
       try {
-        await deleteCloudinaryFile(material.file_url);
-      } catch (cloudinaryError) {
-        console.error('Cloudinary deletion error:', cloudinaryError);
-        // Continue with database deletion even if Cloudinary fails
+        await deleteFile(fileUrl);
+      } catch (storageError) {
+        console.error('File deletion error:', storageError);
+        // Continue with database deletion even if the file deletion fails
       }
     }
 
@@ -752,131 +1035,388 @@ export const deleteMaterial = async (req, res) => {
 };
 
 /**
- * Show Assignment Creation Form
- * GET /teacher/courses/:id/assignments/create
- * 
- * Displays form to create a new assignment for a course
+ * Material Version History
+ * GET /teacher/materials/:id/versions
+ * Query: course_id (course the teacher came from)
  */
-export const showCreateAssignment = async (req, res) => {
+export const showMaterialVersions = async (req, res) => {
   try {
-    const courseId = req.params.id;
-    const teacherId = req.user.id;
-
-    // Verify teacher has access with edit permission
-    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
+    const material = await Material.findByPk(req.params.id);
+    if (!material) {
+      return res.status(404).send('Material not found');
+    }
 
-    if (!course) {
-      return res.status(404).send('Course not found or you do not have permission to create assignments');
+    const editableCourseId = await getEditableCourseId(material, req.user.id);
+    if (!editableCourseId) {
+      return res.status(403).send('You do not have permission to edit this material');
     }
 
-    res.render('teacher/assignment-create', {
+    const course = await Course.findByPk(req.query.course_id || editableCourseId, { attributes: ['id', 'code', 'title'] });
+    const versions = await getMaterialVersions(material);
+
+    res.render('teacher/material-versions', {
       user: req.user,
+      material,
       course,
-      pageTitle: `Create Assignment - ${course.code}`,
+      versions,
+      pageTitle: `Versions - ${material.title}`,
+      success: req.query.success,
       error: req.query.error
     });
 
   } catch (error) {
-    console.error('Show Create Assignment Error:', error);
-    res.status(500).send('Error loading assignment creation form: ' + error.message);
+    console.error('Show Material Versions Error:', error);
+    res.status(500).send('Error loading material history: ' + error.message);
   }
 };
 
 /**
- * Create New Assignment
- * POST /teacher/courses/:id/assignments
- * 
- * Creates a new assignment for a course with optional materials (files/URLs)
- * Validates: deadline must be in the future
+ * Upload New Material Version
+ * POST /teacher/materials/:id/versions
+ * Replaces the file (or link) while keeping the material's ID and links
  */
-export const createAssignment = async (req, res) => {
-  try {
-    const courseId = req.params.id;
-    const teacherId = req.user.id;
-    const { title, description, deadline, material_titles, url_titles, material_urls } = req.body;
-    const uploadedFiles = req.files || [];
-
-    // Verify teacher has access with edit permission
-    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
-
-    if (!course) {
-      return res.redirect(`/teacher/courses?error=Course not found or you do not have permission to create assignments`);
-    }
+export const uploadMaterialVersion = async (req, res) => {
+  const materialId = req.params.id;
+  const courseQuery = req.body.course_id ? `course_id=${encodeURIComponent(req.body.course_id)}&` : '';
+  const historyUrl = `/teacher/materials/${materialId}/versions?${courseQuery}`;
 
-    // Validation
-    if (!title || title.trim() === '') {
-      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=Title is required`);
-    }
+  try {
+    const { material_url, notes } = req.body;
 
-    if (!deadline) {
-      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=Deadline is required`);
+    const material = await Material.findByPk(materialId);
+    if (!material) {
+      return res.status(404).send('Material not found');
     }
 
-    // Server-side deadline validation - must be in the future
-    const deadlineDate = new Date(deadline);
-    const now = new Date();
-
-    if (deadlineDate <= now) {
-      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=Deadline must be in the future`);
+    if (!await getEditableCourseId(material, req.user.id)) {
+      return res.status(403).send('You do not have permission to edit this material');
     }
 
-    // Create assignment
-    const assignment = await Assignment.create({
-      course_id: courseId,
-      title: title.trim(),
-      description: description ? description.trim() : null,
-      deadline: deadlineDate,
-      created_by: teacherId
-    });
-
-    // Process uploaded files
-    if (uploadedFiles && uploadedFiles.length > 0) {
-      const fileTitles = Array.isArray(material_titles) ? material_titles : [material_titles].filter(Boolean);
-      
-      for (let i = 0; i < uploadedFiles.length; i++) {
-        const file = uploadedFiles[i];
-        const fileTitle = fileTitles[i] || file.originalname;
+    let fileUrl;
+    let fileType;
 
-        await AssignmentMaterial.create({
-          assignment_id: assignment.id,
-          title: fileTitle,
-          type: 'file',
-          url: file.path, // Cloudinary URL
-          file_type: file.mimetype
-        });
+    if (req.file) {
+      fileUrl = req.file.path;
+      const extMatch = req.file.originalname.match(/\.([a-z0-9]+)$/i);
+      fileType = extMatch ? extMatch[1].toLowerCase() : 'file';
+    } else if (material_url && material_url.trim() !== '') {
+      if (!/^https?:\/\/.+/i.test(material_url.trim())) {
+        return res.redirect(`${historyUrl}error=Invalid URL format. URL must start with http:// or https://`);
       }
+      fileUrl = material_url.trim();
+      fileType = 'url';
+    } else {
+      return res.redirect(`${historyUrl}error=Please upload a file or provide a URL`);
     }
 
-    // Process URL links
-    if (material_urls) {
-      const urls = Array.isArray(material_urls) ? material_urls : [material_urls];
-      const urlTitlesArray = Array.isArray(url_titles) ? url_titles : [url_titles].filter(Boolean);
-      
-      for (let i = 0; i < urls.length; i++) {
-        if (urls[i] && urls[i].trim() !== '') {
-          const urlTitle = urlTitlesArray[i] || urls[i];
-          
-          await AssignmentMaterial.create({
-            assignment_id: assignment.id,
-            title: urlTitle,
-            type: 'url',
-            url: urls[i].trim()
-          });
-        }
-      }
-    }
+    const version = await addMaterialVersion(material, {
+      file_url: fileUrl,
+      file_type: fileType,
+      notes: notes && notes.trim() !== '' ? notes.trim() : null,
+      uploadedBy: req.user.id
+    });
 
-    res.redirect(`/teacher/courses/${courseId}?success=Assignment created successfully`);
+    res.redirect(`${historyUrl}success=Version ${version.version_number} uploaded`);
 
   } catch (error) {
-    console.error('Create Assignment Error:', error);
-    res.redirect(`/teacher/courses/${req.params.id}/assignments/create?error=Error creating assignment: ${error.message}`);
+    console.error('Upload Material Version Error:', error);
+    res.redirect(`${historyUrl}error=Error uploading version: ${error.message}`);
   }
 };
 
 /**
- * Show Edit Assignment Form
- * GET /teacher/assignments/:id/edit
+ * Revert Material
+ * POST /teacher/materials/:id/versions/:version/revert
+ * Makes an older version current again (recorded as a new version)
+ */
+export const revertMaterialVersion = async (req, res) => {
+  const materialId = req.params.id;
+  const courseQuery = req.body.course_id ? `course_id=${encodeURIComponent(req.body.course_id)}&` : '';
+  const historyUrl = `/teacher/materials/${materialId}/versions?${courseQuery}`;
+
+  try {
+    const versionNumber = parseInt(req.params.version, 10);
+
+    const material = await Material.findByPk(materialId);
+    if (!material) {
+      return res.status(404).send('Material not found');
+    }
+
+    if (!await getEditableCourseId(material, req.user.id)) {
+      return res.status(403).send('You do not have permission to edit this material');
+    }
+
+    if (versionNumber === material.current_version) {
+      return res.redirect(`${historyUrl}error=Version ${versionNumber} is already the current version`);
+    }
+
+    const version = await revertMaterial(material, versionNumber, req.user.id);
+    if (!version) {
+      return res.redirect(`${historyUrl}error=Version not found`);
+    }
+
+    res.redirect(`${historyUrl}success=Reverted to version ${versionNumber} (saved as version ${version.version_number})`);
+
+  } catch (error) {
+    console.error('Revert Material Error:', error);
+    res.redirect(`${historyUrl}error=Error reverting material: ${error.message}`);
+  }
+};
+
+/**
+ * Update Material Release Settings
+ * PUT /teacher/materials/:id/release
+ * Body: visible_from, visible_until, prerequisite_assignment_id (empty = no restriction)
+ */
+export const updateMaterialRelease = async (req, res) => {
+  try {
+    const material = await Material.findByPk(req.params.id);
+    if (!material) {
+      return res.status(404).json({ success: false, message: 'Material not found' });
+    }
+
+    if (!await getEditableCourseId(material, req.user.id)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to edit this material' });
+    }
+
+    // The prerequisite must be an assignment of a course that shows the material
+    const courseIds = material.course_id
+      ? [material.course_id]
+      : await FolderCourse.findAll({ where: { folder_id: material.folder_id }, attributes: ['course_id'] })
+          .then(rows => rows.map(r => r.course_id));
+
+    const release = await parseReleaseInput(req.body, { courseIds });
+    if (release.error) {
+      return res.status(400).json({ success: false, message: release.error });
+    }
+
+    await material.update(release.values);
+
+    res.json({ success: true, message: 'Release settings saved' });
+
+  } catch (error) {
+    console.error('Update Material Release Error:', error);
+    res.status(500).json({ success: false, message: 'Error saving release settings: ' + error.message });
+  }
+};
+
+/**
+ * Update Folder Release Settings
+ * PUT /teacher/folders/:id/release
+ * Body: visible_from, visible_until, prerequisite_assignment_id (empty = no restriction)
+ * Hiding a folder also hides its subfolders and materials from students
+ */
+export const updateFolderRelease = async (req, res) => {
+  try {
+    const folder = await Folder.findByPk(req.params.id);
+    if (!folder) {
+      return res.status(404).json({ success: false, message: 'Folder not found' });
+    }
+
+    // Verify teacher has access via a shared course
+    const teacherCourseIds = await teacherService.getCourseIds(req.user.id);
+    const sharedCourseIds = await FolderCourse.findAll({
+      where: { folder_id: folder.id },
+      attributes: ['course_id']
+    }).then(rows => rows.map(r => r.course_id));
+
+    if (!sharedCourseIds.some(id => teacherCourseIds.includes(id))) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this folder' });
+    }
+
+    const release = await parseReleaseInput(req.body, { courseIds: sharedCourseIds });
+    if (release.error) {
+      return res.status(400).json({ success: false, message: release.error });
+    }
+
+    await folder.update(release.values);
+
+    res.json({ success: true, message: 'Release settings saved' });
+
+  } catch (error) {
+    console.error('Update Folder Release Error:', error);
+    res.status(500).json({ success: false, message: 'Error saving release settings: ' + error.message });
+  }
+};
+
+/**
+ * Show Assignment Creation Form
+ * GET /teacher/courses/:id/assignments/create
+ * 
+ * Displays form to create a new assignment for a course
+ */
+export const showCreateAssignment = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const teacherId = req.user.id;
+
+    // Verify teacher has access with edit permission
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
+
+    if (!course) {
+      return res.status(404).send('Course not found or you do not have permission to create assignments');
+    }
+
+    const categories = await GradeCategory.findAll({
+      where: { course_id: courseId },
+      order: [['name', 'ASC']]
+    });
+
+    res.render('teacher/assignment-create', {
+      user: req.user,
+      course,
+      categories,
+      prerequisiteOptions: await getPrerequisiteOptions(course.id),
+      submissionFileTypes: SUBMISSION_FILE_TYPES,
+      pageTitle: `Create Assignment - ${course.code}`,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Show Create Assignment Error:', error);
+    res.status(500).send('Error loading assignment creation form: ' + error.message);
+  }
+};
+
+/**
+ * Create New Assignment
+ * POST /teacher/courses/:id/assignments
+ * 
+ * Creates a new assignment for a course with optional materials (files/URLs)
+ * Validates: deadline must be in the future
+ */
+export const createAssignment = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const teacherId = req.user.id;
+    const { title, description, deadline, category_id, material_titles, url_titles, material_urls } = req.body;
+    const uploadedFiles = req.files || [];
+
+    // Verify teacher has access with edit permission
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
+
+    if (!course) {
+      return res.redirect(`/teacher/courses?error=Course not found or you do not have permission to create assignments`);
+    }
+
+    // Validation
+    if (!title || title.trim() === '') {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=Title is required`);
+    }
+
+    if (!deadline) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=Deadline is required`);
+    }
+
+    // Server-side deadline validation - must be in the future
+    const deadlineDate = new Date(deadline);
+    const now = new Date();
+
+    if (deadlineDate <= now) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=Deadline must be in the future`);
+    }
+
+    // Grade category must belong to this course
+    const categoryId = await resolveCategoryId(category_id, courseId);
+    if (categoryId === false) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=Invalid grade category`);
+    }
+
+    const points = parsePointsInput(req.body);
+    if (points.error) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=${encodeURIComponent(points.error)}`);
+    }
+
+    const latePolicy = parseLatePolicyInput(req.body, deadlineDate);
+    if (latePolicy.error) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=${encodeURIComponent(latePolicy.error)}`);
+    }
+
+    const submissionSettings = parseSubmissionSettingsInput(req.body);
+    if (submissionSettings.error) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=${encodeURIComponent(submissionSettings.error)}`);
+    }
+
+    const rubric = parseRubricInput(req.body.rubric_json);
+    if (rubric.error) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=${encodeURIComponent(rubric.error)}`);
+    }
+
+    const release = await parseReleaseInput(req.body, { courseIds: [course.id] });
+    if (release.error) {
+      return res.redirect(`/teacher/courses/${courseId}/assignments/create?error=${encodeURIComponent(release.error)}`);
+    }
+
+    // Create assignment
+    const assignment = await Assignment.create({
+      course_id: courseId,
+      category_id: categoryId,
+      title: title.trim(),
+      description: description ? description.trim() : null,
+      deadline: deadlineDate,
+      ...points.values,
+      ...latePolicy.values,
+      ...submissionSettings.values,
+      ...release.values,
+      created_by: teacherId
+    });
+
+    if (rubric.values.length > 0) {
+      await saveRubric(assignment.id, rubric.values);
+    }
+
+    // Process uploaded files
+    if (uploadedFiles && uploadedFiles.length > 0) {
+      const fileTitles = Array.isArray(material_titles) ? material_titles : [material_titles].filter(Boolean);
+      
+      for (let i = 0; i < uploadedFiles.length; i++) {
+        const file = uploadedFiles[i];
+        const fileTitle = fileTitles[i] || file.originalname;
+
+        await AssignmentMaterial.create({
+          assignment_id: assignment.id,
+          title: fileTitle,
+          type: 'file',
+          url: file.path, // Stored file URL
+          file_type: file.mimetype
+        });
+      }
+    }
+
+    // Process URL links
+    if (material_urls) {
+      const urls = Array.isArray(material_urls) ? material_urls : [material_urls];
+      const urlTitlesArray = Array.isArray(url_titles) ? url_titles : [url_titles].filter(Boolean);
+      
+      for (let i = 0; i < urls.length; i++) {
+        if (urls[i] && urls[i].trim() !== '') {
+          const urlTitle = urlTitlesArray[i] || urls[i];
+          
+          await AssignmentMaterial.create({
+            assignment_id: assignment.id,
+            title: urlTitle,
+            type: 'url',
+            url: urls[i].trim()
+          });
+        }
+      }
+    }
+
+    // Emails go out in the background; failures are logged, not shown to the teacher.
+    // Assignments released later are announced by the background job once they open.
+    notifyNewAssignment(assignment.id);
+
+    res.redirect(`/teacher/courses/${courseId}?success=Assignment created successfully`);
+
+  } catch (error) {
+    console.error('Create Assignment Error:', error);
+    res.redirect(`/teacher/courses/${req.params.id}/assignments/create?error=Error creating assignment: ${error.message}`);
+  }
+};
+
+/**
+ * Show Edit Assignment Form
+ * GET /teacher/assignments/:id/edit
  * 
  * Shows form to edit assignment deadline only
  * Displays submission stats and warnings
@@ -911,6 +1451,12 @@ export const showEditAssignment = async (req, res) => {
       return res.status(403).send('You do not have permission to edit this assignment');
     }
 
+    // Quizzes have their own settings form
+    const quiz = await getQuizForAssignment(assignment.id);
+    if (quiz) {
+      return res.redirect(`/teacher/quizzes/${quiz.id}/edit`);
+    }
+
     // Get submission statistics
     const submissionCount = await Submission.count({
       where: { assignment_id: assignmentId }
@@ -925,13 +1471,25 @@ export const showEditAssignment = async (req, res) => {
 
     const hasSubmissions = submissionCount > 0;
 
+    const categories = await GradeCategory.findAll({
+      where: { course_id: assignment.course_id },
+      order: [['name', 'ASC']]
+    });
+
+    const rubric = await getRubric(assignment.id);
+
     res.render('teacher/assignment-edit', {
       user: req.user,
       assignment,
       course,
+      categories,
+      prerequisiteOptions: await getPrerequisiteOptions(assignment.course_id, assignment.id),
       submissionCount,
       gradedCount,
       hasSubmissions,
+      submissionFileTypes: SUBMISSION_FILE_TYPES,
+      rubric: serializeRubric(rubric),
+      rubricLocked: await isRubricInUse(assignment.id),
       pageTitle: `Edit Assignment - ${assignment.title}`,
       error: req.query.error
     });
@@ -953,7 +1511,7 @@ export const editAssignment = async (req, res) => {
   try {
     const teacherId = req.user.id;
     const assignmentId = req.params.id;
-    const { title, description, deadline, change_reason } = req.body;
+    const { title, description, deadline, category_id, change_reason } = req.body;
 
     // Get assignment with course details
     const assignment = await Assignment.findByPk(assignmentId, {
@@ -980,6 +1538,11 @@ export const editAssignment = async (req, res) => {
       return res.status(403).send('You do not have permission to edit this assignment');
     }
 
+    const quiz = await getQuizForAssignment(assignment.id);
+    if (quiz) {
+      return res.redirect(`/teacher/quizzes/${quiz.id}/edit`);
+    }
+
     // Validation
     if (!title || !deadline) {
       return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=Title and deadline are required`);
@@ -1006,12 +1569,103 @@ export const editAssignment = async (req, res) => {
       hasChanges = true;
     }
     
+    const categoryId = await resolveCategoryId(category_id, assignment.course_id);
+    if (categoryId === false) {
+      return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=Invalid grade category`);
+    }
+    if (assignment.category_id !== categoryId) {
+      assignment.category_id = categoryId;
+      hasChanges = true;
+    }
+
     const oldDeadline = new Date(assignment.deadline);
-    if (newDeadline.getTime() !== oldDeadline.getTime()) {
+    const deadlineChanged = newDeadline.getTime() !== oldDeadline.getTime();
+    if (deadlineChanged) {
       assignment.deadline = newDeadline;
       hasChanges = true;
     }
 
+    // Max points are locked once marks exist (they are stored in points);
+    // extra credit may change as long as no existing mark goes over the new limit
+    const points = parsePointsInput(req.body);
+    if (points.error) {
+      return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent(points.error)}`);
+    }
+    if (parseFloat(assignment.max_points) !== points.values.max_points ||
+        parseFloat(assignment.extra_credit_points) !== points.values.extra_credit_points) {
+      const highestMarks = await Submission.max('marks', { where: { assignment_id: assignmentId } });
+
+      if (highestMarks !== null && highestMarks !== undefined && !isNaN(highestMarks)) {
+        if (parseFloat(assignment.max_points) !== points.values.max_points) {
+          return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent('Max points cannot be changed after submissions have been graded')}`);
+        }
+        if (parseFloat(highestMarks) > points.values.max_points + points.values.extra_credit_points) {
+          return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent(`Extra credit cannot be lowered below what was already awarded (highest marks: ${parseFloat(highestMarks)})`)}`);
+        }
+      }
+
+      assignment.set(points.values);
+      hasChanges = true;
+    }
+
+    const latePolicy = parseLatePolicyInput(req.body, newDeadline);
+    if (latePolicy.error) {
+      return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent(latePolicy.error)}`);
+    }
+
+    const oldLateCutoff = assignment.late_cutoff ? new Date(assignment.late_cutoff).getTime() : null;
+    const newLateCutoff = latePolicy.values.late_cutoff ? latePolicy.values.late_cutoff.getTime() : null;
+    if (oldLateCutoff !== newLateCutoff ||
+        parseFloat(assignment.late_penalty_percent) !== latePolicy.values.late_penalty_percent ||
+        assignment.late_penalty_unit !== latePolicy.values.late_penalty_unit) {
+      assignment.set(latePolicy.values);
+      hasChanges = true;
+    }
+
+    const release = await parseReleaseInput(req.body, { courseIds: [assignment.course_id], assignmentId: assignment.id });
+    if (release.error) {
+      return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent(release.error)}`);
+    }
+    if (releaseChanged(assignment, release.values)) {
+      assignment.set(release.values);
+      hasChanges = true;
+    }
+
+    const submissionSettings = parseSubmissionSettingsInput(req.body);
+    if (submissionSettings.error) {
+      return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent(submissionSettings.error)}`);
+    }
+    if (assignment.max_attempts !== submissionSettings.values.max_attempts ||
+        (assignment.allowed_file_types || null) !== submissionSettings.values.allowed_file_types ||
+        assignment.max_files !== submissionSettings.values.max_files ||
+        assignment.max_file_size_mb !== submissionSettings.values.max_file_size_mb) {
+      assignment.set(submissionSettings.values);
+      hasChanges = true;
+    }
+
+    // Rubric (the builder is only shown while no submission has been graded with it)
+    if (req.body.rubric_json !== undefined) {
+      const rubric = parseRubricInput(req.body.rubric_json);
+      if (rubric.error) {
+        return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent(rubric.error)}`);
+      }
+
+      const currentRubric = serializeRubric(await getRubric(assignmentId));
+      const normalize = criteria => JSON.stringify(criteria.map(c => ({
+        title: c.title,
+        description: c.description || '',
+        levels: c.levels.map(l => ({ label: l.label, description: l.description || '', points: l.points }))
+      })));
+
+      if (normalize(currentRubric) !== normalize(rubric.values)) {
+        if (await isRubricInUse(assignmentId)) {
+          return res.redirect(`/teacher/assignments/${assignmentId}/edit?error=${encodeURIComponent('The rubric cannot be changed after submissions have been graded with it')}`);
+        }
+        await saveRubric(assignmentId, rubric.values);
+        hasChanges = true;
+      }
+    }
+
     // Process deletions first
     const deleteMaterialIds = req.body.delete_material_ids;
     if (deleteMaterialIds) {
@@ -1024,21 +1678,12 @@ export const editAssignment = async (req, res) => {
         });
 
         if (material) {
-          // If it's a file, delete from Cloudinary
+          // If it's a file, delete from storage
           if (material.type === 'file' && material.url) {
             try {
-              // Extract public ID from Cloudinary URL
-              // URL format: https://res.cloudinary.com/demo/image/upload/v1570979139/folder/sample.jpg
-              const parts = material.url.split('/');
-              const filename = parts.pop(); // sample.jpg
-              const publicIdWithExt = parts.join('/') + '/' + filename;
-              // Proper extraction logic depends on your Cloudinary config
-              // Simpler approach: use the helper if available, or just destroy the record
-              // Assuming we can just delete the record and let orphaned files be (or handle properly)
-              // Ideally: import { deleteCloudinaryFile } from '../config/cloudinary.js';
-              // But for now, we'll focus on database consistency
+              await deleteFile(material.url);
             } catch (err) {
-              console.error('Cloudinary cleanup error (non-blocking):', err);
+              console.error('File cleanup error (non-blocking):', err);
             }
           }
           
@@ -1064,7 +1709,7 @@ export const editAssignment = async (req, res) => {
           assignment_id: assignment.id,
           title: fileTitle,
           type: 'file',
-          url: file.path, // Cloudinary URL
+          url: file.path, // Stored file URL
           file_type: file.mimetype
         });
         hasChanges = true;
@@ -1099,6 +1744,10 @@ export const editAssignment = async (req, res) => {
 
     await assignment.save();
 
+    if (deadlineChanged) {
+      notifyDeadlineChanged(assignment.id, oldDeadline);
+    }
+
     // Log change reason if provided (for future audit trail feature)
     if (change_reason && change_reason.trim() !== '') {
       console.log(`Assignment ${assignmentId} updated by teacher ${teacherId}: ${change_reason.trim()}`);
@@ -1169,16 +1818,60 @@ export const getSubmissions = async (req, res) => {
       order: [['submitted_at', 'DESC']] // Most recent first
     });
 
-    // Sign URLs for authenticated access (1-hour expiry for submissions)
-    const signedSubmissions = signUrlsInArray(submissions, 'file_url', 'submission');
+    // Files are opened through /files/submissions/<id>, so plain rows are enough
+    const plainSubmissions = submissions.map(s => s.get({ plain: true }));
+
+    // Deadline extensions (full history for the audit list, active ones for penalties)
+    const extensions = await getAssignmentExtensions(assignment.id);
+    const activeExtensions = extensions.filter(e => !e.revoked_at);
+
+    // Attach effective deadline, late penalty and penalized marks (raw marks stay in `marks`)
+    const latePolicy = getLatePolicy(assignment);
+    plainSubmissions.forEach(submission => {
+      const effectiveDeadline = getEffectiveDeadline(assignment, resolveExtendedDeadline(activeExtensions, submission.student));
+      const latePenalty = calculateLatePenalty(effectiveDeadline, getLatePolicy(assignment, effectiveDeadline), submission.submitted_at);
+      submission.effective_deadline = effectiveDeadline;
+      submission.is_extended = effectiveDeadline > new Date(assignment.deadline);
+      submission.is_late = latePenalty.isLate;
+      submission.late_penalty = latePenalty.penaltyPercent;
+      submission.penalized_marks = applyLatePenalty(submission.marks, latePenalty.penaltyPercent, getMaxPoints(assignment));
+      submission.percentage = toPercentage(submission.penalized_marks, assignment);
+    });
+
+    // Number of attempts per submission (links to the version history)
+    const attemptCounts = await getAttemptCounts(plainSubmissions.map(s => s.id));
+    plainSubmissions.forEach(submission => {
+      submission.attempt_count = attemptCounts.get(submission.id) || 1;
+    });
+
+    // Targets for the extension form (teachers with edit permission only)
+    const canEdit = !!(await teacherService.checkCourseAccess(assignment.course_id, teacherId, { requireEdit: true }));
+    let enrolledStudents = [];
+    let enrolledBatches = [];
+    if (canEdit) {
+      enrolledStudents = await getEnrolledStudents(assignment.course_id);
+      const enrollments = await BatchEnrollment.findAll({
+        where: { course_id: assignment.course_id },
+        include: [{ model: Batch, as: 'batch', attributes: ['id', 'name', 'code'] }]
+      });
+      enrolledBatches = enrollments.map(e => e.batch).filter(Boolean);
+    }
 
     // 3. Render submissions view
     res.render('teacher/submissions', {
       user: req.user,
       assignment,
       course,
-      submissions: signedSubmissions,
+      latePolicy,
+      submissions: plainSubmissions,
       canGrade,
+      canEdit,
+      extensions,
+      enrolledStudents,
+      enrolledBatches,
+      maxPoints: getMaxPoints(assignment),
+      marksLimit: getMarksLimit(assignment),
+      quiz: await getQuizForAssignment(assignment.id),
       success: req.query.success,
       error: req.query.error
     });
@@ -1190,18 +1883,288 @@ export const getSubmissions = async (req, res) => {
 };
 
 /**
- * Show Grade Submission Form
- * GET /teacher/submissions/:id/grade
+ * View Submission Version History
+ * GET /teacher/submissions/:id/versions
  * 
- * Displays the grading form with submission details
- * Shows: student work, file download, current grade (if exists)
+ * Lists every attempt of a submission with its file and text
+ * Query: from, to - attempt numbers to diff (default: previous vs latest)
  */
-export const showGradeForm = async (req, res) => {
+export const getSubmissionVersions = async (req, res) => {
   try {
     const teacherId = req.user.id;
     const submissionId = req.params.id;
 
-    // 1. Get submission with student, assignment, and course details
+    const submission = await Submission.findByPk(submissionId, {
+      include: [{
+        model: User,
+        as: 'student',
+        attributes: ['id', 'full_name', 'email']
+      }, {
+        model: Assignment,
+        as: 'assignment'
+      }]
+    });
+
+    if (!submission) {
+      return res.status(404).send('Submission not found');
+    }
+
+    // Viewing history only requires course access (same as the submissions list)
+    const course = await teacherService.checkCourseAccess(submission.assignment.course_id, teacherId);
+    if (!course) {
+      return res.status(403).send('You do not have permission to view this submission');
+    }
+
+    let versions = await SubmissionVersion.findAll({
+      where: { submission_id: submission.id },
+      include: [{ model: SubmissionAttachment, as: 'attachments', required: false }],
+      order: [['attempt_number', 'DESC']]
+    });
+
+    // Submissions made before version history existed have a single implicit attempt
+    if (versions.length === 0) {
+      versions = [{
+        id: submission.id,
+        attempt_number: 1,
+        file_url: submission.file_url,
+        submission_text: submission.submission_text,
+        submitted_at: submission.submitted_at,
+        is_late: submission.is_late
+      }];
+    }
+
+    const plainVersions = versions.map(v => (v.get ? v.get({ plain: true }) : v));
+    plainVersions.forEach((version, index) => {
+      version.files = getAttachments(versions[index]);
+    });
+
+    // Text diff between two attempts
+    let diff = null;
+    if (plainVersions.length > 1) {
+      const latest = plainVersions[0].attempt_number;
+      const to = parseInt(req.query.to, 10) || latest;
+      const from = parseInt(req.query.from, 10) || Math.max(1, to - 1);
+      const fromVersion = plainVersions.find(v => v.attempt_number === from);
+      const toVersion = plainVersions.find(v => v.attempt_number === to);
+
+      if (fromVersion && toVersion && from !== to) {
+        diff = {
+          from,
+          to,
+          lines: diffText(fromVersion.submission_text, toVersion.submission_text),
+          fileChanged: fromVersion.files.map(f => f.file_url).join('|') !== toVersion.files.map(f => f.file_url).join('|')
+        };
+      }
+    }
+
+    res.render('teacher/submission-versions', {
+      user: req.user,
+      submission,
+      assignment: submission.assignment,
+      course,
+      versions: plainVersions,
+      diff
+    });
+
+  } catch (error) {
+    console.error('Get Submission Versions Error:', error);
+    res.status(500).send('Error loading submission history: ' + error.message);
+  }
+};
+
+/**
+ * Download Submission Files (ZIP)
+ * GET /teacher/submissions/:id/download
+ * 
+ * Bundles every file of the latest attempt into one archive
+ * Query: attempt - attempt number to download instead of the latest
+ */
+export const downloadSubmissionZip = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const submissionId = req.params.id;
+
+    const submission = await Submission.findByPk(submissionId, {
+      include: [{
+        model: User,
+        as: 'student',
+        attributes: ['id', 'full_name']
+      }, {
+        model: Assignment,
+        as: 'assignment',
+        attributes: ['id', 'title', 'course_id']
+      }]
+    });
+
+    if (!submission) {
+      return res.status(404).send('Submission not found');
+    }
+
+    const course = await teacherService.checkCourseAccess(submission.assignment.course_id, teacherId);
+    if (!course) {
+      return res.status(403).send('You do not have permission to view this submission');
+    }
+
+    const attemptNumber = req.query.attempt ? parseInt(req.query.attempt, 10) : null;
+    const attempt = await getAttempt(submission.id, attemptNumber);
+    if (attemptNumber && !attempt) {
+      return res.status(404).send('Attempt not found');
+    }
+
+    const files = getAttachments(attempt || submission);
+    if (files.length === 0) {
+      return res.status(404).send('This submission has no files');
+    }
+
+    const studentName = submission.student.full_name.replace(/[^a-z0-9]+/gi, '_');
+    const title = submission.assignment.title.replace(/[^a-z0-9]+/gi, '_');
+    const suffix = attempt ? `_attempt${attempt.attempt_number}` : '';
+
+    res.setHeader('Content-Disposition', `attachment; filename="${title}_${studentName}${suffix}.zip"`);
+    res.setHeader('Content-Type', 'application/zip');
+    await writeAttachmentsZip(res, files);
+    res.end();
+
+  } catch (error) {
+    console.error('Download Submission Zip Error:', error);
+    if (res.headersSent) {
+      // Part of the archive is out already; break the download so it is not saved as complete
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(error.statusCode === 413 ? 413 : 500).send('Error downloading submission files: ' + error.message);
+  }
+};
+
+/**
+ * Grant Deadline Extension
+ * POST /teacher/assignments/:id/extensions
+ * 
+ * Gives one student or one batch a later deadline for this assignment
+ * Validates: edit permission, target enrolled in the course, new deadline after the original
+ */
+export const grantExtension = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const assignmentId = req.params.id;
+    const { target_type, student_id, batch_id, extended_deadline, reason } = req.body;
+
+    const assignment = await Assignment.findByPk(assignmentId);
+    if (!assignment) {
+      return res.status(404).send('Assignment not found');
+    }
+
+    const course = await teacherService.checkCourseAccess(assignment.course_id, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to grant extensions for this assignment');
+    }
+
+    const redirectUrl = `/teacher/assignments/${assignmentId}/submissions`;
+
+    const extendedDeadline = new Date(extended_deadline);
+    if (!extended_deadline || isNaN(extendedDeadline.getTime())) {
+      return res.redirect(`${redirectUrl}?error=Please choose a valid extended deadline`);
+    }
+    if (extendedDeadline <= new Date(assignment.deadline)) {
+      return res.redirect(`${redirectUrl}?error=Extended deadline must be after the original deadline`);
+    }
+
+    // Target must be enrolled in this course (directly or through its batch)
+    const enrollments = await BatchEnrollment.findAll({
+      where: { course_id: assignment.course_id },
+      attributes: ['batch_id']
+    });
+    const enrolledBatchIds = enrollments.map(e => e.batch_id);
+
+    const extensionData = {
+      assignment_id: assignment.id,
+      extended_deadline: extendedDeadline,
+      reason: reason ? reason.trim().substring(0, 500) || null : null,
+      granted_by: teacherId
+    };
+    let targetName;
+
+    if (target_type === 'batch') {
+      const batch = await Batch.findByPk(batch_id);
+      if (!batch || !enrolledBatchIds.includes(batch.id)) {
+        return res.redirect(`${redirectUrl}?error=Batch is not enrolled in this course`);
+      }
+      extensionData.batch_id = batch.id;
+      targetName = `batch ${batch.code}`;
+    } else {
+      const student = await User.findOne({ where: { id: student_id, role: 'student' } });
+      if (!student || !enrolledBatchIds.includes(student.batch_id)) {
+        return res.redirect(`${redirectUrl}?error=Student is not enrolled in this course`);
+      }
+      extensionData.student_id = student.id;
+      targetName = student.full_name;
+    }
+
+    await DeadlineExtension.create(extensionData);
+
+    res.redirect(`${redirectUrl}?success=${encodeURIComponent(`Extension granted to ${targetName} until ${formatDeadline(extendedDeadline)}`)}`);
+
+  } catch (error) {
+    console.error('Grant Extension Error:', error);
+    res.redirect(`/teacher/assignments/${req.params.id}/submissions?error=Failed to grant extension`);
+  }
+};
+
+/**
+ * Revoke Deadline Extension
+ * POST /teacher/extensions/:id/revoke
+ * 
+ * Marks the extension as revoked (kept for the audit trail, never deleted)
+ */
+export const revokeExtension = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const extensionId = req.params.id;
+
+    const extension = await DeadlineExtension.findByPk(extensionId, {
+      include: [{ model: Assignment, as: 'assignment', attributes: ['id', 'course_id'] }]
+    });
+    if (!extension || !extension.assignment) {
+      return res.status(404).send('Extension not found');
+    }
+
+    const course = await teacherService.checkCourseAccess(extension.assignment.course_id, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to revoke extensions for this assignment');
+    }
+
+    const redirectUrl = `/teacher/assignments/${extension.assignment_id}/submissions`;
+
+    if (extension.revoked_at) {
+      return res.redirect(`${redirectUrl}?error=Extension has already been revoked`);
+    }
+
+    await extension.update({
+      revoked_at: new Date(),
+      revoked_by: teacherId
+    });
+
+    res.redirect(`${redirectUrl}?success=Extension revoked`);
+
+  } catch (error) {
+    console.error('Revoke Extension Error:', error);
+    res.status(500).send('Error revoking extension: ' + error.message);
+  }
+};
+
+/**
+ * Show Grade Submission Form
+ * GET /teacher/submissions/:id/grade
+ * 
+ * Displays the grading form with submission details
+ * Shows: student work, file download, current grade (if exists)
+ */
+export const showGradeForm = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const submissionId = req.params.id;
+
+    // 1. Get submission with student, assignment, and course details
     const submission = await Submission.findByPk(submissionId, {
       include: [{
         model: User,
@@ -1230,10 +2193,17 @@ export const showGradeForm = async (req, res) => {
 
     const assignment = submission.assignment;
 
-    // Sign the submission file URL for authenticated access (1-hour expiry)
-    if (submission.file_url) {
-      submission.file_url = generateSignedUrl(submission.file_url, { type: 'submission' });
-    }
+    const files = getAttachments(await getAttempt(submission.id) || submission);
+
+    // Late penalty that will be applied to the entered (raw) score, measured from the student's effective deadline
+    const student = await User.findByPk(submission.student_id, { attributes: ['id', 'batch_id'] });
+    const effectiveDeadline = getEffectiveDeadline(assignment, await getExtendedDeadline(assignment.id, student));
+    const latePolicy = getLatePolicy(assignment, effectiveDeadline);
+    const latePenalty = calculateLatePenalty(effectiveDeadline, latePolicy, submission.submitted_at);
+
+    // Rubric with the levels already chosen for this submission
+    const rubric = await getRubric(assignment.id);
+    const rubricScores = rubric.length > 0 ? await getRubricScoreMap(submission.id) : new Map();
 
     // 2. Render grading form
     res.render('teacher/grade-submission', {
@@ -1241,6 +2211,17 @@ export const showGradeForm = async (req, res) => {
       submission,
       assignment,
       course,
+      latePolicy,
+      latePenalty,
+      effectiveDeadline,
+      attemptCount: await countAttempts(submission),
+      files,
+      rubric,
+      rubricScores,
+      rubricMaxPoints: getRubricMaxPoints(rubric),
+      penalizedMarks: applyLatePenalty(submission.marks, latePenalty.penaltyPercent, getMaxPoints(assignment)),
+      maxPoints: getMaxPoints(assignment),
+      marksLimit: getMarksLimit(assignment),
       error: req.query.error
     });
 
@@ -1255,7 +2236,7 @@ export const showGradeForm = async (req, res) => {
  * POST /teacher/submissions/:id/grade
  * 
  * Saves marks and feedback for a submission
- * Validates: marks must be 0-100
+ * Validates: marks must be 0 to max points (plus any extra credit)
  */
 export const gradeSubmission = async (req, res) => {
   try {
@@ -1285,23 +2266,57 @@ export const gradeSubmission = async (req, res) => {
       return res.status(403).send('You do not have permission to grade this submission');
     }
 
-    // 2. Validate marks
-    if (!marks || marks === '') {
-      return res.redirect(`/teacher/submissions/${submissionId}/grade?error=Score is required`);
-    }
+    // 2. Work out marks: computed from the rubric when the assignment has one, entered directly otherwise
+    const rubric = await getRubric(submission.assignment.id);
+    let marksNum;
+    let rubricScores = [];
 
-    const marksNum = parseFloat(marks);
-    if (isNaN(marksNum) || marksNum < 0 || marksNum > 100) {
-      return res.redirect(`/teacher/submissions/${submissionId}/grade?error=Score must be between 0 and 100`);
+    if (rubric.length > 0) {
+      const rubricResult = scoreRubric(rubric, req.body, getMaxPoints(submission.assignment));
+      if (rubricResult.error) {
+        return res.redirect(`/teacher/submissions/${submissionId}/grade?error=${encodeURIComponent(rubricResult.error)}`);
+      }
+      marksNum = rubricResult.values.marks;
+      rubricScores = rubricResult.values.scores;
+    } else {
+      if (!marks || marks === '') {
+        return res.redirect(`/teacher/submissions/${submissionId}/grade?error=Score is required`);
+      }
+
+      const validation = validateMarks(marks, submission.assignment);
+      if (validation.error) {
+        return res.redirect(`/teacher/submissions/${submissionId}/grade?error=${encodeURIComponent(validation.error)}`);
+      }
+      marksNum = validation.value;
     }
 
-    // 3. Update submission with grade
-    await submission.update({
-      marks: marksNum,
-      feedback: feedback ? feedback.trim() : null,
-      graded_by: teacherId
+    // 3. Update submission with grade (and the per-criterion rubric scores)
+    const gradeFields = ['marks', 'feedback', 'graded_by'];
+    const before = snapshot(submission, gradeFields);
+
+    await sequelize.transaction(async (transaction) => {
+      await submission.update({
+        marks: marksNum,
+        feedback: feedback ? feedback.trim() : null,
+        graded_by: teacherId
+      }, { transaction });
+
+      if (rubric.length > 0) {
+        await saveRubricScores(submission.id, rubricScores, { transaction });
+      }
+
+      await recordAudit(req, {
+        action: 'submission.grade',
+        targetType: 'submission',
+        targetId: submission.id,
+        summary: `Graded submission #${submission.id} for "${submission.assignment.title}"`,
+        before,
+        after: snapshot(submission, gradeFields)
+      }, { transaction });
     });
 
+    notifyGradePosted([submission.id]);
+
     // 4. Redirect back to submissions list with success message
     const assignmentId = submission.assignment.id;
     res.redirect(`/teacher/assignments/${assignmentId}/submissions?success=Submission graded successfully`);
@@ -1367,7 +2382,8 @@ export const getGrades = async (req, res) => {
           ...assignment,
           submissionCount,
           gradedCount,
-          averageScore: avgResult?.avgScore ? parseFloat(avgResult.avgScore) : 0
+          // Average as a percentage of the assignment's max points
+          averageScore: avgResult?.avgScore ? toPercentage(avgResult.avgScore, assignment) : 0
         };
       })
     );
@@ -1388,371 +2404,1711 @@ export const getGrades = async (req, res) => {
 };
 
 /**
- * Save or update a student's final grade
- */
-/**
- * Save or update a student's final grade - DEPRECATED
+ * Get final course grades page
+ * GET /teacher/courses/:id/grades/final
+ * Shows every enrolled student with their suggested grade and saved final grade
  */
-export const saveGrade = async (req, res) => {
-  const courseId = req.params.id;
-  return res.redirect(`/teacher/courses/${courseId}/grades?error=Grading feature has been removed`);
-};
+export const getFinalGrades = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const courseId = req.params.id;
 
-/**
- * Bulk upload grades from CSV file
- * Only students in this course can be graded
- */
-/**
- * Bulk upload grades - DEPRECATED
- */
-export const bulkUploadGrades = async (req, res) => {
-  const courseId = req.params.id;
-  return res.redirect(`/teacher/courses/${courseId}/grades?error=Grading feature has been removed`);
-};
+    // 1. Check if teacher has access to the course
+    const course = await teacherService.checkCourseAccess(courseId, teacherId);
 
-/**
- * Download CSV template for bulk grade upload
- */
-export const downloadGradeTemplate = async (req, res) => {
-  try {
-    const csvContent = `student_email,grade,remarks
-student1@example.com,A,Excellent performance
-student2@example.com,85.5,Good work
-student3@example.com,B+,Well done`;
+    if (!course) {
+      return res.status(404).send('Course not found or you do not have permission to access it');
+    }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=grade-upload-template.csv');
-    res.send(csvContent);
+    // 2. Get enrolled students with suggested and current final grades
+    const studentGrades = await getCourseGrades(courseId);
+
+    const draftCount = studentGrades.filter(s => s.currentGrade && s.currentGrade.status === 'draft').length;
+    const publishedCount = studentGrades.filter(s => s.currentGrade && s.currentGrade.status === 'published').length;
+
+    // 3. Check grade permission (controls the edit/publish actions)
+    const canGrade = !!(await teacherService.checkCourseAccess(courseId, teacherId, { requireGrade: true }));
+
+    res.render('teacher/grades', {
+      user: req.user,
+      course,
+      studentGrades,
+      draftCount,
+      publishedCount,
+      canGrade,
+      success: req.query.success,
+      error: req.query.error
+    });
 
   } catch (error) {
-    console.error('Download Template Error:', error);
-    res.status(500).send('Error generating template');
+    console.error('Get Final Grades Error:', error);
+    res.status(500).send('Error loading final grades page: ' + error.message);
   }
 };
 
 /**
- * Bulk upload grades for a specific assignment
- * POST /teacher/assignments/:id/grades/bulk
- * Processes CSV file for bulk grading submissions
+ * Save or update a student's final grade
+ * POST /teacher/courses/:id/grades
+ * Grades are saved as draft unless status=published is submitted
  */
-export const bulkUploadAssignmentGrades = async (req, res) => {
-  const { sequelize } = await import('../models/index.js');
-  const transaction = await sequelize.transaction();
-  
+export const saveGrade = async (req, res) => {
+  const courseId = req.params.id;
+
   try {
     const teacherId = req.user.id;
-    const assignmentId = req.params.id;
+    const { studentId, grade, remarks, status } = req.body;
 
-    // 1. Get assignment and verify teacher access
-    const assignment = await Assignment.findByPk(assignmentId, {
-      include: [{
-        model: Course,
-        as: 'course'
-      }]
-    });
+    // 1. Verify teacher has grade permission
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireGrade: true });
 
-    if (!assignment) {
-      return res.redirect(`/teacher/assignments?error=Assignment not found`);
+    if (!course) {
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=You do not have grade permission for this course`);
     }
 
-    // 2. Verify teacher has grade permission
-    const course = await teacherService.checkCourseAccess(assignment.course_id, teacherId, { requireGrade: true });
-
-    if (!course) {
-      return res.redirect(`/teacher/assignments/${assignmentId}/submissions?error=You do not have grade permission`);
+    // 2. Validate grade value
+    const normalizedGrade = normalizeFinalGrade(grade);
+    if (!normalizedGrade) {
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=Invalid grade. Use a letter grade (A-F) or a percentage (0-100)`);
     }
 
-    // 3. Check if file was uploaded
-    if (!req.file) {
-      return res.redirect(`/teacher/assignments/${assignmentId}/submissions?error=No CSV file uploaded`);
+    if (remarks && remarks.length > 500) {
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=Remarks must not exceed 500 characters`);
     }
 
-    // 4. Parse CSV
-    const { parseCsv } = await import('../services/csvService.js');
-    const parseResult = parseCsv(req.file.buffer);
+    // 3. Verify the student is enrolled in this course
+    const students = await getEnrolledStudents(courseId);
+    const student = students.find(s => s.id === parseInt(studentId));
 
-    if (!parseResult.success) {
-      const { formatErrors } = await import('../services/csvService.js');
-      const errorMsg = formatErrors(parseResult.errors);
-      return res.redirect(`/teacher/assignments/${assignmentId}/submissions?error=${encodeURIComponent('CSV Parse Error: ' + errorMsg)}`);
+    if (!student) {
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=Student is not enrolled in this course`);
     }
 
-    // 5. Get all submissions for this assignment with student info
-    const submissions = await Submission.findAll({
-      where: { assignment_id: assignmentId },
-      include: [{
-        model: User,
-        as: 'student',
-        attributes: ['id', 'email', 'username', 'full_name']
-      }],
-      raw: true
+    // 4. Create or update the final grade
+    const gradeStatus = status === 'published' ? 'published' : 'draft';
+    const existing = await Grade.findOne({
+      where: { course_id: courseId, student_id: student.id }
     });
 
-    // Create student lookup map by email and username
-    const submissionMap = new Map();
-    for (const submission of submissions) {
-      const studentEmail = submission['student.email'];
-      const studentUsername = submission['student.username'];
-      
-      if (studentEmail) submissionMap.set(studentEmail.toLowerCase(), submission.id);
-      if (studentUsername) submissionMap.set(studentUsername.toLowerCase(), submission.id);
-    }
+    const values = {
+      grade: normalizedGrade,
+      remarks: remarks ? remarks.trim() : null,
+      status: gradeStatus,
+      graded_by: teacherId
+    };
+
+    const gradeFields = ['grade', 'remarks', 'status', 'graded_by'];
+
+    if (existing) {
+      const before = snapshot(existing, gradeFields);
+      await existing.update(values);
+
+      const changes = diffValues(before, snapshot(existing, gradeFields));
+      if (Object.keys(changes.after).length > 0) {
+        await recordAudit(req, {
+          action: 'grade.update',
+          targetType: 'grade',
+          targetId: existing.id,
+          summary: `Updated final grade of ${student.full_name} in ${course.code}`,
+          ...changes
+        });
+      }
+    } else {
+      const created = await Grade.create({
+        course_id: courseId,
+        student_id: student.id,
+        ...values
+      });
+
+      await recordAudit(req, {
+        action: 'grade.create',
+        targetType: 'grade',
+        targetId: created.id,
+        summary: `Entered final grade of ${student.full_name} in ${course.code}`,
+        after: snapshot(created, ['course_id', 'student_id', ...gradeFields])
+      });
+    }
+
+    const message = gradeStatus === 'published'
+      ? `Final grade published for ${student.full_name}`
+      : `Final grade saved as draft for ${student.full_name}`;
+
+    res.redirect(`/teacher/courses/${courseId}/grades/final?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error('Save Grade Error:', error);
+    res.redirect(`/teacher/courses/${courseId}/grades/final?error=${encodeURIComponent('Error saving grade: ' + error.message)}`);
+  }
+};
+
+/**
+ * Publish or unpublish all final grades for a course
+ * POST /teacher/courses/:id/grades/publish
+ * Body: action = 'publish' (default) | 'unpublish'
+ */
+export const publishGrades = async (req, res) => {
+  const courseId = req.params.id;
+
+  try {
+    const teacherId = req.user.id;
+    const unpublish = req.body.action === 'unpublish';
+
+    // 1. Verify teacher has grade permission
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireGrade: true });
+
+    if (!course) {
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=You do not have grade permission for this course`);
+    }
+
+    // 2. Update each grade individually so the model hook stamps published_at;
+    //    one transaction so a failure part-way does not leave the course half published
+    const grades = await sequelize.transaction(async (transaction) => {
+      const pending = await Grade.findAll({
+        where: {
+          course_id: courseId,
+          status: unpublish ? 'published' : 'draft'
+        },
+        transaction
+      });
+
+      for (const grade of pending) {
+        await grade.update({ status: unpublish ? 'draft' : 'published' }, { transaction });
+      }
+      return pending;
+    });
+
+    await recordAudit(req, grades.map(grade => ({
+      action: unpublish ? 'grade.unpublish' : 'grade.publish',
+      targetType: 'grade',
+      targetId: grade.id,
+      summary: `${unpublish ? 'Unpublished' : 'Published'} final grade of student #${grade.student_id} in ${course.code}`,
+      before: { status: unpublish ? 'published' : 'draft' },
+      after: { status: grade.status }
+    })));
+
+    const message = unpublish
+      ? `${grades.length} grade(s) reverted to draft`
+      : `${grades.length} grade(s) published to students`;
+
+    res.redirect(`/teacher/courses/${courseId}/grades/final?success=${encodeURIComponent(message)}`);
+
+  } catch (error) {
+    console.error('Publish Grades Error:', error);
+    res.redirect(`/teacher/courses/${courseId}/grades/final?error=${encodeURIComponent('Error publishing grades: ' + error.message)}`);
+  }
+};
+
+/**
+ * Bulk upload final grades from CSV file
+ * POST /teacher/courses/:id/grades/bulk
+ * Only students enrolled in this course can be graded. Rows are saved as draft
+ * unless the optional status column says "published".
+ */
+export const bulkUploadGrades = async (req, res) => {
+  const courseId = req.params.id;
+  const transaction = await sequelize.transaction();
+
+  try {
+    const teacherId = req.user.id;
+
+    // 1. Verify teacher has grade permission
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireGrade: true });
+
+    if (!course) {
+      await transaction.rollback();
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=You do not have grade permission for this course`);
+    }
+
+    // 2. Check if file was uploaded
+    if (!req.file) {
+      await transaction.rollback();
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=No CSV file uploaded`);
+    }
+
+    // 3. Parse and validate CSV
+    const { parseCsv, validateTeacherGradeCsv, formatErrors } = await import('../services/csvService.js');
+    const parseResult = parseCsv(req.file.buffer);
+
+    if (!parseResult.success) {
+      await transaction.rollback();
+      const errorMsg = formatErrors(parseResult.errors);
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=${encodeURIComponent('CSV Parse Error: ' + errorMsg)}`);
+    }
+
+    // Rows left without a grade (e.g. untouched template rows) are skipped, not rejected
+    const gradedRows = parseResult.data.filter(row => row.grade && row.grade.trim() !== '');
+    const blankCount = parseResult.data.length - gradedRows.length;
+
+    if (gradedRows.length === 0) {
+      await transaction.rollback();
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=No grades found in CSV file`);
+    }
+
+    const validation = validateTeacherGradeCsv(gradedRows);
+
+    if (!validation.valid) {
+      await transaction.rollback();
+      const errorMsg = formatErrors(validation.errors);
+      return res.redirect(`/teacher/courses/${courseId}/grades/final?error=${encodeURIComponent('CSV Validation Error: ' + errorMsg)}`);
+    }
+
+    // 4. Build lookup of enrolled students by email and username
+    const students = await getEnrolledStudents(courseId);
+    const studentMap = new Map();
+    for (const student of students) {
+      if (student.email) studentMap.set(student.email.toLowerCase(), student);
+      if (student.username) studentMap.set(student.username.toLowerCase(), student);
+    }
+
+    const existingGrades = await Grade.findAll({
+      where: { course_id: courseId },
+      transaction
+    });
+    const gradeMap = new Map(existingGrades.map(g => [g.student_id, g]));
+
+    // 5. Process each row
+    const results = {
+      created: 0,
+      updated: 0,
+      skipped: []
+    };
+    const gradeFields = ['grade', 'remarks', 'status', 'graded_by'];
+    const auditEntries = [];
+
+    for (const row of gradedRows) {
+      const identifier = row.student_email || row.username || row.email;
+      const student = studentMap.get(identifier.toLowerCase());
+
+      if (!student) {
+        results.skipped.push({
+          identifier,
+          reason: 'Student not enrolled in this course'
+        });
+        continue;
+      }
+
+      const values = {
+        grade: normalizeFinalGrade(row.grade),
+        remarks: row.remarks ? row.remarks.trim() : null,
+        status: row.status && row.status.trim().toLowerCase() === 'published' ? 'published' : 'draft',
+        graded_by: teacherId
+      };
+
+      const existing = gradeMap.get(student.id);
+      if (existing) {
+        const before = snapshot(existing, gradeFields);
+        await existing.update(values, { transaction });
+        results.updated++;
+
+        const changes = diffValues(before, snapshot(existing, gradeFields));
+        if (Object.keys(changes.after).length > 0) {
+          auditEntries.push({
+            action: 'grade.bulk_upload',
+            targetType: 'grade',
+            targetId: existing.id,
+            summary: `Updated final grade of ${student.full_name} in ${course.code} by CSV upload`,
+            ...changes
+          });
+        }
+      } else {
+        const created = await Grade.create({
+          course_id: courseId,
+          student_id: student.id,
+          ...values
+        }, { transaction });
+        results.created++;
+
+        auditEntries.push({
+          action: 'grade.bulk_upload',
+          targetType: 'grade',
+          targetId: created.id,
+          summary: `Entered final grade of ${student.full_name} in ${course.code} by CSV upload`,
+          after: snapshot(created, ['course_id', 'student_id', ...gradeFields])
+        });
+      }
+    }
+
+    // 6. Commit transaction
+    await recordAudit(req, auditEntries, { transaction });
+    await transaction.commit();
+
+    let successMsg = `Bulk upload complete: ${results.created} created, ${results.updated} updated`;
+    if (blankCount > 0) {
+      successMsg += `, ${blankCount} row(s) without a grade ignored`;
+    }
+    if (results.skipped.length > 0) {
+      successMsg += `, ${results.skipped.length} skipped (${results.skipped.map(s => s.identifier).slice(0, 5).join(', ')}${results.skipped.length > 5 ? '...' : ''})`;
+    }
+
+    console.log('Bulk Final Grade Upload Results:', {
+      courseId,
+      created: results.created,
+      updated: results.updated,
+      skipped: results.skipped.length
+    });
+
+    res.redirect(`/teacher/courses/${courseId}/grades/final?success=${encodeURIComponent(successMsg)}`);
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Bulk Upload Grades Error:', error);
+    res.redirect(`/teacher/courses/${courseId}/grades/final?error=${encodeURIComponent('Error processing bulk upload: ' + error.message)}`);
+  }
+};
+
+/**
+ * Download CSV template for bulk final grade upload
+ * GET /teacher/courses/:id/grades/template
+ * Pre-filled with enrolled students, their suggested grade and any saved grade,
+ * so the file can be edited and uploaded straight back
+ */
+export const downloadGradeTemplate = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const courseId = req.params.id;
+
+    const course = await teacherService.checkCourseAccess(courseId, teacherId);
+
+    if (!course) {
+      return res.status(404).send('Course not found or you do not have permission to access it');
+    }
+
+    const studentGrades = await getCourseGrades(courseId);
+
+    // Escape a value for CSV output
+    const csvValue = (value) => {
+      if (value === null || value === undefined) return '';
+      const str = String(value);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const rows = ['student_email,student_name,suggested_grade,grade,remarks,status'];
+    for (const student of studentGrades) {
+      const current = student.currentGrade;
+      const suggested = student.suggestedGrade !== null ? student.suggestedGrade.toFixed(2) : '';
+
+      rows.push([
+        student.studentEmail,
+        student.studentName,
+        suggested,
+        current ? current.grade : suggested,
+        current ? current.remarks : '',
+        current ? current.status : 'draft'
+      ].map(csvValue).join(','));
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${course.code}-final-grades.csv`);
+    res.send(rows.join('\n'));
+
+  } catch (error) {
+    console.error('Download Template Error:', error);
+    res.status(500).send('Error generating template');
+  }
+};
+
+/**
+ * Validate max points / extra credit form input
+ * @param {Object} body - Request body
+ * @returns {Object} - { values: { max_points, extra_credit_points } } or { error }
+ */
+function parsePointsInput(body) {
+  const maxPoints = body.max_points === undefined || body.max_points === '' ? 100 : Number(body.max_points);
+  if (!Number.isFinite(maxPoints) || maxPoints <= 0 || maxPoints > 1000) {
+    return { error: 'Max points must be a number greater than 0 and at most 1000' };
+  }
+
+  const extraCredit = body.extra_credit_points === undefined || body.extra_credit_points === '' ? 0 : Number(body.extra_credit_points);
+  if (!Number.isFinite(extraCredit) || extraCredit < 0 || extraCredit > 1000) {
+    return { error: 'Extra credit points must be between 0 and 1000' };
+  }
+
+  return {
+    values: {
+      max_points: Math.round(maxPoints * 100) / 100,
+      extra_credit_points: Math.round(extraCredit * 100) / 100
+    }
+  };
+}
+
+/**
+ * Validate submission settings form input (attempt limit, file types, file count and size)
+ * @param {Object} body - Request body
+ * @returns {Object} - { values } or { error }
+ */
+function parseSubmissionSettingsInput(body) {
+  const values = { max_attempts: null };
+
+  if (body.max_attempts !== undefined && body.max_attempts !== '') {
+    const maxAttempts = Number(body.max_attempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      return { error: 'Maximum attempts must be a whole number of at least 1 (leave blank for unlimited)' };
+    }
+    values.max_attempts = maxAttempts;
+  }
+
+  // No types ticked (or exactly the default set) is stored as null = default
+  const fileTypes = parseFileTypes(body.allowed_file_types);
+  const isDefault = fileTypes.length === DEFAULT_SUBMISSION_FILE_TYPES.length &&
+    fileTypes.every(type => DEFAULT_SUBMISSION_FILE_TYPES.includes(type));
+  values.allowed_file_types = fileTypes.length > 0 && !isDefault ? fileTypes.join(',') : null;
+
+  const maxFiles = body.max_files === undefined || body.max_files === '' ? 5 : Number(body.max_files);
+  if (!Number.isInteger(maxFiles) || maxFiles < 1 || maxFiles > 20) {
+    return { error: 'Maximum files per submission must be a whole number between 1 and 20' };
+  }
+  values.max_files = maxFiles;
+
+  const maxFileSize = body.max_file_size_mb === undefined || body.max_file_size_mb === '' ? 10 : Number(body.max_file_size_mb);
+  if (!Number.isInteger(maxFileSize) || maxFileSize < 1 || maxFileSize > 50) {
+    return { error: 'Maximum file size must be a whole number of MB between 1 and 50' };
+  }
+  values.max_file_size_mb = maxFileSize;
+
+  return { values };
+}
+
+/**
+ * Validate late policy form input against the assignment deadline
+ * Returns { error } or { values: { late_cutoff, late_penalty_percent, late_penalty_unit } }
+ */
+function parseLatePolicyInput(body, deadline) {
+  if (!body.late_cutoff) {
+    return { values: { late_cutoff: null, late_penalty_percent: 0, late_penalty_unit: 'day' } };
+  }
+
+  const lateCutoff = new Date(body.late_cutoff);
+  const penalty = body.late_penalty_percent === undefined || body.late_penalty_percent === ''
+    ? 0
+    : parseFloat(body.late_penalty_percent);
+
+  if (isNaN(lateCutoff.getTime())) {
+    return { error: 'Invalid late cutoff date' };
+  }
+  if (lateCutoff <= deadline) {
+    return { error: 'Late cutoff must be after the deadline' };
+  }
+  if (isNaN(penalty) || penalty < 0 || penalty > 100) {
+    return { error: 'Late penalty must be between 0 and 100 percent' };
+  }
+
+  return {
+    values: {
+      late_cutoff: lateCutoff,
+      late_penalty_percent: penalty,
+      late_penalty_unit: body.late_penalty_unit === 'hour' ? 'hour' : 'day'
+    }
+  };
+}
+
+/**
+ * Check whether parsed release settings differ from an assignment's current ones
+ */
+function releaseChanged(assignment, values) {
+  const time = date => (date ? new Date(date).getTime() : null);
+  return time(assignment.visible_from) !== time(values.visible_from) ||
+    time(assignment.visible_until) !== time(values.visible_until) ||
+    (assignment.prerequisite_assignment_id || null) !== values.prerequisite_assignment_id;
+}
+
+/**
+ * Resolve a submitted grade category ID for a course
+ * Returns null for "uncategorized", the numeric ID if the category belongs to the course,
+ * or false if it does not
+ */
+async function resolveCategoryId(categoryId, courseId) {
+  if (!categoryId) {
+    return null;
+  }
+
+  const category = await GradeCategory.findOne({
+    where: { id: categoryId, course_id: courseId }
+  });
+
+  return category ? category.id : false;
+}
+
+/**
+ * Validate grade category form input
+ * Returns { error } or { values: { name, weight, drop_lowest } }
+ */
+function parseCategoryInput(body) {
+  const name = (body.name || '').trim();
+  const weight = parseFloat(body.weight);
+  const dropLowest = body.drop_lowest === undefined || body.drop_lowest === '' ? 0 : Number(body.drop_lowest);
+
+  if (!name) {
+    return { error: 'Category name is required' };
+  }
+  if (name.length > 100) {
+    return { error: 'Category name must not exceed 100 characters' };
+  }
+  if (isNaN(weight) || weight < 0 || weight > 100) {
+    return { error: 'Weight must be a number between 0 and 100' };
+  }
+  if (!Number.isInteger(dropLowest) || dropLowest < 0) {
+    return { error: 'Drop lowest must be a whole number (0 or more)' };
+  }
+
+  return { values: { name, weight, drop_lowest: dropLowest } };
+}
+
+/**
+ * Show Grading Scheme
+ * GET /teacher/courses/:id/grading-scheme
+ * 
+ * Shows weighted grade categories, drop-lowest rules and the letter grade scale
+ */
+export const showGradingScheme = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const courseId = req.params.id;
+
+    const course = await teacherService.checkCourseAccess(courseId, teacherId);
+
+    if (!course) {
+      return res.status(404).send('Course not found or you do not have permission to access it');
+    }
+
+    const canEdit = !!(await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true }));
+    const scheme = await getGradingScheme(courseId);
+
+    const assignments = await Assignment.findAll({
+      where: { course_id: courseId },
+      attributes: ['id', 'title', 'deadline', 'category_id'],
+      order: [['deadline', 'ASC']]
+    });
+
+    res.render('teacher/grading-scheme', {
+      user: req.user,
+      course,
+      scheme,
+      assignments,
+      canEdit,
+      isDefaultScale: !course.grading_scale,
+      defaultScale: DEFAULT_GRADING_SCALE,
+      success: req.query.success,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Show Grading Scheme Error:', error);
+    res.status(500).send('Error loading grading scheme: ' + error.message);
+  }
+};
+
+/**
+ * Create Grade Category
+ * POST /teacher/courses/:id/categories
+ * 
+ * Validates: name unique per course, total weight of all categories <= 100
+ */
+export const createGradeCategory = async (req, res) => {
+  const courseId = req.params.id;
+
+  try {
+    const course = await teacherService.checkCourseAccess(courseId, req.user.id, { requireEdit: true });
+
+    if (!course) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=You do not have permission to edit this course`);
+    }
+
+    const { error, values } = parseCategoryInput(req.body);
+    if (error) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent(error)}`);
+    }
+
+    const existing = await GradeCategory.findAll({ where: { course_id: courseId } });
+
+    if (existing.some(c => c.name.toLowerCase() === values.name.toLowerCase())) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent(`A category named "${values.name}" already exists`)}`);
+    }
+
+    const totalWeight = existing.reduce((sum, c) => sum + parseFloat(c.weight), 0) + values.weight;
+    if (totalWeight > 100) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent(`Total category weight cannot exceed 100% (would be ${totalWeight}%)`)}`);
+    }
+
+    await GradeCategory.create({ course_id: courseId, ...values });
+
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?success=Category created successfully`);
+
+  } catch (error) {
+    console.error('Create Grade Category Error:', error);
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent('Error creating category: ' + error.message)}`);
+  }
+};
+
+/**
+ * Update Grade Category
+ * POST /teacher/courses/:id/categories/:categoryId
+ */
+export const updateGradeCategory = async (req, res) => {
+  const courseId = req.params.id;
+
+  try {
+    const course = await teacherService.checkCourseAccess(courseId, req.user.id, { requireEdit: true });
+
+    if (!course) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=You do not have permission to edit this course`);
+    }
+
+    const category = await GradeCategory.findOne({
+      where: { id: req.params.categoryId, course_id: courseId }
+    });
+
+    if (!category) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=Category not found`);
+    }
+
+    const { error, values } = parseCategoryInput(req.body);
+    if (error) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent(error)}`);
+    }
+
+    const others = await GradeCategory.findAll({
+      where: { course_id: courseId, id: { [Op.ne]: category.id } }
+    });
+
+    if (others.some(c => c.name.toLowerCase() === values.name.toLowerCase())) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent(`A category named "${values.name}" already exists`)}`);
+    }
+
+    const totalWeight = others.reduce((sum, c) => sum + parseFloat(c.weight), 0) + values.weight;
+    if (totalWeight > 100) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent(`Total category weight cannot exceed 100% (would be ${totalWeight}%)`)}`);
+    }
+
+    await category.update(values);
+
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?success=Category updated successfully`);
+
+  } catch (error) {
+    console.error('Update Grade Category Error:', error);
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent('Error updating category: ' + error.message)}`);
+  }
+};
+
+/**
+ * Delete Grade Category
+ * POST /teacher/courses/:id/categories/:categoryId/delete
+ * 
+ * Assignments in the category become uncategorized
+ */
+export const deleteGradeCategory = async (req, res) => {
+  const courseId = req.params.id;
+
+  try {
+    const course = await teacherService.checkCourseAccess(courseId, req.user.id, { requireEdit: true });
+
+    if (!course) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=You do not have permission to edit this course`);
+    }
+
+    const category = await GradeCategory.findOne({
+      where: { id: req.params.categoryId, course_id: courseId }
+    });
+
+    if (!category) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=Category not found`);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Assignment.update(
+        { category_id: null },
+        { where: { category_id: category.id }, transaction }
+      );
+      await category.destroy({ transaction });
+    });
+
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?success=Category deleted. Its assignments are now uncategorized`);
+
+  } catch (error) {
+    console.error('Delete Grade Category Error:', error);
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent('Error deleting category: ' + error.message)}`);
+  }
+};
+
+/**
+ * Save Letter Grade Scale
+ * POST /teacher/courses/:id/grading-scale
+ * 
+ * Body: letters[], mins[] (parallel arrays), or action=reset to restore the default scale
+ */
+export const saveGradingScale = async (req, res) => {
+  const courseId = req.params.id;
+
+  try {
+    const course = await teacherService.checkCourseAccess(courseId, req.user.id, { requireEdit: true });
+
+    if (!course) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=You do not have permission to edit this course`);
+    }
+
+    if (req.body.action === 'reset') {
+      await course.update({ grading_scale: null });
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?success=Grading scale reset to default`);
+    }
+
+    const letters = [].concat(req.body.letters || []);
+    const mins = [].concat(req.body.mins || []);
+    const entries = letters.map((letter, i) => ({ letter, min: mins[i] }));
+
+    const validation = validateGradingScale(entries);
+    if (!validation.valid) {
+      return res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent(validation.errors.join('; '))}`);
+    }
+
+    await course.update({ grading_scale: validation.scale });
+
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?success=Grading scale saved`);
+
+  } catch (error) {
+    console.error('Save Grading Scale Error:', error);
+    res.redirect(`/teacher/courses/${courseId}/grading-scheme?error=${encodeURIComponent('Error saving grading scale: ' + error.message)}`);
+  }
+};
+
+/**
+ * Bulk upload grades for a specific assignment
+ * POST /teacher/assignments/:id/grades/bulk
+ * Processes CSV file for bulk grading submissions
+ */
+export const bulkUploadAssignmentGrades = async (req, res) => {
+  const { sequelize } = await import('../models/index.js');
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const teacherId = req.user.id;
+    const assignmentId = req.params.id;
+
+    // 1. Get assignment and verify teacher access
+    const assignment = await Assignment.findByPk(assignmentId, {
+      include: [{
+        model: Course,
+        as: 'course'
+      }]
+    });
+
+    if (!assignment) {
+      return res.redirect(`/teacher/assignments?error=Assignment not found`);
+    }
+
+    // 2. Verify teacher has grade permission
+    const course = await teacherService.checkCourseAccess(assignment.course_id, teacherId, { requireGrade: true });
+
+    if (!course) {
+      return res.redirect(`/teacher/assignments/${assignmentId}/submissions?error=You do not have grade permission`);
+    }
+
+    // 3. Check if file was uploaded
+    if (!req.file) {
+      return res.redirect(`/teacher/assignments/${assignmentId}/submissions?error=No CSV file uploaded`);
+    }
+
+    // 4. Parse CSV
+    const { parseCsv } = await import('../services/csvService.js');
+    const parseResult = parseCsv(req.file.buffer);
+
+    if (!parseResult.success) {
+      const { formatErrors } = await import('../services/csvService.js');
+      const errorMsg = formatErrors(parseResult.errors);
+      return res.redirect(`/teacher/assignments/${assignmentId}/submissions?error=${encodeURIComponent('CSV Parse Error: ' + errorMsg)}`);
+    }
+
+    // 5. Get all submissions for this assignment with student info
+    const submissions = await Submission.findAll({
+      where: { assignment_id: assignmentId },
+      include: [{
+        model: User,
+        as: 'student',
+        attributes: ['id', 'email', 'username', 'full_name']
+      }],
+      raw: true
+    });
+
+    // Create student lookup map by email and username
+    const submissionMap = new Map();
+    for (const submission of submissions) {
+      const studentEmail = submission['student.email'];
+      const studentUsername = submission['student.username'];
+      
+      if (studentEmail) submissionMap.set(studentEmail.toLowerCase(), submission);
+      if (studentUsername) submissionMap.set(studentUsername.toLowerCase(), submission);
+    }
+
+    // 6. Process each row
+    const results = {
+      success: [],
+      skipped: [],
+      failed: []
+    };
+    const auditEntries = [];
+
+    for (const row of parseResult.data) {
+      try {
+        // Get student identifier
+        const identifier = (row.student_email || row.username || row.email || '').toLowerCase();
+        
+        if (!identifier) {
+          results.skipped.push({
+            identifier: 'Unknown',
+            reason: 'No student identifier provided'
+          });
+          continue;
+        }
+
+        const submission = submissionMap.get(identifier);
+
+        if (!submission) {
+          results.skipped.push({
+            identifier: row.student_email || row.username || row.email,
+            reason: 'Student not found or has not submitted this assignment'
+          });
+          continue;
+        }
+
+        // Get marks value
+        const marksValue = row.marks || row.score || row.grade;
+        if (marksValue === undefined || marksValue === null || marksValue === '') {
+          results.skipped.push({
+            identifier: row.student_email || row.username || row.email,
+            reason: 'No marks value provided'
+          });
+          continue;
+        }
+
+        // Validate marks against the assignment's max points (plus extra credit)
+        const validation = validateMarks(marksValue, assignment);
+        if (validation.error) {
+          results.failed.push({
+            identifier: row.student_email || row.username || row.email,
+            reason: `Invalid marks value: ${marksValue} (${validation.error})`
+          });
+          continue;
+        }
+        const marks = validation.value;
+        const submissionId = submission.id;
+        const newFeedback = row.feedback || row.remarks || null;
+
+        // Update submission with marks and feedback
+        await Submission.update({
+          marks: marks,
+          feedback: newFeedback
+        }, {
+          where: { id: submissionId },
+          transaction
+        });
+
+        // Marks set directly no longer match an earlier rubric evaluation
+        await RubricScore.destroy({ where: { submission_id: submissionId }, transaction });
+
+        const changes = diffValues(
+          { marks: submission.marks, feedback: submission.feedback },
+          { marks, feedback: newFeedback }
+        );
+        if (Object.keys(changes.after).length > 0) {
+          auditEntries.push({
+            action: 'submission.bulk_grade',
+            targetType: 'submission',
+            targetId: submissionId,
+            summary: `Graded submission #${submissionId} for "${assignment.title}" by CSV upload`,
+            ...changes
+          });
+        }
+
+        results.success.push({
+          identifier: row.student_email || row.username || row.email,
+          submissionId,
+          marks: marks,
+          action: 'graded'
+        });
+
+      } catch (rowError) {
+        console.error('Row processing error:', rowError);
+        results.failed.push({
+          identifier: row.student_email || row.username || row.email,
+          reason: rowError.message
+        });
+      }
+    }
+
+    // 7. Commit transaction
+    await recordAudit(req, auditEntries, { transaction });
+    await transaction.commit();
+
+    notifyGradePosted(results.success.map(result => result.submissionId));
+
+    // 8. Build success message
+    let successMsg = `Bulk grading complete: ${results.success.length} submission(s) graded`;
+    if (results.skipped.length > 0) {
+      successMsg += `, ${results.skipped.length} skipped`;
+    }
+    if (results.failed.length > 0) {
+      successMsg += `, ${results.failed.length} failed`;
+    }
+
+    // Log details for debugging
+    console.log('Bulk Assignment Grade Upload Results:', {
+      assignmentId,
+      success: results.success.length,
+      skipped: results.skipped.length,
+      failed: results.failed.length
+    });
+
+    res.redirect(`/teacher/assignments/${assignmentId}/submissions?success=${encodeURIComponent(successMsg)}`);
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Bulk Upload Assignment Grades Error:', error);
+    res.redirect(`/teacher/assignments/${req.params.id}/submissions?error=Error processing bulk upload: ${error.message}`);
+  }
+};
+
+/**
+ * Download CSV template for assignment grade upload
+ * GET /teacher/assignments/:id/grades/template
+ * Downloads a CSV template pre-filled with students who submitted
+ */
+export const downloadAssignmentGradeTemplate = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+    const assignmentId = req.params.id;
+
+    // 1. Get assignment
+    const assignment = await Assignment.findByPk(assignmentId, {
+      include: [{
+        model: Course,
+        as: 'course'
+      }]
+    });
+
+    if (!assignment) {
+      return res.status(404).send('Assignment not found');
+    }
+
+    // 2. Verify teacher has access
+    const course = await teacherService.checkCourseAccess(assignment.course_id, teacherId);
+    if (!course) {
+      return res.status(403).send('Access denied');
+    }
+
+    // 3. Get all submissions for this assignment
+    const submissions = await Submission.findAll({
+      where: { assignment_id: assignmentId },
+      include: [{
+        model: User,
+        as: 'student',
+        attributes: ['email', 'full_name']
+      }],
+      order: [[{ model: User, as: 'student' }, 'full_name', 'ASC']]
+    });
+
+    // 4. Generate CSV content
+    // max_points is for reference only (ignored on upload); marks are entered in points
+    const maxPoints = getMaxPoints(assignment);
+    let csvContent = 'student_email,marks,max_points,feedback\n';
+    
+    if (submissions.length > 0) {
+      // Pre-fill with students who submitted
+      submissions.forEach(submission => {
+        const email = submission.student.email || '';
+        const existingMarks = submission.marks !== null ? parseFloat(submission.marks) : '';
+        const existingFeedback = submission.feedback ? `"${submission.feedback.replace(/"/g, '""')}"` : '';
+        csvContent += `${email},${existingMarks},${maxPoints},${existingFeedback}\n`;
+      });
+    } else {
+      // Provide example rows
+      csvContent += `student@example.com,${Math.round(maxPoints * 0.85 * 100) / 100},${maxPoints},Good work\n`;
+      csvContent += `student2@example.com,${Math.round(maxPoints * 0.9 * 100) / 100},${maxPoints},Excellent\n`;
+    }
+
+    // 5. Send file
+    const filename = `${assignment.title.replace(/[^a-z0-9]/gi, '-')}-grades-template.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csvContent);
+
+  } catch (error) {
+    console.error('Download Assignment Grade Template Error:', error);
+    res.status(500).send('Error generating template');
+  }
+};
+
+/**
+ * Delete an assignment
+ * DELETE /teacher/assignments/:id
+ * Deletes assignment and all associated materials and submissions
+ */
+export const deleteAssignment = async (req, res) => {
+  try {
+    const assignmentId = req.params.id;
+    const teacherId = req.user.id;
+
+    // 1. Fetch assignment with course
+    const assignment = await Assignment.findByPk(assignmentId, {
+      include: [{
+        model: Course,
+        as: 'course'
+      }]
+    });
+
+    if (!assignment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Assignment not found' 
+      });
+    }
+
+    // 2. Verify teacher has edit permission
+    const course = await teacherService.checkCourseAccess(assignment.course_id, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You do not have permission to delete this assignment' 
+      });
+    }
+
+    // 3. Get all assignment materials to delete from storage
+    const materials = await AssignmentMaterial.findAll({
+      where: { 
+        assignment_id: assignmentId,
+        type: 'file' // Only files have stored URLs
+      }
+    });
+
+    // 4. Delete files from storage
+    for (const material of materials) {
+      try {
+        await deleteFile(material.url);
+      } catch (storageError) {
+        console.error('File deletion error:', storageError);
+        // Continue even if the file deletion fails
+      }
+    }
+
+    // 5. Get all submissions (and every attempt) to delete files from storage
+    const submissions = await Submission.findAll({
+      where: { assignment_id: assignmentId }
+    });
+    const versionFileUrls = await getVersionFileUrls(submissions.map(s => s.id));
+    const submissionFileUrls = new Set([
+      ...submissions.map(s => s.file_url).filter(Boolean),
+      ...versionFileUrls
+    ]);
+
+    for (const fileUrl of submissionFileUrls) {
+      try {
+        await deleteFile(fileUrl);
+      } catch (storageError) {
+        console.error('File deletion error:', storageError);
+      }
+    }
+
+    const courseId = assignment.course_id;
+
+    // 6. Delete assignment (CASCADE will delete materials and submissions)
+    await assignment.destroy();
+
+    res.json({ 
+      success: true, 
+      message: 'Assignment deleted successfully',
+      redirectUrl: `/teacher/courses/${courseId}`
+    });
+
+  } catch (error) {
+    console.error('Delete Assignment Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: `Error deleting assignment: ${error.message}` 
+    });
+  }
+};
+
+// ==========================================
+// QUIZ FUNCTIONS
+// ==========================================
+
+/**
+ * Validate quiz settings form input (time limit, question order, answer visibility)
+ * @param {Object} body - Request body
+ * @returns {Object} - { values: { time_limit_minutes, shuffle_questions, show_correct_answers } } or { error }
+ */
+function parseQuizSettingsInput(body) {
+  let timeLimit = null;
+
+  if (body.time_limit_minutes !== undefined && body.time_limit_minutes !== '') {
+    timeLimit = Number(body.time_limit_minutes);
+    if (!Number.isInteger(timeLimit) || timeLimit < 1 || timeLimit > 600) {
+      return { error: 'Time limit must be a whole number of minutes between 1 and 600 (leave blank for none)' };
+    }
+  }
+
+  return {
+    values: {
+      time_limit_minutes: timeLimit,
+      shuffle_questions: body.shuffle_questions === 'on' || body.shuffle_questions === 'true',
+      show_correct_answers: body.show_correct_answers === 'on' || body.show_correct_answers === 'true'
+    }
+  };
+}
+
+/**
+ * Get Question Bank
+ * GET /teacher/courses/:id/questions
+ * 
+ * Lists the course's quiz questions with a form to add new ones
+ */
+export const getQuestionBank = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const teacherId = req.user.id;
+
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to manage this course\'s question bank');
+    }
+
+    const questions = await QuizQuestion.findAll({
+      where: { course_id: courseId },
+      include: [{ model: QuizItem, as: 'quizItems', attributes: ['id'], required: false }],
+      order: [['created_at', 'DESC']]
+    });
+
+    // Answered questions are locked so stored responses keep matching their answer key
+    const answered = await QuizResponse.findAll({
+      where: { question_id: questions.map(q => q.id) },
+      attributes: ['question_id'],
+      group: ['question_id'],
+      raw: true
+    });
+    const answeredIds = new Set(answered.map(row => row.question_id));
+
+    questions.forEach(question => {
+      question.usage_count = question.quizItems.length;
+      question.is_locked = answeredIds.has(question.id);
+      question.correct_label = formatCorrectAnswer(question);
+    });
+
+    res.render('teacher/question-bank', {
+      user: req.user,
+      course,
+      questions,
+      questionTypes: QUESTION_TYPES,
+      pageTitle: `Question Bank - ${course.code}`,
+      success: req.query.success,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Get Question Bank Error:', error);
+    res.status(500).send('Error loading question bank: ' + error.message);
+  }
+};
+
+/**
+ * Create Question
+ * POST /teacher/courses/:id/questions
+ * 
+ * Adds a question to the course's question bank
+ */
+export const createQuestion = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const teacherId = req.user.id;
+
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to manage this course\'s question bank');
+    }
+
+    const question = parseQuestionInput(req.body);
+    if (question.error) {
+      return res.redirect(`/teacher/courses/${courseId}/questions?error=${encodeURIComponent(question.error)}`);
+    }
+
+    await QuizQuestion.create({
+      ...question.values,
+      course_id: courseId,
+      created_by: teacherId
+    });
+
+    res.redirect(`/teacher/courses/${courseId}/questions?success=Question added to the question bank`);
+
+  } catch (error) {
+    console.error('Create Question Error:', error);
+    res.redirect(`/teacher/courses/${req.params.id}/questions?error=${encodeURIComponent('Error adding question: ' + error.message)}`);
+  }
+};
+
+/**
+ * Show Edit Question Form
+ * GET /teacher/questions/:id/edit
+ */
+export const showEditQuestion = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+
+    const question = await QuizQuestion.findByPk(req.params.id);
+    if (!question) {
+      return res.status(404).send('Question not found');
+    }
+
+    const course = await teacherService.checkCourseAccess(question.course_id, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to edit this question');
+    }
+
+    if (await isQuestionAnswered(question.id)) {
+      return res.redirect(`/teacher/courses/${course.id}/questions?error=${encodeURIComponent('Questions that students have already answered cannot be changed')}`);
+    }
+
+    res.render('teacher/question-edit', {
+      user: req.user,
+      course,
+      question,
+      questionTypes: QUESTION_TYPES,
+      pageTitle: `Edit Question - ${course.code}`,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Show Edit Question Error:', error);
+    res.status(500).send('Error loading question: ' + error.message);
+  }
+};
+
+/**
+ * Edit Question
+ * POST /teacher/questions/:id/edit
+ * 
+ * Only questions nobody has answered yet can be changed
+ */
+export const editQuestion = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+
+    const question = await QuizQuestion.findByPk(req.params.id);
+    if (!question) {
+      return res.status(404).send('Question not found');
+    }
+
+    const course = await teacherService.checkCourseAccess(question.course_id, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to edit this question');
+    }
+
+    if (await isQuestionAnswered(question.id)) {
+      return res.redirect(`/teacher/courses/${course.id}/questions?error=${encodeURIComponent('Questions that students have already answered cannot be changed')}`);
+    }
+
+    const values = parseQuestionInput(req.body);
+    if (values.error) {
+      return res.redirect(`/teacher/questions/${question.id}/edit?error=${encodeURIComponent(values.error)}`);
+    }
+
+    await question.update(values.values);
+
+    res.redirect(`/teacher/courses/${course.id}/questions?success=Question updated successfully`);
+
+  } catch (error) {
+    console.error('Edit Question Error:', error);
+    res.redirect(`/teacher/questions/${req.params.id}/edit?error=${encodeURIComponent('Error updating question: ' + error.message)}`);
+  }
+};
+
+/**
+ * Delete Question
+ * POST /teacher/questions/:id/delete
+ * 
+ * Questions still used by a quiz must be removed from it first
+ */
+export const deleteQuestion = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+
+    const question = await QuizQuestion.findByPk(req.params.id);
+    if (!question) {
+      return res.status(404).send('Question not found');
+    }
+
+    const course = await teacherService.checkCourseAccess(question.course_id, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(403).send('You do not have permission to delete this question');
+    }
+
+    const usageCount = await QuizItem.count({ where: { question_id: question.id } });
+    if (usageCount > 0) {
+      return res.redirect(`/teacher/courses/${course.id}/questions?error=${encodeURIComponent(`This question is used in ${usageCount} quiz${usageCount !== 1 ? 'zes' : ''}. Remove it from the quiz first.`)}`);
+    }
+
+    await question.destroy();
+
+    res.redirect(`/teacher/courses/${course.id}/questions?success=Question deleted`);
+
+  } catch (error) {
+    console.error('Delete Question Error:', error);
+    res.redirect(`/teacher/courses?error=${encodeURIComponent('Error deleting question: ' + error.message)}`);
+  }
+};
+
+/**
+ * Show Quiz Creation Form
+ * GET /teacher/courses/:id/quizzes/create
+ */
+export const showCreateQuiz = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const teacherId = req.user.id;
+
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.status(404).send('Course not found or you do not have permission to create quizzes');
+    }
+
+    const categories = await GradeCategory.findAll({
+      where: { course_id: courseId },
+      order: [['name', 'ASC']]
+    });
+
+    const questions = await QuizQuestion.findAll({
+      where: { course_id: courseId },
+      order: [['created_at', 'ASC']]
+    });
+
+    res.render('teacher/quiz-create', {
+      user: req.user,
+      course,
+      categories,
+      prerequisiteOptions: await getPrerequisiteOptions(course.id),
+      questions,
+      questionTypes: QUESTION_TYPES,
+      pageTitle: `Create Quiz - ${course.code}`,
+      error: req.query.error
+    });
+
+  } catch (error) {
+    console.error('Show Create Quiz Error:', error);
+    res.status(500).send('Error loading quiz creation form: ' + error.message);
+  }
+};
 
-    // 6. Process each row
-    const results = {
-      success: [],
-      skipped: [],
-      failed: []
-    };
+/**
+ * Create Quiz
+ * POST /teacher/courses/:id/quizzes
+ * 
+ * Creates the quiz's assignment (title, deadline, points, attempts, late policy)
+ * and the quiz with its questions from the course question bank
+ */
+export const createQuiz = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const teacherId = req.user.id;
+    const { title, description, deadline, category_id } = req.body;
+    const formUrl = `/teacher/courses/${courseId}/quizzes/create`;
 
-    for (const row of parseResult.data) {
-      try {
-        // Get student identifier
-        const identifier = (row.student_email || row.username || row.email || '').toLowerCase();
-        
-        if (!identifier) {
-          results.skipped.push({
-            identifier: 'Unknown',
-            reason: 'No student identifier provided'
-          });
-          continue;
-        }
+    const course = await teacherService.checkCourseAccess(courseId, teacherId, { requireEdit: true });
+    if (!course) {
+      return res.redirect(`/teacher/courses?error=Course not found or you do not have permission to create quizzes`);
+    }
 
-        const submissionId = submissionMap.get(identifier);
+    if (!title || title.trim() === '') {
+      return res.redirect(`${formUrl}?error=Title is required`);
+    }
 
-        if (!submissionId) {
-          results.skipped.push({
-            identifier: row.student_email || row.username || row.email,
-            reason: 'Student not found or has not submitted this assignment'
-          });
-          continue;
-        }
+    if (!deadline) {
+      return res.redirect(`${formUrl}?error=Deadline is required`);
+    }
 
-        // Get marks value
-        const marksValue = row.marks || row.score || row.grade;
-        if (marksValue === undefined || marksValue === null || marksValue === '') {
-          results.skipped.push({
-            identifier: row.student_email || row.username || row.email,
-            reason: 'No marks value provided'
-          });
-          continue;
-        }
+    const deadlineDate = new Date(deadline);
+    if (isNaN(deadlineDate.getTime()) || deadlineDate <= new Date()) {
+      return res.redirect(`${formUrl}?error=Deadline must be in the future`);
+    }
 
-        // Validate marks format (0-100)
-        const marks = parseFloat(marksValue);
-        if (isNaN(marks) || marks < 0 || marks > 100) {
-          results.failed.push({
-            identifier: row.student_email || row.username || row.email,
-            reason: `Invalid marks value: ${marksValue} (must be 0-100)`
-          });
-          continue;
-        }
+    const categoryId = await resolveCategoryId(category_id, courseId);
+    if (categoryId === false) {
+      return res.redirect(`${formUrl}?error=Invalid grade category`);
+    }
 
-        // Update submission with marks and feedback
-        await Submission.update({
-          marks: marks,
-          feedback: row.feedback || row.remarks || null
-        }, {
-          where: { id: submissionId },
-          transaction
-        });
+    const points = parsePointsInput(req.body);
+    if (points.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(points.error)}`);
+    }
 
-        results.success.push({
-          identifier: row.student_email || row.username || row.email,
-          marks: marks,
-          action: 'graded'
-        });
+    const latePolicy = parseLatePolicyInput(req.body, deadlineDate);
+    if (latePolicy.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(latePolicy.error)}`);
+    }
 
-      } catch (rowError) {
-        console.error('Row processing error:', rowError);
-        results.failed.push({
-          identifier: row.student_email || row.username || row.email,
-          reason: rowError.message
-        });
-      }
+    const submissionSettings = parseSubmissionSettingsInput(req.body);
+    if (submissionSettings.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(submissionSettings.error)}`);
     }
 
-    // 7. Commit transaction
-    await transaction.commit();
+    const settings = parseQuizSettingsInput(req.body);
+    if (settings.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(settings.error)}`);
+    }
 
-    // 8. Build success message
-    let successMsg = `Bulk grading complete: ${results.success.length} submission(s) graded`;
-    if (results.skipped.length > 0) {
-      successMsg += `, ${results.skipped.length} skipped`;
+    const selection = await parseQuestionSelection(req.body.question_ids, courseId);
+    if (selection.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(selection.error)}`);
     }
-    if (results.failed.length > 0) {
-      successMsg += `, ${results.failed.length} failed`;
+
+    const release = await parseReleaseInput(req.body, { courseIds: [course.id] });
+    if (release.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(release.error)}`);
     }
 
-    // Log details for debugging
-    console.log('Bulk Assignment Grade Upload Results:', {
-      assignmentId,
-      success: results.success.length,
-      skipped: results.skipped.length,
-      failed: results.failed.length
+    const assignment = await sequelize.transaction(async (transaction) => {
+      const created = await Assignment.create({
+        course_id: courseId,
+        category_id: categoryId,
+        title: title.trim(),
+        description: description ? description.trim() : null,
+        deadline: deadlineDate,
+        ...points.values,
+        ...latePolicy.values,
+        ...release.values,
+        max_attempts: submissionSettings.values.max_attempts,
+        created_by: teacherId
+      }, { transaction });
+
+      const quiz = await Quiz.create({
+        assignment_id: created.id,
+        ...settings.values
+      }, { transaction });
+
+      await saveQuizItems(quiz.id, selection.values, { transaction });
+      return created;
     });
 
-    res.redirect(`/teacher/assignments/${assignmentId}/submissions?success=${encodeURIComponent(successMsg)}`);
+    notifyNewAssignment(assignment.id, { isQuiz: true });
+
+    res.redirect(`/teacher/courses/${courseId}?success=Quiz created successfully`);
 
   } catch (error) {
-    await transaction.rollback();
-    console.error('Bulk Upload Assignment Grades Error:', error);
-    res.redirect(`/teacher/assignments/${req.params.id}/submissions?error=Error processing bulk upload: ${error.message}`);
+    console.error('Create Quiz Error:', error);
+    res.redirect(`/teacher/courses/${req.params.id}/quizzes/create?error=${encodeURIComponent('Error creating quiz: ' + error.message)}`);
   }
 };
 
 /**
- * Download CSV template for assignment grade upload
- * GET /teacher/assignments/:id/grades/template
- * Downloads a CSV template pre-filled with students who submitted
+ * Show Edit Quiz Form
+ * GET /teacher/quizzes/:id/edit
  */
-export const downloadAssignmentGradeTemplate = async (req, res) => {
+export const showEditQuiz = async (req, res) => {
   try {
     const teacherId = req.user.id;
-    const assignmentId = req.params.id;
 
-    // 1. Get assignment
-    const assignment = await Assignment.findByPk(assignmentId, {
-      include: [{
-        model: Course,
-        as: 'course'
-      }]
+    const quiz = await Quiz.findByPk(req.params.id, {
+      include: [{ model: Assignment, as: 'assignment' }]
     });
-
-    if (!assignment) {
-      return res.status(404).send('Assignment not found');
+    if (!quiz) {
+      return res.status(404).send('Quiz not found');
     }
 
-    // 2. Verify teacher has access
-    const course = await teacherService.checkCourseAccess(assignment.course_id, teacherId);
+    const course = await teacherService.checkCourseAccess(quiz.assignment.course_id, teacherId, { requireEdit: true });
     if (!course) {
-      return res.status(403).send('Access denied');
+      return res.status(403).send('You do not have permission to edit this quiz');
     }
 
-    // 3. Get all submissions for this assignment
-    const submissions = await Submission.findAll({
-      where: { assignment_id: assignmentId },
-      include: [{
-        model: User,
-        as: 'student',
-        attributes: ['email', 'full_name']
-      }],
-      order: [[{ model: User, as: 'student' }, 'full_name', 'ASC']]
+    const categories = await GradeCategory.findAll({
+      where: { course_id: course.id },
+      order: [['name', 'ASC']]
     });
 
-    // 4. Generate CSV content
-    let csvContent = 'student_email,marks,feedback\n';
-    
-    if (submissions.length > 0) {
-      // Pre-fill with students who submitted
-      submissions.forEach(submission => {
-        const email = submission.student.email || '';
-        const existingMarks = submission.marks !== null ? submission.marks : '';
-        const existingFeedback = submission.feedback ? `"${submission.feedback.replace(/"/g, '""')}"` : '';
-        csvContent += `${email},${existingMarks},${existingFeedback}\n`;
-      });
-    } else {
-      // Provide example rows
-      csvContent += 'student@example.com,85,Good work\n';
-      csvContent += 'student2@example.com,90,Excellent\n';
-    }
+    const questions = await QuizQuestion.findAll({
+      where: { course_id: course.id },
+      order: [['created_at', 'ASC']]
+    });
+    const selectedQuestions = await getQuizQuestions(quiz.id);
 
-    // 5. Send file
-    const filename = `${assignment.title.replace(/[^a-z0-9]/gi, '-')}-grades-template.csv`;
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(csvContent);
+    const gradedCount = await Submission.count({
+      where: { assignment_id: quiz.assignment_id, marks: { [Op.not]: null } }
+    });
+
+    res.render('teacher/quiz-edit', {
+      user: req.user,
+      course,
+      quiz,
+      assignment: quiz.assignment,
+      categories,
+      prerequisiteOptions: await getPrerequisiteOptions(course.id, quiz.assignment_id),
+      questions,
+      selectedIds: selectedQuestions.map(q => q.id),
+      questionTypes: QUESTION_TYPES,
+      questionsLocked: await hasAttempts(quiz.id),
+      gradedCount,
+      pageTitle: `Edit Quiz - ${quiz.assignment.title}`,
+      error: req.query.error
+    });
 
   } catch (error) {
-    console.error('Download Assignment Grade Template Error:', error);
-    res.status(500).send('Error generating template');
+    console.error('Show Edit Quiz Error:', error);
+    res.status(500).send('Error loading quiz: ' + error.message);
   }
 };
 
 /**
- * Delete an assignment
- * DELETE /teacher/assignments/:id
- * Deletes assignment and all associated materials and submissions
+ * Edit Quiz
+ * POST /teacher/quizzes/:id/edit
+ * 
+ * Updates the quiz and its assignment. The question list is locked once
+ * students have started attempts, and max points once marks exist.
  */
-export const deleteAssignment = async (req, res) => {
+export const editQuiz = async (req, res) => {
   try {
-    const assignmentId = req.params.id;
     const teacherId = req.user.id;
+    const { title, description, deadline, category_id } = req.body;
+    const formUrl = `/teacher/quizzes/${req.params.id}/edit`;
 
-    // 1. Fetch assignment with course
-    const assignment = await Assignment.findByPk(assignmentId, {
-      include: [{
-        model: Course,
-        as: 'course'
-      }]
+    const quiz = await Quiz.findByPk(req.params.id, {
+      include: [{ model: Assignment, as: 'assignment' }]
     });
-
-    if (!assignment) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Assignment not found' 
-      });
+    if (!quiz) {
+      return res.status(404).send('Quiz not found');
     }
 
-    // 2. Verify teacher has edit permission
+    const assignment = quiz.assignment;
     const course = await teacherService.checkCourseAccess(assignment.course_id, teacherId, { requireEdit: true });
     if (!course) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'You do not have permission to delete this assignment' 
-      });
+      return res.status(403).send('You do not have permission to edit this quiz');
     }
 
-    // 3. Get all assignment materials to delete from Cloudinary
-    const materials = await AssignmentMaterial.findAll({
-      where: { 
-        assignment_id: assignmentId,
-        type: 'file' // Only files have Cloudinary URLs
+    if (!title || title.trim() === '' || !deadline) {
+      return res.redirect(`${formUrl}?error=Title and deadline are required`);
+    }
+
+    const deadlineDate = new Date(deadline);
+    if (isNaN(deadlineDate.getTime()) || deadlineDate <= new Date()) {
+      return res.redirect(`${formUrl}?error=Deadline must be in the future`);
+    }
+
+    const categoryId = await resolveCategoryId(category_id, assignment.course_id);
+    if (categoryId === false) {
+      return res.redirect(`${formUrl}?error=Invalid grade category`);
+    }
+
+    const points = parsePointsInput(req.body);
+    if (points.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(points.error)}`);
+    }
+    if (parseFloat(assignment.max_points) !== points.values.max_points) {
+      const gradedCount = await Submission.count({
+        where: { assignment_id: assignment.id, marks: { [Op.not]: null } }
+      });
+      if (gradedCount > 0) {
+        return res.redirect(`${formUrl}?error=${encodeURIComponent('Max points cannot be changed after students have completed the quiz')}`);
       }
-    });
+    }
 
-    // 4. Delete files from Cloudinary
-    for (const material of materials) {
-      try {
-        await deleteCloudinaryFile(material.url);
-      } catch (cloudinaryError) {
-        console.error('Cloudinary deletion error:', cloudinaryError);
-        // Continue even if Cloudinary deletion fails
+    const latePolicy = parseLatePolicyInput(req.body, deadlineDate);
+    if (latePolicy.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(latePolicy.error)}`);
+    }
+
+    const submissionSettings = parseSubmissionSettingsInput(req.body);
+    if (submissionSettings.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(submissionSettings.error)}`);
+    }
+
+    const settings = parseQuizSettingsInput(req.body);
+    if (settings.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(settings.error)}`);
+    }
+
+    const release = await parseReleaseInput(req.body, { courseIds: [assignment.course_id], assignmentId: assignment.id });
+    if (release.error) {
+      return res.redirect(`${formUrl}?error=${encodeURIComponent(release.error)}`);
+    }
+
+    // Question list (the picker is only shown while nobody has started the quiz)
+    let selection = null;
+    if (req.body.question_ids !== undefined) {
+      if (await hasAttempts(quiz.id)) {
+        return res.redirect(`${formUrl}?error=${encodeURIComponent('Questions cannot be changed after students have started the quiz')}`);
+      }
+      selection = await parseQuestionSelection(req.body.question_ids, assignment.course_id);
+      if (selection.error) {
+        return res.redirect(`${formUrl}?error=${encodeURIComponent(selection.error)}`);
       }
     }
 
-    // 5. Get all submissions to delete files from Cloudinary
-    const submissions = await Submission.findAll({
-      where: { assignment_id: assignmentId }
-    });
+    const oldDeadline = new Date(assignment.deadline);
 
-    for (const submission of submissions) {
-      if (submission.file_url) {
-        try {
-          await deleteCloudinaryFile(submission.file_url);
-        } catch (cloudinaryError) {
-          console.error('Cloudinary deletion error:', cloudinaryError);
-        }
+    await sequelize.transaction(async (transaction) => {
+      await assignment.update({
+        title: title.trim(),
+        description: description ? description.trim() : null,
+        deadline: deadlineDate,
+        category_id: categoryId,
+        ...points.values,
+        ...latePolicy.values,
+        ...release.values,
+        max_attempts: submissionSettings.values.max_attempts
+      }, { transaction });
+
+      await quiz.update(settings.values, { transaction });
+
+      if (selection) {
+        await saveQuizItems(quiz.id, selection.values, { transaction });
       }
+    });
+
+    if (deadlineDate.getTime() !== oldDeadline.getTime()) {
+      notifyDeadlineChanged(assignment.id, oldDeadline);
     }
 
-    const courseId = assignment.course_id;
+    res.redirect(`/teacher/courses/${assignment.course_id}?success=Quiz updated successfully`);
 
-    // 6. Delete assignment (CASCADE will delete materials and submissions)
-    await assignment.destroy();
+  } catch (error) {
+    console.error('Edit Quiz Error:', error);
+    res.redirect(`/teacher/quizzes/${req.params.id}/edit?error=${encodeURIComponent('Error updating quiz: ' + error.message)}`);
+  }
+};
 
-    res.json({ 
-      success: true, 
-      message: 'Assignment deleted successfully',
-      redirectUrl: `/teacher/courses/${courseId}`
+/**
+ * Quiz Item Analysis
+ * GET /teacher/quizzes/:id/analysis
+ * 
+ * Per-question difficulty, discrimination and answer distribution,
+ * based on each student's latest submitted attempt
+ */
+export const getQuizAnalysis = async (req, res) => {
+  try {
+    const teacherId = req.user.id;
+
+    const quiz = await Quiz.findByPk(req.params.id, {
+      include: [{ model: Assignment, as: 'assignment' }]
     });
+    if (!quiz) {
+      return res.status(404).send('Quiz not found');
+    }
 
-  } catch (error) {
-    console.error('Delete Assignment Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: `Error deleting assignment: ${error.message}` 
+    const course = await teacherService.checkCourseAccess(quiz.assignment.course_id, teacherId);
+    if (!course) {
+      return res.status(403).send('You do not have permission to view this quiz');
+    }
+
+    const questions = await getQuizQuestions(quiz.id);
+    const analysis = await getItemAnalysis(quiz.id, questions);
+    analysis.items.forEach(item => {
+      item.correct_label = formatCorrectAnswer(item.question);
+    });
+
+    res.render('teacher/quiz-analysis', {
+      user: req.user,
+      course,
+      quiz,
+      assignment: quiz.assignment,
+      analysis,
+      maxScore: getQuestionsMaxScore(questions),
+      questionTypes: QUESTION_TYPES
     });
+
+  } catch (error) {
+    console.error('Get Quiz Analysis Error:', error);
+    res.status(500).send('Error loading item analysis: ' + error.message);
   }
 };
 
@@ -2131,7 +4487,7 @@ export const renameFolder = async (req, res) => {
  * This will recursively delete:
  * - All subfolders
  * - All materials in this folder and subfolders
- * - All Cloudinary files for those materials
+ * - All stored files for those materials
  * - All folder-course associations
  */
 export const deleteFolder = async (req, res) => {
@@ -2194,14 +4550,13 @@ export const deleteFolder = async (req, res) => {
 
     console.log(`Found ${materials.length} materials to delete`);
 
-    // Delete Cloudinary files for all materials
-    for (const material of materials) {
-      if (material.file_url && material.file_url.includes('cloudinary.com')) {
+    // Delete stored files for all materials (every version)
+    for (const fileUrl of await getMaterialFileUrls(materials)) {
+      if (isStoredFile(fileUrl)) {
         try {
-          await deleteCloudinaryFile(material.file_url);
-          console.log(`Deleted Cloudinary file for material ${material.id}`);
+          await deleteFile(fileUrl);
         } catch (err) {
-          console.error(`Error deleting Cloudinary file for material ${material.id}:`, err.message);
+          console.error('Error deleting stored material file:', err.message);
         }
       }
     }
@@ -2310,10 +4665,18 @@ export const shareFolderWithCourses = async (req, res) => {
     const allFolderIds = await getAllSubfolderIds(folderId);
     allFolderIds.unshift(folderId); // Include the main folder
 
+    // Courses that already had the folder are not notified again
+    const previousShares = await FolderCourse.findAll({
+      where: { folder_id: folderId },
+      attributes: ['course_id']
+    });
+    const previousCourseIds = previousShares.map(share => share.course_id);
+
     // Remove existing shares for all folders
     await FolderCourse.destroy({ where: { folder_id: { [Op.in]: allFolderIds } } });
 
     // Create new shares for all folders (if any courses selected)
+    const newCourseIds = [...new Set(courseIdsArray.map(id => parseInt(id)))];
     if (courseIdsArray.length > 0) {
       const shareRecords = [];
       allFolderIds.forEach(folderIdItem => {
@@ -2335,6 +4698,23 @@ export const shareFolderWithCourses = async (req, res) => {
       { where: { id: { [Op.in]: allFolderIds } } }
     );
 
+    await recordAudit(req, {
+      action: newCourseIds.length > 0 ? 'folder.share' : 'folder.unshare',
+      targetType: 'folder',
+      targetId: folder.id,
+      summary: newCourseIds.length > 0
+        ? `Shared folder "${folder.name}" with ${newCourseIds.length} course(s)`
+        : `Unshared folder "${folder.name}" from all courses`,
+      before: { course_ids: previousCourseIds },
+      after: { course_ids: newCourseIds }
+    });
+
+    notifyFolderShared(
+      folder.id,
+      newCourseIds.filter(id => !previousCourseIds.includes(id)),
+      req.user
+    );
+
     const subfolderCount = allFolderIds.length - 1;
     let message;
     if (courseIdsArray.length === 0) {
@@ -2410,10 +4790,21 @@ export const unshareFolder = async (req, res) => {
     }
 
     // Remove the share
-    await FolderCourse.destroy({
+    const removed = await FolderCourse.destroy({
       where: { folder_id: folderId, course_id: courseId }
     });
 
+    if (removed > 0) {
+      await recordAudit(req, {
+        action: 'folder.unshare',
+        targetType: 'folder',
+        targetId: folder.id,
+        summary: `Removed folder "${folder.name}" from course ${course.code}`,
+        before: { course_id: parseInt(courseId) },
+        after: { course_id: null }
+      });
+    }
+
     // Check if folder is still shared with any courses
     const remainingShares = await FolderCourse.count({
       where: { folder_id: folderId }
@@ -2591,7 +4982,7 @@ export const getMaterialsWithFolders = async (req, res) => {
     if (sharedFolderIds.length > 0) {
       sharedFolders = await Folder.findAll({
         where: { id: { [Op.in]: sharedFolderIds } },
-        attributes: ['id', 'name', 'parent_id', 'is_shared'],
+        attributes: ['id', 'name', 'parent_id', 'is_shared', ...RELEASE_FIELDS],
         order: [['name', 'ASC']],
         raw: true
       });
@@ -2630,12 +5021,14 @@ export const getMaterialsWithFolders = async (req, res) => {
       });
     }
 
-    // Sign URLs for authenticated access
-    const signedDirectMaterials = signUrlsInArray(directMaterials, 'file_url', 'material');
-    const signedFolderMaterials = signUrlsInArray(folderMaterials, 'file_url', 'material');
+    const plainDirectMaterials = directMaterials.map(m => m.get({ plain: true }));
+    const plainFolderMaterials = folderMaterials.map(m => m.get({ plain: true }));
+
+    // "Hidden until ..." indicators
+    await attachReleaseSummaries([...plainDirectMaterials, ...plainFolderMaterials, ...sharedFoldersForTree]);
 
     // Build folder tree with ONLY folders shared with this course
-    const folderTree = buildFolderTreeWithMaterials(sharedFoldersForTree, signedFolderMaterials);
+    const folderTree = buildFolderTreeWithMaterials(sharedFoldersForTree, plainFolderMaterials);
 
     // Get all teacher's courses for sharing folders
     const teacherCourseIds = await teacherService.getCourseIds(teacherId);
@@ -2649,8 +5042,9 @@ export const getMaterialsWithFolders = async (req, res) => {
       user: req.user,
       course,
       courses: allCourses,
-      materials: signedDirectMaterials,
+      materials: plainDirectMaterials,
       folderTree,
+      prerequisiteOptions: await getPrerequisiteOptions(courseId),
       canEdit,
       pageTitle: `Materials - ${course.title}`,
       success: req.query.success,
@@ -2743,6 +5137,11 @@ export const uploadMaterialToFolder = async (req, res) => {
       return res.redirect(`/teacher/folders?error=Title is required`);
     }
 
+    const release = await parseReleaseInput(req.body, { courseIds: sharedCourseIds });
+    if (release.error) {
+      return res.redirect(`/teacher/folders?error=${encodeURIComponent(release.error)}`);
+    }
+
     let fileUrl = material_url || '';
     let fileType = 'url';
 
@@ -2757,14 +5156,18 @@ export const uploadMaterialToFolder = async (req, res) => {
     }
 
     // Create material in folder (no course_id)
-    await Material.create({
+    const material = await Material.create({
       folder_id: folderId,
       course_id: null,
       title: title.trim(),
       description: description ? description.trim() : null,
       file_url: fileUrl,
-      file_type: fileType
+      file_type: fileType,
+      ...release.values
     });
+    await recordInitialVersion(material, req.user.id);
+
+    notifyNewMaterial(material);
 
     // Redirect back to the materials page for the course if provided
     if (course_id) {
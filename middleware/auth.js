@@ -4,6 +4,8 @@
  */
 
 import { User } from '../models/index.js';
+import { isTwoFactorEnabled, isTwoFactorRequired } from '../services/twoFactorService.js';
+import { findCurrentSession, touchSession } from '../services/sessionService.js';
 
 /**
  * Check if user is authenticated and session is valid
@@ -15,7 +17,6 @@ export const isAuthenticated = async (req, res, next) => {
   }
 
   try {
-    // Check if the current session matches the user's active session
     const user = await User.findByPk(req.user.id);
     
     if (!user) {
@@ -27,15 +28,35 @@ export const isAuthenticated = async (req, res, next) => {
       return;
     }
 
-    // If active_session_id doesn't match current session, another device has logged in
-    if (user.active_session_id && user.active_session_id !== req.sessionID) {
+    // The session must still be one of the user's active sessions: it is removed when
+    // signed out from another device or pushed out by the role's session limit
+    const userSession = await findCurrentSession(req, user);
+    if (!userSession) {
       req.logout(() => {
-        req.session.error_msg = 'Your account has been logged in from another device. Please login again.';
+        req.session.error_msg = 'Your session was ended because your account signed in on another device or was signed out remotely. Please login again.';
         return res.redirect('/auth/login');
       });
       return;
     }
 
+    touchSession(req, userSession).catch(error => {
+      console.error('Session touch error:', error.message);
+    });
+
+    // Bulk-imported accounts and admin resets must pick their own password first,
+    // and roles that require two-factor authentication must set it up.
+    // Both are done on the change password page.
+    const path = req.originalUrl.split('?')[0];
+    const onAccountSetupPage = path === '/auth/change-password' || path.startsWith('/auth/two-factor/');
+    if (!onAccountSetupPage) {
+      if (user.must_change_password) {
+        return res.redirect('/auth/change-password');
+      }
+      if (!isTwoFactorEnabled(user) && await isTwoFactorRequired(user.role)) {
+        return res.redirect('/auth/change-password');
+      }
+    }
+
     return next();
   } catch (error) {
     console.error('Session validation error:', error);
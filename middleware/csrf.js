@@ -0,0 +1,95 @@
+/**
+ * CSRF Protection Middleware
+ * Synchronizer-token protection for every state-changing request
+ *
+ * Each session gets one random token, exposed to views as `csrfToken`.
+ * POST/PUT/PATCH/DELETE requests must send it back as:
+ * - a hidden `_csrf` field (urlencoded forms and JSON bodies)
+ * - an `X-CSRF-Token` header (fetch/XHR calls, AdminJS)
+ * - a `_csrf` query parameter (multipart forms - their body is only parsed
+ *   by multer inside the route, after the files were already uploaded)
+ *
+ * passport regenerates the session on login and logout, so the token changes
+ * with it.
+ */
+
+import crypto from 'crypto';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the session's token, creating it on first use
+ * @param {Object} req - Express request
+ * @returns {string} - CSRF token
+ */
+const getSessionToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+};
+
+/**
+ * Read the token sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - Submitted token
+ */
+const getSubmittedToken = (req) => {
+  const token = (req.body && req.body._csrf) || req.get('X-CSRF-Token') || (req.query && req.query._csrf);
+  return typeof token === 'string' ? token : null;
+};
+
+/**
+ * Compare tokens in constant time
+ * @param {string} expected - Session token
+ * @param {string} actual - Submitted token
+ * @returns {boolean} - True if they match
+ */
+const tokensMatch = (expected, actual) => {
+  if (!expected || !actual || expected.length !== actual.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+/**
+ * Issue the token to views and verify it on state-changing requests
+ * Must run after the session middleware. Failures are passed on as a 403
+ * error with code EBADCSRFTOKEN (see csrfErrorHandler).
+ */
+export const csrfProtection = (req, res, next) => {
+  if (!req.session) {
+    return next(new Error('CSRF protection requires the session middleware'));
+  }
+
+  req.csrfToken = () => getSessionToken(req);
+  res.locals.csrfToken = req.csrfToken();
+
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!tokensMatch(req.session.csrfToken, getSubmittedToken(req))) {
+    const error = new Error('Invalid or missing CSRF token');
+    error.code = 'EBADCSRFTOKEN';
+    error.statusCode = 403;
+    return next(error);
+  }
+
+  // Keep the token out of request data handed to controllers
+  if (req.body && req.body._csrf) {
+    delete req.body._csrf;
+  }
+
+  next();
+};
+
+/**
+ * Return the session's token as JSON
+ * For scripts that cannot get it from a rendered page (AdminJS)
+ */
+export const sendCsrfToken = (req, res) => {
+  res.json({ csrfToken: req.csrfToken() });
+};
+
+export default csrfProtection;
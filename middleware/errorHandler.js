@@ -140,6 +140,35 @@ const errorHandler = (err, req, res, next) => {
   }
 };
 
+/**
+ * CSRF Error Handler
+ * Rejects requests without a valid CSRF token (see middleware/csrf.js) with a 403
+ * Page forms get the 403 page, fetch/XHR calls get JSON they can show to the user.
+ * Usually the page was open longer than the session lasted, so the fix is a reload.
+ */
+export const csrfErrorHandler = (err, req, res, next) => {
+  if (err.code !== 'EBADCSRFTOKEN') {
+    return next(err);
+  }
+
+  console.warn(`CSRF token rejected: ${req.method} ${req.path} from ${req.ip}`);
+
+  const message = 'Your session has expired or this page is out of date. Please reload the page and try again.';
+  const wantsJson = req.xhr || req.is('application/json') || req.get('X-CSRF-Token') !== undefined || !req.accepts('html');
+
+  if (wantsJson) {
+    return res.status(403).json({
+      success: false,
+      message
+    });
+  }
+
+  res.status(403).render('error/403', {
+    message,
+    user: req.user || null
+  });
+};
+
 /**
  * Custom Error Class for Operational Errors
  */
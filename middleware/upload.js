@@ -1,92 +1,38 @@
 /**
- * Upload Middleware using Multer + Cloudinary Storage
+ * Upload Middleware using Multer + the storage service
  * Handles file uploads for materials and assignment submissions
+ * Files go to the driver selected by STORAGE_DRIVER (Cloudinary, local disk or S3)
  */
 
 import multer from 'multer';
-import { CloudinaryStorage } from 'multer-storage-cloudinary';
-import cloudinary from '../config/cloudinary.js';
+import { createStorageEngine } from '../services/storage/index.js';
+import { Assignment } from '../models/index.js';
+import { getUploadSettings } from '../services/submissionService.js';
 
 /**
- * Cloudinary Storage Configuration for Materials (PDFs, Documents, Presentations)
+ * Storage for Materials (PDFs, Documents, Presentations, Images)
  * Used by teachers to upload course materials
- * Uses 'authenticated' type for security - files require signed URLs to access
- * Uses 'raw' resource_type for documents (PDFs, DOC, etc.)
  */
-const materialStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: async (req, file) => {
-    // Generate unique filename - DON'T include extension in public_id
-    const fileExtension = file.originalname.split('.').pop().toLowerCase();
-    const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-    
-    // Determine resource type based on file type
-    // Images use 'image', documents use 'raw'
-    const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'];
-    const resourceType = imageExtensions.includes(fileExtension) ? 'image' : 'raw';
-    
-    return {
-      folder: 'lms-uploads/materials',
-      resource_type: resourceType,
-      public_id: uniqueName,
-      format: fileExtension,
-      use_filename: false,
-      type: 'upload' // Public upload
-    };
-  }
-});
+const materialStorage = createStorageEngine('materials');
 
 /**
- * Cloudinary Storage Configuration for Assignment Materials
+ * Storage for Assignment Materials
  * Used by teachers to upload assignment reference materials
- * Uses 'authenticated' type for security - files require signed URLs to access
  */
-const assignmentMaterialStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: async (req, file) => {
-    // Generate unique filename - DON'T include extension in public_id
-    const fileExtension = file.originalname.split('.').pop().toLowerCase();
-    const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-    
-    // Determine resource type based on file type
-    const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'];
-    const resourceType = imageExtensions.includes(fileExtension) ? 'image' : 'raw';
-    
-    return {
-      folder: 'lms-uploads/assignments',
-      resource_type: resourceType,
-      public_id: uniqueName,
-      format: fileExtension,
-      use_filename: false,
-      type: 'upload' // Public upload
-    };
-  }
-});
+const assignmentMaterialStorage = createStorageEngine('assignments');
+
+/**
+ * Storage for Announcement Attachments
+ * Used by teachers to attach files to course announcements
+ */
+const announcementStorage = createStorageEngine('announcements');
 
 /**
- * Cloudinary Storage Configuration for Assignment Submissions
+ * Storage for Assignment Submissions
  * Used by students to submit assignment files
- * Uses 'authenticated' type for security - files require signed URLs to access
+ * Submissions are typically documents, so images are kept as plain files too
  */
-const submissionStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: async (req, file) => {
-    // Generate unique filename - DON'T include extension in public_id
-    const fileExtension = file.originalname.split('.').pop().toLowerCase();
-    const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-    
-    // Submissions are typically documents, so use 'raw'
-    // Even if it's an image, 'raw' works fine for downloading
-    return {
-      folder: 'lms-uploads/submissions',
-      resource_type: 'raw',
-      public_id: uniqueName,
-      format: fileExtension,
-      use_filename: false,
-      type: 'upload' // Public upload
-    };
-  }
-});
+const submissionStorage = createStorageEngine('submissions', { resourceType: 'raw' });
 
 /**
  * File Filter Function
@@ -161,17 +107,117 @@ const uploadAssignmentMaterials = multer({
 }).array('materials', 10); // Field name: 'materials', max 10 files
 
 /**
- * Upload Middleware for Assignment Submissions
- * Max file size: 10MB
- * Allowed formats: PDF, DOC, DOCX, TXT, ZIP
+ * Extension-based file filter for submissions
+ * Source files (.py, .java, .ipynb...) have unreliable MIME types, so the
+ * extension is checked against the assignment's allowed types instead
  */
-const uploadSubmission = multer({
-  storage: submissionStorage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB
-  },
-  fileFilter: fileFilter(['pdf', 'doc', 'docx', 'txt', 'zip'])
-}).single('submission'); // Field name: 'submission'
+const extensionFilter = (allowedTypes) => {
+  return (req, file, cb) => {
+    const fileExtension = file.originalname.includes('.')
+      ? file.originalname.split('.').pop().toLowerCase()
+      : '';
+
+    if (allowedTypes.includes(fileExtension)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type for "${file.originalname}". Allowed types: ${allowedTypes.join(', ')}`), false);
+    }
+  };
+};
+
+/**
+ * Upload Middleware for Assignment Submissions (multiple files)
+ * Limits come from the assignment (allowed_file_types, max_files, max_file_size_mb)
+ * Field name: 'submission'. Errors are returned as JSON like the submit endpoint.
+ */
+const uploadSubmission = async (req, res, next) => {
+  try {
+    const assignment = await Assignment.findByPk(req.params.id, {
+      attributes: ['id', 'allowed_file_types', 'max_files', 'max_file_size_mb']
+    });
+    const settings = getUploadSettings(assignment);
+
+    const upload = multer({
+      storage: submissionStorage,
+      limits: {
+        fileSize: settings.maxFileSizeMb * 1024 * 1024,
+        files: settings.maxFiles
+      },
+      fileFilter: extensionFilter(settings.allowedTypes)
+    }).array('submission', settings.maxFiles);
+
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        let message = `Upload error: ${err.message}`;
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          message = `Each file must be ${settings.maxFileSizeMb}MB or smaller`;
+        } else if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          message = `You can upload at most ${settings.maxFiles} file${settings.maxFiles !== 1 ? 's' : ''}`;
+        }
+        return res.status(400).json({ success: false, message });
+      } else if (err) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      next();
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload Middleware for Announcement Attachments (multiple files)
+ * Max file size: 10MB per file, up to 5 files
+ * Allowed formats: PDF, DOC, DOCX, PPT, PPTX, TXT, ZIP, Images (JPG, PNG, GIF, WEBP)
+ * Field name: 'attachments'. The form posts from the course page, so errors
+ * redirect back there instead of returning JSON.
+ */
+const MAX_ANNOUNCEMENT_ATTACHMENTS = 5;
+
+const uploadAnnouncementAttachments = (req, res, next) => {
+  const upload = multer({
+    storage: announcementStorage,
+    limits: {
+      fileSize: 10 * 1024 * 1024, // 10MB per file
+      files: MAX_ANNOUNCEMENT_ATTACHMENTS
+    },
+    fileFilter: (req, file, cb) => {
+      const allowedMimeTypes = [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'text/plain',
+        'application/zip',
+        'image/jpeg',
+        'image/jpg',
+        'image/png',
+        'image/gif',
+        'image/webp'
+      ];
+
+      if (allowedMimeTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error(`Invalid file type for "${file.originalname}". Allowed: PDF, DOC, DOCX, PPT, PPTX, TXT, ZIP, JPG, PNG, GIF, WEBP`), false);
+      }
+    }
+  }).array('attachments', MAX_ANNOUNCEMENT_ATTACHMENTS);
+
+  upload(req, res, (err) => {
+    if (err) {
+      let message = err instanceof multer.MulterError ? `Upload error: ${err.message}` : err.message;
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        message = 'Each attachment must be 10MB or smaller';
+      } else if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        message = `You can attach at most ${MAX_ANNOUNCEMENT_ATTACHMENTS} files`;
+      }
+      return res.redirect(`/teacher/courses/${req.params.id}?error=${encodeURIComponent(message)}`);
+    }
+    next();
+  });
+};
 
 /**
  * Multer configuration for CSV file uploads (in-memory storage)
@@ -228,11 +274,12 @@ const handleUpload = (uploadMiddleware) => {
 /**
  * Export upload middleware with error handling
  */
-export { uploadMaterial, uploadAssignmentMaterials, uploadSubmission, uploadCsv };
+export { uploadMaterial, uploadAssignmentMaterials, uploadSubmission, uploadAnnouncementAttachments, uploadCsv };
 
 export default {
   uploadMaterial: handleUpload(uploadMaterial),
   uploadAssignmentMaterials: handleUpload(uploadAssignmentMaterials),
-  uploadSubmission: handleUpload(uploadSubmission),
+  uploadSubmission,
+  uploadAnnouncementAttachments,
   uploadCsv: handleUpload(uploadCsv)
 };
@@ -0,0 +1,17 @@
+-- Migration: Configurable max points and extra credit per assignment
+-- Purpose: Assignments are marked out of their own max_points (e.g., 10, 25, 40) with optional bonus points
+-- Date: 2026-10-19
+-- Note: Existing assignments default to 100 points, so their 0-100 marks keep the same meaning.
+
+ALTER TABLE assignments
+ADD COLUMN max_points DECIMAL(6,2) NOT NULL DEFAULT 100
+COMMENT 'Points a submission is marked out of (marks are stored in points)'
+AFTER max_file_size_mb,
+ADD COLUMN extra_credit_points DECIMAL(6,2) NOT NULL DEFAULT 0
+COMMENT 'Bonus points that may be awarded above max_points'
+AFTER max_points;
+
+-- Marks are now points and can exceed 100 (up to max_points + extra_credit_points)
+ALTER TABLE submissions
+MODIFY COLUMN marks DECIMAL(7,2) NULL
+COMMENT 'Raw points out of the assignment max_points (before any late penalty)';
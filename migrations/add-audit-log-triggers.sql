@@ -0,0 +1,17 @@
+-- Migration: Make the audit log append-only at the database level
+-- Purpose: Stop audit entries from being changed or removed, even outside the application
+-- Date: 2026-10-19
+-- Note: The audit_logs table itself is created by sequelize.sync().
+
+DROP TRIGGER IF EXISTS audit_logs_no_update;
+DROP TRIGGER IF EXISTS audit_logs_no_delete;
+
+CREATE TRIGGER audit_logs_no_update
+BEFORE UPDATE ON audit_logs
+FOR EACH ROW
+SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_logs is append-only';
+
+CREATE TRIGGER audit_logs_no_delete
+BEFORE DELETE ON audit_logs
+FOR EACH ROW
+SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_logs is append-only';
@@ -0,0 +1,25 @@
+-- Migration: Course modules (ordered weeks/units)
+-- Purpose: Teachers group materials, assignments and announcements into an ordered syllabus
+-- Date: 2026-10-19
+-- Note: The course_modules table itself is created by sequelize.sync().
+
+ALTER TABLE materials
+ADD COLUMN module_id INT NULL
+COMMENT 'Course module (week/unit) the material is listed under; NULL = none'
+AFTER prerequisite_assignment_id,
+ADD CONSTRAINT fk_materials_module
+FOREIGN KEY (module_id) REFERENCES course_modules(id) ON DELETE SET NULL;
+
+ALTER TABLE assignments
+ADD COLUMN module_id INT NULL
+COMMENT 'Course module (week/unit) the assignment is listed under; NULL = none'
+AFTER prerequisite_assignment_id,
+ADD CONSTRAINT fk_assignments_module
+FOREIGN KEY (module_id) REFERENCES course_modules(id) ON DELETE SET NULL;
+
+ALTER TABLE announcements
+ADD COLUMN module_id INT NULL
+COMMENT 'Course module (week/unit) the announcement is listed under; NULL = none'
+AFTER publish_at,
+ADD CONSTRAINT fk_announcements_module
+FOREIGN KEY (module_id) REFERENCES course_modules(id) ON DELETE SET NULL;
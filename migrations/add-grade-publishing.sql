@@ -0,0 +1,18 @@
+-- Migration: Add draft/published workflow to final course grades
+-- Purpose: Final grades stay hidden from students until the teacher publishes them
+-- Date: 2026-10-19
+-- Note: Only needed for databases that already have a `grades` table.
+--       Fresh installs get these columns from sequelize.sync().
+
+ALTER TABLE grades
+ADD COLUMN status ENUM('draft', 'published') NOT NULL DEFAULT 'draft'
+COMMENT 'draft = visible to teachers only, published = visible to the student'
+AFTER remarks,
+ADD COLUMN graded_by INT NULL AFTER status,
+ADD COLUMN published_at DATETIME NULL AFTER graded_by;
+
+ALTER TABLE grades
+ADD CONSTRAINT fk_grades_graded_by FOREIGN KEY (graded_by) REFERENCES users(id);
+
+-- One final grade per student per course
+CREATE UNIQUE INDEX unique_course_student_grade ON grades(course_id, student_id);
@@ -0,0 +1,19 @@
+-- Migration: Add weighted grade categories and per-course letter scales
+-- Purpose: Suggested grades computed from category weights, drop-lowest rules and course cutoffs
+-- Date: 2026-10-19
+-- Note: The grade_categories table itself is created by sequelize.sync().
+
+-- Letter grade cutoffs per course (NULL = default scale)
+ALTER TABLE courses
+ADD COLUMN grading_scale JSON NULL
+COMMENT 'Letter grade cutoffs, e.g. [{ "letter": "A", "min": 85 }, ...]; NULL = default scale'
+AFTER semester;
+
+-- Grade category for each assignment (NULL = uncategorized)
+ALTER TABLE assignments
+ADD COLUMN category_id INT NULL
+COMMENT 'Grade category (weight group); NULL = uncategorized'
+AFTER deadline;
+
+ALTER TABLE assignments
+ADD CONSTRAINT fk_assignments_category FOREIGN KEY (category_id) REFERENCES grade_categories(id) ON DELETE SET NULL;
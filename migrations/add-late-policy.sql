@@ -0,0 +1,24 @@
+-- Migration: Add late submission policy to assignments and late flag to submissions
+-- Purpose: Grace period after the deadline with an automatic per-day/hour penalty
+-- Date: 2026-10-19
+
+ALTER TABLE assignments
+ADD COLUMN late_cutoff DATETIME NULL
+COMMENT 'Late submissions accepted until this time; NULL = no late submissions'
+AFTER deadline,
+ADD COLUMN late_penalty_percent DECIMAL(5,2) NOT NULL DEFAULT 0
+COMMENT 'Percentage of full marks deducted per late day/hour'
+AFTER late_cutoff,
+ADD COLUMN late_penalty_unit ENUM('day', 'hour') NOT NULL DEFAULT 'day'
+AFTER late_penalty_percent;
+
+ALTER TABLE submissions
+ADD COLUMN is_late BOOLEAN NOT NULL DEFAULT FALSE
+COMMENT 'Submitted after the deadline (within the late cutoff)'
+AFTER submitted_at;
+
+-- Flag existing submissions that came in after the deadline
+UPDATE submissions s
+JOIN assignments a ON a.id = s.assignment_id
+SET s.is_late = TRUE
+WHERE s.submitted_at > a.deadline;
@@ -0,0 +1,14 @@
+-- Migration: Add login lockout tracking to users table
+-- Purpose: Count failed logins per account and lock the account temporarily after too many
+-- Date: 2026-10-19
+-- Note: The login_attempts table itself is created by sequelize.sync().
+
+ALTER TABLE users
+ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0
+COMMENT 'Consecutive failed logins since the last success or lockout'
+AFTER must_change_password,
+ADD COLUMN last_failed_login_at DATETIME NULL
+AFTER failed_login_count,
+ADD COLUMN locked_until DATETIME NULL
+COMMENT 'Login is refused until this time after too many failed attempts'
+AFTER last_failed_login_at;
@@ -0,0 +1,19 @@
+-- Migration: Keep every version of a course material
+-- Purpose: Teachers can upload a new version (with notes) or revert without the material's link changing
+-- Date: 2026-10-19
+-- Note: The material_versions table itself is created by sequelize.sync().
+
+ALTER TABLE materials
+ADD COLUMN current_version INT NOT NULL DEFAULT 1
+COMMENT 'Version number of the file in file_url (see material_versions)'
+AFTER description,
+ADD COLUMN version_updated_at DATETIME NULL
+COMMENT 'When the file was last replaced; NULL if it never was'
+AFTER current_version;
+
+-- Existing materials become version 1 of their history
+INSERT INTO material_versions (material_id, version_number, file_url, file_type, created_at, updated_at)
+SELECT m.id, 1, m.file_url, m.file_type, m.created_at, NOW()
+FROM materials m
+LEFT JOIN material_versions v ON v.material_id = m.id
+WHERE v.id IS NULL;
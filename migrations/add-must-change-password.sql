@@ -0,0 +1,8 @@
+-- Migration: Add must_change_password to users table
+-- Purpose: Force bulk-imported accounts and admin resets to choose their own password on first login
+-- Date: 2026-10-19
+
+ALTER TABLE users
+ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0
+COMMENT 'Set for bulk-imported accounts and admin resets - the user must pick a new password before using the app'
+AFTER active_session_id;
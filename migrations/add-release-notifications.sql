@@ -0,0 +1,20 @@
+-- Migration: Announce scheduled materials and assignments when they are released
+-- Purpose: Track which items students have been notified about, so held-back items are announced once on release
+-- Date: 2026-10-19
+
+ALTER TABLE materials
+ADD COLUMN release_notified_at DATETIME NULL
+COMMENT 'When students were told about the new material; NULL = not yet (e.g. scheduled for later)'
+AFTER prerequisite_assignment_id;
+
+ALTER TABLE assignments
+ADD COLUMN release_notified_at DATETIME NULL
+COMMENT 'When students were told about the new assignment; NULL = not yet (e.g. scheduled for later)'
+AFTER prerequisite_assignment_id;
+
+-- Items that are already visible were announced when they were created (or never need to be)
+UPDATE materials SET release_notified_at = created_at
+WHERE visible_from IS NULL OR visible_from <= NOW();
+
+UPDATE assignments SET release_notified_at = created_at
+WHERE visible_from IS NULL OR visible_from <= NOW();
@@ -0,0 +1,42 @@
+-- Migration: Scheduled and conditional release for materials, folders and assignments
+-- Purpose: Teachers can hide items from students until/after a date, or until a prerequisite assignment is submitted
+-- Date: 2026-10-19
+
+ALTER TABLE materials
+ADD COLUMN visible_from DATETIME NULL
+COMMENT 'Hidden from students before this time; NULL = visible right away'
+AFTER version_updated_at,
+ADD COLUMN visible_until DATETIME NULL
+COMMENT 'Hidden from students after this time; NULL = no end'
+AFTER visible_from,
+ADD COLUMN prerequisite_assignment_id INT NULL
+COMMENT 'Shown to a student only after they submit this assignment; NULL = no condition'
+AFTER visible_until,
+ADD CONSTRAINT fk_materials_prerequisite
+FOREIGN KEY (prerequisite_assignment_id) REFERENCES assignments(id) ON DELETE SET NULL;
+
+ALTER TABLE folders
+ADD COLUMN visible_from DATETIME NULL
+COMMENT 'Hidden (with its contents) from students before this time; NULL = visible right away'
+AFTER is_shared,
+ADD COLUMN visible_until DATETIME NULL
+COMMENT 'Hidden (with its contents) from students after this time; NULL = no end'
+AFTER visible_from,
+ADD COLUMN prerequisite_assignment_id INT NULL
+COMMENT 'Shown to a student only after they submit this assignment; NULL = no condition'
+AFTER visible_until,
+ADD CONSTRAINT fk_folders_prerequisite
+FOREIGN KEY (prerequisite_assignment_id) REFERENCES assignments(id) ON DELETE SET NULL;
+
+ALTER TABLE assignments
+ADD COLUMN visible_from DATETIME NULL
+COMMENT 'Hidden from students before this time; NULL = visible right away'
+AFTER category_id,
+ADD COLUMN visible_until DATETIME NULL
+COMMENT 'Hidden from students after this time; NULL = no end'
+AFTER visible_from,
+ADD COLUMN prerequisite_assignment_id INT NULL
+COMMENT 'Shown to a student only after they submit this assignment; NULL = no condition'
+AFTER visible_until,
+ADD CONSTRAINT fk_assignments_prerequisite
+FOREIGN KEY (prerequisite_assignment_id) REFERENCES assignments(id) ON DELETE SET NULL;
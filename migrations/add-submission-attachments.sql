@@ -0,0 +1,16 @@
+-- Migration: Allow multiple file attachments per submission
+-- Purpose: Per-assignment allowed file types and max file count/size for submissions
+-- Date: 2026-10-19
+-- Note: The submission_attachments table itself is created by sequelize.sync().
+--       Single-file submissions made before this migration keep using file_url.
+
+ALTER TABLE assignments
+ADD COLUMN allowed_file_types VARCHAR(255) NULL
+COMMENT 'Comma-separated file extensions students may upload; NULL = default set'
+AFTER max_attempts,
+ADD COLUMN max_files INT NOT NULL DEFAULT 5
+COMMENT 'Maximum number of files per submission attempt'
+AFTER allowed_file_types,
+ADD COLUMN max_file_size_mb INT NOT NULL DEFAULT 10
+COMMENT 'Maximum size of each submitted file in MB'
+AFTER max_files;
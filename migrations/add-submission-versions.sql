@@ -0,0 +1,16 @@
+-- Migration: Keep every submission attempt and add a max-attempts limit per assignment
+-- Purpose: Resubmitting no longer overwrites (and deletes) the previous attempt
+-- Date: 2026-10-19
+-- Note: The submission_versions table itself is created by sequelize.sync().
+
+ALTER TABLE assignments
+ADD COLUMN max_attempts INT NULL
+COMMENT 'Maximum number of submission attempts; NULL = unlimited'
+AFTER late_penalty_unit;
+
+-- Existing submissions become attempt 1 of their history
+INSERT INTO submission_versions (submission_id, attempt_number, file_url, submission_text, submitted_at, is_late, created_at, updated_at)
+SELECT s.id, 1, s.file_url, s.submission_text, s.submitted_at, s.is_late, NOW(), NOW()
+FROM submissions s
+LEFT JOIN submission_versions v ON v.submission_id = s.id
+WHERE v.id IS NULL;
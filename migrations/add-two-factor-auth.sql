@@ -0,0 +1,14 @@
+-- Migration: Add TOTP two-factor authentication to users table
+-- Purpose: Let admins and teachers protect their accounts with an authenticator app
+-- Date: 2026-10-19
+-- Note: The two_factor_recovery_codes and two_factor_policies tables are created by sequelize.sync().
+
+ALTER TABLE users
+ADD COLUMN totp_secret VARCHAR(64) NULL
+COMMENT 'Base32 TOTP secret - set once two-factor authentication is enabled'
+AFTER locked_until,
+ADD COLUMN totp_enabled_at DATETIME NULL
+AFTER totp_secret,
+ADD COLUMN totp_last_step BIGINT NULL
+COMMENT 'Time step of the last accepted code, so a code cannot be used twice'
+AFTER totp_enabled_at;
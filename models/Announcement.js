@@ -0,0 +1,66 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const Announcement = sequelize.define('Announcement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'id'
+      }
+    },
+    author_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_pinned: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Pinned announcements are listed first'
+    },
+    publish_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Hidden from students until this time'
+    },
+    module_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'course_modules',
+        key: 'id'
+      },
+      comment: 'Course module (week/unit) the announcement is listed under; NULL = none'
+    }
+  }, {
+    tableName: 'announcements',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['course_id', 'publish_at']
+      }
+    ]
+  });
+
+  return Announcement;
+};
@@ -0,0 +1,42 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const AnnouncementAttachment = sequelize.define('AnnouncementAttachment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    announcement_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'announcements',
+        key: 'id'
+      }
+    },
+    file_url: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    original_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'File name as uploaded by the teacher'
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'announcement_attachments',
+    timestamps: true,
+    underscored: true
+  });
+
+  return AnnouncementAttachment;
+};
@@ -27,6 +27,121 @@ export default (sequelize) => {
       type: DataTypes.DATE,
       allowNull: false
     },
+    late_cutoff: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Late submissions accepted until this time; NULL = no late submissions'
+    },
+    late_penalty_percent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 100
+      },
+      comment: 'Percentage of full marks deducted per late day/hour'
+    },
+    late_penalty_unit: {
+      type: DataTypes.ENUM('day', 'hour'),
+      allowNull: false,
+      defaultValue: 'day'
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'Maximum number of submission attempts; NULL = unlimited'
+    },
+    allowed_file_types: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Comma-separated file extensions students may upload; NULL = default set'
+    },
+    max_files: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      validate: {
+        min: 1,
+        max: 20
+      },
+      comment: 'Maximum number of files per submission attempt'
+    },
+    max_file_size_mb: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 10,
+      validate: {
+        min: 1,
+        max: 50
+      },
+      comment: 'Maximum size of each submitted file in MB'
+    },
+    max_points: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      defaultValue: 100,
+      validate: {
+        min: 0.01,
+        max: 1000
+      },
+      comment: 'Points a submission is marked out of (marks are stored in points)'
+    },
+    extra_credit_points: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 1000
+      },
+      comment: 'Bonus points that may be awarded above max_points'
+    },
+    category_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'grade_categories',
+        key: 'id'
+      },
+      comment: 'Grade category (weight group); NULL = uncategorized'
+    },
+    visible_from: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hidden from students before this time; NULL = visible right away'
+    },
+    visible_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hidden from students after this time; NULL = no end'
+    },
+    prerequisite_assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'assignments',
+        key: 'id'
+      },
+      comment: 'Shown to a student only after they submit this assignment; NULL = no condition'
+    },
+    release_notified_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When students were told about the new assignment; NULL = not yet (e.g. scheduled for later)'
+    },
+    module_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'course_modules',
+        key: 'id'
+      },
+      comment: 'Course module (week/unit) the assignment is listed under; NULL = none'
+    },
     created_by: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -0,0 +1,91 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Append-only: entries can be created but never changed or removed
+ */
+const rejectChange = () => {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+export default (sequelize) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'User who performed the action - no foreign key, so entries outlive deleted users'
+    },
+    actor_username: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Username at the time of the action'
+    },
+    actor_role: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    action: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'What was done, e.g. user.bulk_delete, submission.grade'
+    },
+    target_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Kind of record acted on, e.g. user, submission, folder'
+    },
+    target_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    summary: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    before_values: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Changed fields before the action (NULL when the record was created)'
+    },
+    after_values: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Changed fields after the action (NULL when the record was deleted)'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    underscored: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['created_at']
+      },
+      {
+        fields: ['actor_id', 'created_at']
+      },
+      {
+        fields: ['target_type', 'target_id']
+      },
+      {
+        fields: ['action', 'created_at']
+      }
+    ],
+    hooks: {
+      beforeUpdate: rejectChange,
+      beforeBulkUpdate: rejectChange,
+      beforeDestroy: rejectChange,
+      beforeBulkDestroy: rejectChange
+    }
+  });
+
+  return AuditLog;
+};
@@ -24,6 +24,11 @@ export default (sequelize) => {
       type: DataTypes.STRING(20),
       allowNull: true,
       comment: 'e.g., "2024 Fall", "2025 Spring", "Semester 1"'
+    },
+    grading_scale: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Letter grade cutoffs, e.g. [{ "letter": "A", "min": 85 }, ...]; NULL = default scale'
     }
   }, {
     tableName: 'courses',
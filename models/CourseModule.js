@@ -0,0 +1,53 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const CourseModule = sequelize.define('CourseModule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      comment: 'e.g., "Week 1: Introduction"'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Order of the module in the course (0 = first)'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'course_modules',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['course_id', 'position']
+      }
+    ]
+  });
+
+  return CourseModule;
+};
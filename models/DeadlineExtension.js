@@ -0,0 +1,89 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const DeadlineExtension = sequelize.define('DeadlineExtension', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'assignments',
+        key: 'id'
+      }
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Set for an individual extension (exclusive with batch_id)'
+    },
+    batch_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'batches',
+        key: 'id'
+      },
+      comment: 'Set for a batch-wide extension (exclusive with student_id)'
+    },
+    extended_deadline: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Effective deadline for the student or batch (UTC)'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Why the extension was granted (e.g., medical accommodation)'
+    },
+    granted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Extensions are never deleted; revoking keeps the audit trail'
+    },
+    revoked_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'deadline_extensions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['assignment_id', 'student_id']
+      },
+      {
+        fields: ['assignment_id', 'batch_id']
+      }
+    ],
+    validate: {
+      singleTarget() {
+        if (!this.student_id === !this.batch_id) {
+          throw new Error('An extension must target either a student or a batch');
+        }
+      }
+    }
+  });
+
+  return DeadlineExtension;
+};
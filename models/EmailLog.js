@@ -0,0 +1,59 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const EmailLog = sequelize.define('EmailLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('new_assignment', 'deadline_reminder', 'grade_posted', 'new_material'),
+      allowNull: false
+    },
+    dedupe_key: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+      comment: 'Identifies one-off emails (e.g. a deadline reminder) so they are only sent once'
+    },
+    to_address: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('sent', 'failed'),
+      allowNull: false
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'email_logs',
+    timestamps: true,
+    underscored: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['dedupe_key']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return EmailLog;
+};
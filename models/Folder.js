@@ -24,6 +24,25 @@ export default (sequelize) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
       comment: 'True if folder is shared with multiple courses'
+    },
+    visible_from: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hidden (with its contents) from students before this time; NULL = visible right away'
+    },
+    visible_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hidden (with its contents) from students after this time; NULL = no end'
+    },
+    prerequisite_assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'assignments',
+        key: 'id'
+      },
+      comment: 'Shown to a student only after they submit this assignment; NULL = no condition'
     }
   }, {
     tableName: 'folders',
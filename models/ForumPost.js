@@ -0,0 +1,70 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const ForumPost = sequelize.define('ForumPost', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    topic_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'forum_topics',
+        key: 'id'
+      }
+    },
+    parent_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'forum_posts',
+        key: 'id'
+      },
+      comment: 'Post this one replies to (null = reply to the topic)'
+    },
+    author_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_anonymous: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Author hidden from other students (teachers still see it)'
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Removed by a teacher; kept so replies stay threaded'
+    },
+    deleted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'forum_posts',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['topic_id']
+      }
+    ]
+  });
+
+  return ForumPost;
+};
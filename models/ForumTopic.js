@@ -0,0 +1,85 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const ForumTopic = sequelize.define('ForumTopic', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'id'
+      }
+    },
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'assignments',
+        key: 'id'
+      },
+      comment: 'Set for Q&A threads about one assignment'
+    },
+    author_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_anonymous: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Author hidden from other students (teachers still see it)'
+    },
+    is_pinned: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_locked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Locked topics take no new replies from students'
+    },
+    answer_post_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Reply a teacher marked as the answer'
+    },
+    last_activity_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'forum_topics',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['course_id', 'last_activity_at']
+      },
+      {
+        fields: ['assignment_id']
+      }
+    ]
+  });
+
+  return ForumTopic;
+};
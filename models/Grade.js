@@ -25,16 +25,50 @@ export default (sequelize) => {
     },
     grade: {
       type: DataTypes.STRING(10),
-      allowNull: false
+      allowNull: false,
+      comment: 'Letter grade (A-F with optional +/-) or numeric percentage (0-100)'
     },
     remarks: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'published'),
+      allowNull: false,
+      defaultValue: 'draft',
+      comment: 'draft = visible to teachers only, published = visible to the student'
+    },
+    graded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    published_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'grades',
     timestamps: true,
-    underscored: true
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['course_id', 'student_id'],
+        name: 'unique_course_student_grade'
+      }
+    ],
+    hooks: {
+      beforeSave: (grade) => {
+        // Stamp publish time when a grade moves to published, clear it when reverted to draft
+        if (grade.changed('status')) {
+          grade.published_at = grade.status === 'published' ? new Date() : null;
+        }
+      }
+    }
   });
 
   return Grade;
@@ -0,0 +1,56 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const GradeCategory = sequelize.define('GradeCategory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'e.g., "Homework", "Labs", "Midterm", "Final Exam"'
+    },
+    weight: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 100
+      },
+      comment: 'Percentage of the final grade contributed by this category'
+    },
+    drop_lowest: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'Number of lowest graded assignments to ignore in this category'
+    }
+  }, {
+    tableName: 'grade_categories',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['course_id', 'name'],
+        name: 'unique_course_category_name'
+      }
+    ]
+  });
+
+  return GradeCategory;
+};
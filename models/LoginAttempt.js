@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const LoginAttempt = sequelize.define('LoginAttempt', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    identifier: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Username or email as entered on the login form (lowercased)'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'NULL when no account matches the identifier'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    successful: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'login_attempts',
+    timestamps: true,
+    underscored: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['ip_address', 'created_at']
+      },
+      {
+        fields: ['identifier', 'created_at']
+      }
+    ]
+  });
+
+  return LoginAttempt;
+};
@@ -40,6 +40,50 @@ export default (sequelize) => {
     description: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    current_version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Version number of the file in file_url (see material_versions)'
+    },
+    version_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the file was last replaced; NULL if it never was'
+    },
+    visible_from: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hidden from students before this time; NULL = visible right away'
+    },
+    visible_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Hidden from students after this time; NULL = no end'
+    },
+    prerequisite_assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'assignments',
+        key: 'id'
+      },
+      comment: 'Shown to a student only after they submit this assignment; NULL = no condition'
+    },
+    release_notified_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When students were told about the new material; NULL = not yet (e.g. scheduled for later)'
+    },
+    module_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'course_modules',
+        key: 'id'
+      },
+      comment: 'Course module (week/unit) the material is listed under; NULL = none'
     }
   }, {
     tableName: 'materials',
@@ -0,0 +1,67 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const MaterialVersion = sequelize.define('MaterialVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    material_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'materials',
+        key: 'id'
+      }
+    },
+    version_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      },
+      comment: '1 for the original upload, incremented on every new version or revert'
+    },
+    file_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    file_type: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      comment: 'File extension: pdf, doc, docx, ppt, pptx, txt, url'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'What changed in this version'
+    },
+    reverted_from: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Version number this version restores, if it is a revert'
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'material_versions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['material_id', 'version_number'],
+        name: 'unique_material_version'
+      }
+    ]
+  });
+
+  return MaterialVersion;
+};
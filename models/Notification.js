@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const Notification = sequelize.define('Notification', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('new_assignment', 'deadline_changed', 'grade_posted', 'new_material', 'folder_shared'),
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    link: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'App path opened when the notification is clicked'
+    },
+    read_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'notifications',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'read_at']
+      }
+    ]
+  });
+
+  return Notification;
+};
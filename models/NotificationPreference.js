@@ -0,0 +1,46 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const NotificationPreference = sequelize.define('NotificationPreference', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    email_new_assignment: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    email_deadline_reminder: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    email_grade_posted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    email_new_material: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'notification_preferences',
+    timestamps: true,
+    underscored: true
+  });
+
+  return NotificationPreference;
+};
@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const PasswordResetToken = sequelize.define('PasswordResetToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 of the token sent by email - the token itself is never stored'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    requested_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'password_reset_tokens',
+    timestamps: true,
+    underscored: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  return PasswordResetToken;
+};
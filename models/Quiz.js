@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const Quiz = sequelize.define('Quiz', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'assignments',
+        key: 'id'
+      },
+      comment: 'The assignment holds title, deadline, points, attempts and late policy'
+    },
+    time_limit_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+        max: 600
+      },
+      comment: 'Minutes per attempt; NULL = no time limit'
+    },
+    shuffle_questions: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Give every attempt its own random question order'
+    },
+    show_correct_answers: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Show correct answers and explanations with the results'
+    }
+  }, {
+    tableName: 'quizzes',
+    timestamps: true,
+    underscored: true
+  });
+
+  return Quiz;
+};
@@ -0,0 +1,97 @@
+import { DataTypes } from 'sequelize';
+
+// Some MySQL drivers return JSON columns as strings (a plain text value is kept as is)
+const parseJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+export default (sequelize) => {
+  const QuizAttempt = sequelize.define('QuizAttempt', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quiz_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'quizzes',
+        key: 'id'
+      }
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    attempt_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    question_order: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Question IDs in the order this attempt shows them',
+      get() {
+        return parseJson(this.getDataValue('question_order'));
+      }
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Time limit or closing time of the quiz, whichever is earlier; NULL = open-ended'
+    },
+    submitted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'NULL while the attempt is in progress'
+    },
+    score: {
+      type: DataTypes.DECIMAL(7, 2),
+      allowNull: true,
+      comment: 'Points earned on the quiz questions'
+    },
+    max_score: {
+      type: DataTypes.DECIMAL(7, 2),
+      allowNull: true,
+      comment: 'Total points of the questions in this attempt'
+    },
+    is_late: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'quiz_attempts',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['quiz_id', 'student_id', 'attempt_number'],
+        name: 'unique_quiz_student_attempt'
+      }
+    ]
+  });
+
+  return QuizAttempt;
+};
@@ -0,0 +1,46 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const QuizItem = sequelize.define('QuizItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quiz_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'quizzes',
+        key: 'id'
+      }
+    },
+    question_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'quiz_questions',
+        key: 'id'
+      }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Display order when questions are not shuffled'
+    }
+  }, {
+    tableName: 'quiz_items',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['quiz_id', 'question_id'],
+        name: 'unique_quiz_question'
+      }
+    ]
+  });
+
+  return QuizItem;
+};
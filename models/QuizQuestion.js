@@ -0,0 +1,92 @@
+import { DataTypes } from 'sequelize';
+
+// Some MySQL drivers return JSON columns as strings (a plain text value is kept as is)
+const parseJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+export default (sequelize) => {
+  const QuizQuestion = sequelize.define('QuizQuestion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'id'
+      },
+      comment: 'Question bank the question belongs to'
+    },
+    type: {
+      type: DataTypes.ENUM('multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_answer'),
+      allowNull: false
+    },
+    prompt: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    options: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Answer choices for multiple_choice / multi_select, e.g. ["Red", "Green"]',
+      get() {
+        return parseJson(this.getDataValue('options'));
+      }
+    },
+    correct_answer: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: '{ index } | { indexes } | { value } | { value, tolerance } | { accepted } depending on type',
+      get() {
+        return parseJson(this.getDataValue('correct_answer'));
+      }
+    },
+    points: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 0.01,
+        max: 1000
+      }
+    },
+    explanation: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Shown to students with the correct answer after submitting'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'quiz_questions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['course_id']
+      }
+    ]
+  });
+
+  return QuizQuestion;
+};
@@ -0,0 +1,71 @@
+import { DataTypes } from 'sequelize';
+
+// Some MySQL drivers return JSON columns as strings (a plain text value is kept as is)
+const parseJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+export default (sequelize) => {
+  const QuizResponse = sequelize.define('QuizResponse', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    attempt_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'quiz_attempts',
+        key: 'id'
+      }
+    },
+    question_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'quiz_questions',
+        key: 'id'
+      }
+    },
+    answer: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Option index(es), boolean, number or text; NULL = not answered',
+      get() {
+        return parseJson(this.getDataValue('answer'));
+      }
+    },
+    is_correct: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Full credit earned'
+    },
+    points_awarded: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'quiz_responses',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['attempt_id', 'question_id'],
+        name: 'unique_attempt_question'
+      }
+    ]
+  });
+
+  return QuizResponse;
+};
@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const RubricCriterion = sequelize.define('RubricCriterion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'assignments',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      },
+      comment: 'What is being assessed (e.g., "Code quality")'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Display order within the rubric'
+    }
+  }, {
+    tableName: 'rubric_criteria',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['assignment_id']
+      }
+    ]
+  });
+
+  return RubricCriterion;
+};
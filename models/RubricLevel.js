@@ -0,0 +1,54 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const RubricLevel = sequelize.define('RubricLevel', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    criterion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'rubric_criteria',
+        key: 'id'
+      }
+    },
+    label: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      },
+      comment: 'Performance level name (e.g., "Excellent")'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    points: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'rubric_levels',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['criterion_id']
+      }
+    ]
+  });
+
+  return RubricLevel;
+};
@@ -0,0 +1,58 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const RubricScore = sequelize.define('RubricScore', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    submission_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'submissions',
+        key: 'id'
+      }
+    },
+    criterion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'rubric_criteria',
+        key: 'id'
+      }
+    },
+    level_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'rubric_levels',
+        key: 'id'
+      }
+    },
+    points: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      comment: 'Points of the chosen level at grading time'
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Optional per-criterion feedback'
+    }
+  }, {
+    tableName: 'rubric_scores',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['submission_id', 'criterion_id'],
+        name: 'unique_submission_criterion'
+      }
+    ]
+  });
+
+  return RubricScore;
+};
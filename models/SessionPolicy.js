@@ -0,0 +1,30 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const SessionPolicy = sequelize.define('SessionPolicy', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    role: {
+      type: DataTypes.ENUM('admin', 'teacher', 'student'),
+      allowNull: false,
+      unique: true
+    },
+    max_sessions: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'Sessions a user with this role can have at once (1 = single session, NULL = unlimited)'
+    }
+  }, {
+    tableName: 'session_policies',
+    timestamps: true,
+    underscored: true
+  });
+
+  return SessionPolicy;
+};
@@ -32,8 +32,9 @@ export default (sequelize) => {
       allowNull: true
     },
     marks: {
-      type: DataTypes.DECIMAL(5, 2),
-      allowNull: true
+      type: DataTypes.DECIMAL(7, 2),
+      allowNull: true,
+      comment: 'Raw points out of the assignment max_points (before any late penalty)'
     },
     feedback: {
       type: DataTypes.TEXT,
@@ -51,6 +52,12 @@ export default (sequelize) => {
       type: DataTypes.DATE,
       allowNull: false,
       defaultValue: DataTypes.NOW
+    },
+    is_late: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Submitted after the deadline (within the late cutoff)'
     }
   }, {
     tableName: 'submissions',
@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const SubmissionAttachment = sequelize.define('SubmissionAttachment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    submission_version_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'submission_versions',
+        key: 'id'
+      }
+    },
+    file_url: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    original_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'File name as uploaded by the student'
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Upload order within the attempt'
+    }
+  }, {
+    tableName: 'submission_attachments',
+    timestamps: true,
+    underscored: true
+  });
+
+  return SubmissionAttachment;
+};
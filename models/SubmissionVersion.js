@@ -0,0 +1,58 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const SubmissionVersion = sequelize.define('SubmissionVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    submission_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'submissions',
+        key: 'id'
+      }
+    },
+    attempt_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      },
+      comment: '1 for the first submission, incremented on every resubmission'
+    },
+    file_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    submission_text: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    submitted_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    is_late: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'submission_versions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['submission_id', 'attempt_number'],
+        name: 'unique_submission_attempt'
+      }
+    ]
+  });
+
+  return SubmissionVersion;
+};
@@ -0,0 +1,28 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const TwoFactorPolicy = sequelize.define('TwoFactorPolicy', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    role: {
+      type: DataTypes.ENUM('admin', 'teacher'),
+      allowNull: false,
+      unique: true
+    },
+    required: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Users with this role must set up two-factor authentication before using the app'
+    }
+  }, {
+    tableName: 'two_factor_policies',
+    timestamps: true,
+    underscored: true
+  });
+
+  return TwoFactorPolicy;
+};
@@ -0,0 +1,40 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const TwoFactorRecoveryCode = sequelize.define('TwoFactorRecoveryCode', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the recovery code - the code itself is only shown once'
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'two_factor_recovery_codes',
+    timestamps: true,
+    underscored: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return TwoFactorRecoveryCode;
+};
@@ -22,7 +22,42 @@ export default (sequelize) => {
       active_session_id: {
         type: DataTypes.STRING(255),
         allowNull: true,
-        comment: 'Current active session ID - only one session allowed per user'
+        comment: 'No longer used - sessions are tracked in user_sessions'
+      },
+      must_change_password: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Set for bulk-imported accounts and admin resets - the user must pick a new password before using the app'
+      },
+      failed_login_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Consecutive failed logins since the last success or lockout'
+      },
+      last_failed_login_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      locked_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Login is refused until this time after too many failed attempts'
+      },
+      totp_secret: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Base32 TOTP secret - set once two-factor authentication is enabled'
+      },
+      totp_enabled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      totp_last_step: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Time step of the last accepted code, so a code cannot be used twice'
       },
     },
     {
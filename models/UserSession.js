@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const UserSession = sequelize.define('UserSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_id: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      unique: true,
+      comment: 'express-session ID (sessions.session_id)'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    last_seen_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'last_seen_at']
+      }
+    ]
+  });
+
+  return UserSession;
+};
@@ -9,9 +9,38 @@ import BatchEnrollmentModel from './BatchEnrollment.js';
 import FolderModel from './Folder.js';
 import FolderCourseModel from './FolderCourse.js';
 import MaterialModel from './Material.js';
+import MaterialVersionModel from './MaterialVersion.js';
 import AssignmentModel from './Assignment.js';
 import AssignmentMaterialModel from './AssignmentMaterial.js';
 import SubmissionModel from './Submission.js';
+import GradeModel from './Grade.js';
+import GradeCategoryModel from './GradeCategory.js';
+import DeadlineExtensionModel from './DeadlineExtension.js';
+import SubmissionVersionModel from './SubmissionVersion.js';
+import SubmissionAttachmentModel from './SubmissionAttachment.js';
+import RubricCriterionModel from './RubricCriterion.js';
+import RubricLevelModel from './RubricLevel.js';
+import RubricScoreModel from './RubricScore.js';
+import QuizQuestionModel from './QuizQuestion.js';
+import QuizModel from './Quiz.js';
+import QuizItemModel from './QuizItem.js';
+import QuizAttemptModel from './QuizAttempt.js';
+import QuizResponseModel from './QuizResponse.js';
+import NotificationPreferenceModel from './NotificationPreference.js';
+import EmailLogModel from './EmailLog.js';
+import NotificationModel from './Notification.js';
+import AnnouncementModel from './Announcement.js';
+import AnnouncementAttachmentModel from './AnnouncementAttachment.js';
+import ForumTopicModel from './ForumTopic.js';
+import ForumPostModel from './ForumPost.js';
+import PasswordResetTokenModel from './PasswordResetToken.js';
+import LoginAttemptModel from './LoginAttempt.js';
+import TwoFactorRecoveryCodeModel from './TwoFactorRecoveryCode.js';
+import TwoFactorPolicyModel from './TwoFactorPolicy.js';
+import UserSessionModel from './UserSession.js';
+import SessionPolicyModel from './SessionPolicy.js';
+import AuditLogModel from './AuditLog.js';
+import CourseModuleModel from './CourseModule.js';
 
 // Initialize models
 const User = UserModel(sequelize);
@@ -22,9 +51,38 @@ const BatchEnrollment = BatchEnrollmentModel(sequelize);
 const Folder = FolderModel(sequelize);
 const FolderCourse = FolderCourseModel(sequelize);
 const Material = MaterialModel(sequelize);
+const MaterialVersion = MaterialVersionModel(sequelize);
 const Assignment = AssignmentModel(sequelize);
 const AssignmentMaterial = AssignmentMaterialModel(sequelize);
 const Submission = SubmissionModel(sequelize);
+const Grade = GradeModel(sequelize);
+const GradeCategory = GradeCategoryModel(sequelize);
+const DeadlineExtension = DeadlineExtensionModel(sequelize);
+const SubmissionVersion = SubmissionVersionModel(sequelize);
+const SubmissionAttachment = SubmissionAttachmentModel(sequelize);
+const RubricCriterion = RubricCriterionModel(sequelize);
+const RubricLevel = RubricLevelModel(sequelize);
+const RubricScore = RubricScoreModel(sequelize);
+const QuizQuestion = QuizQuestionModel(sequelize);
+const Quiz = QuizModel(sequelize);
+const QuizItem = QuizItemModel(sequelize);
+const QuizAttempt = QuizAttemptModel(sequelize);
+const QuizResponse = QuizResponseModel(sequelize);
+const NotificationPreference = NotificationPreferenceModel(sequelize);
+const EmailLog = EmailLogModel(sequelize);
+const Notification = NotificationModel(sequelize);
+const Announcement = AnnouncementModel(sequelize);
+const AnnouncementAttachment = AnnouncementAttachmentModel(sequelize);
+const ForumTopic = ForumTopicModel(sequelize);
+const ForumPost = ForumPostModel(sequelize);
+const PasswordResetToken = PasswordResetTokenModel(sequelize);
+const LoginAttempt = LoginAttemptModel(sequelize);
+const TwoFactorRecoveryCode = TwoFactorRecoveryCodeModel(sequelize);
+const TwoFactorPolicy = TwoFactorPolicyModel(sequelize);
+const UserSession = UserSessionModel(sequelize);
+const SessionPolicy = SessionPolicyModel(sequelize);
+const AuditLog = AuditLogModel(sequelize);
+const CourseModule = CourseModuleModel(sequelize);
 
 // Define associations
 
@@ -179,6 +237,23 @@ Material.belongsTo(Folder, {
   as: 'folder'
 });
 
+// MaterialVersion associations (every uploaded file is kept; Material holds the current one)
+Material.hasMany(MaterialVersion, {
+  foreignKey: 'material_id',
+  as: 'versions',
+  onDelete: 'CASCADE'
+});
+
+MaterialVersion.belongsTo(Material, {
+  foreignKey: 'material_id',
+  as: 'material'
+});
+
+MaterialVersion.belongsTo(User, {
+  foreignKey: 'uploaded_by',
+  as: 'uploader'
+});
+
 // Assignment associations
 Assignment.belongsTo(Course, {
   foreignKey: 'course_id',
@@ -201,6 +276,25 @@ Assignment.hasMany(AssignmentMaterial, {
   as: 'materials'
 });
 
+// Conditional release: shown to a student once they submit the prerequisite assignment
+Assignment.belongsTo(Assignment, {
+  foreignKey: 'prerequisite_assignment_id',
+  as: 'prerequisite',
+  onDelete: 'SET NULL'
+});
+
+Material.belongsTo(Assignment, {
+  foreignKey: 'prerequisite_assignment_id',
+  as: 'prerequisite',
+  onDelete: 'SET NULL'
+});
+
+Folder.belongsTo(Assignment, {
+  foreignKey: 'prerequisite_assignment_id',
+  as: 'prerequisite',
+  onDelete: 'SET NULL'
+});
+
 // AssignmentMaterial associations
 AssignmentMaterial.belongsTo(Assignment, {
   foreignKey: 'assignment_id',
@@ -223,6 +317,458 @@ Submission.belongsTo(User, {
   as: 'grader'
 });
 
+// Grade associations (final course grade per student)
+Course.hasMany(Grade, {
+  foreignKey: 'course_id',
+  as: 'grades',
+  onDelete: 'CASCADE'
+});
+
+User.hasMany(Grade, {
+  foreignKey: 'student_id',
+  as: 'grades'
+});
+
+Grade.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+
+Grade.belongsTo(User, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
+Grade.belongsTo(User, {
+  foreignKey: 'graded_by',
+  as: 'grader'
+});
+
+// GradeCategory associations (weighted assignment groups per course)
+Course.hasMany(GradeCategory, {
+  foreignKey: 'course_id',
+  as: 'gradeCategories',
+  onDelete: 'CASCADE'
+});
+
+GradeCategory.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+
+GradeCategory.hasMany(Assignment, {
+  foreignKey: 'category_id',
+  as: 'assignments',
+  onDelete: 'SET NULL'
+});
+
+Assignment.belongsTo(GradeCategory, {
+  foreignKey: 'category_id',
+  as: 'category'
+});
+
+// DeadlineExtension associations (per-student / per-batch extra time)
+Assignment.hasMany(DeadlineExtension, {
+  foreignKey: 'assignment_id',
+  as: 'extensions',
+  onDelete: 'CASCADE'
+});
+
+DeadlineExtension.belongsTo(Assignment, {
+  foreignKey: 'assignment_id',
+  as: 'assignment'
+});
+
+DeadlineExtension.belongsTo(User, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
+DeadlineExtension.belongsTo(Batch, {
+  foreignKey: 'batch_id',
+  as: 'batch'
+});
+
+DeadlineExtension.belongsTo(User, {
+  foreignKey: 'granted_by',
+  as: 'granter'
+});
+
+DeadlineExtension.belongsTo(User, {
+  foreignKey: 'revoked_by',
+  as: 'revoker'
+});
+
+// SubmissionVersion associations (every attempt is kept; Submission holds the latest)
+Submission.hasMany(SubmissionVersion, {
+  foreignKey: 'submission_id',
+  as: 'versions',
+  onDelete: 'CASCADE'
+});
+
+SubmissionVersion.belongsTo(Submission, {
+  foreignKey: 'submission_id',
+  as: 'submission'
+});
+
+// SubmissionAttachment associations (files handed in with one attempt)
+SubmissionVersion.hasMany(SubmissionAttachment, {
+  foreignKey: 'submission_version_id',
+  as: 'attachments',
+  onDelete: 'CASCADE'
+});
+
+SubmissionAttachment.belongsTo(SubmissionVersion, {
+  foreignKey: 'submission_version_id',
+  as: 'version'
+});
+
+// Rubric associations (criteria x levels per assignment, one chosen level per criterion per submission)
+Assignment.hasMany(RubricCriterion, {
+  foreignKey: 'assignment_id',
+  as: 'rubricCriteria',
+  onDelete: 'CASCADE'
+});
+
+RubricCriterion.belongsTo(Assignment, {
+  foreignKey: 'assignment_id',
+  as: 'assignment'
+});
+
+RubricCriterion.hasMany(RubricLevel, {
+  foreignKey: 'criterion_id',
+  as: 'levels',
+  onDelete: 'CASCADE'
+});
+
+RubricLevel.belongsTo(RubricCriterion, {
+  foreignKey: 'criterion_id',
+  as: 'criterion'
+});
+
+Submission.hasMany(RubricScore, {
+  foreignKey: 'submission_id',
+  as: 'rubricScores',
+  onDelete: 'CASCADE'
+});
+
+RubricScore.belongsTo(Submission, {
+  foreignKey: 'submission_id',
+  as: 'submission'
+});
+
+RubricScore.belongsTo(RubricCriterion, {
+  foreignKey: 'criterion_id',
+  as: 'criterion',
+  onDelete: 'CASCADE'
+});
+
+RubricScore.belongsTo(RubricLevel, {
+  foreignKey: 'level_id',
+  as: 'level',
+  onDelete: 'CASCADE'
+});
+
+// Quiz associations (a quiz is an assignment whose questions come from the course question bank)
+Course.hasMany(QuizQuestion, {
+  foreignKey: 'course_id',
+  as: 'quizQuestions',
+  onDelete: 'CASCADE'
+});
+
+QuizQuestion.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+
+QuizQuestion.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
+Assignment.hasOne(Quiz, {
+  foreignKey: 'assignment_id',
+  as: 'quiz',
+  onDelete: 'CASCADE'
+});
+
+Quiz.belongsTo(Assignment, {
+  foreignKey: 'assignment_id',
+  as: 'assignment'
+});
+
+Quiz.hasMany(QuizItem, {
+  foreignKey: 'quiz_id',
+  as: 'items',
+  onDelete: 'CASCADE'
+});
+
+QuizItem.belongsTo(Quiz, {
+  foreignKey: 'quiz_id',
+  as: 'quiz'
+});
+
+QuizItem.belongsTo(QuizQuestion, {
+  foreignKey: 'question_id',
+  as: 'question',
+  onDelete: 'CASCADE'
+});
+
+QuizQuestion.hasMany(QuizItem, {
+  foreignKey: 'question_id',
+  as: 'quizItems'
+});
+
+Quiz.hasMany(QuizAttempt, {
+  foreignKey: 'quiz_id',
+  as: 'attempts',
+  onDelete: 'CASCADE'
+});
+
+QuizAttempt.belongsTo(Quiz, {
+  foreignKey: 'quiz_id',
+  as: 'quiz'
+});
+
+QuizAttempt.belongsTo(User, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
+QuizAttempt.hasMany(QuizResponse, {
+  foreignKey: 'attempt_id',
+  as: 'responses',
+  onDelete: 'CASCADE'
+});
+
+QuizResponse.belongsTo(QuizAttempt, {
+  foreignKey: 'attempt_id',
+  as: 'attempt'
+});
+
+QuizResponse.belongsTo(QuizQuestion, {
+  foreignKey: 'question_id',
+  as: 'question',
+  onDelete: 'CASCADE'
+});
+
+// Notification associations
+User.hasOne(NotificationPreference, {
+  foreignKey: 'user_id',
+  as: 'notificationPreference',
+  onDelete: 'CASCADE'
+});
+
+NotificationPreference.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+User.hasMany(EmailLog, {
+  foreignKey: 'user_id',
+  as: 'emailLogs',
+  onDelete: 'CASCADE'
+});
+
+EmailLog.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+User.hasMany(Notification, {
+  foreignKey: 'user_id',
+  as: 'notifications',
+  onDelete: 'CASCADE'
+});
+
+Notification.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Announcement associations
+Course.hasMany(Announcement, {
+  foreignKey: 'course_id',
+  as: 'announcements',
+  onDelete: 'CASCADE'
+});
+
+Announcement.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+
+Announcement.belongsTo(User, {
+  foreignKey: 'author_id',
+  as: 'author'
+});
+
+Announcement.hasMany(AnnouncementAttachment, {
+  foreignKey: 'announcement_id',
+  as: 'attachments',
+  onDelete: 'CASCADE'
+});
+
+AnnouncementAttachment.belongsTo(Announcement, {
+  foreignKey: 'announcement_id',
+  as: 'announcement'
+});
+
+// CourseModule associations (ordered weeks/units grouping course content)
+Course.hasMany(CourseModule, {
+  foreignKey: 'course_id',
+  as: 'modules',
+  onDelete: 'CASCADE'
+});
+
+CourseModule.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+
+CourseModule.hasMany(Material, {
+  foreignKey: 'module_id',
+  as: 'materials',
+  onDelete: 'SET NULL'
+});
+
+Material.belongsTo(CourseModule, {
+  foreignKey: 'module_id',
+  as: 'module'
+});
+
+CourseModule.hasMany(Assignment, {
+  foreignKey: 'module_id',
+  as: 'assignments',
+  onDelete: 'SET NULL'
+});
+
+Assignment.belongsTo(CourseModule, {
+  foreignKey: 'module_id',
+  as: 'module'
+});
+
+CourseModule.hasMany(Announcement, {
+  foreignKey: 'module_id',
+  as: 'announcements',
+  onDelete: 'SET NULL'
+});
+
+Announcement.belongsTo(CourseModule, {
+  foreignKey: 'module_id',
+  as: 'module'
+});
+
+// Forum associations
+Course.hasMany(ForumTopic, {
+  foreignKey: 'course_id',
+  as: 'forumTopics',
+  onDelete: 'CASCADE'
+});
+
+ForumTopic.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+
+Assignment.hasMany(ForumTopic, {
+  foreignKey: 'assignment_id',
+  as: 'forumTopics',
+  onDelete: 'SET NULL' // Q&A threads stay as general topics
+});
+
+ForumTopic.belongsTo(Assignment, {
+  foreignKey: 'assignment_id',
+  as: 'assignment'
+});
+
+ForumTopic.belongsTo(User, {
+  foreignKey: 'author_id',
+  as: 'author'
+});
+
+ForumTopic.hasMany(ForumPost, {
+  foreignKey: 'topic_id',
+  as: 'posts',
+  onDelete: 'CASCADE'
+});
+
+ForumPost.belongsTo(ForumTopic, {
+  foreignKey: 'topic_id',
+  as: 'topic'
+});
+
+ForumPost.belongsTo(User, {
+  foreignKey: 'author_id',
+  as: 'author'
+});
+
+ForumPost.belongsTo(ForumPost, {
+  foreignKey: 'parent_id',
+  as: 'parent'
+});
+
+ForumPost.hasMany(ForumPost, {
+  foreignKey: 'parent_id',
+  as: 'replies',
+  onDelete: 'CASCADE'
+});
+
+// Password reset associations
+User.hasMany(PasswordResetToken, {
+  foreignKey: 'user_id',
+  as: 'passwordResetTokens',
+  onDelete: 'CASCADE'
+});
+
+PasswordResetToken.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Login attempt associations
+User.hasMany(LoginAttempt, {
+  foreignKey: 'user_id',
+  as: 'loginAttempts',
+  onDelete: 'CASCADE'
+});
+
+LoginAttempt.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Two-factor authentication associations
+User.hasMany(TwoFactorRecoveryCode, {
+  foreignKey: 'user_id',
+  as: 'recoveryCodes',
+  onDelete: 'CASCADE'
+});
+
+TwoFactorRecoveryCode.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Session associations
+User.hasMany(UserSession, {
+  foreignKey: 'user_id',
+  as: 'sessions',
+  onDelete: 'CASCADE'
+});
+
+UserSession.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Audit log associations
+// No database constraint: entries must survive the deletion of the acting user
+AuditLog.belongsTo(User, {
+  foreignKey: 'actor_id',
+  as: 'actor',
+  constraints: false
+});
 
 // Sync function
 const syncDatabase = async () => {
@@ -249,9 +795,38 @@ export {
   Folder,
   FolderCourse,
   Material,
+  MaterialVersion,
   Assignment,
   AssignmentMaterial,
   Submission,
+  Grade,
+  GradeCategory,
+  DeadlineExtension,
+  SubmissionVersion,
+  SubmissionAttachment,
+  RubricCriterion,
+  RubricLevel,
+  RubricScore,
+  QuizQuestion,
+  Quiz,
+  QuizItem,
+  QuizAttempt,
+  QuizResponse,
+  NotificationPreference,
+  EmailLog,
+  Notification,
+  Announcement,
+  AnnouncementAttachment,
+  ForumTopic,
+  ForumPost,
+  PasswordResetToken,
+  LoginAttempt,
+  TwoFactorRecoveryCode,
+  TwoFactorPolicy,
+  UserSession,
+  SessionPolicy,
+  AuditLog,
+  CourseModule,
   syncDatabase
 };
 
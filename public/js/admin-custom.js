@@ -1,6 +1,7 @@
 /**
  * AdminJS Custom Loading Feedback
  * Intercepts network requests to show a global loading state during mutations.
+ * Also adds the CSRF token (see middleware/csrf.js) to every same-origin mutation.
  */
 (function() {
   // 1. Inject CSS for the loader
@@ -102,17 +103,40 @@
     }
   }
 
-  // 4. Intercept Fetch API
+  // 4. CSRF token, fetched once per page load
   const originalFetch = window.fetch;
+  const csrfTokenPromise = originalFetch('/auth/csrf-token', { credentials: 'same-origin' })
+    .then(response => (response.ok ? response.json() : {}))
+    .then(data => data.csrfToken || null)
+    .catch(() => null);
+
+  function isSameOrigin(url) {
+    try {
+      return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // 5. Intercept Fetch API
   window.fetch = async function(...args) {
     const [resource, config] = args;
-    const method = config?.method?.toUpperCase() || 'GET';
+    const method = (config?.method || (resource instanceof Request ? resource.method : 'GET')).toUpperCase();
     const isMutation = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(method);
     
     // Check if it's an API call (usually to /admin/api/...)
-    const url = resource instanceof Request ? resource.url : resource;
+    const url = resource instanceof Request ? resource.url : resource.toString();
     const isApiCall = url.includes('/admin'); // Broad check for admin related changes
 
+    if (isMutation && isSameOrigin(url)) {
+      const token = await csrfTokenPromise;
+      if (token) {
+        const headers = new Headers(config?.headers || (resource instanceof Request ? resource.headers : undefined));
+        headers.set('X-CSRF-Token', token);
+        args = [resource, { ...config, headers }];
+      }
+    }
+
     if (isMutation && isApiCall) {
       showLoader();
       try {
@@ -128,7 +152,7 @@
     }
   };
 
-  // 5. Intercept XMLHttpRequest (Axios uses this often)
+  // 6. Intercept XMLHttpRequest (Axios uses this often)
   const originalOpen = XMLHttpRequest.prototype.open;
   const originalSend = XMLHttpRequest.prototype.send;
 
@@ -150,6 +174,17 @@
       });
     }
 
+    // Send once the token is known (headers can be set until send)
+    if (isMutation && this._url && isSameOrigin(this._url.toString())) {
+      csrfTokenPromise.then(token => {
+        if (token) {
+          this.setRequestHeader('X-CSRF-Token', token);
+        }
+        originalSend.apply(this, args);
+      });
+      return;
+    }
+
     return originalSend.apply(this, args);
   };
   
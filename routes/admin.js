@@ -84,4 +84,11 @@ router.post('/tools/bulk-delete', bulkController.bulkDeleteUsers);
  */
 router.post('/tools/bulk-batch-update', upload.single('csvFile'), bulkController.bulkBatchUpdate);
 
+/**
+ * GET /admin/tools/audit-log/export
+ * Download audit log entries as CSV
+ * Query: action, actor, targetType, targetId, from, to (all optional)
+ */
+router.get('/tools/audit-log/export', bulkController.exportAuditLog);
+
 export default router;
@@ -1,12 +1,13 @@
 /**
  * Authentication Routes
- * Handles login, logout, and password change
+ * Handles login, two-factor authentication, logout, password change and password reset
  * Implemented in Phase 2 (Task 2.2)
  * Updated in Phase 2 (Task 2.3) - Using controller
  */
 
 import express from 'express';
 import { isAuthenticated } from '../middleware/auth.js';
+import { sendCsrfToken } from '../middleware/csrf.js';
 import * as authController from '../controllers/authController.js';
 
 const router = express.Router();
@@ -23,6 +24,18 @@ router.get('/login', authController.showLoginPage);
  */
 router.post('/login', authController.processLogin);
 
+/**
+ * GET /auth/two-factor
+ * Ask for the authenticator code after a correct password
+ */
+router.get('/two-factor', authController.showTwoFactorPage);
+
+/**
+ * POST /auth/two-factor
+ * Verify the authenticator or recovery code and finish the login
+ */
+router.post('/two-factor', authController.verifyTwoFactor);
+
 /**
  * GET /auth/logout
  * Logout user and destroy session
@@ -47,4 +60,76 @@ router.get('/change-password', isAuthenticated, authController.showChangePasswor
  */
 router.post('/change-password', isAuthenticated, authController.changePassword);
 
+/**
+ * POST /auth/two-factor/setup
+ * Start two-factor setup (admins and teachers)
+ */
+router.post('/two-factor/setup', isAuthenticated, authController.setupTwoFactor);
+
+/**
+ * POST /auth/two-factor/enable
+ * Confirm setup with a code from the authenticator app
+ */
+router.post('/two-factor/enable', isAuthenticated, authController.enableTwoFactor);
+
+/**
+ * POST /auth/two-factor/disable
+ * Turn off two-factor authentication (requires a current code)
+ */
+router.post('/two-factor/disable', isAuthenticated, authController.disableTwoFactor);
+
+/**
+ * POST /auth/two-factor/recovery-codes
+ * Replace the recovery codes (requires a current code)
+ */
+router.post('/two-factor/recovery-codes', isAuthenticated, authController.regenerateRecoveryCodes);
+
+/**
+ * GET /auth/sessions
+ * List the user's signed-in devices
+ */
+router.get('/sessions', isAuthenticated, authController.showSessions);
+
+/**
+ * POST /auth/sessions/revoke-others
+ * Sign out every session except the current one
+ */
+router.post('/sessions/revoke-others', isAuthenticated, authController.revokeOtherSessions);
+
+/**
+ * POST /auth/sessions/:id/revoke
+ * Sign out one session
+ */
+router.post('/sessions/:id/revoke', isAuthenticated, authController.revokeSession);
+
+/**
+ * GET /auth/forgot-password
+ * Show the "forgot password" form
+ */
+router.get('/forgot-password', authController.showForgotPasswordPage);
+
+/**
+ * POST /auth/forgot-password
+ * Email a reset link (rate limited, same response for unknown accounts)
+ */
+router.post('/forgot-password', authController.processForgotPassword);
+
+/**
+ * GET /auth/reset-password/:token
+ * Show the new password form for a valid reset link
+ */
+router.get('/reset-password/:token', authController.showResetPasswordPage);
+
+/**
+ * POST /auth/reset-password/:token
+ * Set the new password and spend the reset token
+ */
+router.post('/reset-password/:token', authController.processResetPassword);
+
+/**
+ * GET /auth/csrf-token
+ * CSRF token for scripts outside the EJS views (AdminJS)
+ */
+router.get('/csrf-token', isAuthenticated, sendCsrfToken);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * File Routes
+ * Stored files for every signed-in user, after an access check
+ */
+
+import express from 'express';
+import { serveFile } from '../controllers/fileController.js';
+
+const router = express.Router();
+
+/**
+ * Open File
+ * GET /files/:kind/:id
+ * kind: materials, material-versions, assignment-materials, submissions, submission-versions,
+ * submission-attachments, announcement-attachments
+ * Query: download=1, viewer=office
+ */
+router.get('/:kind/:id', serveFile);
+
+export default router;
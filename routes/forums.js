@@ -0,0 +1,90 @@
+/**
+ * Forum Routes
+ * Course discussion boards for students and teachers
+ * Access is checked per course in the controller (batch enrollment for
+ * students, course assignment for teachers)
+ */
+
+import express from 'express';
+import {
+  showForum,
+  showNewTopic,
+  createTopic,
+  showTopic,
+  replyToTopic,
+  togglePinTopic,
+  toggleLockTopic,
+  deleteTopic,
+  markAnswer,
+  deleteReply
+} from '../controllers/forumController.js';
+
+const router = express.Router();
+
+/**
+ * Course Forum
+ * GET /forums/courses/:id
+ * Display: topics, pinned first; ?assignment=:id shows that assignment's Q&A
+ */
+router.get('/courses/:id', showForum);
+
+/**
+ * New Topic Form
+ * GET /forums/courses/:id/topics/new
+ */
+router.get('/courses/:id/topics/new', showNewTopic);
+
+/**
+ * Create Topic
+ * POST /forums/courses/:id/topics
+ */
+router.post('/courses/:id/topics', createTopic);
+
+/**
+ * Topic
+ * GET /forums/topics/:id
+ * Display: question, accepted answer, threaded replies
+ */
+router.get('/topics/:id', showTopic);
+
+/**
+ * Reply to a topic or a reply
+ * POST /forums/topics/:id/replies
+ */
+router.post('/topics/:id/replies', replyToTopic);
+
+// ============================================
+// MODERATION (teachers with edit permission)
+// ============================================
+
+/**
+ * Pin / unpin a topic
+ * POST /forums/topics/:id/pin
+ */
+router.post('/topics/:id/pin', togglePinTopic);
+
+/**
+ * Lock / unlock a topic
+ * POST /forums/topics/:id/lock
+ */
+router.post('/topics/:id/lock', toggleLockTopic);
+
+/**
+ * Delete a topic with all replies
+ * POST /forums/topics/:id/delete
+ */
+router.post('/topics/:id/delete', deleteTopic);
+
+/**
+ * Mark / unmark a reply as the answer
+ * POST /forums/topics/:id/answer
+ */
+router.post('/topics/:id/answer', markAnswer);
+
+/**
+ * Remove a reply
+ * POST /forums/posts/:id/delete
+ */
+router.post('/posts/:id/delete', deleteReply);
+
+export default router;
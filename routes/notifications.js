@@ -0,0 +1,57 @@
+/**
+ * Notification Routes
+ * Notification center and settings for every signed-in user
+ */
+
+import express from 'express';
+import {
+  showNotifications,
+  openNotification,
+  markNotificationRead,
+  markAllNotificationsRead,
+  showPreferences,
+  updatePreferences
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+/**
+ * Notification Center
+ * GET /notifications
+ * Display: the user's in-app notifications, newest first
+ */
+router.get('/', showNotifications);
+
+/**
+ * Mark All Read
+ * POST /notifications/read-all
+ */
+router.post('/read-all', markAllNotificationsRead);
+
+/**
+ * Notification Settings
+ * GET /notifications/preferences
+ * Display: which email notifications the user receives
+ */
+router.get('/preferences', showPreferences);
+
+/**
+ * Save Notification Settings
+ * POST /notifications/preferences
+ */
+router.post('/preferences', updatePreferences);
+
+/**
+ * Open Notification
+ * GET /notifications/:id/open
+ * Marks the notification read and redirects to its page
+ */
+router.get('/:id/open', openNotification);
+
+/**
+ * Mark Read
+ * POST /notifications/:id/read
+ */
+router.post('/:id/read', markNotificationRead);
+
+export default router;
@@ -11,10 +11,14 @@ import {
   getCourseView,
   getAssignmentDetail,
   submitAssignment,
-  getGrades,
-  downloadAssignmentMaterial,
-  downloadCourseMaterial
+  downloadSubmissionZip,
+  showQuiz,
+  startQuiz,
+  showQuizAttempt,
+  submitQuizAttempt,
+  getGrades
 } from '../controllers/studentController.js';
+import { downloadFile } from '../controllers/fileController.js';
 import { uploadSubmission } from '../middleware/upload.js';
 
 const router = express.Router();
@@ -57,6 +61,41 @@ router.get('/assignments/:id', getAssignmentDetail);
  */
 router.post('/assignments/:id/submit', uploadSubmission, submitAssignment);
 
+/**
+ * Download Submission Files
+ * GET /student/submissions/:id/download?attempt=N
+ * Returns all files of the latest (or given) attempt as one ZIP
+ */
+router.get('/submissions/:id/download', downloadSubmissionZip);
+
+/**
+ * Quiz Overview
+ * GET /student/quizzes/:id
+ * Display: instructions, time limit, attempts and scores, start/resume button
+ */
+router.get('/quizzes/:id', showQuiz);
+
+/**
+ * Start Quiz Attempt
+ * POST /student/quizzes/:id/start
+ * Validation: enrolled, quiz open, attempts left (resumes an attempt in progress)
+ */
+router.post('/quizzes/:id/start', startQuiz);
+
+/**
+ * Quiz Attempt
+ * GET /student/quiz-attempts/:id
+ * Display: questions with a countdown while in progress, graded answers once submitted
+ */
+router.get('/quiz-attempts/:id', showQuizAttempt);
+
+/**
+ * Submit Quiz Attempt
+ * POST /student/quiz-attempts/:id/submit
+ * Auto-grades the answers and records the score as the submission
+ */
+router.post('/quiz-attempts/:id/submit', submitQuizAttempt);
+
 /**
  * Grades View (with Submissions)
  * GET /student/grades
@@ -68,12 +107,18 @@ router.get('/grades', getGrades);
  * Download Assignment Material
  * GET /student/assignments/materials/:id/download
  */
-router.get('/assignments/materials/:id/download', downloadAssignmentMaterial);
+router.get('/assignments/materials/:id/download', downloadFile('assignment-materials'));
 
 /**
  * Download Course Material
  * GET /student/courses/materials/:id/download
  */
-router.get('/courses/materials/:id/download', downloadCourseMaterial);
+router.get('/courses/materials/:id/download', downloadFile('materials'));
+
+/**
+ * Download Announcement Attachment
+ * GET /student/announcements/attachments/:id/download
+ */
+router.get('/announcements/attachments/:id/download', downloadFile('announcement-attachments'));
 
 export default router;
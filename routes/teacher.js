@@ -15,20 +15,47 @@ import {
   getMaterials,
   uploadMaterial,
   deleteMaterial,
+  showMaterialVersions,
+  uploadMaterialVersion,
+  revertMaterialVersion,
+  updateMaterialRelease,
+  updateFolderRelease,
   showCreateAssignment,
   createAssignment,
   showEditAssignment,
   editAssignment,
   deleteAssignment,
   getSubmissions,
+  getSubmissionVersions,
+  downloadSubmissionZip,
+  grantExtension,
+  revokeExtension,
   showGradeForm,
   gradeSubmission,
   getGrades,
+  getFinalGrades,
   saveGrade,
+  publishGrades,
   bulkUploadGrades,
   downloadGradeTemplate,
+  showGradingScheme,
+  createGradeCategory,
+  updateGradeCategory,
+  deleteGradeCategory,
+  saveGradingScale,
   bulkUploadAssignmentGrades,
   downloadAssignmentGradeTemplate,
+  // Quizzes
+  getQuestionBank,
+  createQuestion,
+  showEditQuestion,
+  editQuestion,
+  deleteQuestion,
+  showCreateQuiz,
+  createQuiz,
+  showEditQuiz,
+  editQuiz,
+  getQuizAnalysis,
   // Folder management
   createFolder,
   renameFolder,
@@ -38,9 +65,17 @@ import {
   unshareFolder,
   moveMaterialToFolder,
   getMaterialsWithFolders,
-  uploadMaterialToFolder
+  uploadMaterialToFolder,
+  createAnnouncement,
+  toggleAnnouncementPin,
+  deleteAnnouncement,
+  createModule,
+  updateModule,
+  deleteModule,
+  reorderModules,
+  updateModuleItems
 } from '../controllers/teacherController.js';
-import { uploadMaterial as uploadMiddleware, uploadAssignmentMaterials, uploadCsv } from '../middleware/upload.js';
+import { uploadMaterial as uploadMiddleware, uploadAssignmentMaterials, uploadAnnouncementAttachments, uploadCsv } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -98,6 +133,64 @@ router.post('/courses/create', createCourse);
  */
 router.get('/courses/:id', getCourseDetail);
 
+// ============================================
+// ANNOUNCEMENTS
+// ============================================
+
+/**
+ * Post an announcement to a course
+ * POST /teacher/courses/:id/announcements
+ * Optional pinning, scheduled publish time and attachments (requires edit permission)
+ */
+router.post('/courses/:id/announcements', uploadAnnouncementAttachments, createAnnouncement);
+
+/**
+ * Pin or unpin an announcement
+ * POST /teacher/announcements/:id/pin
+ */
+router.post('/announcements/:id/pin', toggleAnnouncementPin);
+
+/**
+ * Delete an announcement
+ * POST /teacher/announcements/:id/delete
+ */
+router.post('/announcements/:id/delete', deleteAnnouncement);
+
+// ============================================
+// COURSE MODULES
+// ============================================
+
+/**
+ * Create a module (week/unit) at the end of a course
+ * POST /teacher/courses/:id/modules
+ */
+router.post('/courses/:id/modules', createModule);
+
+/**
+ * Save a new module order (drag-to-reorder)
+ * POST /teacher/courses/:id/modules/reorder
+ * Body (JSON): { order: [moduleId, ...] }
+ */
+router.post('/courses/:id/modules/reorder', reorderModules);
+
+/**
+ * Update a module's title and description
+ * POST /teacher/modules/:id
+ */
+router.post('/modules/:id', updateModule);
+
+/**
+ * Choose the materials, assignments and announcements of a module
+ * POST /teacher/modules/:id/items
+ */
+router.post('/modules/:id/items', updateModuleItems);
+
+/**
+ * Delete a module (its items stay in the course)
+ * POST /teacher/modules/:id/delete
+ */
+router.post('/modules/:id/delete', deleteModule);
+
 // ============================================
 // MATERIAL MANAGEMENT
 // ============================================
@@ -125,6 +218,33 @@ router.post('/courses/:id/materials/upload', uploadMiddleware, uploadMaterial);
 router.delete('/materials/:id', deleteMaterial);
 router.delete('/courses/:course_id/materials/:id', deleteMaterial);
 
+/**
+ * Material version history
+ * GET /teacher/materials/:id/versions
+ * Lists every uploaded version with notes; older versions can be restored
+ */
+router.get('/materials/:id/versions', showMaterialVersions);
+
+/**
+ * Upload a new version of a material
+ * POST /teacher/materials/:id/versions
+ * Replaces the file or link; the material keeps its ID and download link
+ */
+router.post('/materials/:id/versions', uploadMiddleware, uploadMaterialVersion);
+
+/**
+ * Revert a material to an older version
+ * POST /teacher/materials/:id/versions/:version/revert
+ */
+router.post('/materials/:id/versions/:version/revert', revertMaterialVersion);
+
+/**
+ * Set when students can see a material
+ * PUT /teacher/materials/:id/release
+ * Visible from/until dates and an optional prerequisite assignment
+ */
+router.put('/materials/:id/release', updateMaterialRelease);
+
 // ============================================
 // ASSIGNMENT MANAGEMENT
 // ============================================
@@ -189,6 +309,34 @@ router.post('/assignments/:id/grades/bulk', uploadCsv, bulkUploadAssignmentGrade
  */
 router.get('/assignments/:id/grades/template', downloadAssignmentGradeTemplate);
 
+/**
+ * View all attempts of a submission
+ * GET /teacher/submissions/:id/versions
+ * Lists prior attempts and diffs their text
+ */
+router.get('/submissions/:id/versions', getSubmissionVersions);
+
+/**
+ * Download all files of a submission as a ZIP
+ * GET /teacher/submissions/:id/download
+ * Optional ?attempt=N for an earlier attempt
+ */
+router.get('/submissions/:id/download', downloadSubmissionZip);
+
+/**
+ * Grant a deadline extension to a student or batch
+ * POST /teacher/assignments/:id/extensions
+ * Requires edit permission on the course
+ */
+router.post('/assignments/:id/extensions', grantExtension);
+
+/**
+ * Revoke a deadline extension
+ * POST /teacher/extensions/:id/revoke
+ * Keeps the record for the audit trail
+ */
+router.post('/extensions/:id/revoke', revokeExtension);
+
 /**
  * View single submission for grading
  * GET /teacher/submissions/:id/grade
@@ -214,13 +362,56 @@ router.post('/submissions/:id/grade', gradeSubmission);
  */
 router.get('/courses/:id/grades', getGrades);
 
+/**
+ * View final course grades
+ * GET /teacher/courses/:id/grades/final
+ * Shows suggested grades and draft/published final grades for enrolled students
+ */
+router.get('/courses/:id/grades/final', getFinalGrades);
+
+/**
+ * View grading scheme (weighted categories and letter scale)
+ * GET /teacher/courses/:id/grading-scheme
+ */
+router.get('/courses/:id/grading-scheme', showGradingScheme);
+
+/**
+ * Create grade category
+ * POST /teacher/courses/:id/categories
+ */
+router.post('/courses/:id/categories', createGradeCategory);
+
+/**
+ * Update grade category
+ * POST /teacher/courses/:id/categories/:categoryId
+ */
+router.post('/courses/:id/categories/:categoryId', updateGradeCategory);
+
+/**
+ * Delete grade category (its assignments become uncategorized)
+ * POST /teacher/courses/:id/categories/:categoryId/delete
+ */
+router.post('/courses/:id/categories/:categoryId/delete', deleteGradeCategory);
+
+/**
+ * Save letter grade scale (or reset to default)
+ * POST /teacher/courses/:id/grading-scale
+ */
+router.post('/courses/:id/grading-scale', saveGradingScale);
+
 /**
  * Save final grade for a student
  * POST /teacher/courses/:id/grades
- * Manually saves final grade for a student in a course
+ * Manually saves final grade for a student in a course (draft or published)
  */
 router.post('/courses/:id/grades', saveGrade);
 
+/**
+ * Publish or unpublish all final grades for a course
+ * POST /teacher/courses/:id/grades/publish
+ */
+router.post('/courses/:id/grades/publish', publishGrades);
+
 /**
  * Bulk grade upload via CSV
  * POST /teacher/courses/:id/grades/bulk
@@ -235,6 +426,73 @@ router.post('/courses/:id/grades/bulk', uploadCsv, bulkUploadGrades);
  */
 router.get('/courses/:id/grades/template', downloadGradeTemplate);
 
+// ============================================
+// QUIZZES
+// ============================================
+
+/**
+ * Question bank of a course
+ * GET /teacher/courses/:id/questions
+ * Lists questions with a form to add new ones
+ */
+router.get('/courses/:id/questions', getQuestionBank);
+
+/**
+ * Add a question to the question bank
+ * POST /teacher/courses/:id/questions
+ */
+router.post('/courses/:id/questions', createQuestion);
+
+/**
+ * Show question edit form
+ * GET /teacher/questions/:id/edit
+ * Only questions nobody has answered yet can be changed
+ */
+router.get('/questions/:id/edit', showEditQuestion);
+
+/**
+ * Update a question
+ * POST /teacher/questions/:id/edit
+ */
+router.post('/questions/:id/edit', editQuestion);
+
+/**
+ * Delete a question (must not be used by any quiz)
+ * POST /teacher/questions/:id/delete
+ */
+router.post('/questions/:id/delete', deleteQuestion);
+
+/**
+ * Show quiz creation form
+ * GET /teacher/courses/:id/quizzes/create
+ */
+router.get('/courses/:id/quizzes/create', showCreateQuiz);
+
+/**
+ * Create a quiz (an auto-graded assignment with questions from the bank)
+ * POST /teacher/courses/:id/quizzes
+ */
+router.post('/courses/:id/quizzes', createQuiz);
+
+/**
+ * Show quiz edit form
+ * GET /teacher/quizzes/:id/edit
+ */
+router.get('/quizzes/:id/edit', showEditQuiz);
+
+/**
+ * Update quiz settings and questions
+ * POST /teacher/quizzes/:id/edit
+ */
+router.post('/quizzes/:id/edit', editQuiz);
+
+/**
+ * Item analysis of a quiz
+ * GET /teacher/quizzes/:id/analysis
+ * Per-question difficulty, discrimination and answer distribution
+ */
+router.get('/quizzes/:id/analysis', getQuizAnalysis);
+
 // ============================================
 // FOLDER MANAGEMENT
 // ============================================
@@ -260,6 +518,13 @@ router.put('/folders/:id', renameFolder);
  */
 router.delete('/folders/:id', deleteFolder);
 
+/**
+ * Set when students can see a folder
+ * PUT /teacher/folders/:id/release
+ * Hiding a folder hides its subfolders and materials too
+ */
+router.put('/folders/:id/release', updateFolderRelease);
+
 /**
  * Get shared courses for a folder
  * GET /teacher/folders/:id/shared-courses
@@ -28,7 +28,7 @@ const __dirname = path.dirname(__filename);
 const MySQLStore = MySQLStoreFactory(session);
 
 // 3. Configuration files (ORDER MATTERS - cloudinary BEFORE upload middleware)
-import cloudinaryConfig, { deleteCloudinaryFile } from './config/cloudinary.js';  // Initialize Cloudinary first
+import cloudinaryConfig from './config/cloudinary.js';  // Initialize Cloudinary first
 import sequelize from './config/database.js';
 import './config/passport.js';  // Initialize Passport strategies
 
@@ -48,6 +48,12 @@ import {
 
   syncDatabase
 } from './models/index.js';
+import { startNotificationJobs, getUnreadCount } from './services/notificationService.js';
+import { csrfProtection } from './middleware/csrf.js';
+import { getDriverName } from './services/storage/index.js';
+import { PUBLIC_PATH as LOCAL_FILES_PATH, serveFiles } from './services/storage/localDriver.js';
+
+console.log('📌 File storage:', getDriverName());
 
 // 5. Create Express app
 const app = express();
@@ -145,6 +151,12 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
+// CSRF protection (needs the session; verifies every POST/PUT/PATCH/DELETE)
+app.use(csrfProtection);
+
+// Files kept by the local storage driver (signed links from /files only)
+app.use(LOCAL_FILES_PATH, serveFiles);
+
 // Flash messages middleware (simple implementation)
 app.use((req, res, next) => {
   res.locals.success_msg = req.session.success_msg || null;
@@ -160,15 +172,31 @@ app.use((req, res, next) => {
   next();
 });
 
+// Unread notification count for the navbar bell
+app.use(async (req, res, next) => {
+  res.locals.unreadNotificationCount = 0;
+  if (req.user) {
+    try {
+      res.locals.unreadNotificationCount = await getUnreadCount(req.user.id);
+    } catch (error) {
+      console.error('Unread Notification Count Error:', error.message);
+    }
+  }
+  next();
+});
+
 // 10. Import route files and middleware
 import { isAuthenticated, isAdmin, isTeacher, isStudent } from './middleware/auth.js';
-import errorHandler from './middleware/errorHandler.js';
+import errorHandler, { csrfErrorHandler } from './middleware/errorHandler.js';
 
 // Import route modules
 import authRoutes from './routes/auth.js';
 import adminRoutes from './routes/admin.js';
 import teacherRoutes from './routes/teacher.js';
 import studentRoutes from './routes/student.js';
+import notificationRoutes from './routes/notifications.js';
+import forumRoutes from './routes/forums.js';
+import fileRoutes from './routes/files.js';
 
 // 11. Register routes (ORDER CRITICAL - specific routes BEFORE AdminJS)
 // Root route
@@ -202,6 +230,9 @@ app.use('/admin', isAuthenticated, isAdmin, adminRouter);
 // Other role-based routes
 app.use('/teacher', isAuthenticated, isTeacher, teacherRoutes);
 app.use('/student', isAuthenticated, isStudent, studentRoutes);
+app.use('/notifications', isAuthenticated, notificationRoutes);
+app.use('/forums', isAuthenticated, forumRoutes);
+app.use('/files', isAuthenticated, fileRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -210,6 +241,9 @@ app.use((req, res) => {
   });
 });
 
+// Rejected CSRF tokens get a 403 instead of the generic error page
+app.use(csrfErrorHandler);
+
 // 12. Error handler (MUST be LAST middleware)
 app.use((err, req, res, next) => {
   console.error('❌ Error:', err);
@@ -235,6 +269,9 @@ async function startServer() {
       console.log(`📍 Server running on: http://localhost:${PORT}`);
       console.log(`🔐 AdminJS panel: http://localhost:${PORT}/admin`);
       console.log(`📚 Environment: ${process.env.NODE_ENV}`);
+
+      // Background job: email reminders for upcoming deadlines, announcements of released items
+      startNotificationJobs();
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -0,0 +1,165 @@
+import { Op } from 'sequelize';
+import { Announcement, AnnouncementAttachment, Course, User, sequelize } from '../models/index.js';
+
+/**
+ * Announcement Service
+ * Course announcements posted by teachers
+ *
+ * An announcement is visible to the course's students from publish_at on, so
+ * scheduling one is just a publish_at in the future. Pinned announcements are
+ * listed before the others.
+ *
+ * @module services/announcementService
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+
+/**
+ * Order used wherever announcements are listed
+ */
+const ANNOUNCEMENT_ORDER = [
+  ['is_pinned', 'DESC'],
+  ['publish_at', 'DESC'],
+  ['id', 'DESC']
+];
+
+/**
+ * Validate the announcement form
+ * @param {Object} body - Request body: title, body, is_pinned, publish_at (optional)
+ * @param {Date} now - Current time
+ * @returns {Object} - { values: { title, body, is_pinned, publish_at } } or { error }
+ */
+export const parseAnnouncementInput = (body, now = new Date()) => {
+  const title = (body.title || '').trim();
+  const text = (body.body || '').trim();
+
+  if (!title || !text) {
+    return { error: 'Announcement title and message are required' };
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Announcement title is too long (max ${MAX_TITLE_LENGTH} characters)` };
+  }
+  if (text.length > MAX_BODY_LENGTH) {
+    return { error: `Announcement message is too long (max ${MAX_BODY_LENGTH} characters)` };
+  }
+
+  // Empty or past publish time = publish now
+  let publishAt = now;
+  if (body.publish_at && body.publish_at.trim() !== '') {
+    const scheduled = new Date(body.publish_at);
+    if (isNaN(scheduled.getTime())) {
+      return { error: 'Invalid publish date' };
+    }
+    if (scheduled > now) {
+      publishAt = scheduled;
+    }
+  }
+
+  return {
+    values: {
+      title,
+      body: text,
+      is_pinned: body.is_pinned === 'on' || body.is_pinned === 'true',
+      publish_at: publishAt
+    }
+  };
+};
+
+/**
+ * Check whether students can see an announcement yet
+ * @param {Object} announcement - Announcement
+ * @param {Date} now - Current time
+ * @returns {boolean} - True once publish_at has passed
+ */
+export const isPublished = (announcement, now = new Date()) => {
+  return new Date(announcement.publish_at) <= now;
+};
+
+/**
+ * Get a course's announcements
+ * @param {number} courseId - Course ID
+ * @param {Object} options - { includeScheduled } (teachers see scheduled ones too)
+ * @returns {Array} - Announcements with author and attachments, pinned first
+ */
+export const getCourseAnnouncements = async (courseId, { includeScheduled = false } = {}) => {
+  const where = { course_id: courseId };
+  if (!includeScheduled) {
+    where.publish_at = { [Op.lte]: new Date() };
+  }
+
+  return await Announcement.findAll({
+    where,
+    include: [
+      { model: User, as: 'author', attributes: ['id', 'full_name'] },
+      { model: AnnouncementAttachment, as: 'attachments' }
+    ],
+    order: [
+      ...ANNOUNCEMENT_ORDER,
+      [{ model: AnnouncementAttachment, as: 'attachments' }, 'id', 'ASC']
+    ]
+  });
+};
+
+/**
+ * Get the latest published announcements across several courses
+ * @param {Array<number>} courseIds - Course IDs
+ * @param {number} limit - Maximum number of announcements
+ * @returns {Array} - Announcements with course and author, pinned first
+ */
+export const getRecentAnnouncements = async (courseIds, limit = 5) => {
+  if (courseIds.length === 0) {
+    return [];
+  }
+
+  return await Announcement.findAll({
+    where: {
+      course_id: { [Op.in]: courseIds },
+      publish_at: { [Op.lte]: new Date() }
+    },
+    include: [
+      { model: Course, as: 'course', attributes: ['id', 'code', 'title'] },
+      { model: User, as: 'author', attributes: ['id', 'full_name'] }
+    ],
+    order: ANNOUNCEMENT_ORDER,
+    limit
+  });
+};
+
+/**
+ * Create an announcement with its uploaded attachments
+ * @param {number} courseId - Course ID
+ * @param {number} authorId - Teacher ID
+ * @param {Object} values - Result of parseAnnouncementInput()
+ * @param {Array} files - Uploaded files (req.files)
+ * @returns {Object} - Created announcement
+ */
+export const createAnnouncement = async (courseId, authorId, values, files = []) => {
+  return await sequelize.transaction(async (transaction) => {
+    const announcement = await Announcement.create({
+      ...values,
+      course_id: courseId,
+      author_id: authorId
+    }, { transaction });
+
+    if (files.length > 0) {
+      await AnnouncementAttachment.bulkCreate(files.map(file => ({
+        announcement_id: announcement.id,
+        file_url: file.path, // Stored file URL
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        size_bytes: file.size || null
+      })), { transaction });
+    }
+
+    return announcement;
+  });
+};
+
+export default {
+  parseAnnouncementInput,
+  isPublished,
+  getCourseAnnouncements,
+  getRecentAnnouncements,
+  createAnnouncement
+};
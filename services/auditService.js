@@ -0,0 +1,253 @@
+import Papa from 'papaparse';
+import { Op } from 'sequelize';
+import { AuditLog } from '../models/index.js';
+
+/**
+ * Audit Service
+ * Append-only record of privileged actions: admin changes (Admin Tools and
+ * AdminJS), bulk operations and grading
+ *
+ * Each entry keeps who acted (id, plus username and role at the time), what was
+ * done to which record, the changed fields before and after, and the client IP.
+ * Secrets never reach the log - a changed password hash shows as '[redacted]'.
+ *
+ * Entries written inside a transaction roll back with it. Entries written after
+ * the fact do not fail the action they describe; a failed write is logged.
+ *
+ * @module services/auditService
+ */
+
+const REDACTED_FIELDS = ['password', 'totp_secret', 'totp_last_step'];
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'createdAt', 'updatedAt'];
+const EXPORT_LIMIT = 50000;
+const EXPORT_COLUMNS = ['id', 'created_at', 'actor_id', 'actor_username', 'actor_role', 'action', 'target_type', 'target_id', 'summary', 'before_values', 'after_values', 'ip_address'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Replace secret values before they are stored
+ * @param {Object|null} values - Field values
+ * @returns {Object|null} - Copy with secrets redacted
+ */
+const redact = (values) => {
+  if (!values) {
+    return null;
+  }
+  const result = { ...values };
+  for (const field of REDACTED_FIELDS) {
+    if (field in result && result[field] !== null && result[field] !== undefined) {
+      result[field] = '[redacted]';
+    }
+  }
+  return result;
+};
+
+/**
+ * Comparable form of a field value
+ * Form input, AdminJS params and model values differ in type ("85.00" vs 85, "" vs null)
+ * @param {*} value - Field value
+ * @returns {*} - Normalized value
+ */
+const normalize = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value !== 'boolean' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return String(value);
+};
+
+/**
+ * Client IP of a request
+ * AdminJS hands hooks a copy of the request's own properties, which loses the
+ * req.ip getter - config/admin.js keeps it as req.clientIp
+ * @param {Object} req - Express request or AdminJS action request
+ * @returns {string|null} - IP address
+ */
+const getClientIp = (req) => (req && (req.ip || req.clientIp)) || null;
+
+/**
+ * JSON column value as text (MySQL returns it parsed, MariaDB as a string)
+ * @param {*} value - Column value
+ * @returns {string} - JSON text, or '' when empty
+ */
+const toJsonText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Plain copy of a record's fields, without timestamps and loaded associations
+ * @param {Object} record - Sequelize instance or plain object
+ * @param {Array<string>} fields - Fields to keep (all when omitted)
+ * @returns {Object|null} - Field values
+ */
+export const snapshot = (record, fields = null) => {
+  if (!record) {
+    return null;
+  }
+
+  const values = typeof record.get === 'function' ? record.get({ plain: true }) : record;
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    if ((fields && !fields.includes(key)) || IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+      continue;
+    }
+    result[key] = value;
+  }
+  return result;
+};
+
+/**
+ * Keep only the fields whose value changed
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object} - { before, after } with the changed fields only
+ */
+export const diffValues = (before, after) => {
+  const changed = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    const oldValue = before && before[key] !== undefined ? before[key] : null;
+    const newValue = after && after[key] !== undefined ? after[key] : null;
+    if (normalize(oldValue) !== normalize(newValue)) {
+      changed.before[key] = oldValue;
+      changed.after[key] = newValue;
+    }
+  }
+  return changed;
+};
+
+/**
+ * Write one or more audit entries
+ * @param {Object} req - Request of the acting user (Express or AdminJS)
+ * @param {Object|Array<Object>} entries - { action, targetType, targetId, summary, before, after }
+ * @param {Object} options - { transaction }
+ */
+export const recordAudit = async (req, entries, { transaction } = {}) => {
+  const actor = (req && req.user) || null;
+  const ipAddress = getClientIp(req);
+
+  const rows = (Array.isArray(entries) ? entries : [entries]).map(entry => ({
+    actor_id: actor ? actor.id : null,
+    actor_username: actor ? actor.username : null,
+    actor_role: actor ? actor.role : null,
+    action: entry.action,
+    target_type: entry.targetType,
+    target_id: entry.targetId !== undefined && entry.targetId !== null ? parseInt(entry.targetId, 10) : null,
+    summary: entry.summary ? String(entry.summary).slice(0, 500) : null,
+    before_values: redact(entry.before || null),
+    after_values: redact(entry.after || null),
+    ip_address: ipAddress
+  }));
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  if (transaction) {
+    await AuditLog.bulkCreate(rows, { transaction });
+    return;
+  }
+
+  try {
+    await AuditLog.bulkCreate(rows);
+  } catch (error) {
+    console.error(`Audit log write failed (${rows[0].action}):`, error.message);
+  }
+};
+
+/**
+ * Build the query for a set of audit log filters
+ * @param {Object} filters - { action, actor, targetType, targetId, from, to } (from/to: YYYY-MM-DD)
+ * @returns {Object} - Sequelize where clause
+ */
+export const buildAuditWhere = ({ action, actor, targetType, targetId, from, to } = {}) => {
+  const where = {};
+
+  if (action && action.trim()) {
+    // A prefix such as "user." matches every user action
+    where.action = { [Op.like]: `${action.trim()}%` };
+  }
+  if (actor && actor.trim()) {
+    where.actor_username = actor.trim();
+  }
+  if (targetType && targetType.trim()) {
+    where.target_type = targetType.trim();
+  }
+  if (targetId && /^\d+$/.test(String(targetId).trim())) {
+    where.target_id = parseInt(targetId, 10);
+  }
+
+  const range = {};
+  if (from && DATE_PATTERN.test(from)) {
+    range[Op.gte] = new Date(`${from}T00:00:00`);
+  }
+  if (to && DATE_PATTERN.test(to)) {
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    range[Op.lt] = end;
+  }
+  if (Object.getOwnPropertySymbols(range).length > 0) {
+    where.created_at = range;
+  }
+
+  return where;
+};
+
+/**
+ * Export audit entries as CSV, newest first
+ * @param {Object} filters - See buildAuditWhere
+ * @returns {Object} - { csv, count, truncated }
+ */
+export const exportAuditLogCsv = async (filters = {}) => {
+  const entries = await AuditLog.findAll({
+    where: buildAuditWhere(filters),
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: EXPORT_LIMIT + 1,
+    raw: true
+  });
+
+  const truncated = entries.length > EXPORT_LIMIT;
+  const rows = entries.slice(0, EXPORT_LIMIT).map(entry => [
+    entry.id,
+    new Date(entry.created_at).toISOString(),
+    entry.actor_id,
+    entry.actor_username,
+    entry.actor_role,
+    entry.action,
+    entry.target_type,
+    entry.target_id,
+    entry.summary,
+    toJsonText(entry.before_values),
+    toJsonText(entry.after_values),
+    entry.ip_address
+  ]);
+
+  const csv = Papa.unparse({ fields: EXPORT_COLUMNS, data: rows }, {
+    // Usernames and summaries are user input - keep spreadsheets from running them as formulas
+    escapeFormulae: true
+  });
+
+  return { csv, count: rows.length, truncated };
+};
+
+export default {
+  snapshot,
+  diffValues,
+  recordAudit,
+  buildAuditWhere,
+  exportAuditLogCsv
+};
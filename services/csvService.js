@@ -82,11 +82,15 @@ export const parseCsv = (fileBuffer) => {
  * Validate User CSV data
  * Required headers: username, email, password, full_name, role
  * Optional headers: batch_code (required for students)
+ * With generatePasswords the password column is optional and not validated
  * @param {Array} rows - Parsed CSV data
+ * @param {Object} options - { generatePasswords }
  * @returns {Object} - { validRows: array, invalidRows: array, headerError: string|null }
  */
-export const validateUserCsv = (rows) => {
-  const requiredHeaders = ['username', 'email', 'password', 'full_name', 'role'];
+export const validateUserCsv = (rows, { generatePasswords = false } = {}) => {
+  const requiredHeaders = generatePasswords
+    ? ['username', 'email', 'full_name', 'role']
+    : ['username', 'email', 'password', 'full_name', 'role'];
   const validRoles = ['admin', 'teacher', 'student'];
 
   // Check if data exists
@@ -160,7 +164,7 @@ export const validateUserCsv = (rows) => {
     }
 
     // Validate password
-    if (!row.password || row.password.length < 6) {
+    if (!generatePasswords && (!row.password || row.password.length < 6)) {
       rowErrors.push({
         field: 'password',
         message: 'Password is required and must be at least 6 characters'
@@ -418,7 +422,7 @@ export const validateGradeCsv = (rows) => {
 
 /**
  * Validate teacher grade upload CSV
- * Expected columns: student_email OR username, grade, remarks (optional)
+ * Expected columns: student_email OR username, grade, remarks (optional), status (optional: draft/published)
  * @param {Array} rows - Parsed CSV rows
  * @returns {Object} - { valid: boolean, errors: array }
  */
@@ -539,6 +543,15 @@ export const validateTeacherGradeCsv = (rows) => {
         message: 'Remarks must not exceed 500 characters'
       });
     }
+
+    // Validate status (optional field, defaults to draft)
+    if (row.status && !['draft', 'published'].includes(row.status.trim().toLowerCase())) {
+      errors.push({
+        row: rowNum,
+        field: 'status',
+        message: `Invalid status: ${row.status}. Use "draft" or "published"`
+      });
+    }
   });
 
   return {
@@ -16,12 +16,102 @@ export const isDeadlinePassed = (deadline) => {
   return deadlineDate < now;
 };
 
+/**
+ * Get the deadline that applies to a student
+ * An extension can only push the deadline later, never earlier
+ * @param {Object} assignment - Assignment with deadline property
+ * @param {Date|string|null} extendedDeadline - Student's extended deadline (see extensionService)
+ * @returns {Date} - Effective deadline
+ */
+export const getEffectiveDeadline = (assignment, extendedDeadline = null) => {
+  const deadline = new Date(assignment.deadline);
+
+  if (!extendedDeadline) {
+    return deadline;
+  }
+
+  const extended = new Date(extendedDeadline);
+  return extended > deadline ? extended : deadline;
+};
+
+/**
+ * Get the late submission policy of an assignment
+ * With an effective (extended) deadline, the late cutoff moves by the same amount
+ * so the grace window keeps its length
+ * @param {Object} assignment - Assignment with late_cutoff, late_penalty_percent, late_penalty_unit
+ * @param {Date|string|null} effectiveDeadline - Result of getEffectiveDeadline() (default: assignment deadline)
+ * @returns {Object|null} - { lateCutoff, penaltyPercent, penaltyUnit } or null if late work is not accepted
+ */
+export const getLatePolicy = (assignment, effectiveDeadline = null) => {
+  if (!assignment || !assignment.late_cutoff) {
+    return null;
+  }
+
+  const shiftMs = effectiveDeadline
+    ? Math.max(0, new Date(effectiveDeadline) - new Date(assignment.deadline))
+    : 0;
+
+  return {
+    lateCutoff: new Date(new Date(assignment.late_cutoff).getTime() + shiftMs),
+    penaltyPercent: parseFloat(assignment.late_penalty_percent) || 0,
+    penaltyUnit: assignment.late_penalty_unit === 'hour' ? 'hour' : 'day'
+  };
+};
+
+/**
+ * Calculate the late penalty for a submission time
+ * Every started day/hour after the deadline counts as one full unit
+ * @param {Date|string} deadline - The assignment deadline
+ * @param {Object|null} latePolicy - Result of getLatePolicy()
+ * @param {Date|string} submittedAt - Submission time (default: now)
+ * @returns {Object} - { isLate, unitsLate, penaltyPercent }
+ */
+export const calculateLatePenalty = (deadline, latePolicy, submittedAt = new Date()) => {
+  const msLate = new Date(submittedAt) - new Date(deadline);
+
+  if (msLate <= 0) {
+    return { isLate: false, unitsLate: 0, penaltyPercent: 0 };
+  }
+
+  if (!latePolicy) {
+    return { isLate: true, unitsLate: 0, penaltyPercent: 0 };
+  }
+
+  const unitMs = latePolicy.penaltyUnit === 'hour' ? 1000 * 60 * 60 : 1000 * 60 * 60 * 24;
+  const unitsLate = Math.ceil(msLate / unitMs);
+
+  return {
+    isLate: true,
+    unitsLate,
+    penaltyPercent: Math.min(100, unitsLate * latePolicy.penaltyPercent)
+  };
+};
+
+/**
+ * Apply a late penalty to raw marks
+ * The penalty is a percentage of full marks, deducted from the raw score (never below 0)
+ * @param {number|string|null} marks - Raw marks in points
+ * @param {number} penaltyPercent - Penalty from calculateLatePenalty()
+ * @param {number|string} maxPoints - Full marks of the assignment (default 100)
+ * @returns {number|null} - Penalized marks, or null if not graded
+ */
+export const applyLatePenalty = (marks, penaltyPercent, maxPoints = 100) => {
+  if (marks === null || marks === undefined) {
+    return null;
+  }
+
+  const deduction = (penaltyPercent || 0) / 100 * parseFloat(maxPoints);
+  const penalized = Math.max(0, parseFloat(marks) - deduction);
+  return Math.round(penalized * 100) / 100;
+};
+
 /**
  * Check deadline and return detailed status
  * @param {Date|string} deadline - The assignment deadline
+ * @param {Object|null} latePolicy - Optional late policy from getLatePolicy()
  * @returns {Object} - Deadline status object
  */
-export const checkDeadline = (deadline) => {
+export const checkDeadline = (deadline, latePolicy = null) => {
   const now = new Date();
   const deadlineDate = new Date(deadline);
   const isPastDeadline = deadlineDate < now;
@@ -33,6 +123,25 @@ export const checkDeadline = (deadline) => {
   
   // Check if deadline is urgent (within 24 hours)
   const isUrgent = !isPastDeadline && daysUntil <= 1;
+
+  // Grace window: past the deadline but before the late cutoff
+  const lateCutoff = latePolicy ? latePolicy.lateCutoff : null;
+  const isInGracePeriod = isPastDeadline && !!lateCutoff && lateCutoff >= now;
+  const { penaltyPercent } = isInGracePeriod
+    ? calculateLatePenalty(deadlineDate, latePolicy, now)
+    : { penaltyPercent: 0 };
+
+  let message;
+  if (isInGracePeriod) {
+    message = `Deadline has passed. Late submissions are accepted until ${formatDeadline(lateCutoff)}` +
+      (penaltyPercent > 0 ? ` with a ${penaltyPercent}% penalty if submitted now.` : '.');
+  } else if (isPastDeadline) {
+    message = 'Deadline has passed. You can no longer submit or resubmit this assignment.';
+  } else if (isUrgent) {
+    message = `Urgent: Only ${hoursUntil} hour${hoursUntil !== 1 ? 's' : ''} left!`;
+  } else {
+    message = `${daysUntil} day${daysUntil !== 1 ? 's' : ''} remaining`;
+  }
   
   return {
     deadline: deadlineDate,
@@ -40,32 +149,37 @@ export const checkDeadline = (deadline) => {
     daysUntil,
     hoursUntil,
     isUrgent,
-    canSubmit: !isPastDeadline,
-    message: isPastDeadline 
-      ? 'Deadline has passed. You can no longer submit or resubmit this assignment.'
-      : isUrgent 
-        ? `Urgent: Only ${hoursUntil} hour${hoursUntil !== 1 ? 's' : ''} left!`
-        : `${daysUntil} day${daysUntil !== 1 ? 's' : ''} remaining`
+    lateCutoff,
+    isInGracePeriod,
+    latePenaltyPercent: penaltyPercent,
+    latePolicy,
+    canSubmit: !isPastDeadline || isInGracePeriod,
+    message
   };
 };
 
 /**
  * Validate submission against deadline
+ * Honors the student's extension and the assignment's late policy (grace window until late_cutoff)
  * @param {Object} assignment - Assignment object with deadline property
- * @returns {Object} - Validation result { valid: boolean, message: string }
+ * @param {Date|string|null} extendedDeadline - Student's extended deadline, if any
+ * @returns {Object} - Validation result { valid: boolean, isLate: boolean, message: string }
  */
-export const validateSubmissionDeadline = (assignment) => {
+export const validateSubmissionDeadline = (assignment, extendedDeadline = null) => {
   if (!assignment || !assignment.deadline) {
     return {
       valid: false,
+      isLate: false,
       message: 'Assignment not found or deadline not set.'
     };
   }
   
-  const status = checkDeadline(assignment.deadline);
+  const effectiveDeadline = getEffectiveDeadline(assignment, extendedDeadline);
+  const status = checkDeadline(effectiveDeadline, getLatePolicy(assignment, effectiveDeadline));
   
   return {
     valid: status.canSubmit,
+    isLate: status.isInGracePeriod,
     message: status.message
   };
 };
@@ -96,6 +210,10 @@ export const formatDeadline = (deadline, locale = 'en-US') => {
 
 export default {
   isDeadlinePassed,
+  getEffectiveDeadline,
+  getLatePolicy,
+  calculateLatePenalty,
+  applyLatePenalty,
   checkDeadline,
   validateSubmissionDeadline,
   formatDeadline
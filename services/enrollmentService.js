@@ -0,0 +1,45 @@
+import { Course, BatchEnrollment } from '../models/index.js';
+
+/**
+ * Enrollment Service
+ * Which courses a student can see
+ *
+ * Students do not enroll individually: a course is open to a student when the
+ * student's batch is enrolled in it.
+ *
+ * @module services/enrollmentService
+ */
+
+/**
+ * Include that keeps only courses the batch is enrolled in
+ * Add it to a Course query's include list
+ * @param {number} batchId - Student's batch ID
+ * @returns {Object} - Sequelize include
+ */
+export const batchEnrollmentInclude = (batchId) => ({
+  model: BatchEnrollment,
+  where: { batch_id: batchId },
+  required: true  // Only show if student's batch is enrolled
+});
+
+/**
+ * Get a course if the student's batch is enrolled in it
+ * @param {number} courseId - Course ID
+ * @param {Object} student - { batch_id }
+ * @returns {Object|null} - Course, or null if not found or not enrolled
+ */
+export const findEnrolledCourse = async (courseId, student) => {
+  if (!student.batch_id) {
+    return null;
+  }
+
+  return await Course.findOne({
+    where: { id: courseId },
+    include: [batchEnrollmentInclude(student.batch_id)]
+  });
+};
+
+export default {
+  batchEnrollmentInclude,
+  findEnrolledCourse
+};
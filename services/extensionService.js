@@ -0,0 +1,114 @@
+import { Op } from 'sequelize';
+import { DeadlineExtension, User, Batch } from '../models/index.js';
+
+/**
+ * Extension Service
+ * Per-student and per-batch deadline extensions (accommodations)
+ *
+ * Extensions are append-only: revoking sets revoked_at/revoked_by instead of
+ * deleting the row, so the list doubles as an audit of who granted what.
+ *
+ * @module services/extensionService
+ */
+
+/**
+ * Pick the extended deadline that applies to a student
+ * When both an individual and a batch extension exist, the later one wins
+ * @param {Array} extensions - Active extensions for one assignment
+ * @param {Object} student - { id, batch_id }
+ * @returns {Date|null} - Extended deadline or null if none applies
+ */
+export const resolveExtendedDeadline = (extensions, student) => {
+  let latest = null;
+
+  extensions.forEach(extension => {
+    const applies = extension.student_id
+      ? extension.student_id === student.id
+      : !!student.batch_id && extension.batch_id === student.batch_id;
+
+    if (applies) {
+      const extended = new Date(extension.extended_deadline);
+      if (!latest || extended > latest) {
+        latest = extended;
+      }
+    }
+  });
+
+  return latest;
+};
+
+/**
+ * Get active extensions for a set of assignments that could apply to a student
+ * @param {Object} student - { id, batch_id }
+ * @param {Array<number>} assignmentIds - Assignment IDs to look up
+ * @returns {Map<number, Date>} - assignment_id => extended deadline
+ */
+export const getStudentExtensionMap = async (student, assignmentIds) => {
+  const extensionMap = new Map();
+
+  if (!student || !assignmentIds || assignmentIds.length === 0) {
+    return extensionMap;
+  }
+
+  const targets = [{ student_id: student.id }];
+  if (student.batch_id) {
+    targets.push({ batch_id: student.batch_id });
+  }
+
+  const extensions = await DeadlineExtension.findAll({
+    where: {
+      assignment_id: assignmentIds,
+      revoked_at: null,
+      [Op.or]: targets
+    },
+    attributes: ['assignment_id', 'student_id', 'batch_id', 'extended_deadline']
+  });
+
+  assignmentIds.forEach(assignmentId => {
+    const extended = resolveExtendedDeadline(
+      extensions.filter(e => e.assignment_id === Number(assignmentId)),
+      student
+    );
+    if (extended) {
+      extensionMap.set(Number(assignmentId), extended);
+    }
+  });
+
+  return extensionMap;
+};
+
+/**
+ * Get the extended deadline of a single assignment for a student
+ * @param {number} assignmentId - Assignment ID
+ * @param {Object} student - { id, batch_id }
+ * @returns {Date|null} - Extended deadline or null if none applies
+ */
+export const getExtendedDeadline = async (assignmentId, student) => {
+  const extensionMap = await getStudentExtensionMap(student, [Number(assignmentId)]);
+  return extensionMap.get(Number(assignmentId)) || null;
+};
+
+/**
+ * Get every extension of an assignment (active and revoked) for the teacher audit list
+ * @param {number} assignmentId - Assignment ID
+ * @returns {Array} - Extensions with student, batch, granter and revoker, newest first
+ */
+export const getAssignmentExtensions = async (assignmentId) => {
+  return await DeadlineExtension.findAll({
+    where: { assignment_id: assignmentId },
+    include: [
+      { model: User, as: 'student', attributes: ['id', 'full_name', 'email', 'batch_id'] },
+      { model: Batch, as: 'batch', attributes: ['id', 'name', 'code'] },
+      { model: User, as: 'granter', attributes: ['id', 'full_name'] },
+      { model: User, as: 'revoker', attributes: ['id', 'full_name'] }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+};
+
+export default {
+  resolveExtendedDeadline,
+  getStudentExtensionMap,
+  getExtendedDeadline,
+  getAssignmentExtensions
+};
@@ -0,0 +1,283 @@
+import {
+  Material,
+  MaterialVersion,
+  FolderCourse,
+  AssignmentMaterial,
+  Assignment,
+  Submission,
+  SubmissionVersion,
+  SubmissionAttachment,
+  Announcement,
+  AnnouncementAttachment,
+  BatchEnrollment
+} from '../models/index.js';
+import { teacherService } from './teacherService.js';
+import { isPublished } from './announcementService.js';
+import { getReleaseContext, isAssignmentReleased, isMaterialReleased } from './releaseService.js';
+
+/**
+ * File Access Service
+ * Who may open which stored file
+ *
+ * Files are private in storage. The app hands them out through /files/<kind>/<id>
+ * after checking access here:
+ * - admins can open every file
+ * - teachers can open files of courses they teach
+ * - students can open files of courses their batch is enrolled in (published
+ *   announcements, released materials and assignments, and current material
+ *   versions only) and the files of their own submissions
+ *
+ * @module services/fileAccessService
+ */
+
+export const FILE_KINDS = [
+  'materials',
+  'material-versions',
+  'assignment-materials',
+  'submissions',
+  'submission-versions',
+  'submission-attachments',
+  'announcement-attachments'
+];
+
+/**
+ * App path that serves a file
+ * @param {string} kind - One of FILE_KINDS
+ * @param {number} id - Record ID
+ * @returns {string} - e.g. "/files/materials/12"
+ */
+export const filePath = (kind, id) => `/files/${kind}/${id}`;
+
+/**
+ * Check whether a user can see course files
+ * @param {Object} user - Signed-in user
+ * @param {Array<number>} courseIds - Courses the file belongs to
+ * @returns {Promise<boolean>}
+ */
+const canAccessCourses = async (user, courseIds) => {
+  const ids = courseIds.filter(Boolean);
+  if (user.role === 'admin') {
+    return true;
+  }
+  if (ids.length === 0) {
+    return false;
+  }
+
+  if (user.role === 'teacher') {
+    const teacherCourseIds = await teacherService.getCourseIds(user.id);
+    return ids.some(id => teacherCourseIds.includes(parseInt(id)));
+  }
+
+  if (user.role === 'student' && user.batch_id) {
+    const enrollment = await BatchEnrollment.findOne({
+      where: { batch_id: user.batch_id, course_id: ids }
+    });
+    return !!enrollment;
+  }
+
+  return false;
+};
+
+/**
+ * Check whether a user can see a submission's files
+ * @param {Object} user - Signed-in user
+ * @param {Object} submission - Submission with assignment
+ * @returns {Promise<boolean>}
+ */
+const canAccessSubmission = async (user, submission) => {
+  if (!submission || !submission.assignment) {
+    return false;
+  }
+  if (user.role === 'student') {
+    return submission.student_id === user.id;
+  }
+  return canAccessCourses(user, [submission.assignment.course_id]);
+};
+
+/**
+ * Courses a material belongs to
+ * Folder materials belong to every course the folder is shared with.
+ * @param {Object} material - Material
+ * @returns {Promise<Array<number>>}
+ */
+const getMaterialCourseIds = async (material) => {
+  const courseIds = [material.course_id];
+  if (material.folder_id) {
+    const shares = await FolderCourse.findAll({ where: { folder_id: material.folder_id }, attributes: ['course_id'] });
+    courseIds.push(...shares.map(share => share.course_id));
+  }
+  return courseIds;
+};
+
+/**
+ * Last path segment of a URL, used as a file name when none was kept
+ * @param {string} url - File URL
+ * @returns {string}
+ */
+const nameFromUrl = (url) => decodeURIComponent(String(url).split(/[?#]/)[0].split('/').pop() || 'download');
+
+/**
+ * Download name from a title and the stored file's extension
+ * @param {string} title - Material title
+ * @param {string} url - File URL
+ * @returns {string} - e.g. "week_1_slides.pptx"
+ */
+const nameFromTitle = (title, url) => {
+  const urlName = nameFromUrl(url);
+  const ext = urlName.includes('.') ? urlName.split('.').pop().toLowerCase() : '';
+  let name = (title || 'download').replace(/[^a-z0-9-_ ]/gi, '_').toLowerCase();
+
+  if (ext) {
+    // Avoid "file_pdf.pdf" when the title already ends with the extension
+    name = `${name.replace(new RegExp(`[._]${ext}$`, 'i'), '')}.${ext}`;
+  }
+  return name;
+};
+
+/**
+ * Load a file record the user may open
+ * @param {string} kind - One of FILE_KINDS
+ * @param {number} id - Record ID
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object|null>} - { url, name } or null if missing or not allowed
+ */
+export const findAccessibleFile = async (kind, id, user) => {
+  if (!user || !/^\d+$/.test(String(id))) {
+    return null;
+  }
+
+  switch (kind) {
+    case 'materials': {
+      const material = await Material.findByPk(id);
+      if (!material || !material.file_url) {
+        return null;
+      }
+
+      // Students only see materials (and folders) once they are released to them
+      if (user.role === 'student' && !await isMaterialReleased(material, await getReleaseContext(user.id))) {
+        return null;
+      }
+
+      return await canAccessCourses(user, await getMaterialCourseIds(material))
+        ? { url: material.file_url, name: nameFromTitle(material.title, material.file_url) }
+        : null;
+    }
+
+    case 'material-versions': {
+      // Students only ever get the current version (through 'materials')
+      if (user.role === 'student') {
+        return null;
+      }
+
+      const version = await MaterialVersion.findByPk(id, {
+        include: [{ model: Material, as: 'material' }]
+      });
+      if (!version || !version.file_url || !version.material) {
+        return null;
+      }
+
+      return await canAccessCourses(user, await getMaterialCourseIds(version.material))
+        ? { url: version.file_url, name: nameFromTitle(`${version.material.title} v${version.version_number}`, version.file_url) }
+        : null;
+    }
+
+    case 'assignment-materials': {
+      const material = await AssignmentMaterial.findByPk(id, {
+        include: [{
+          model: Assignment,
+          as: 'assignment',
+          attributes: ['id', 'course_id', 'visible_from', 'visible_until', 'prerequisite_assignment_id']
+        }]
+      });
+      if (!material || !material.url || !material.assignment) {
+        return null;
+      }
+
+      if (user.role === 'student' && !isAssignmentReleased(material.assignment, await getReleaseContext(user.id))) {
+        return null;
+      }
+
+      return await canAccessCourses(user, [material.assignment.course_id])
+        ? { url: material.url, name: nameFromTitle(material.title, material.url) }
+        : null;
+    }
+
+    case 'submissions': {
+      const submission = await Submission.findByPk(id, {
+        include: [{ model: Assignment, as: 'assignment', attributes: ['id', 'course_id'] }]
+      });
+      if (!submission || !submission.file_url) {
+        return null;
+      }
+
+      return await canAccessSubmission(user, submission)
+        ? { url: submission.file_url, name: nameFromUrl(submission.file_url) }
+        : null;
+    }
+
+    case 'submission-versions': {
+      const version = await SubmissionVersion.findByPk(id, {
+        include: [{
+          model: Submission,
+          as: 'submission',
+          include: [{ model: Assignment, as: 'assignment', attributes: ['id', 'course_id'] }]
+        }]
+      });
+      if (!version || !version.file_url) {
+        return null;
+      }
+
+      return await canAccessSubmission(user, version.submission)
+        ? { url: version.file_url, name: nameFromUrl(version.file_url) }
+        : null;
+    }
+
+    case 'submission-attachments': {
+      const attachment = await SubmissionAttachment.findByPk(id, {
+        include: [{
+          model: SubmissionVersion,
+          as: 'version',
+          include: [{
+            model: Submission,
+            as: 'submission',
+            include: [{ model: Assignment, as: 'assignment', attributes: ['id', 'course_id'] }]
+          }]
+        }]
+      });
+      if (!attachment || !attachment.version) {
+        return null;
+      }
+
+      return await canAccessSubmission(user, attachment.version.submission)
+        ? { url: attachment.file_url, name: attachment.original_name }
+        : null;
+    }
+
+    case 'announcement-attachments': {
+      const attachment = await AnnouncementAttachment.findByPk(id, {
+        include: [{ model: Announcement, as: 'announcement' }]
+      });
+      if (!attachment || !attachment.announcement) {
+        return null;
+      }
+
+      // Students only see announcements once they are published
+      if (user.role === 'student' && !isPublished(attachment.announcement)) {
+        return null;
+      }
+
+      return await canAccessCourses(user, [attachment.announcement.course_id])
+        ? { url: attachment.file_url, name: attachment.original_name }
+        : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+export default {
+  FILE_KINDS,
+  filePath,
+  findAccessibleFile
+};
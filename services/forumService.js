@@ -0,0 +1,372 @@
+import { Op, fn, col } from 'sequelize';
+import { ForumTopic, ForumPost, Assignment, User, sequelize } from '../models/index.js';
+import { teacherService } from './teacherService.js';
+import { findEnrolledCourse } from './enrollmentService.js';
+import { RELEASE_FIELDS, getReleaseContext, isAssignmentReleased } from './releaseService.js';
+
+/**
+ * Forum Service
+ * Per-course discussion boards with threaded replies
+ *
+ * A topic can be linked to an assignment, which makes it part of that
+ * assignment's Q&A. Students may post anonymously: other students see
+ * "Anonymous", teachers still see who wrote it. Teachers moderate: pin, lock,
+ * delete and mark a reply as the answer. Deleted replies keep their place in
+ * the thread so answers to them still make sense.
+ *
+ * @module services/forumService
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+
+/**
+ * Check whether a user can use a course's forum
+ * Students need their batch enrolled in the course (same check as the course
+ * page); teachers need to be assigned to it. Moderation needs edit permission.
+ * @param {number} courseId - Course ID
+ * @param {Object} user - Signed-in user (id, role, batch_id)
+ * @returns {Object|null} - { course, canModerate } or null if no access
+ */
+export const getForumAccess = async (courseId, user) => {
+  if (user.role === 'student') {
+    const course = await findEnrolledCourse(courseId, user);
+    return course ? { course, canModerate: false } : null;
+  }
+
+  if (user.role === 'teacher') {
+    const course = await teacherService.checkCourseAccess(courseId, user.id);
+    if (!course) {
+      return null;
+    }
+    const canModerate = !!await teacherService.checkCourseAccess(courseId, user.id, { requireEdit: true });
+    return { course, canModerate };
+  }
+
+  return null;
+};
+
+/**
+ * Assignments of a course that a user may see and ask about
+ * Students only get the assignments released to them (schedule and prerequisite,
+ * see releaseService); teachers get all of them.
+ * @param {number} courseId - Course ID
+ * @param {Object} user - Signed-in user (id, role)
+ * @returns {Promise<Array>} - Assignments (id, title and release fields), earliest deadline first
+ */
+export const getVisibleAssignments = async (courseId, user) => {
+  const assignments = await Assignment.findAll({
+    where: { course_id: courseId },
+    attributes: ['id', 'title', ...RELEASE_FIELDS],
+    order: [['deadline', 'ASC']]
+  });
+
+  if (user.role !== 'student') {
+    return assignments;
+  }
+  const context = await getReleaseContext(user.id);
+  return assignments.filter(assignment => isAssignmentReleased(assignment, context));
+};
+
+/**
+ * Validate message text
+ * @param {string} raw - Submitted text
+ * @returns {Object} - { value } or { error }
+ */
+const parseBody = (raw) => {
+  const body = (raw || '').trim();
+  if (!body) {
+    return { error: 'Message cannot be empty' };
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return { error: `Message is too long (max ${MAX_BODY_LENGTH} characters)` };
+  }
+  return { value: body };
+};
+
+/**
+ * Validate the new topic form
+ * @param {Object} body - Request body: title, body, assignment_id, is_anonymous
+ * @param {number} courseId - Course the topic is posted in
+ * @param {Object} user - Author
+ * @returns {Object} - { values } or { error }
+ */
+export const parseTopicInput = async (body, courseId, user) => {
+  const title = (body.title || '').trim();
+  if (!title) {
+    return { error: 'Topic title is required' };
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Topic title is too long (max ${MAX_TITLE_LENGTH} characters)` };
+  }
+
+  const text = parseBody(body.body);
+  if (text.error) {
+    return text;
+  }
+
+  let assignmentId = null;
+  if (body.assignment_id) {
+    const assignments = await getVisibleAssignments(courseId, user);
+    const assignment = assignments.find(item => item.id === parseInt(body.assignment_id, 10));
+    if (!assignment) {
+      return { error: 'Invalid assignment' };
+    }
+    assignmentId = assignment.id;
+  }
+
+  return {
+    values: {
+      title,
+      body: text.value,
+      assignment_id: assignmentId,
+      // Only students can hide their name
+      is_anonymous: user.role === 'student' && body.is_anonymous === 'on'
+    }
+  };
+};
+
+/**
+ * Get a course's topics, pinned first, then most recently active
+ * @param {number} courseId - Course ID
+ * @param {Object} options - { assignmentId } to list one assignment's Q&A
+ * @returns {Array} - Topics with author, assignment and replyCount
+ */
+export const getCourseTopics = async (courseId, { assignmentId = null } = {}) => {
+  const where = { course_id: courseId };
+  if (assignmentId) {
+    where.assignment_id = assignmentId;
+  }
+
+  const topics = await ForumTopic.findAll({
+    where,
+    include: [
+      { model: User, as: 'author', attributes: ['id', 'full_name', 'role'] },
+      { model: Assignment, as: 'assignment', attributes: ['id', 'title'] }
+    ],
+    order: [
+      ['is_pinned', 'DESC'],
+      ['last_activity_at', 'DESC'],
+      ['id', 'DESC']
+    ]
+  });
+
+  if (topics.length === 0) {
+    return topics;
+  }
+
+  const counts = await ForumPost.findAll({
+    where: { topic_id: topics.map(topic => topic.id), deleted_at: null },
+    attributes: ['topic_id', [fn('COUNT', col('id')), 'count']],
+    group: ['topic_id'],
+    raw: true
+  });
+  const countMap = new Map(counts.map(row => [row.topic_id, parseInt(row.count, 10)]));
+
+  topics.forEach(topic => {
+    topic.replyCount = countMap.get(topic.id) || 0;
+  });
+  return topics;
+};
+
+/**
+ * Get a topic with its course, assignment and author
+ * @param {number} topicId - Topic ID
+ * @returns {Object|null} - Topic
+ */
+export const getTopic = async (topicId) => {
+  return await ForumTopic.findByPk(topicId, {
+    include: [
+      { model: User, as: 'author', attributes: ['id', 'full_name', 'role'] },
+      { model: Assignment, as: 'assignment', attributes: ['id', 'title'] }
+    ]
+  });
+};
+
+/**
+ * Get a topic's replies as a tree
+ * @param {number} topicId - Topic ID
+ * @returns {Array} - Top-level posts, each with children (oldest first)
+ */
+export const getPostTree = async (topicId) => {
+  const posts = await ForumPost.findAll({
+    where: { topic_id: topicId },
+    include: [{ model: User, as: 'author', attributes: ['id', 'full_name', 'role'] }],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+
+  const nodes = new Map(posts.map(post => [post.id, { post, children: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.post.parent_id ? nodes.get(node.post.parent_id) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+};
+
+/**
+ * Name to show for a topic or post author
+ * Anonymous posts show the real name only to teachers and to the author.
+ * @param {Object} entry - Topic or post with author and is_anonymous
+ * @param {Object} viewer - Signed-in user
+ * @returns {Object} - { name, isAnonymous, isTeacher }
+ */
+export const getAuthorLabel = (entry, viewer) => {
+  const author = entry.author;
+  const isTeacher = !!author && author.role === 'teacher';
+  const name = author ? author.full_name : 'Unknown user';
+
+  if (!entry.is_anonymous) {
+    return { name, isAnonymous: false, isTeacher };
+  }
+
+  const canSeeName = viewer.role !== 'student' || (author && author.id === viewer.id);
+  return {
+    name: canSeeName ? name : 'Anonymous',
+    isAnonymous: true,
+    isTeacher
+  };
+};
+
+/**
+ * Create a topic
+ * @param {number} courseId - Course ID
+ * @param {Object} user - Author
+ * @param {Object} values - Result of parseTopicInput()
+ * @returns {Object} - Created topic
+ */
+export const createTopic = async (courseId, user, values) => {
+  return await ForumTopic.create({
+    ...values,
+    course_id: courseId,
+    author_id: user.id,
+    last_activity_at: new Date()
+  });
+};
+
+/**
+ * Reply to a topic or to another reply
+ * @param {Object} topic - Topic
+ * @param {Object} user - Author
+ * @param {Object} body - Request body: body, parent_id, is_anonymous
+ * @returns {Object} - { post } or { error }
+ */
+export const createReply = async (topic, user, body) => {
+  const text = parseBody(body.body);
+  if (text.error) {
+    return text;
+  }
+
+  let parentId = null;
+  if (body.parent_id) {
+    const parent = await ForumPost.findOne({
+      where: { id: body.parent_id, topic_id: topic.id },
+      attributes: ['id', 'deleted_at']
+    });
+    if (!parent || parent.deleted_at) {
+      return { error: 'The reply you are answering no longer exists' };
+    }
+    parentId = parent.id;
+  }
+
+  const post = await sequelize.transaction(async (transaction) => {
+    const created = await ForumPost.create({
+      topic_id: topic.id,
+      parent_id: parentId,
+      author_id: user.id,
+      body: text.value,
+      is_anonymous: user.role === 'student' && body.is_anonymous === 'on'
+    }, { transaction });
+
+    await topic.update({ last_activity_at: new Date() }, { transaction });
+    return created;
+  });
+
+  return { post };
+};
+
+/**
+ * Remove a reply (moderation)
+ * The row stays so its replies keep their place in the thread
+ * @param {Object} post - Post
+ * @param {number} moderatorId - Teacher ID
+ */
+export const deletePost = async (post, moderatorId) => {
+  await sequelize.transaction(async (transaction) => {
+    await post.update({ deleted_at: new Date(), deleted_by: moderatorId }, { transaction });
+
+    // A removed reply cannot stay the accepted answer
+    await ForumTopic.update(
+      { answer_post_id: null },
+      { where: { id: post.topic_id, answer_post_id: post.id }, transaction }
+    );
+  });
+};
+
+/**
+ * Delete a topic and all its replies (moderation)
+ * @param {Object} topic - Topic
+ */
+export const deleteTopic = async (topic) => {
+  await sequelize.transaction(async (transaction) => {
+    // Replies point at each other, so clear the links before deleting
+    await ForumPost.update({ parent_id: null }, { where: { topic_id: topic.id }, transaction });
+    await ForumPost.destroy({ where: { topic_id: topic.id }, transaction });
+    await topic.destroy({ transaction });
+  });
+};
+
+/**
+ * Mark a reply as the topic's answer, or clear it if it already is
+ * @param {Object} topic - Topic
+ * @param {number} postId - Reply ID
+ * @returns {Object} - { marked: boolean } or { error }
+ */
+export const toggleAnswer = async (topic, postId) => {
+  const post = await ForumPost.findOne({
+    where: { id: postId, topic_id: topic.id, deleted_at: null },
+    attributes: ['id']
+  });
+  if (!post) {
+    return { error: 'Reply not found' };
+  }
+
+  const marked = topic.answer_post_id !== post.id;
+  await topic.update({ answer_post_id: marked ? post.id : null });
+  return { marked };
+};
+
+/**
+ * Count the Q&A topics of each assignment
+ * @param {Array<number>} assignmentIds - Assignment IDs
+ * @returns {Map<number, number>} - assignment_id => topic count
+ */
+export const getQuestionCounts = async (assignmentIds) => {
+  if (assignmentIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await ForumTopic.findAll({
+    where: { assignment_id: { [Op.in]: assignmentIds } },
+    attributes: ['assignment_id', [fn('COUNT', col('id')), 'count']],
+    group: ['assignment_id'],
+    raw: true
+  });
+  return new Map(rows.map(row => [row.assignment_id, parseInt(row.count, 10)]));
+};
+
+export default {
+  getForumAccess,
+  getVisibleAssignments,
+  parseTopicInput,
+  getCourseTopics,
+  getTopic,
+  getPostTree,
+  getAuthorLabel,
+  createTopic,
+  createReply,
+  deletePost,
+  deleteTopic,
+  toggleAnswer,
+  getQuestionCounts
+};
@@ -1,25 +1,259 @@
-import { Submission, Assignment, User } from '../models/index.js';
+import { Submission, Assignment, User, Grade, BatchEnrollment, Course, GradeCategory } from '../models/index.js';
+import { getEffectiveDeadline, getLatePolicy, calculateLatePenalty, applyLatePenalty } from './deadlineService.js';
+import { getStudentExtensionMap } from './extensionService.js';
+
+/**
+ * Default letter grade scale used when a course has not defined its own
+ * Entries are percentage cutoffs (inclusive lower bound), highest first
+ */
+export const DEFAULT_GRADING_SCALE = [
+  { letter: 'A', min: 90 },
+  { letter: 'B+', min: 85 },
+  { letter: 'B', min: 75 },
+  { letter: 'C+', min: 70 },
+  { letter: 'C', min: 60 },
+  { letter: 'D', min: 50 },
+  { letter: 'F', min: 0 }
+];
+
+/**
+ * Get the letter grade scale for a course
+ * 
+ * @param {Object} course - Course instance or plain object (with grading_scale)
+ * @returns {Array} - [{ letter, min }] sorted by min descending
+ */
+export const getGradingScale = (course) => {
+  let scale = course ? course.grading_scale : null;
+
+  // Some MySQL drivers return JSON columns as strings
+  if (typeof scale === 'string') {
+    try {
+      scale = JSON.parse(scale);
+    } catch (error) {
+      scale = null;
+    }
+  }
+
+  if (!Array.isArray(scale) || scale.length === 0) {
+    scale = DEFAULT_GRADING_SCALE;
+  }
+
+  return [...scale]
+    .map(entry => ({ letter: entry.letter, min: parseFloat(entry.min) }))
+    .sort((a, b) => b.min - a.min);
+};
+
+/**
+ * Convert a percentage into a letter grade using a scale
+ * 
+ * @param {number} percentage - Score 0-100
+ * @param {Array} scale - [{ letter, min }] from getGradingScale
+ * @returns {string|null} - Letter grade, or null if percentage is null
+ */
+export const percentageToLetter = (percentage, scale = DEFAULT_GRADING_SCALE) => {
+  if (percentage === null || percentage === undefined || isNaN(percentage)) {
+    return null;
+  }
+
+  const entry = scale.find(e => percentage >= e.min);
+  return entry ? entry.letter : scale[scale.length - 1].letter;
+};
+
+/**
+ * Validate a letter grade scale submitted by a teacher
+ * Letters must be A-F with optional +/-, cutoffs 0-100, unique, and one cutoff must be 0
+ * 
+ * @param {Array} entries - [{ letter, min }] (unsorted, min may be a string)
+ * @returns {Object} - { valid: boolean, errors: array, scale: array }
+ */
+export const validateGradingScale = (entries) => {
+  const errors = [];
+  const scale = [];
+  const seenLetters = new Set();
+  const seenCutoffs = new Set();
+
+  (entries || []).forEach(entry => {
+    const letter = (entry.letter || '').trim().toUpperCase();
+    const minValue = String(entry.min ?? '').trim();
+
+    // Ignore fully blank rows from the form
+    if (!letter && !minValue) {
+      return;
+    }
+
+    if (!/^[A-F][+-]?$/.test(letter)) {
+      errors.push(`Invalid letter "${entry.letter}". Use A-F with optional + or -`);
+      return;
+    }
+
+    const min = parseFloat(minValue);
+    if (isNaN(min) || min < 0 || min > 100) {
+      errors.push(`Cutoff for ${letter} must be a number between 0 and 100`);
+      return;
+    }
+
+    if (seenLetters.has(letter)) {
+      errors.push(`Letter ${letter} is listed more than once`);
+    }
+    if (seenCutoffs.has(min)) {
+      errors.push(`Cutoff ${min}% is used by more than one letter`);
+    }
+    seenLetters.add(letter);
+    seenCutoffs.add(min);
+
+    scale.push({ letter, min });
+  });
+
+  if (scale.length === 0) {
+    errors.push('Grading scale must have at least one letter');
+  } else if (!seenCutoffs.has(0)) {
+    errors.push('The lowest letter must have a cutoff of 0%');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    scale: scale.sort((a, b) => b.min - a.min)
+  };
+};
+
+/**
+ * Get the points an assignment is marked out of
+ * @param {Object} assignment - Assignment with max_points
+ * @returns {number} - Max points (100 for assignments created before max_points existed)
+ */
+export const getMaxPoints = (assignment) => {
+  const maxPoints = assignment ? parseFloat(assignment.max_points) : NaN;
+  return maxPoints > 0 ? maxPoints : 100;
+};
+
+/**
+ * Get the highest marks a submission can receive (max points plus extra credit)
+ * @param {Object} assignment - Assignment with max_points and extra_credit_points
+ * @returns {number} - Upper bound for marks
+ */
+export const getMarksLimit = (assignment) => {
+  const extraCredit = assignment ? parseFloat(assignment.extra_credit_points) || 0 : 0;
+  return Math.round((getMaxPoints(assignment) + extraCredit) * 100) / 100;
+};
+
+/**
+ * Convert marks (points) to a percentage of the assignment's max points
+ * Extra credit can make this exceed 100
+ * @param {number|string|null} marks - Marks in points
+ * @param {Object} assignment - Assignment with max_points
+ * @returns {number|null} - Percentage rounded to 2 decimals, or null if not graded
+ */
+export const toPercentage = (marks, assignment) => {
+  if (marks === null || marks === undefined || marks === '') {
+    return null;
+  }
+
+  return Math.round(parseFloat(marks) / getMaxPoints(assignment) * 10000) / 100;
+};
+
+/**
+ * Validate marks entered for an assignment
+ * @param {number|string} value - Entered marks
+ * @param {Object} assignment - Assignment with max_points and extra_credit_points
+ * @returns {Object} - { value } or { error }
+ */
+export const validateMarks = (value, assignment) => {
+  const marks = parseFloat(value);
+  const limit = getMarksLimit(assignment);
+  const maxPoints = getMaxPoints(assignment);
+
+  if (value === '' || value === null || value === undefined || isNaN(marks) || marks < 0 || marks > limit) {
+    return {
+      error: limit > maxPoints
+        ? `Marks must be between 0 and ${limit} (${maxPoints} points + ${Math.round((limit - maxPoints) * 100) / 100} extra credit)`
+        : `Marks must be between 0 and ${maxPoints}`
+    };
+  }
+
+  return { value: Math.round(marks * 100) / 100 };
+};
+
+/**
+ * Average a list of marks after dropping the lowest N
+ * At least one mark is always kept
+ * 
+ * @param {Array} scores - [{ assignmentId, marks }]
+ * @param {number} dropLowest - Number of lowest marks to drop
+ * @returns {Object} - { average, droppedIds }
+ */
+const averageWithDrops = (scores, dropLowest) => {
+  const sorted = [...scores].sort((a, b) => a.marks - b.marks);
+  const dropCount = Math.min(dropLowest || 0, Math.max(sorted.length - 1, 0));
+  const kept = sorted.slice(dropCount);
+
+  return {
+    average: kept.reduce((sum, s) => sum + s.marks, 0) / kept.length,
+    droppedIds: sorted.slice(0, dropCount).map(s => s.assignmentId)
+  };
+};
+
+/**
+ * Get the grading scheme for a course
+ * 
+ * @param {number} courseId - The course ID
+ * @returns {Object} - { categories, totalWeight, uncategorizedWeight, scale }
+ */
+export const getGradingScheme = async (courseId) => {
+  const [course, categories] = await Promise.all([
+    Course.findByPk(courseId, { attributes: ['id', 'grading_scale'] }),
+    GradeCategory.findAll({
+      where: { course_id: courseId },
+      order: [['weight', 'DESC'], ['name', 'ASC']]
+    })
+  ]);
+
+  const totalWeight = categories.reduce((sum, c) => sum + parseFloat(c.weight), 0);
+
+  return {
+    categories,
+    totalWeight: Math.round(totalWeight * 100) / 100,
+    // Assignments without a category share whatever weight the categories leave over
+    uncategorizedWeight: Math.max(0, Math.round((100 - totalWeight) * 100) / 100),
+    scale: getGradingScale(course)
+  };
+};
 
 /**
  * Calculate suggested grade for a student in a course
- * Fetches all assignment marks and computes average
+ * 
+ * Uses the course grading scheme:
+ * - Marks are taken after any late penalty (see deadlineService.applyLatePenalty),
+ *   measured from the student's extended deadline when one was granted
+ * - Marks are normalized to a percentage of each assignment's max_points before
+ *   averaging, so a 10-point quiz and a 40-point project are comparable.
+ *   Extra credit can take an assignment above 100%; the suggested grade is capped at 100
+ * - Without categories, every graded assignment counts equally (plain average)
+ * - With categories, each category is averaged (after dropping its lowest N marks)
+ *   and the category averages are combined by weight. Uncategorized assignments
+ *   form their own group weighted by the weight left over (100 - sum of category weights).
+ *   Groups with nothing graded yet are left out and the remaining weights rescaled.
  * 
  * @param {number} studentId - The student's ID
  * @param {number} courseId - The course ID
- * @returns {Object} - { suggestedGrade, assignmentScores, totalAssignments, gradedCount }
+ * @returns {Object} - { suggestedGrade, suggestedLetter, assignmentScores, categoryBreakdown, totalAssignments, gradedCount }
  */
 export const calculateSuggestedGrade = async (studentId, courseId) => {
   try {
+    const scheme = await getGradingScheme(courseId);
+
     // Fetch all assignments for this course
     const assignments = await Assignment.findAll({
       where: { course_id: courseId },
-      attributes: ['id', 'title']
+      attributes: ['id', 'title', 'category_id', 'deadline', 'late_cutoff', 'late_penalty_percent', 'late_penalty_unit', 'max_points', 'extra_credit_points']
     });
 
     if (assignments.length === 0) {
       return {
         suggestedGrade: null,
+        suggestedLetter: null,
         assignmentScores: [],
+        categoryBreakdown: [],
         totalAssignments: 0,
         gradedCount: 0,
         message: 'No assignments in this course'
@@ -33,50 +267,139 @@ export const calculateSuggestedGrade = async (studentId, courseId) => {
         student_id: studentId,
         assignment_id: assignmentIds
       },
-      include: [{
-        model: Assignment,
-        as: 'assignment',
-        attributes: ['id', 'title']
-      }],
       attributes: ['id', 'assignment_id', 'marks', 'submitted_at']
     });
 
+    // Late penalties are measured from the student's effective (extended) deadline
+    const student = await User.findByPk(studentId, { attributes: ['id', 'batch_id'] });
+    const extensionMap = await getStudentExtensionMap(student, assignmentIds);
+
+    const categoryMap = new Map(scheme.categories.map(c => [c.id, c]));
+
     // Build assignment scores array
     const assignmentScores = assignments.map(assignment => {
       const submission = submissions.find(s => s.assignment_id === assignment.id);
+      const graded = submission?.marks !== null && submission?.marks !== undefined;
+      const category = categoryMap.get(assignment.category_id) || null;
+      const effectiveDeadline = getEffectiveDeadline(assignment, extensionMap.get(assignment.id));
+      const { penaltyPercent } = submission
+        ? calculateLatePenalty(effectiveDeadline, getLatePolicy(assignment, effectiveDeadline), submission.submitted_at)
+        : { penaltyPercent: 0 };
+      const maxPoints = getMaxPoints(assignment);
+      // Late penalties are applied before averaging
+      const points = graded ? applyLatePenalty(submission.marks, penaltyPercent, maxPoints) : null;
       return {
         assignmentId: assignment.id,
         title: assignment.title,
-        marks: submission?.marks || null,
+        categoryId: category ? category.id : null,
+        categoryName: category ? category.name : null,
+        // Percentage of max points (what gets averaged)
+        marks: graded ? toPercentage(points, assignment) : null,
+        rawMarks: graded ? toPercentage(submission.marks, assignment) : null,
+        points,
+        rawPoints: graded ? parseFloat(submission.marks) : null,
+        maxPoints,
+        latePenalty: penaltyPercent,
         submitted: !!submission,
-        graded: submission?.marks !== null && submission?.marks !== undefined
+        graded,
+        dropped: false
       };
     });
 
-    // Calculate average from graded assignments
-    const gradedSubmissions = submissions.filter(s => s.marks !== null && s.marks !== undefined);
-    const gradedCount = gradedSubmissions.length;
-    
+    const gradedScores = assignmentScores.filter(s => s.graded);
+    const gradedCount = gradedScores.length;
+
     if (gradedCount === 0) {
       return {
         suggestedGrade: null,
+        suggestedLetter: null,
         assignmentScores,
+        categoryBreakdown: [],
         totalAssignments: assignments.length,
         gradedCount: 0,
         message: 'No graded assignments yet'
       };
     }
 
-    // Calculate average (all marks are 0-100 percentages)
-    const totalMarks = gradedSubmissions.reduce((sum, s) => sum + parseFloat(s.marks), 0);
-    const average = totalMarks / gradedCount;
-    
-    // Round to 2 decimal places
-    const suggestedGrade = Math.round(average * 100) / 100;
+    let average;
+    const categoryBreakdown = [];
+
+    if (scheme.categories.length === 0) {
+      // No scheme configured: equal-weight average of the percentages
+      average = gradedScores.reduce((sum, s) => sum + s.marks, 0) / gradedCount;
+    } else {
+      const groups = [
+        ...scheme.categories.map(c => ({
+          id: c.id,
+          name: c.name,
+          weight: parseFloat(c.weight),
+          dropLowest: c.drop_lowest
+        })),
+        { id: null, name: 'Uncategorized', weight: scheme.uncategorizedWeight, dropLowest: 0 }
+      ];
+
+      let weightedSum = 0;
+      let usedWeight = 0;
+
+      for (const group of groups) {
+        const scores = gradedScores.filter(s => s.categoryId === group.id);
+        const total = assignmentScores.filter(s => s.categoryId === group.id).length;
+
+        // Skip the uncategorized group when nothing falls into it
+        if (group.id === null && total === 0) {
+          continue;
+        }
+
+        let groupAverage = null;
+        let droppedIds = [];
+
+        if (scores.length > 0) {
+          ({ average: groupAverage, droppedIds } = averageWithDrops(scores, group.dropLowest));
+          assignmentScores
+            .filter(s => droppedIds.includes(s.assignmentId))
+            .forEach(s => { s.dropped = true; });
+
+          if (group.weight > 0) {
+            weightedSum += groupAverage * group.weight;
+            usedWeight += group.weight;
+          }
+        }
+
+        categoryBreakdown.push({
+          categoryId: group.id,
+          name: group.name,
+          weight: group.weight,
+          dropLowest: group.dropLowest,
+          totalAssignments: total,
+          gradedCount: scores.length,
+          droppedCount: droppedIds.length,
+          average: groupAverage !== null ? Math.round(groupAverage * 100) / 100 : null
+        });
+      }
+
+      if (usedWeight === 0) {
+        return {
+          suggestedGrade: null,
+          suggestedLetter: null,
+          assignmentScores,
+          categoryBreakdown,
+          totalAssignments: assignments.length,
+          gradedCount,
+          message: 'No graded assignments in weighted categories yet'
+        };
+      }
+
+      average = weightedSum / usedWeight;
+    }
+
+    // Round to 2 decimal places (extra credit cannot push the course grade past 100)
+    const suggestedGrade = Math.min(100, Math.round(average * 100) / 100);
 
     return {
       suggestedGrade,
+      suggestedLetter: percentageToLetter(suggestedGrade, scheme.scale),
       assignmentScores,
+      categoryBreakdown,
       totalAssignments: assignments.length,
       gradedCount,
       message: null
@@ -87,46 +410,86 @@ export const calculateSuggestedGrade = async (studentId, courseId) => {
   }
 };
 
+/**
+ * Validate and normalize a final grade value
+ * Accepts a letter grade (A-F with optional +/-) or a numeric percentage (0-100)
+ * 
+ * @param {string|number} value - Raw grade input
+ * @returns {string|null} - Normalized grade (uppercase letter or number string), or null if invalid
+ */
+export const normalizeFinalGrade = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+
+  if (/^[A-Fa-f][+-]?$/.test(trimmed)) {
+    return trimmed.toUpperCase();
+  }
+
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const numeric = parseFloat(trimmed);
+    if (numeric < 0 || numeric > 100) {
+      return null;
+    }
+    return String(Math.round(numeric * 100) / 100);
+  }
+
+  return null;
+};
+
+/**
+ * Get all students enrolled in a course (via batch enrollments)
+ * 
+ * @param {number} courseId - The course ID
+ * @returns {Array} - Array of User instances (students), ordered by name
+ */
+export const getEnrolledStudents = async (courseId) => {
+  const enrollments = await BatchEnrollment.findAll({
+    where: { course_id: courseId },
+    attributes: ['batch_id']
+  });
+
+  const batchIds = enrollments.map(e => e.batch_id);
+  if (batchIds.length === 0) {
+    return [];
+  }
+
+  return User.findAll({
+    where: { role: 'student', batch_id: batchIds },
+    attributes: ['id', 'full_name', 'email', 'username', 'batch_id'],
+    order: [['full_name', 'ASC']]
+  });
+};
+
 /**
  * Get all students enrolled in a course with their grade data
+ * Includes the suggested grade from assignments and the saved final grade (draft or published)
  * 
  * @param {number} courseId - The course ID
  * @returns {Array} - Array of student grade data
  */
 export const getCourseGrades = async (courseId) => {
   try {
-    // This will be implemented when we have BatchEnrollment working
-    // For now, we'll fetch all students who have submitted to assignments in this course
-    const submissions = await Submission.findAll({
-      include: [
-        {
-          model: Assignment,
-          as: 'assignment',
-          where: { course_id: courseId },
-          attributes: ['id', 'title', 'course_id']
-        },
-        {
-          model: User,
-          as: 'student',
-          attributes: ['id', 'full_name', 'email', 'username']
-        }
-      ],
-      attributes: ['student_id'],
-      group: ['student_id']
+    const students = await getEnrolledStudents(courseId);
+
+    // Saved final grades for this course, keyed by student
+    const grades = await Grade.findAll({
+      where: { course_id: courseId }
     });
+    const gradeMap = new Map(grades.map(g => [g.student_id, g]));
 
-    // Get unique students
-    const uniqueStudents = [...new Set(submissions.map(s => s.student_id))];
-    
     const studentGrades = await Promise.all(
-      uniqueStudents.map(async (studentId) => {
-        const student = submissions.find(s => s.student_id === studentId)?.student;
-        const gradeData = await calculateSuggestedGrade(studentId, courseId);
+      students.map(async (student) => {
+        const gradeData = await calculateSuggestedGrade(student.id, courseId);
         
         return {
-          studentId,
-          studentName: student?.full_name,
-          studentEmail: student?.email,
+          studentId: student.id,
+          studentName: student.full_name,
+          studentEmail: student.email,
+          studentUsername: student.username,
+          currentGrade: gradeMap.get(student.id) || null,
           ...gradeData
         };
       })
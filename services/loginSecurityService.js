@@ -0,0 +1,241 @@
+import { Op } from 'sequelize';
+import { sequelize, User, LoginAttempt } from '../models/index.js';
+
+/**
+ * Login Security Service
+ * Brute-force protection for the login form
+ *
+ * Every login attempt is logged in login_attempts. Protection works at two levels:
+ * - Per account: after a few consecutive failures each new attempt must wait an
+ *   increasing delay, and LOGIN_MAX_ATTEMPTS (default 5) failures lock the account
+ *   for LOGIN_LOCKOUT_MINUTES (default 15). Identifiers that match no account are
+ *   throttled the same way so the responses do not reveal which accounts exist.
+ * - Per IP: too many failures from one address within the window blocks it.
+ *
+ * All state lives in the database so limits hold across app instances.
+ *
+ * @module services/loginSecurityService
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const DELAY_AFTER_FAILURES = 2; // failures before delays start
+const MAX_DELAY_SECONDS = 30;
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+
+/**
+ * Failed attempts that lock an account
+ * @returns {number} - LOGIN_MAX_ATTEMPTS or the default
+ */
+export const getMaxAttempts = () => {
+  const attempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10);
+  return Number.isFinite(attempts) && attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+};
+
+/**
+ * Minutes an account stays locked
+ * @returns {number} - LOGIN_LOCKOUT_MINUTES or the default
+ */
+export const getLockoutMinutes = () => {
+  const minutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_LOCKOUT_MINUTES;
+};
+
+/**
+ * Normalize what was typed in the username field
+ * @param {string} identifier - Username or email
+ * @returns {string} - Trimmed, lowercased, at most 100 characters
+ */
+const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase().slice(0, 100);
+
+/**
+ * Seconds to wait after a number of consecutive failures
+ * 0 for the first DELAY_AFTER_FAILURES failures, then 2, 4, 8... up to MAX_DELAY_SECONDS
+ * @param {number} failures - Consecutive failed attempts
+ * @returns {number} - Delay in seconds
+ */
+export const getDelaySeconds = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) {
+    return 0;
+  }
+  return Math.min(MAX_DELAY_SECONDS, 2 ** (failures - DELAY_AFTER_FAILURES + 1));
+};
+
+/**
+ * Check whether an account is currently locked
+ * @param {Object} user - User instance
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if locked_until is in the future
+ */
+export const isLocked = (user, now = new Date()) => {
+  return Boolean(user.locked_until && new Date(user.locked_until) > now);
+};
+
+/**
+ * Build the refusal message for a lockout or delay
+ * @param {Date} until - When the next attempt is allowed
+ * @param {Date} now - Current time
+ * @returns {string} - Message for the login page
+ */
+const waitMessage = (until, now) => {
+  const seconds = Math.ceil((until - now) / 1000);
+  if (seconds > 90) {
+    return `Too many failed login attempts. Please try again in ${Math.ceil(seconds / 60)} minutes.`;
+  }
+  return `Too many failed login attempts. Please wait ${seconds} seconds before trying again.`;
+};
+
+/**
+ * Failure state of an identifier that matches no account, from the attempt log
+ * Mirrors the per-account counters so unknown and real accounts behave alike
+ * @param {string} identifier - Normalized identifier
+ * @param {Date} now - Current time
+ * @returns {Object} - { failures, lastFailedAt, lockedUntil }
+ */
+const getUnknownIdentifierState = async (identifier, now) => {
+  const since = new Date(now.getTime() - getLockoutMinutes() * 60 * 1000);
+  const failures = await LoginAttempt.findAll({
+    where: { identifier, user_id: null, successful: false, created_at: { [Op.gt]: since } },
+    attributes: ['created_at'],
+    order: [['created_at', 'DESC']]
+  });
+
+  if (failures.length === 0) {
+    return { failures: 0, lastFailedAt: null, lockedUntil: null };
+  }
+
+  // Locked while the lockout window still holds a full set of failures
+  const maxAttempts = getMaxAttempts();
+  return {
+    failures: failures.length,
+    lastFailedAt: new Date(failures[0].created_at),
+    lockedUntil: failures.length >= maxAttempts
+      ? new Date(new Date(failures[failures.length - maxAttempts].created_at).getTime() + getLockoutMinutes() * 60 * 1000)
+      : null
+  };
+};
+
+/**
+ * Decide whether a login attempt may be checked at all
+ * Call before verifying the password; refused attempts are not counted.
+ * @param {Object} attempt - { identifier, ip, user } (user is null if no account matches)
+ * @returns {Object} - { allowed: true } or { allowed: false, message }
+ */
+export const checkLoginAllowed = async ({ identifier, ip, user }) => {
+  const now = new Date();
+
+  if (ip) {
+    const ipFailures = await LoginAttempt.count({
+      where: {
+        ip_address: ip,
+        successful: false,
+        created_at: { [Op.gt]: new Date(now.getTime() - IP_WINDOW_MINUTES * 60 * 1000) }
+      }
+    });
+    if (ipFailures >= IP_MAX_FAILURES) {
+      return {
+        allowed: false,
+        message: 'Too many failed login attempts from your network. Please try again later.'
+      };
+    }
+  }
+
+  const state = user
+    ? { failures: user.failed_login_count, lastFailedAt: user.last_failed_login_at, lockedUntil: user.locked_until }
+    : await getUnknownIdentifierState(normalizeIdentifier(identifier), now);
+
+  if (state.lockedUntil && new Date(state.lockedUntil) > now) {
+    return { allowed: false, message: waitMessage(new Date(state.lockedUntil), now) };
+  }
+
+  const delay = getDelaySeconds(state.failures);
+  if (delay > 0 && state.lastFailedAt) {
+    const nextAllowed = new Date(new Date(state.lastFailedAt).getTime() + delay * 1000);
+    if (nextAllowed > now) {
+      return { allowed: false, message: waitMessage(nextAllowed, now) };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record a failed login and lock the account when it reaches the limit
+ * @param {Object} attempt - { identifier, ip, user } (user is null if no account matches)
+ */
+export const recordFailedLogin = async ({ identifier, ip, user }) => {
+  const now = new Date();
+
+  await LoginAttempt.create({
+    identifier: normalizeIdentifier(identifier),
+    user_id: user ? user.id : null,
+    ip_address: ip || null,
+    successful: false
+  });
+
+  console.warn(`Failed login for "${normalizeIdentifier(identifier)}" from ${ip || 'unknown IP'}`);
+
+  if (!user) {
+    return;
+  }
+
+  // Atomic increment so parallel attempts (possibly on other instances) are all counted
+  await User.update(
+    { failed_login_count: sequelize.literal('failed_login_count + 1'), last_failed_login_at: now },
+    { where: { id: user.id }, hooks: false }
+  );
+  await user.reload({ attributes: ['id', 'failed_login_count'] });
+
+  if (user.failed_login_count >= getMaxAttempts()) {
+    // Start over after the lockout so the next round gets the short delays again
+    await User.update(
+      { failed_login_count: 0, locked_until: new Date(now.getTime() + getLockoutMinutes() * 60 * 1000) },
+      { where: { id: user.id }, hooks: false }
+    );
+    console.warn(`Account ${user.id} locked for ${getLockoutMinutes()} minutes after ${user.failed_login_count} failed logins`);
+  }
+};
+
+/**
+ * Record a successful login and reset the account's failure counters
+ * @param {Object} attempt - { identifier, ip, user }
+ */
+export const recordSuccessfulLogin = async ({ identifier, ip, user }) => {
+  await LoginAttempt.create({
+    identifier: normalizeIdentifier(identifier),
+    user_id: user.id,
+    ip_address: ip || null,
+    successful: true
+  });
+
+  if (user.failed_login_count > 0 || user.last_failed_login_at || user.locked_until) {
+    await user.update({
+      failed_login_count: 0,
+      last_failed_login_at: null,
+      locked_until: null
+    }, { hooks: false });
+  }
+};
+
+/**
+ * Clear an account's lockout and failure counters (admin action)
+ * @param {number} userId - User ID
+ */
+export const unlockAccount = async (userId) => {
+  await User.update(
+    { failed_login_count: 0, last_failed_login_at: null, locked_until: null },
+    { where: { id: userId }, hooks: false }
+  );
+};
+
+export default {
+  getMaxAttempts,
+  getLockoutMinutes,
+  getDelaySeconds,
+  isLocked,
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
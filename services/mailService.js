@@ -0,0 +1,130 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Mail Service
+ * Sends email through a pluggable transport
+ *
+ * MAIL_TRANSPORT picks the transport:
+ * - smtp: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+ *   In development point it at a local catcher such as Mailpit or MailHog
+ *   (SMTP_HOST=localhost, SMTP_PORT=1025) to see every email without sending it.
+ * - console: writes each email to the server log (including password reset links,
+ *   so only for development)
+ * - none: drops every email
+ * Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set. Otherwise console is
+ * used only when NODE_ENV is development; anywhere else mail is not configured and
+ * sending fails without the message ending up in the log.
+ * More transports can be added with registerTransport().
+ *
+ * @module services/mailService
+ */
+
+const DEFAULT_FROM = 'LMS EduManage <no-reply@edumanage.local>';
+
+/**
+ * Transport factories by name
+ * A transport is any object with an async sendMail(message) method
+ */
+const transportFactories = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  console: () => ({
+    sendMail: async (message) => {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}\n`);
+      return { messageId: null };
+    }
+  }),
+  none: () => ({
+    sendMail: async () => ({ messageId: null })
+  })
+};
+
+let transport = null;
+
+/**
+ * Add (or replace) a transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - Returns an object with async sendMail(message)
+ */
+export const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transport = null;
+};
+
+/**
+ * Name of the configured transport
+ * @returns {string|null} - e.g. 'smtp', 'console', 'none'; null if mail is not configured
+ */
+export const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT.trim().toLowerCase();
+  }
+  if (process.env.SMTP_HOST) {
+    return 'smtp';
+  }
+  return process.env.NODE_ENV === 'development' ? 'console' : null;
+};
+
+/**
+ * Check whether email can be sent at all
+ * @returns {boolean} - False if no transport is configured
+ */
+export const isMailConfigured = () => getTransportName() !== null;
+
+/**
+ * Get the configured transport (created on first use)
+ * @returns {Object} - Transport with sendMail()
+ * @throws {Error} - If mail is not configured or MAIL_TRANSPORT is unknown
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = getTransportName();
+    if (!name) {
+      throw new Error('Mail is not configured (set MAIL_TRANSPORT or SMTP_HOST); email not sent');
+    }
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(transportFactories).join(', ')})`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Base URL of the application for links in emails
+ * @returns {string} - APP_URL without a trailing slash
+ */
+export const getAppUrl = () => {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+};
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} - Transport result
+ * @throws {Error} - If the transport fails
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  return await getTransport().sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+export default {
+  registerTransport,
+  getTransportName,
+  isMailConfigured,
+  getAppUrl,
+  sendMail
+};
@@ -0,0 +1,228 @@
+import { Op } from 'sequelize';
+import { MaterialVersion, Course, CourseTeacher, FolderCourse, User, sequelize } from '../models/index.js';
+import { teacherService } from './teacherService.js';
+
+/**
+ * Material Service
+ * Version history for course materials
+ *
+ * The Material row always holds the current file, so its ID (and every link to
+ * it) stays the same when a new version is uploaded. Every file, including the
+ * current one, is also kept as a MaterialVersion with its notes and uploader.
+ * Reverting adds a new version with an older file rather than rewriting history.
+ *
+ * @module services/materialService
+ */
+
+// How long students see the "Updated" badge after a new version
+export const UPDATED_BADGE_DAYS = 7;
+
+/**
+ * Find a course through which a teacher may edit a material
+ * Direct materials need edit access to their course; folder materials need edit
+ * access to (or ownership of) any course the folder is shared with.
+ * @param {Object} material - Material
+ * @param {number} teacherId - Teacher user ID
+ * @returns {Promise<number|null>} - Course ID, or null if the teacher may not edit the material
+ */
+export const getEditableCourseId = async (material, teacherId) => {
+  if (material.course_id) {
+    const course = await teacherService.checkCourseAccess(material.course_id, teacherId, { requireEdit: true });
+    return course ? course.id : null;
+  }
+
+  if (!material.folder_id) {
+    return null;
+  }
+
+  const sharedCourseIds = await FolderCourse.findAll({
+    where: { folder_id: material.folder_id },
+    attributes: ['course_id']
+  }).then(rows => rows.map(r => r.course_id));
+
+  if (sharedCourseIds.length === 0) {
+    return null;
+  }
+
+  const teacherCourse = await CourseTeacher.findOne({
+    where: {
+      teacher_id: teacherId,
+      course_id: { [Op.in]: sharedCourseIds },
+      can_edit: true
+    }
+  });
+  if (teacherCourse) {
+    return teacherCourse.course_id;
+  }
+
+  const ownedCourse = await Course.findOne({
+    where: {
+      id: { [Op.in]: sharedCourseIds },
+      teacher_id: teacherId
+    }
+  });
+  return ownedCourse ? ownedCourse.id : null;
+};
+
+/**
+ * Record the first version of a newly created material
+ * @param {Object} material - Material just created
+ * @param {number} uploadedBy - User ID
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} - MaterialVersion
+ */
+export const recordInitialVersion = async (material, uploadedBy, { transaction } = {}) => {
+  return await MaterialVersion.create({
+    material_id: material.id,
+    version_number: 1,
+    file_url: material.file_url,
+    file_type: material.file_type,
+    uploaded_by: uploadedBy
+  }, { transaction });
+};
+
+/**
+ * Make a file the current version of a material
+ * Materials created before version history existed get their current file
+ * recorded as version 1 first.
+ * @param {Object} material - Material
+ * @param {Object} version - { file_url, file_type, notes, uploadedBy, revertedFrom }
+ * @returns {Promise<Object>} - The new MaterialVersion
+ */
+export const addMaterialVersion = async (material, { file_url, file_type, notes = null, uploadedBy = null, revertedFrom = null }) => {
+  return await sequelize.transaction(async (transaction) => {
+    let lastVersion = await MaterialVersion.max('version_number', {
+      where: { material_id: material.id },
+      transaction
+    }) || 0;
+
+    if (lastVersion === 0) {
+      await MaterialVersion.create({
+        material_id: material.id,
+        version_number: 1,
+        file_url: material.file_url,
+        file_type: material.file_type,
+        created_at: material.created_at
+      }, { transaction });
+      lastVersion = 1;
+    }
+
+    const version = await MaterialVersion.create({
+      material_id: material.id,
+      version_number: lastVersion + 1,
+      file_url,
+      file_type,
+      notes,
+      reverted_from: revertedFrom,
+      uploaded_by: uploadedBy
+    }, { transaction });
+
+    await material.update({
+      file_url,
+      file_type,
+      current_version: version.version_number,
+      version_updated_at: new Date()
+    }, { transaction });
+
+    return version;
+  });
+};
+
+/**
+ * Restore an older version of a material
+ * Adds a new version with the old file, so the history keeps every step.
+ * @param {Object} material - Material
+ * @param {number} versionNumber - Version to restore
+ * @param {number} userId - User reverting
+ * @returns {Promise<Object|null>} - The new MaterialVersion, or null if the version does not exist
+ */
+export const revertMaterial = async (material, versionNumber, userId) => {
+  const target = await MaterialVersion.findOne({
+    where: { material_id: material.id, version_number: versionNumber }
+  });
+  if (!target) {
+    return null;
+  }
+
+  return await addMaterialVersion(material, {
+    file_url: target.file_url,
+    file_type: target.file_type,
+    notes: `Reverted to version ${target.version_number}`,
+    uploadedBy: userId,
+    revertedFrom: target.version_number
+  });
+};
+
+/**
+ * Get the version history of a material, newest first
+ * Materials without recorded history have a single implicit version.
+ * @param {Object} material - Material
+ * @returns {Promise<Array>} - MaterialVersions with uploader
+ */
+export const getMaterialVersions = async (material) => {
+  const versions = await MaterialVersion.findAll({
+    where: { material_id: material.id },
+    include: [{ model: User, as: 'uploader', attributes: ['id', 'full_name'] }],
+    order: [['version_number', 'DESC']]
+  });
+
+  if (versions.length > 0) {
+    return versions;
+  }
+
+  return [{
+    id: null,
+    version_number: 1,
+    file_url: material.file_url,
+    file_type: material.file_type,
+    notes: null,
+    reverted_from: null,
+    uploader: null,
+    created_at: material.created_at
+  }];
+};
+
+/**
+ * Get all file URLs of materials, including older versions (for cleanup when deleting)
+ * @param {Array<Object>} materials - Materials
+ * @returns {Promise<Array<string>>} - Distinct file URLs
+ */
+export const getMaterialFileUrls = async (materials) => {
+  if (materials.length === 0) {
+    return [];
+  }
+
+  const versions = await MaterialVersion.findAll({
+    where: { material_id: { [Op.in]: materials.map(m => m.id) } },
+    attributes: ['file_url']
+  });
+
+  return [...new Set([
+    ...materials.map(m => m.file_url),
+    ...versions.map(v => v.file_url)
+  ].filter(Boolean))];
+};
+
+/**
+ * Check whether a material's file was replaced recently
+ * @param {Object} material - Material
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isRecentlyUpdated = (material, now = new Date()) => {
+  if (!material.version_updated_at) {
+    return false;
+  }
+  return now - new Date(material.version_updated_at) < UPDATED_BADGE_DAYS * 24 * 60 * 60 * 1000;
+};
+
+export default {
+  UPDATED_BADGE_DAYS,
+  getEditableCourseId,
+  recordInitialVersion,
+  addMaterialVersion,
+  revertMaterial,
+  getMaterialVersions,
+  getMaterialFileUrls,
+  isRecentlyUpdated
+};
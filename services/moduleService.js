@@ -0,0 +1,249 @@
+import { Op } from 'sequelize';
+import { CourseModule, Material, Assignment, Announcement, sequelize } from '../models/index.js';
+
+/**
+ * Module Service
+ * Ordered course modules (Week 1, Week 2, ...) that group course content
+ *
+ * A module is a syllabus unit with a title, description and position. Materials,
+ * assignments and announcements point at (at most) one module through module_id;
+ * items without one are still listed in the usual course sections. Materials in a
+ * folder shared with several courses can only sit in a module of one of them, so
+ * a module only shows the items whose module belongs to the course being viewed.
+ *
+ * @module services/moduleService
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+/**
+ * Validate the module form
+ * @param {Object} body - Request body: title, description (optional)
+ * @returns {Object} - { values: { title, description } } or { error }
+ */
+export const parseModuleInput = (body) => {
+  const title = (body.title || '').trim();
+  const description = (body.description || '').trim();
+
+  if (!title) {
+    return { error: 'Module title is required' };
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Module title is too long (max ${MAX_TITLE_LENGTH} characters)` };
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Module description is too long (max ${MAX_DESCRIPTION_LENGTH} characters)` };
+  }
+
+  return { values: { title, description: description || null } };
+};
+
+/**
+ * Get a course's modules in order
+ * @param {number} courseId - Course ID
+ * @returns {Promise<Array>} - Modules, first to last
+ */
+export const getCourseModules = async (courseId) => {
+  return await CourseModule.findAll({
+    where: { course_id: courseId },
+    order: [['position', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Add a module at the end of a course
+ * @param {number} courseId - Course ID
+ * @param {number} userId - Teacher creating the module
+ * @param {Object} values - Result of parseModuleInput()
+ * @returns {Promise<Object>} - Created module
+ */
+export const createModule = async (courseId, userId, values) => {
+  const lastPosition = await CourseModule.max('position', { where: { course_id: courseId } });
+
+  return await CourseModule.create({
+    course_id: courseId,
+    created_by: userId,
+    position: lastPosition === null || lastPosition === undefined ? 0 : lastPosition + 1,
+    ...values
+  });
+};
+
+/**
+ * Delete a module; its items stay in the course without a module
+ * @param {Object} module - CourseModule
+ * @returns {Promise<void>}
+ */
+export const deleteModule = async (module) => {
+  await sequelize.transaction(async (transaction) => {
+    const where = { where: { module_id: module.id }, transaction };
+    await Material.update({ module_id: null }, where);
+    await Assignment.update({ module_id: null }, where);
+    await Announcement.update({ module_id: null }, where);
+    await module.destroy({ transaction });
+  });
+};
+
+/**
+ * Save a new module order
+ * @param {number} courseId - Course ID
+ * @param {Array} orderedIds - Every module ID of the course, first to last
+ * @returns {Promise<boolean>} - False if the IDs are not exactly the course's modules
+ */
+export const reorderModules = async (courseId, orderedIds) => {
+  const ids = (Array.isArray(orderedIds) ? orderedIds : []).map(id => parseInt(id));
+  const modules = await CourseModule.findAll({ where: { course_id: courseId }, attributes: ['id'] });
+  const courseModuleIds = new Set(modules.map(m => m.id));
+
+  if (ids.length !== courseModuleIds.size || new Set(ids).size !== ids.length ||
+      !ids.every(id => courseModuleIds.has(id))) {
+    return false;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const [position, id] of ids.entries()) {
+      await CourseModule.update({ position }, { where: { id }, transaction });
+    }
+  });
+  return true;
+};
+
+/**
+ * Normalize a submitted list of IDs (single value, array or nothing)
+ * @param {*} value - Submitted value
+ * @returns {Array<number>} - Valid integer IDs
+ */
+const toIdList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return [].concat(value).map(id => parseInt(id)).filter(Number.isInteger);
+};
+
+/**
+ * Where clause for the materials a course shows: its own and those in its shared folders
+ * @param {number} courseId - Course ID
+ * @param {Array<number>} folderIds - Folders shared with the course (including subfolders)
+ * @returns {Object} - Sequelize where clause
+ */
+const courseMaterialsWhere = (courseId, folderIds) => {
+  return folderIds.length > 0
+    ? { [Op.or]: [{ course_id: courseId }, { folder_id: { [Op.in]: folderIds } }] }
+    : { course_id: courseId };
+};
+
+/**
+ * Content a teacher can put into the course's modules
+ * @param {number} courseId - Course ID
+ * @param {Array<number>} folderIds - Folders shared with the course (including subfolders)
+ * @returns {Promise<Object>} - { materials, assignments, announcements } with id, title and module_id
+ */
+export const getModuleItemOptions = async (courseId, folderIds = []) => {
+  const [materials, assignments, announcements] = await Promise.all([
+    Material.findAll({
+      where: courseMaterialsWhere(courseId, folderIds),
+      attributes: ['id', 'title', 'folder_id', 'module_id'],
+      order: [['title', 'ASC']]
+    }),
+    Assignment.findAll({
+      where: { course_id: courseId },
+      attributes: ['id', 'title', 'deadline', 'module_id'],
+      order: [['deadline', 'ASC']]
+    }),
+    Announcement.findAll({
+      where: { course_id: courseId },
+      attributes: ['id', 'title', 'publish_at', 'module_id'],
+      order: [['publish_at', 'DESC']]
+    })
+  ]);
+
+  return { materials, assignments, announcements };
+};
+
+/**
+ * Replace the items of a module
+ * Items of other courses are ignored; items taken from another module of the course
+ * move here. A shared-folder material already in another course's module stays there.
+ * @param {Object} module - CourseModule
+ * @param {Object} body - material_ids, assignment_ids, announcement_ids (single values or arrays)
+ * @param {Array<number>} folderIds - Folders shared with the module's course (including subfolders)
+ * @returns {Promise<void>}
+ */
+export const setModuleItems = async (module, body, folderIds = []) => {
+  const courseId = module.course_id;
+  const courseModules = await CourseModule.findAll({ where: { course_id: courseId }, attributes: ['id'] });
+  const claimableMaterials = {
+    [Op.or]: [
+      { module_id: null },
+      { module_id: { [Op.in]: courseModules.map(m => m.id) } }
+    ]
+  };
+  const groups = [
+    {
+      model: Material,
+      ids: toIdList(body.material_ids),
+      where: { [Op.and]: [courseMaterialsWhere(courseId, folderIds), claimableMaterials] }
+    },
+    { model: Assignment, ids: toIdList(body.assignment_ids), where: { course_id: courseId } },
+    { model: Announcement, ids: toIdList(body.announcement_ids), where: { course_id: courseId } }
+  ];
+
+  await sequelize.transaction(async (transaction) => {
+    for (const { model, ids, where } of groups) {
+      const removed = { module_id: module.id };
+      if (ids.length > 0) {
+        removed.id = { [Op.notIn]: ids };
+      }
+      await model.update({ module_id: null }, { where: removed, transaction });
+
+      if (ids.length > 0) {
+        await model.update(
+          { module_id: module.id },
+          { where: { [Op.and]: [where, { id: { [Op.in]: ids } }] }, transaction }
+        );
+      }
+    }
+  });
+};
+
+/**
+ * Put course content into its modules for display
+ * Items are expected to be filtered already (e.g. to what a student may see).
+ * @param {Array<Object>} modules - Result of getCourseModules()
+ * @param {Object} items - { materials, assignments, announcements } with module_id
+ * @returns {Array<Object>} - Plain modules with materials, assignments and announcements arrays
+ */
+export const groupModuleItems = (modules, { materials = [], assignments = [], announcements = [] } = {}) => {
+  const grouped = modules.map(module => ({
+    ...(module.get ? module.get({ plain: true }) : module),
+    materials: [],
+    assignments: [],
+    announcements: []
+  }));
+  const byId = new Map(grouped.map(module => [module.id, module]));
+
+  const place = (list, key) => {
+    list.forEach(item => {
+      const module = item.module_id ? byId.get(item.module_id) : null;
+      if (module) {
+        module[key].push(item);
+      }
+    });
+  };
+  place(announcements, 'announcements');
+  place(materials, 'materials');
+  place(assignments, 'assignments');
+
+  return grouped;
+};
+
+export default {
+  parseModuleInput,
+  getCourseModules,
+  createModule,
+  deleteModule,
+  reorderModules,
+  getModuleItemOptions,
+  setModuleItems,
+  groupModuleItems
+};
@@ -0,0 +1,989 @@
+import { Op } from 'sequelize';
+import {
+  User,
+  Course,
+  CourseTeacher,
+  BatchEnrollment,
+  Assignment,
+  Material,
+  Quiz,
+  Submission,
+  Folder,
+  FolderCourse,
+  DeadlineExtension,
+  NotificationPreference,
+  EmailLog,
+  Notification
+} from '../models/index.js';
+import { sendMail, getAppUrl, isMailConfigured } from './mailService.js';
+import { getEffectiveDeadline, checkDeadline, formatDeadline } from './deadlineService.js';
+import { resolveExtendedDeadline } from './extensionService.js';
+import {
+  getHiddenReason,
+  getOpenReleaseContext,
+  getReleaseContext,
+  isWithinReleaseWindow,
+  isAssignmentReleased,
+  isMaterialReleased,
+  getFolderChain
+} from './releaseService.js';
+
+/**
+ * Notification Service
+ * Notifications about course activity, in the app and by email
+ *
+ * In-app: every event is stored in notifications and shown in the notification
+ * center (bell in the navbar) until the user marks it read. Events: new
+ * assignment, deadline changed, grade posted, new material, folder shared.
+ *
+ * Email: new assignment, upcoming deadline, grade posted, new material.
+ * Every user can switch each email off (notification_preferences; no row means
+ * everything is on). Every email is logged in email_logs, which is also how
+ * deadline reminders are sent only once per deadline.
+ *
+ * New materials and assignments are announced once, when students can first see
+ * them: right away, or by the background job when their "visible from" time
+ * arrives (release_notified_at marks them as announced). Items behind a
+ * prerequisite are announced to the students who have submitted it, and to each
+ * other student when they first submit it. Materials unlocked through a folder's
+ * prerequisite are not announced to students who unlock them later.
+ *
+ * The notify* functions never throw: a notification problem must not fail the
+ * request that triggered it, so callers can run them in the background.
+ *
+ * @module services/notificationService
+ */
+
+/**
+ * Notification events users can switch on and off
+ */
+export const NOTIFICATION_TYPES = {
+  new_assignment: {
+    label: 'New assignments',
+    description: 'When a teacher posts an assignment or quiz in one of your courses'
+  },
+  deadline_reminder: {
+    label: 'Deadline reminders',
+    description: 'When an assignment you have not submitted is due soon'
+  },
+  grade_posted: {
+    label: 'Grades posted',
+    description: 'When a teacher grades your submission'
+  },
+  new_material: {
+    label: 'New course materials',
+    description: 'When a teacher uploads material to one of your courses'
+  }
+};
+
+/**
+ * In-app notification kinds with the icon shown in the notification center
+ */
+export const IN_APP_TYPES = {
+  new_assignment: { icon: 'fa-clipboard-list', color: 'text-primary' },
+  deadline_changed: { icon: 'fa-calendar-alt', color: 'text-warning' },
+  grade_posted: { icon: 'fa-star', color: 'text-success' },
+  new_material: { icon: 'fa-file-alt', color: 'text-info' },
+  folder_shared: { icon: 'fa-folder-open', color: 'text-secondary' }
+};
+
+const NOTIFICATIONS_PER_PAGE = 20;
+
+// How often the background job looks for upcoming deadlines and newly released items
+const REMINDER_CHECK_MS = 15 * 60 * 1000;
+
+// Failed sends after which a reminder is given up instead of retried every run
+const MAX_REMINDER_FAILURES = 3;
+
+/**
+ * Hours before a deadline that reminders go out (DEADLINE_REMINDER_HOURS, 0 = off)
+ * @returns {number} - Hours
+ */
+export const getReminderHours = () => {
+  const hours = parseInt(process.env.DEADLINE_REMINDER_HOURS, 10);
+  return Number.isInteger(hours) && hours >= 0 ? hours : 24;
+};
+
+/**
+ * Escape text for use in HTML email bodies
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the plain text and HTML versions of an email
+ * @param {Object} content - { name, lines, actionLabel, actionPath }
+ * @returns {Object} - { text, html }
+ */
+const buildEmail = ({ name, lines, actionLabel, actionPath }) => {
+  const url = `${getAppUrl()}${actionPath}`;
+  const footer = 'You can change which emails you receive under Notification Settings in your account menu.';
+
+  const text = [
+    `Hi ${name},`,
+    '',
+    ...lines,
+    '',
+    `${actionLabel}: ${url}`,
+    '',
+    '--',
+    'LMS EduManage',
+    footer
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #1f2937; max-width: 560px;">
+      <p>Hi ${escapeHtml(name)},</p>
+      ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n      ')}
+      <p>
+        <a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #4b6bfb; color: #ffffff; text-decoration: none; border-radius: 6px;">${escapeHtml(actionLabel)}</a>
+      </p>
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+      <p style="font-size: 12px; color: #6b7280;">LMS EduManage · ${escapeHtml(footer)}</p>
+    </div>`;
+
+  return { text, html };
+};
+
+/**
+ * Get a user's notification preferences
+ * @param {number} userId - User ID
+ * @returns {Object} - { <type>: boolean } for every NOTIFICATION_TYPES key
+ */
+export const getPreferences = async (userId) => {
+  const row = await NotificationPreference.findOne({ where: { user_id: userId } });
+
+  return Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map(type => [type, row ? row[`email_${type}`] : true])
+  );
+};
+
+/**
+ * Save a user's notification preferences from the settings form
+ * Unticked checkboxes are not submitted, so a missing field means "off"
+ * @param {number} userId - User ID
+ * @param {Object} body - Request body with email_<type> checkboxes
+ */
+export const savePreferences = async (userId, body) => {
+  const values = Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map(type => [`email_${type}`, body[`email_${type}`] === 'on' || body[`email_${type}`] === 'true'])
+  );
+
+  const existing = await NotificationPreference.findOne({ where: { user_id: userId } });
+  if (existing) {
+    await existing.update(values);
+  } else {
+    await NotificationPreference.create({ user_id: userId, ...values });
+  }
+};
+
+/**
+ * Drop users who switched an event off
+ * @param {Array} users - Users with id
+ * @param {string} type - NOTIFICATION_TYPES key
+ * @returns {Array} - Users who still want the email
+ */
+const filterByPreference = async (users, type) => {
+  if (users.length === 0) {
+    return [];
+  }
+
+  const optedOut = await NotificationPreference.findAll({
+    where: { user_id: users.map(user => user.id), [`email_${type}`]: false },
+    attributes: ['user_id']
+  });
+  const optedOutIds = new Set(optedOut.map(pref => pref.user_id));
+
+  return users.filter(user => !optedOutIds.has(user.id));
+};
+
+/**
+ * Get the students of every batch enrolled in a course
+ * @param {number} courseId - Course ID
+ * @returns {Array} - Users (id, email, full_name, batch_id)
+ */
+const getCourseStudents = async (courseId) => {
+  const enrollments = await BatchEnrollment.findAll({
+    where: { course_id: courseId },
+    attributes: ['batch_id']
+  });
+  const batchIds = [...new Set(enrollments.map(enrollment => enrollment.batch_id))];
+
+  if (batchIds.length === 0) {
+    return [];
+  }
+
+  return await User.findAll({
+    where: { role: 'student', batch_id: batchIds },
+    attributes: ['id', 'email', 'full_name', 'batch_id']
+  });
+};
+
+/**
+ * Get the students of a course who want an email
+ * @param {number} courseId - Course ID
+ * @param {string} type - NOTIFICATION_TYPES key
+ * @returns {Array} - Users (id, email, full_name, batch_id)
+ */
+const getCourseRecipients = async (courseId, type) => {
+  return await filterByPreference(await getCourseStudents(courseId), type);
+};
+
+/**
+ * Store in-app notifications
+ * @param {Array} rows - [{ user_id, type, title, message, link }]
+ */
+const addNotifications = async (rows) => {
+  if (rows.length === 0) {
+    return;
+  }
+
+  try {
+    await Notification.bulkCreate(rows.map(row => ({ ...row, title: row.title.slice(0, 255) })));
+  } catch (error) {
+    console.error('In-App Notification Error:', error.message);
+  }
+};
+
+/**
+ * Send one notification email and log the outcome
+ * @param {Object} user - Recipient (id, email)
+ * @param {string} type - NOTIFICATION_TYPES key
+ * @param {Object} email - { subject, text, html }
+ * @param {string|null} dedupeKey - Set for emails that must only go out once
+ * @returns {boolean} - True if the email was sent
+ */
+const deliver = async (user, type, { subject, text, html }, dedupeKey = null) => {
+  const log = {
+    user_id: user.id,
+    type,
+    dedupe_key: dedupeKey,
+    to_address: user.email,
+    subject: subject.slice(0, 255)
+  };
+
+  try {
+    await sendMail({ to: user.email, subject, text, html });
+  } catch (error) {
+    console.error(`Email Error (${type} to ${user.email}):`, error.message);
+    await EmailLog.create({ ...log, status: 'failed', error: error.message }).catch(() => {});
+    return false;
+  }
+
+  await EmailLog.create({ ...log, status: 'sent' }).catch(error => {
+    console.error('Email Log Error:', error.message);
+  });
+  return true;
+};
+
+/**
+ * Mark an item as announced, unless that already happened
+ * The conditional update makes sure only one caller (request or job) announces it.
+ * @param {Object} model - Material or Assignment
+ * @param {number} id - Item ID
+ * @returns {boolean} - True if this caller should send the announcement
+ */
+const claimAnnouncement = async (model, id) => {
+  const [updated] = await model.update(
+    { release_notified_at: new Date() },
+    { where: { id, release_notified_at: null }, hooks: false }
+  );
+  return updated > 0;
+};
+
+/**
+ * IDs of the students who have submitted every one of some assignments
+ * @param {Array<number>} assignmentIds - Prerequisite assignment IDs
+ * @returns {Set<number>|null} - Student IDs, or null when there is no prerequisite
+ */
+const getPrerequisiteSubmitterIds = async (assignmentIds) => {
+  const ids = [...new Set(assignmentIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return null;
+  }
+
+  const submissions = await Submission.findAll({
+    where: { assignment_id: ids },
+    attributes: ['assignment_id', 'student_id']
+  });
+  const counts = new Map();
+  submissions.forEach(submission => {
+    counts.set(submission.student_id, (counts.get(submission.student_id) || 0) + 1);
+  });
+  return new Set([...counts.entries()].filter(([, count]) => count === ids.length).map(([studentId]) => studentId));
+};
+
+/**
+ * Tell some students about a new assignment or quiz
+ * @param {Object} assignment - Assignment with course
+ * @param {Array} students - Users (id, email, full_name)
+ * @param {boolean} isQuiz - Whether the assignment is a quiz
+ */
+const sendNewAssignment = async (assignment, students, isQuiz) => {
+  const kind = isQuiz ? 'quiz' : 'assignment';
+
+  await addNotifications(students.map(student => ({
+    user_id: student.id,
+    type: 'new_assignment',
+    title: `New ${kind}: ${assignment.title}`,
+    message: `${assignment.course.code} · Due ${formatDeadline(assignment.deadline)}`,
+    link: `/student/assignments/${assignment.id}`
+  })));
+
+  const recipients = await filterByPreference(students, 'new_assignment');
+
+  for (const student of recipients) {
+    const email = buildEmail({
+      name: student.full_name,
+      lines: [
+        `A new ${kind} has been posted in ${assignment.course.code} - ${assignment.course.title}: "${assignment.title}".`,
+        `It is due ${formatDeadline(assignment.deadline)}.`
+      ],
+      actionLabel: `View ${kind}`,
+      actionPath: `/student/assignments/${assignment.id}`
+    });
+    await deliver(student, 'new_assignment', {
+      subject: `New ${kind} in ${assignment.course.code}: ${assignment.title}`,
+      ...email
+    });
+  }
+};
+
+/**
+ * Email students about a new assignment or quiz
+ * Does nothing until the assignment's "visible from" time (the background job
+ * announces it then) and only once per assignment. Behind a prerequisite, only
+ * students who have submitted it are told.
+ * @param {number} assignmentId - Assignment ID
+ * @param {Object} options - { isQuiz }
+ */
+export const notifyNewAssignment = async (assignmentId, { isQuiz = false } = {}) => {
+  try {
+    const assignment = await Assignment.findByPk(assignmentId, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'title'] }]
+    });
+    if (!assignment || !isWithinReleaseWindow(assignment) ||
+        !await claimAnnouncement(Assignment, assignment.id)) {
+      return;
+    }
+
+    const unlocked = await getPrerequisiteSubmitterIds([assignment.prerequisite_assignment_id]);
+    const students = (await getCourseStudents(assignment.course_id))
+      .filter(student => !unlocked || unlocked.has(student.id));
+
+    await sendNewAssignment(assignment, students, isQuiz);
+  } catch (error) {
+    console.error('Notify New Assignment Error:', error);
+  }
+};
+
+/**
+ * Tell students that an assignment's deadline has moved (in-app only)
+ * Students with an extension are reminded that their own deadline still applies.
+ * @param {number} assignmentId - Assignment ID
+ * @param {Date} previousDeadline - Deadline before the change
+ */
+export const notifyDeadlineChanged = async (assignmentId, previousDeadline) => {
+  try {
+    const assignment = await Assignment.findByPk(assignmentId, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'title'] }]
+    });
+    if (!assignment) {
+      return;
+    }
+
+    const students = await getCourseStudents(assignment.course_id);
+    const extensions = await DeadlineExtension.findAll({
+      where: { assignment_id: assignment.id, revoked_at: null },
+      attributes: ['student_id', 'batch_id', 'extended_deadline']
+    });
+
+    await addNotifications(students.map(student => {
+      const extendedDeadline = resolveExtendedDeadline(extensions, student);
+      let message = `${assignment.course.code} · Now due ${formatDeadline(assignment.deadline)} (was ${formatDeadline(previousDeadline)})`;
+      if (extendedDeadline) {
+        message += `. Your extension to ${formatDeadline(extendedDeadline)} still applies.`;
+      }
+
+      return {
+        user_id: student.id,
+        type: 'deadline_changed',
+        title: `Deadline changed: ${assignment.title}`,
+        message,
+        link: `/student/assignments/${assignment.id}`
+      };
+    }));
+  } catch (error) {
+    console.error('Notify Deadline Changed Error:', error);
+  }
+};
+
+/**
+ * Tell students that their submissions have been graded
+ * @param {Array<number>} submissionIds - Graded submission IDs
+ */
+export const notifyGradePosted = async (submissionIds) => {
+  try {
+    if (submissionIds.length === 0) {
+      return;
+    }
+
+    const submissions = await Submission.findAll({
+      where: { id: submissionIds, marks: { [Op.not]: null } },
+      include: [
+        { model: User, as: 'student', attributes: ['id', 'email', 'full_name'] },
+        {
+          model: Assignment,
+          as: 'assignment',
+          attributes: ['id', 'title', 'course_id'],
+          include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'title'] }]
+        }
+      ]
+    });
+
+    await addNotifications(submissions.map(submission => ({
+      user_id: submission.student.id,
+      type: 'grade_posted',
+      title: `Grade posted: ${submission.assignment.title}`,
+      message: `${submission.assignment.course.code} · Your submission has been graded`,
+      link: `/student/assignments/${submission.assignment.id}`
+    })));
+
+    const recipients = await filterByPreference(submissions.map(submission => submission.student), 'grade_posted');
+    const recipientIds = new Set(recipients.map(student => student.id));
+
+    for (const submission of submissions) {
+      if (!recipientIds.has(submission.student.id)) {
+        continue;
+      }
+
+      const { assignment } = submission;
+      const email = buildEmail({
+        name: submission.student.full_name,
+        lines: [
+          `Your submission for "${assignment.title}" in ${assignment.course.code} - ${assignment.course.title} has been graded.`,
+          'Open the assignment to see your score and feedback.'
+        ],
+        actionLabel: 'View grade',
+        actionPath: `/student/assignments/${assignment.id}`
+      });
+      await deliver(submission.student, 'grade_posted', {
+        subject: `Grade posted: ${assignment.title}`,
+        ...email
+      });
+    }
+  } catch (error) {
+    console.error('Notify Grade Posted Error:', error);
+  }
+};
+
+/**
+ * Get the courses that can see a folder (shared directly or through a parent folder)
+ * @param {number} folderId - Folder ID
+ * @returns {Array<number>} - Course IDs
+ */
+const getFolderCourseIds = async (folderId) => {
+  const folderIds = [];
+  let folder = await Folder.findByPk(folderId, { attributes: ['id', 'parent_id'] });
+
+  while (folder && !folderIds.includes(folder.id)) {
+    folderIds.push(folder.id);
+    folder = folder.parent_id
+      ? await Folder.findByPk(folder.parent_id, { attributes: ['id', 'parent_id'] })
+      : null;
+  }
+
+  if (folderIds.length === 0) {
+    return [];
+  }
+
+  const shares = await FolderCourse.findAll({
+    where: { folder_id: folderIds },
+    attributes: ['course_id']
+  });
+  return [...new Set(shares.map(share => share.course_id))];
+};
+
+/**
+ * Tell students about a new material in every course that shows it
+ * A student enrolled in several of those courses is notified once.
+ * @param {Object} material - Material (title, course_id, folder_id)
+ * @param {Set<number>|null} allowedIds - Only these students; null = every student
+ */
+const sendNewMaterial = async (material, allowedIds = null) => {
+  const courseIds = material.course_id
+    ? [material.course_id]
+    : await getFolderCourseIds(material.folder_id);
+
+  const notified = new Set();
+  for (const courseId of courseIds) {
+    const course = await Course.findByPk(courseId, { attributes: ['id', 'code', 'title'] });
+    if (!course) {
+      continue;
+    }
+
+    const students = (await getCourseStudents(course.id))
+      .filter(student => !notified.has(student.id) && (!allowedIds || allowedIds.has(student.id)));
+    students.forEach(student => notified.add(student.id));
+
+    await addNotifications(students.map(student => ({
+      user_id: student.id,
+      type: 'new_material',
+      title: `New material in ${course.code}: ${material.title}`,
+      message: course.title,
+      link: `/student/courses/${course.id}`
+    })));
+
+    const recipients = await filterByPreference(students, 'new_material');
+    for (const student of recipients) {
+      const email = buildEmail({
+        name: student.full_name,
+        lines: [`New material has been added to ${course.code} - ${course.title}: "${material.title}".`],
+        actionLabel: 'Open course',
+        actionPath: `/student/courses/${course.id}`
+      });
+      await deliver(student, 'new_material', {
+        subject: `New material in ${course.code}: ${material.title}`,
+        ...email
+      });
+    }
+  }
+};
+
+/**
+ * Tell students about new course material
+ * Folder materials reach every course the folder is shared with. Does nothing
+ * until the material and its folders are past their "visible from" time (the
+ * background job announces it then) and only once per material. Behind a
+ * prerequisite (of the material or a folder), only students who have submitted
+ * it are told.
+ * @param {Object} material - Material (id, title, course_id, folder_id, release fields)
+ */
+export const notifyNewMaterial = async (material) => {
+  try {
+    const chain = [material, ...(material.folder_id ? await getFolderChain(material.folder_id) : [])];
+    if (!chain.every(item => isWithinReleaseWindow(item)) ||
+        !await claimAnnouncement(Material, material.id)) {
+      return;
+    }
+
+    const unlocked = await getPrerequisiteSubmitterIds(chain.map(item => item.prerequisite_assignment_id));
+    await sendNewMaterial(material, unlocked);
+  } catch (error) {
+    console.error('Notify New Material Error:', error);
+  }
+};
+
+/**
+ * Tell a student about items their first submission of an assignment unlocked
+ * Covers assignments and materials that name it as their prerequisite and have
+ * already been announced to the students who could see them.
+ * @param {number} assignmentId - Assignment the student submitted
+ * @param {number} studentId - Student user ID
+ */
+export const notifyUnlockedItems = async (assignmentId, studentId) => {
+  try {
+    const where = { prerequisite_assignment_id: assignmentId, release_notified_at: { [Op.ne]: null } };
+    const [assignments, materials] = await Promise.all([
+      Assignment.findAll({
+        where,
+        include: [
+          { model: Course, as: 'course', attributes: ['id', 'code', 'title'] },
+          { model: Quiz, as: 'quiz', attributes: ['id'], required: false }
+        ]
+      }),
+      Material.findAll({ where })
+    ]);
+    if (assignments.length === 0 && materials.length === 0) {
+      return;
+    }
+
+    const student = await User.findByPk(studentId, { attributes: ['id', 'email', 'full_name', 'batch_id'] });
+    if (!student) {
+      return;
+    }
+    const context = await getReleaseContext(student.id);
+
+    for (const assignment of assignments) {
+      if (isAssignmentReleased(assignment, context)) {
+        const enrolled = (await getCourseStudents(assignment.course_id)).some(member => member.id === student.id);
+        if (enrolled) {
+          await sendNewAssignment(assignment, [student], !!assignment.quiz);
+        }
+      }
+    }
+    for (const material of materials) {
+      if (await isMaterialReleased(material, context)) {
+        await sendNewMaterial(material, new Set([student.id]));
+      }
+    }
+  } catch (error) {
+    console.error('Notify Unlocked Items Error:', error);
+  }
+};
+
+/**
+ * Announce materials and assignments whose "visible from" time has arrived
+ * @param {Date} now - Current time
+ * @returns {number} - Items checked (each is announced at most once)
+ */
+export const sendReleaseNotifications = async (now = new Date()) => {
+  const where = {
+    release_notified_at: null,
+    [Op.and]: [
+      { [Op.or]: [{ visible_from: null }, { visible_from: { [Op.lte]: now } }] },
+      { [Op.or]: [{ visible_until: null }, { visible_until: { [Op.gt]: now } }] }
+    ]
+  };
+
+  const [assignments, materials] = await Promise.all([
+    Assignment.findAll({
+      where,
+      attributes: ['id'],
+      include: [{ model: Quiz, as: 'quiz', attributes: ['id'], required: false }]
+    }),
+    Material.findAll({ where })
+  ]);
+
+  for (const assignment of assignments) {
+    await notifyNewAssignment(assignment.id, { isQuiz: !!assignment.quiz });
+  }
+  for (const material of materials) {
+    await notifyNewMaterial(material);
+  }
+
+  return assignments.length + materials.length;
+};
+
+/**
+ * Tell course members that a folder has been shared with their courses (in-app only)
+ * Students see the folder in the course; the course's other teachers are told
+ * who shared it.
+ * @param {number} folderId - Folder ID
+ * @param {Array<number>} courseIds - Courses the folder was newly shared with
+ * @param {Object} sharedBy - Teacher who shared it (id, full_name)
+ */
+export const notifyFolderShared = async (folderId, courseIds, sharedBy) => {
+  try {
+    if (courseIds.length === 0) {
+      return;
+    }
+
+    const folder = await Folder.findByPk(folderId, { attributes: ['id', 'name'] });
+    if (!folder) {
+      return;
+    }
+
+    const courses = await Course.findAll({
+      where: { id: courseIds },
+      attributes: ['id', 'code', 'title']
+    });
+
+    const notified = new Set();
+    const rows = [];
+    for (const course of courses) {
+      const students = await getCourseStudents(course.id);
+      students.forEach(student => {
+        if (notified.has(student.id)) {
+          return;
+        }
+        notified.add(student.id);
+        rows.push({
+          user_id: student.id,
+          type: 'folder_shared',
+          title: `New folder in ${course.code}: ${folder.name}`,
+          message: course.title,
+          link: `/student/courses/${course.id}`
+        });
+      });
+
+      const teachers = await CourseTeacher.findAll({
+        where: { course_id: course.id, teacher_id: { [Op.ne]: sharedBy.id } },
+        attributes: ['teacher_id']
+      });
+      teachers.forEach(teacher => {
+        rows.push({
+          user_id: teacher.teacher_id,
+          type: 'folder_shared',
+          title: `Folder shared with ${course.code}: ${folder.name}`,
+          message: `${sharedBy.full_name} shared this folder with ${course.code} - ${course.title}`,
+          link: `/teacher/courses/${course.id}/materials`
+        });
+      });
+    }
+
+    await addNotifications(rows);
+  } catch (error) {
+    console.error('Notify Folder Shared Error:', error);
+  }
+};
+
+/**
+ * Remind students of assignments they have not submitted that are due soon
+ * Uses each student's own deadline (extensions applied). A reminder goes out
+ * once per deadline, so an extension granted later earns a new reminder. A
+ * reminder that failed MAX_REMINDER_FAILURES times within the reminder window
+ * is not tried again. Nothing is sent while mail is not configured.
+ * @param {Date} now - Current time
+ * @returns {number} - Reminders sent
+ */
+export const sendDeadlineReminders = async (now = new Date()) => {
+  const hours = getReminderHours();
+  if (hours === 0 || !isMailConfigured()) {
+    return 0;
+  }
+
+  const windowEnd = new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  // Assignments due in the window, plus those with an extension ending in it
+  const extended = await DeadlineExtension.findAll({
+    where: { revoked_at: null, extended_deadline: { [Op.gt]: now, [Op.lte]: windowEnd } },
+    attributes: ['assignment_id']
+  });
+  const extendedIds = [...new Set(extended.map(extension => extension.assignment_id))];
+
+  const assignments = await Assignment.findAll({
+    where: {
+      [Op.or]: [
+        { deadline: { [Op.gt]: now, [Op.lte]: windowEnd } },
+        ...(extendedIds.length > 0 ? [{ id: extendedIds }] : [])
+      ]
+    },
+    include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'title'] }]
+  });
+
+  let sent = 0;
+  for (const assignment of assignments) {
+    // Students are not reminded of assignments they cannot see
+    const hiddenReason = getHiddenReason(assignment, getOpenReleaseContext(now));
+    if (hiddenReason === 'scheduled' || hiddenReason === 'ended') {
+      continue;
+    }
+
+    const recipients = await getCourseRecipients(assignment.course_id, 'deadline_reminder');
+    if (recipients.length === 0) {
+      continue;
+    }
+
+    const submissions = await Submission.findAll({
+      where: { assignment_id: assignment.id },
+      attributes: ['student_id']
+    });
+    const submitted = new Set(submissions.map(submission => submission.student_id));
+
+    // Behind a prerequisite: only students who submitted it can see this one
+    const unlocked = assignment.prerequisite_assignment_id
+      ? new Set((await Submission.findAll({
+          where: { assignment_id: assignment.prerequisite_assignment_id },
+          attributes: ['student_id']
+        })).map(submission => submission.student_id))
+      : null;
+
+    const extensions = await DeadlineExtension.findAll({
+      where: { assignment_id: assignment.id, revoked_at: null },
+      attributes: ['student_id', 'batch_id', 'extended_deadline']
+    });
+
+    const due = [];
+    recipients.forEach(student => {
+      if (submitted.has(student.id) || (unlocked && !unlocked.has(student.id))) {
+        return;
+      }
+      const deadline = getEffectiveDeadline(assignment, resolveExtendedDeadline(extensions, student));
+      const status = checkDeadline(deadline);
+      if (!status.isPastDeadline && deadline <= windowEnd) {
+        due.push({
+          student,
+          status,
+          key: `deadline_reminder:${assignment.id}:${student.id}:${deadline.getTime()}`
+        });
+      }
+    });
+
+    if (due.length === 0) {
+      continue;
+    }
+
+    const logs = await EmailLog.findAll({
+      where: {
+        dedupe_key: due.map(item => item.key),
+        [Op.or]: [
+          { status: 'sent' },
+          { status: 'failed', created_at: { [Op.gte]: new Date(now.getTime() - hours * 60 * 60 * 1000) } }
+        ]
+      },
+      attributes: ['dedupe_key', 'status']
+    });
+    const sentKeys = new Set();
+    const failures = new Map();
+    logs.forEach(log => {
+      if (log.status === 'sent') {
+        sentKeys.add(log.dedupe_key);
+      } else {
+        failures.set(log.dedupe_key, (failures.get(log.dedupe_key) || 0) + 1);
+      }
+    });
+
+    for (const { student, status, key } of due) {
+      if (sentKeys.has(key) || (failures.get(key) || 0) >= MAX_REMINDER_FAILURES) {
+        continue;
+      }
+
+      const email = buildEmail({
+        name: student.full_name,
+        lines: [
+          `"${assignment.title}" in ${assignment.course.code} - ${assignment.course.title} is due ${formatDeadline(status.deadline)} and you have not submitted it yet.`,
+          status.message
+        ],
+        actionLabel: 'Submit now',
+        actionPath: `/student/assignments/${assignment.id}`
+      });
+      if (await deliver(student, 'deadline_reminder', {
+        subject: `Reminder: ${assignment.title} is due soon`,
+        ...email
+      }, key)) {
+        sent++;
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Start the background job that sends deadline reminders and announces released items
+ * Runs once at startup and then every 15 minutes. Deadline reminders are
+ * skipped when DEADLINE_REMINDER_HOURS is 0.
+ * @returns {Object} - Interval handle
+ */
+export const startNotificationJobs = () => {
+  if (getReminderHours() === 0) {
+    console.log('ℹ️ Deadline reminder emails are disabled (DEADLINE_REMINDER_HOURS=0)');
+  }
+  if (!isMailConfigured()) {
+    console.log('ℹ️ Mail is not configured (MAIL_TRANSPORT / SMTP_HOST); deadline reminders are not sent');
+  }
+
+  let running = false;
+  const run = async () => {
+    // Skip a tick if the previous run is still sending
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const sent = await sendDeadlineReminders();
+      if (sent > 0) {
+        console.log(`📧 Sent ${sent} deadline reminder email(s)`);
+      }
+    } catch (error) {
+      console.error('Deadline Reminder Error:', error);
+    }
+    try {
+      await sendReleaseNotifications();
+    } catch (error) {
+      console.error('Release Notification Error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, REMINDER_CHECK_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+/**
+ * Count a user's unread in-app notifications
+ * @param {number} userId - User ID
+ * @returns {number} - Unread count
+ */
+export const getUnreadCount = async (userId) => {
+  return await Notification.count({ where: { user_id: userId, read_at: null } });
+};
+
+/**
+ * Get one page of a user's in-app notifications, newest first
+ * @param {number} userId - User ID
+ * @param {Object} options - { page, unreadOnly }
+ * @returns {Object} - { notifications, page, totalPages, total }
+ */
+export const getNotifications = async (userId, { page = 1, unreadOnly = false } = {}) => {
+  const where = { user_id: userId };
+  if (unreadOnly) {
+    where.read_at = null;
+  }
+
+  const total = await Notification.count({ where });
+  const totalPages = Math.max(1, Math.ceil(total / NOTIFICATIONS_PER_PAGE));
+  const currentPage = Math.min(Math.max(1, parseInt(page, 10) || 1), totalPages);
+
+  const notifications = await Notification.findAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: NOTIFICATIONS_PER_PAGE,
+    offset: (currentPage - 1) * NOTIFICATIONS_PER_PAGE
+  });
+
+  return { notifications, page: currentPage, totalPages, total };
+};
+
+/**
+ * Mark one of a user's notifications as read
+ * @param {number} userId - User ID
+ * @param {number} notificationId - Notification ID
+ * @returns {Object|null} - The notification, or null if it is not the user's
+ */
+export const markRead = async (userId, notificationId) => {
+  const notification = await Notification.findOne({
+    where: { id: notificationId, user_id: userId }
+  });
+  if (!notification) {
+    return null;
+  }
+
+  if (!notification.read_at) {
+    await notification.update({ read_at: new Date() });
+  }
+  return notification;
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {number} userId - User ID
+ * @returns {number} - Notifications marked
+ */
+export const markAllRead = async (userId) => {
+  const [count] = await Notification.update(
+    { read_at: new Date() },
+    { where: { user_id: userId, read_at: null } }
+  );
+  return count;
+};
+
+export default {
+  NOTIFICATION_TYPES,
+  IN_APP_TYPES,
+  getReminderHours,
+  getPreferences,
+  savePreferences,
+  notifyNewAssignment,
+  notifyDeadlineChanged,
+  notifyGradePosted,
+  notifyNewMaterial,
+  notifyUnlockedItems,
+  notifyFolderShared,
+  sendDeadlineReminders,
+  sendReleaseNotifications,
+  startNotificationJobs,
+  getUnreadCount,
+  getNotifications,
+  markRead,
+  markAllRead
+};
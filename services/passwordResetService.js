@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { sequelize, User, PasswordResetToken } from '../models/index.js';
+import { sendMail, getAppUrl } from './mailService.js';
+import { revokeAllSessions } from './sessionService.js';
+
+/**
+ * Password Reset Service
+ * Self-service "forgot password" flow
+ *
+ * A reset request emails a link with a random token. Only the token's SHA-256
+ * is stored, so a leaked database cannot be used to reset passwords. Tokens
+ * expire after PASSWORD_RESET_TTL_MINUTES (default 60) and are single-use:
+ * setting a new password spends every outstanding token of the account.
+ *
+ * Requests never reveal whether an account exists - unknown addresses,
+ * rate-limited accounts and successful requests all look the same to the caller.
+ *
+ * @module services/passwordResetService
+ */
+
+const DEFAULT_TTL_MINUTES = 60;
+const MAX_REQUESTS_PER_ACCOUNT = 3; // per hour
+const MAX_REQUESTS_PER_IP = 10; // per IP_WINDOW_MS
+const IP_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Recent reset requests per IP address (timestamps in ms)
+ * Kept in memory: it only needs to slow down one client hammering the form
+ */
+const ipRequests = new Map();
+
+/**
+ * Minutes a reset link stays valid
+ * @returns {number} - PASSWORD_RESET_TTL_MINUTES or the default
+ */
+export const getTokenTtlMinutes = () => {
+  const minutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES;
+};
+
+/**
+ * Hash a raw token for storage and lookup
+ * @param {string} token - Token from the email link
+ * @returns {string} - Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Record a reset request from an IP and check the per-IP limit
+ * @param {string} ip - Client IP address
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - True if the request is allowed
+ */
+const allowIpRequest = (ip, now = Date.now()) => {
+  // Drop expired entries so the map does not grow without bound
+  for (const [key, times] of ipRequests) {
+    const recent = times.filter(time => now - time < IP_WINDOW_MS);
+    if (recent.length === 0) {
+      ipRequests.delete(key);
+    } else {
+      ipRequests.set(key, recent);
+    }
+  }
+
+  const times = ipRequests.get(ip) || [];
+  if (times.length >= MAX_REQUESTS_PER_IP) {
+    return false;
+  }
+  times.push(now);
+  ipRequests.set(ip, times);
+  return true;
+};
+
+/**
+ * Escape text for use in an HTML email
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Send the reset link to a user
+ * @param {Object} user - User instance
+ * @param {string} token - Raw token
+ * @param {number} ttlMinutes - Minutes until the link expires
+ */
+const sendResetEmail = async (user, token, ttlMinutes) => {
+  const url = `${getAppUrl()}/auth/reset-password/${token}`;
+  const lines = [
+    'We received a request to reset the password of your LMS EduManage account.',
+    `Use the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.`,
+    'If you did not ask for this, you can ignore this email - your password will not change.'
+  ];
+
+  const text = [
+    `Hi ${user.full_name},`,
+    '',
+    ...lines,
+    '',
+    `Reset your password: ${url}`,
+    '',
+    '--',
+    'LMS EduManage'
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #1f2937; max-width: 560px;">
+      <p>Hi ${escapeHtml(user.full_name)},</p>
+      ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n      ')}
+      <p>
+        <a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #4b6bfb; color: #ffffff; text-decoration: none; border-radius: 6px;">Reset your password</a>
+      </p>
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+      <p style="font-size: 12px; color: #6b7280;">LMS EduManage</p>
+    </div>`;
+
+  await sendMail({ to: user.email, subject: 'Reset your LMS EduManage password', text, html });
+};
+
+/**
+ * Handle a "forgot password" request
+ * Resolves the same way whether or not the account exists; the email is sent
+ * in the background so response times do not give it away either.
+ * @param {string} identifier - Username or email entered on the form
+ * @param {string} ip - Client IP address
+ * @returns {Object} - { limited: true } if this IP made too many requests, otherwise {}
+ */
+export const requestPasswordReset = async (identifier, ip) => {
+  if (!allowIpRequest(ip || 'unknown')) {
+    return { limited: true };
+  }
+
+  const value = String(identifier || '').trim();
+  if (!value) {
+    return {};
+  }
+
+  const user = await User.findOne({
+    where: { [Op.or]: [{ username: value }, { email: value }] }
+  });
+  if (!user) {
+    return {};
+  }
+
+  const recentCount = await PasswordResetToken.count({
+    where: {
+      user_id: user.id,
+      created_at: { [Op.gt]: new Date(Date.now() - 60 * 60 * 1000) }
+    }
+  });
+  if (recentCount >= MAX_REQUESTS_PER_ACCOUNT) {
+    return {};
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMinutes = getTokenTtlMinutes();
+
+  await PasswordResetToken.create({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requested_ip: ip || null
+  });
+
+  sendResetEmail(user, token, ttlMinutes).catch(error => {
+    console.error(`Password reset email to user ${user.id} failed:`, error.message);
+  });
+
+  return {};
+};
+
+/**
+ * Find an unused, unexpired reset token
+ * @param {string} token - Raw token from the link
+ * @returns {Object|null} - PasswordResetToken with user, or null
+ */
+export const findValidToken = async (token) => {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+    return null;
+  }
+
+  return await PasswordResetToken.findOne({
+    where: {
+      token_hash: hashToken(token),
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    include: [{ model: User, as: 'user' }]
+  });
+};
+
+/**
+ * Set a new password with a reset token
+ * Spends the token (and any other outstanding tokens of the account) and
+ * signs the user out of all active sessions.
+ * @param {string} token - Raw token from the link
+ * @param {string} newPassword - Validated new password
+ * @returns {Object} - { user } or { error }
+ */
+export const resetPassword = async (token, newPassword) => {
+  const resetToken = await findValidToken(token);
+  if (!resetToken || !resetToken.user) {
+    return { error: 'This reset link is invalid or has expired. Please request a new one.' };
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const now = new Date();
+
+    // Conditional update so two concurrent submits cannot both use the token
+    const [spent] = await PasswordResetToken.update(
+      { used_at: now },
+      { where: { id: resetToken.id, used_at: null }, transaction }
+    );
+    if (spent === 0) {
+      return { error: 'This reset link has already been used. Please request a new one.' };
+    }
+
+    await PasswordResetToken.update(
+      { used_at: now },
+      { where: { user_id: resetToken.user_id, used_at: null }, transaction }
+    );
+
+    const user = resetToken.user;
+    user.password = newPassword; // hashed by the User beforeUpdate hook
+    user.must_change_password = false;
+    // Proving access to the email address also lifts a login lockout
+    user.failed_login_count = 0;
+    user.last_failed_login_at = null;
+    user.locked_until = null;
+    await user.save({ transaction });
+
+    // Sign out every device that is still signed in with the old password
+    await revokeAllSessions(user.id, { transaction });
+
+    return { user };
+  });
+};
+
+export default {
+  getTokenTtlMinutes,
+  requestPasswordReset,
+  findValidToken,
+  resetPassword
+};
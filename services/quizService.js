@@ -0,0 +1,676 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { Quiz, QuizItem, QuizQuestion, QuizAttempt, QuizResponse, Submission, sequelize } from '../models/index.js';
+import { notifyUnlockedItems } from './notificationService.js';
+
+/**
+ * Quiz Service
+ * Question banks, quiz attempts and auto-grading
+ *
+ * A quiz is an Assignment with a Quiz row: the assignment keeps the title,
+ * deadline, max points, attempt limit, category and late policy, so quiz
+ * results are written to the student's Submission and flow through the same
+ * grading pipeline (calculateSuggestedGrade) as any other assignment.
+ *
+ * @module services/quizService
+ */
+
+/**
+ * Supported question types and their labels
+ */
+export const QUESTION_TYPES = {
+  multiple_choice: 'Multiple choice',
+  multi_select: 'Multiple select',
+  true_false: 'True / False',
+  numeric: 'Numeric',
+  short_answer: 'Short answer'
+};
+
+const MAX_OPTIONS = 8;
+
+// Extra time allowed after expires_at for the final request to arrive
+const SUBMIT_GRACE_MS = 60 * 1000;
+
+/**
+ * Round to 2 decimal places (matches DECIMAL(x, 2) columns)
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalize a short answer for comparison (case, surrounding and repeated whitespace)
+ * @param {string} text - Answer text
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Collect a list field that may arrive as a single value or an array
+ * @param {*} value - Request body value
+ * @returns {Array} - Values
+ */
+const toArray = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Validate the question bank form
+ * Choices arrive as option_0..option_N with correct_option (single) or
+ * correct_options (multiple) holding their indexes; blank choices are dropped.
+ * @param {Object} body - Request body
+ * @returns {Object} - { values: { type, prompt, options, correct_answer, points, explanation } } or { error }
+ */
+export const parseQuestionInput = (body) => {
+  const type = body.type;
+  const prompt = (body.prompt || '').trim();
+  const points = body.points === undefined || body.points === '' ? 1 : Number(body.points);
+
+  if (!QUESTION_TYPES[type]) {
+    return { error: 'Please choose a question type' };
+  }
+  if (!prompt) {
+    return { error: 'Question text is required' };
+  }
+  if (prompt.length > 5000) {
+    return { error: 'Question text must not exceed 5000 characters' };
+  }
+  if (!Number.isFinite(points) || points <= 0 || points > 1000) {
+    return { error: 'Points must be a number greater than 0 and at most 1000' };
+  }
+
+  const values = {
+    type,
+    prompt,
+    options: null,
+    correct_answer: null,
+    points: round2(points),
+    explanation: body.explanation && body.explanation.trim() !== '' ? body.explanation.trim() : null
+  };
+
+  if (type === 'multiple_choice' || type === 'multi_select') {
+    const marked = new Set(toArray(type === 'multiple_choice' ? body.correct_option : body.correct_options).map(String));
+    const options = [];
+    const correct = [];
+
+    for (let i = 0; i < MAX_OPTIONS; i++) {
+      const text = (body[`option_${i}`] || '').trim();
+      if (!text) {
+        continue;
+      }
+      if (text.length > 500) {
+        return { error: 'Each choice must not exceed 500 characters' };
+      }
+      if (marked.has(String(i))) {
+        correct.push(options.length);
+      }
+      options.push(text);
+    }
+
+    if (options.length < 2) {
+      return { error: 'Add at least two choices' };
+    }
+    if (new Set(options.map(normalizeText)).size !== options.length) {
+      return { error: 'Choices must be different from each other' };
+    }
+    if (correct.length === 0) {
+      return { error: 'Mark the correct choice' };
+    }
+    if (type === 'multiple_choice' && correct.length > 1) {
+      return { error: 'A multiple choice question has exactly one correct choice' };
+    }
+
+    values.options = options;
+    values.correct_answer = type === 'multiple_choice' ? { index: correct[0] } : { indexes: correct };
+  } else if (type === 'true_false') {
+    if (body.correct_boolean !== 'true' && body.correct_boolean !== 'false') {
+      return { error: 'Choose whether the statement is true or false' };
+    }
+    values.correct_answer = { value: body.correct_boolean === 'true' };
+  } else if (type === 'numeric') {
+    const answer = body.numeric_answer === undefined || body.numeric_answer === '' ? NaN : Number(body.numeric_answer);
+    const tolerance = body.numeric_tolerance === undefined || body.numeric_tolerance === '' ? 0 : Number(body.numeric_tolerance);
+
+    if (!Number.isFinite(answer)) {
+      return { error: 'The correct answer must be a number' };
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      return { error: 'Tolerance must be 0 or a positive number' };
+    }
+    values.correct_answer = { value: answer, tolerance };
+  } else {
+    const accepted = String(body.accepted_answers || '')
+      .split(/\r?\n/)
+      .map(answer => answer.trim())
+      .filter(Boolean);
+
+    if (accepted.length === 0) {
+      return { error: 'Enter at least one accepted answer (one per line)' };
+    }
+    if (accepted.some(answer => answer.length > 200)) {
+      return { error: 'Accepted answers must not exceed 200 characters each' };
+    }
+    values.correct_answer = { accepted: [...new Set(accepted)] };
+  }
+
+  return { values };
+};
+
+/**
+ * Read a student's answer to one question from the quiz form (field answer_<questionId>)
+ * @param {Object} question - QuizQuestion
+ * @param {Object} body - Request body
+ * @returns {*} - Option index, array of indexes, boolean, number, text, or null if unanswered
+ */
+export const readAnswer = (question, body) => {
+  const raw = body[`answer_${question.id}`];
+  const options = question.options || [];
+
+  switch (question.type) {
+    case 'multiple_choice': {
+      const index = Number(raw);
+      return raw !== undefined && raw !== '' && Number.isInteger(index) && index >= 0 && index < options.length ? index : null;
+    }
+    case 'multi_select': {
+      const indexes = [...new Set(toArray(raw).map(Number))]
+        .filter(index => Number.isInteger(index) && index >= 0 && index < options.length)
+        .sort((a, b) => a - b);
+      return indexes.length > 0 ? indexes : null;
+    }
+    case 'true_false':
+      return raw === 'true' ? true : raw === 'false' ? false : null;
+    case 'numeric': {
+      const value = raw === undefined || String(raw).trim() === '' ? NaN : Number(raw);
+      return Number.isFinite(value) ? value : null;
+    }
+    default: {
+      const text = raw === undefined ? '' : String(raw).trim().slice(0, 1000);
+      return text !== '' ? text : null;
+    }
+  }
+};
+
+/**
+ * Grade one answer
+ * Multiple select earns partial credit: (right choices picked - wrong choices picked)
+ * / number of right choices, never below 0. Every other type is all or nothing.
+ * @param {Object} question - QuizQuestion
+ * @param {*} answer - Result of readAnswer()
+ * @returns {Object} - { is_correct, points_awarded }
+ */
+export const gradeAnswer = (question, answer) => {
+  const points = parseFloat(question.points);
+  const key = question.correct_answer || {};
+  let fraction = 0;
+
+  if (answer !== null && answer !== undefined) {
+    switch (question.type) {
+      case 'multiple_choice':
+        fraction = answer === key.index ? 1 : 0;
+        break;
+      case 'multi_select': {
+        const correct = new Set(key.indexes || []);
+        const right = answer.filter(index => correct.has(index)).length;
+        const wrong = answer.length - right;
+        fraction = correct.size > 0 ? Math.max(0, (right - wrong) / correct.size) : 0;
+        break;
+      }
+      case 'true_false':
+        fraction = answer === key.value ? 1 : 0;
+        break;
+      case 'numeric':
+        // Small epsilon so decimal answers like 0.1 + 0.2 are not rejected by float error
+        fraction = Math.abs(answer - key.value) <= (key.tolerance || 0) + 1e-9 ? 1 : 0;
+        break;
+      default:
+        fraction = (key.accepted || []).some(accepted => normalizeText(accepted) === normalizeText(answer)) ? 1 : 0;
+    }
+  }
+
+  return {
+    is_correct: fraction === 1,
+    points_awarded: round2(points * fraction)
+  };
+};
+
+/**
+ * Describe an answer for display
+ * @param {Object} question - QuizQuestion
+ * @param {*} answer - Stored answer (or a correct_answer value)
+ * @returns {string} - Human-readable answer, '' if unanswered
+ */
+export const formatAnswer = (question, answer) => {
+  if (answer === null || answer === undefined) {
+    return '';
+  }
+
+  const options = question.options || [];
+  switch (question.type) {
+    case 'multiple_choice':
+      return options[answer] !== undefined ? options[answer] : '';
+    case 'multi_select':
+      return answer.map(index => options[index]).filter(text => text !== undefined).join(', ');
+    case 'true_false':
+      return answer ? 'True' : 'False';
+    default:
+      return String(answer);
+  }
+};
+
+/**
+ * Describe the correct answer of a question
+ * @param {Object} question - QuizQuestion
+ * @returns {string} - e.g. "Paris", "True", "9.81 (± 0.05)", "colour / color"
+ */
+export const formatCorrectAnswer = (question) => {
+  const key = question.correct_answer || {};
+
+  switch (question.type) {
+    case 'multiple_choice':
+      return formatAnswer(question, key.index);
+    case 'multi_select':
+      return formatAnswer(question, key.indexes || []);
+    case 'true_false':
+      return formatAnswer(question, key.value);
+    case 'numeric':
+      return key.tolerance ? `${key.value} (± ${key.tolerance})` : String(key.value);
+    default:
+      return (key.accepted || []).join(' / ');
+  }
+};
+
+/**
+ * Get the quiz of an assignment
+ * @param {number} assignmentId - Assignment ID
+ * @returns {Object|null} - Quiz or null if the assignment is not a quiz
+ */
+export const getQuizForAssignment = async (assignmentId) => {
+  return await Quiz.findOne({ where: { assignment_id: assignmentId } });
+};
+
+/**
+ * Get the questions of a quiz in display order
+ * @param {number} quizId - Quiz ID
+ * @returns {Array} - QuizQuestion instances
+ */
+export const getQuizQuestions = async (quizId) => {
+  const items = await QuizItem.findAll({
+    where: { quiz_id: quizId },
+    include: [{ model: QuizQuestion, as: 'question' }],
+    order: [['position', 'ASC']]
+  });
+
+  return items.map(item => item.question).filter(Boolean);
+};
+
+/**
+ * Total points of a set of questions
+ * @param {Array} questions - QuizQuestion instances
+ * @returns {number} - Sum of question points
+ */
+export const getQuestionsMaxScore = (questions) => {
+  return round2(questions.reduce((sum, question) => sum + parseFloat(question.points), 0));
+};
+
+/**
+ * Validate the question selection of the quiz form against the course bank
+ * @param {*} value - question_ids from the request body
+ * @param {number} courseId - Course ID
+ * @returns {Object} - { values: questionIds (in bank order) } or { error }
+ */
+export const parseQuestionSelection = async (value, courseId) => {
+  const ids = [...new Set(toArray(value).map(Number).filter(Number.isInteger))];
+
+  if (ids.length === 0) {
+    return { error: 'Select at least one question from the question bank' };
+  }
+
+  const questions = await QuizQuestion.findAll({
+    where: { id: ids, course_id: courseId },
+    attributes: ['id'],
+    order: [['id', 'ASC']]
+  });
+
+  if (questions.length !== ids.length) {
+    return { error: 'Some selected questions are not in this course\'s question bank' };
+  }
+
+  return { values: questions.map(question => question.id) };
+};
+
+/**
+ * Replace the questions of a quiz
+ * @param {number} quizId - Quiz ID
+ * @param {Array<number>} questionIds - Question IDs in display order
+ * @param {Object} options - { transaction }
+ */
+export const saveQuizItems = async (quizId, questionIds, { transaction } = {}) => {
+  await QuizItem.destroy({ where: { quiz_id: quizId }, transaction });
+  await QuizItem.bulkCreate(
+    questionIds.map((questionId, index) => ({ quiz_id: quizId, question_id: questionId, position: index })),
+    { transaction }
+  );
+};
+
+/**
+ * Check whether a quiz has been attempted (its question list is then locked)
+ * @param {number} quizId - Quiz ID
+ * @returns {boolean} - True if any attempt exists
+ */
+export const hasAttempts = async (quizId) => {
+  return (await QuizAttempt.count({ where: { quiz_id: quizId } })) > 0;
+};
+
+/**
+ * Check whether a bank question has been answered in any attempt
+ * Answered questions are locked so stored responses keep matching their answer key
+ * @param {number} questionId - Question ID
+ * @returns {boolean} - True if responses exist
+ */
+export const isQuestionAnswered = async (questionId) => {
+  return (await QuizResponse.count({ where: { question_id: questionId } })) > 0;
+};
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates with a cryptographic RNG)
+ * @param {Array} items - Items
+ * @returns {Array} - Shuffled copy
+ */
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Get a student's attempts at a quiz, newest first
+ * @param {number} quizId - Quiz ID
+ * @param {number} studentId - Student ID
+ * @returns {Array} - QuizAttempt instances
+ */
+export const getStudentAttempts = async (quizId, studentId) => {
+  return await QuizAttempt.findAll({
+    where: { quiz_id: quizId, student_id: studentId },
+    order: [['attempt_number', 'DESC']]
+  });
+};
+
+/**
+ * Check whether an in-progress attempt has run out of time
+ * @param {Object} attempt - QuizAttempt
+ * @param {Date} now - Current time
+ * @returns {boolean} - True once expires_at (plus a short grace for the final request) has passed
+ */
+export const isAttemptExpired = (attempt, now = new Date()) => {
+  return !!attempt.expires_at && now.getTime() > new Date(attempt.expires_at).getTime() + SUBMIT_GRACE_MS;
+};
+
+/**
+ * Start a new attempt
+ * The attempt ends at the time limit or when the quiz closes, whichever is earlier.
+ * @param {Object} quiz - Quiz
+ * @param {number} studentId - Student ID
+ * @param {Date|null} closesAt - Last moment the student may submit (deadline or late cutoff)
+ * @returns {Object} - Created QuizAttempt
+ */
+export const startAttempt = async (quiz, studentId, closesAt = null) => {
+  const questions = await getQuizQuestions(quiz.id);
+  const questionIds = questions.map(question => question.id);
+  const now = new Date();
+
+  let expiresAt = quiz.time_limit_minutes
+    ? new Date(now.getTime() + quiz.time_limit_minutes * 60 * 1000)
+    : null;
+  if (closesAt && (!expiresAt || closesAt < expiresAt)) {
+    expiresAt = new Date(closesAt);
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const lastAttempt = await QuizAttempt.max('attempt_number', {
+      where: { quiz_id: quiz.id, student_id: studentId },
+      transaction
+    }) || 0;
+
+    return await QuizAttempt.create({
+      quiz_id: quiz.id,
+      student_id: studentId,
+      attempt_number: lastAttempt + 1,
+      question_order: quiz.shuffle_questions ? shuffle(questionIds) : questionIds,
+      started_at: now,
+      expires_at: expiresAt
+    }, { transaction });
+  });
+};
+
+/**
+ * Get the questions of an attempt in the order the student saw them
+ * Questions deleted from the bank since the attempt started are skipped
+ * @param {Object} attempt - QuizAttempt
+ * @returns {Array} - QuizQuestion instances
+ */
+export const getAttemptQuestions = async (attempt) => {
+  const order = attempt.question_order || [];
+  const questions = await QuizQuestion.findAll({ where: { id: order } });
+  const byId = new Map(questions.map(question => [question.id, question]));
+
+  return order.map(id => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Grade and close an attempt, then write the result to the student's Submission
+ * Answers that arrive after the attempt expired are not counted.
+ * @param {Object} attempt - In-progress QuizAttempt
+ * @param {Object} assignment - The quiz's Assignment (max_points)
+ * @param {Object} body - Request body with answer_<questionId> fields ({} to close without answers)
+ * @param {Date} effectiveDeadline - Student's deadline (extensions applied), for the late flag
+ * @returns {Object} - { attempt, expired }
+ */
+export const submitAttempt = async (attempt, assignment, body, effectiveDeadline) => {
+  const now = new Date();
+  const expired = isAttemptExpired(attempt, now);
+  const questions = await getAttemptQuestions(attempt);
+
+  const responses = questions.map(question => {
+    const answer = expired ? null : readAnswer(question, body);
+    return {
+      attempt_id: attempt.id,
+      question_id: question.id,
+      answer,
+      ...gradeAnswer(question, answer)
+    };
+  });
+
+  const score = round2(responses.reduce((sum, response) => sum + response.points_awarded, 0));
+  const maxScore = getQuestionsMaxScore(questions);
+  // An expired attempt counts as submitted when time ran out
+  const submittedAt = expired ? new Date(attempt.expires_at) : now;
+  const isLate = submittedAt > new Date(effectiveDeadline);
+  const maxPoints = parseFloat(assignment.max_points) || 100;
+  const marks = maxScore > 0 ? round2(score / maxScore * maxPoints) : 0;
+
+  const isFirstSubmission = await sequelize.transaction(async (transaction) => {
+    await QuizResponse.destroy({ where: { attempt_id: attempt.id }, transaction });
+    await QuizResponse.bulkCreate(responses, { transaction });
+
+    await attempt.update({
+      submitted_at: submittedAt,
+      score,
+      max_score: maxScore,
+      is_late: isLate
+    }, { transaction });
+
+    // The Submission holds the latest attempt, like any other assignment
+    const submissionData = {
+      submission_text: `Quiz attempt ${attempt.attempt_number}: ${score} / ${maxScore} points (auto-graded)`,
+      submitted_at: submittedAt,
+      is_late: isLate,
+      marks,
+      graded_by: null
+    };
+
+    const submission = await Submission.findOne({
+      where: { assignment_id: assignment.id, student_id: attempt.student_id },
+      transaction
+    });
+
+    if (submission) {
+      // Skip the resubmission hook: submitted_at is set explicitly (expired attempts end at expires_at)
+      await submission.update(submissionData, { transaction, hooks: false });
+      return false;
+    }
+    await Submission.create({
+      ...submissionData,
+      assignment_id: assignment.id,
+      student_id: attempt.student_id
+    }, { transaction });
+    return true;
+  });
+
+  // Items that have this quiz as their prerequisite are now visible to the student
+  if (isFirstSubmission) {
+    notifyUnlockedItems(assignment.id, attempt.student_id);
+  }
+
+  return { attempt, expired };
+};
+
+/**
+ * Get the responses of an attempt keyed by question
+ * @param {number} attemptId - Attempt ID
+ * @returns {Map<number, Object>} - question_id => QuizResponse
+ */
+export const getResponseMap = async (attemptId) => {
+  const responses = await QuizResponse.findAll({ where: { attempt_id: attemptId } });
+  return new Map(responses.map(response => [response.question_id, response]));
+};
+
+/**
+ * Item analysis of a quiz
+ * Uses each student's latest submitted attempt. Difficulty is the share of
+ * students who earned full credit; discrimination compares the top and bottom
+ * 27% of students by total score (upper share correct - lower share correct).
+ * @param {number} quizId - Quiz ID
+ * @param {Array} questions - QuizQuestion instances to report on
+ * @returns {Object} - { studentCount, averagePercent, highestPercent, lowestPercent, items }
+ */
+export const getItemAnalysis = async (quizId, questions) => {
+  const attempts = await QuizAttempt.findAll({
+    where: { quiz_id: quizId, submitted_at: { [Op.ne]: null } },
+    include: [{ model: QuizResponse, as: 'responses' }],
+    order: [['attempt_number', 'DESC']]
+  });
+
+  // Latest submitted attempt per student
+  const latest = new Map();
+  attempts.forEach(attempt => {
+    if (!latest.has(attempt.student_id)) {
+      latest.set(attempt.student_id, attempt);
+    }
+  });
+
+  const percentOf = attempt => parseFloat(attempt.max_score) > 0
+    ? parseFloat(attempt.score) / parseFloat(attempt.max_score) * 100
+    : 0;
+  const ranked = [...latest.values()].sort((a, b) => percentOf(b) - percentOf(a));
+  const studentCount = ranked.length;
+
+  // Upper/lower groups need enough students to mean anything
+  const groupSize = studentCount >= 4 ? Math.max(1, Math.round(studentCount * 0.27)) : 0;
+  const upper = ranked.slice(0, groupSize);
+  const lower = groupSize > 0 ? ranked.slice(-groupSize) : [];
+
+  const responseFor = (attempt, questionId) => attempt.responses.find(response => response.question_id === questionId);
+  const correctShare = (group, questionId) => group.filter(attempt => {
+    const response = responseFor(attempt, questionId);
+    return response && response.is_correct;
+  }).length / group.length;
+
+  const items = questions.map(question => {
+    const seen = ranked.filter(attempt => (attempt.question_order || []).includes(question.id));
+    const responses = seen.map(attempt => responseFor(attempt, question.id)).filter(Boolean);
+    const answered = responses.filter(response => response.answer !== null && response.answer !== undefined);
+    const correctCount = responses.filter(response => response.is_correct).length;
+    const upperSeen = upper.filter(attempt => (attempt.question_order || []).includes(question.id));
+    const lowerSeen = lower.filter(attempt => (attempt.question_order || []).includes(question.id));
+
+    // Choice distribution for option-based questions, most common answers otherwise
+    let choices = [];
+    if (question.type === 'multiple_choice' || question.type === 'multi_select' || question.type === 'true_false') {
+      const labels = question.type === 'true_false' ? ['True', 'False'] : (question.options || []);
+      const key = question.correct_answer || {};
+      choices = labels.map((label, index) => {
+        const value = question.type === 'true_false' ? index === 0 : index;
+        const count = answered.filter(response => question.type === 'multi_select'
+          ? response.answer.includes(value)
+          : response.answer === value).length;
+        const isCorrect = question.type === 'multi_select'
+          ? (key.indexes || []).includes(index)
+          : question.type === 'true_false' ? key.value === value : key.index === index;
+        return { label, count, isCorrect };
+      });
+    } else {
+      const counts = new Map();
+      answered.forEach(response => {
+        const label = question.type === 'short_answer' ? normalizeText(response.answer) : String(response.answer);
+        const entry = counts.get(label) || { label, count: 0, isCorrect: response.is_correct };
+        entry.count++;
+        counts.set(label, entry);
+      });
+      choices = [...counts.values()].sort((a, b) => b.count - a.count).slice(0, 5);
+    }
+
+    return {
+      question,
+      seenCount: seen.length,
+      answeredCount: answered.length,
+      correctCount,
+      difficulty: seen.length > 0 ? round2(correctCount / seen.length * 100) : null,
+      averagePoints: seen.length > 0
+        ? round2(responses.reduce((sum, response) => sum + parseFloat(response.points_awarded), 0) / seen.length)
+        : null,
+      discrimination: upperSeen.length > 0 && lowerSeen.length > 0
+        ? round2(correctShare(upperSeen, question.id) - correctShare(lowerSeen, question.id))
+        : null,
+      choices
+    };
+  });
+
+  const percents = ranked.map(percentOf);
+  return {
+    studentCount,
+    attemptCount: attempts.length,
+    averagePercent: studentCount > 0 ? round2(percents.reduce((a, b) => a + b, 0) / studentCount) : null,
+    highestPercent: studentCount > 0 ? round2(Math.max(...percents)) : null,
+    lowestPercent: studentCount > 0 ? round2(Math.min(...percents)) : null,
+    items
+  };
+};
+
+export default {
+  QUESTION_TYPES,
+  parseQuestionInput,
+  readAnswer,
+  gradeAnswer,
+  formatAnswer,
+  formatCorrectAnswer,
+  getQuizForAssignment,
+  getQuizQuestions,
+  getQuestionsMaxScore,
+  parseQuestionSelection,
+  saveQuizItems,
+  hasAttempts,
+  isQuestionAnswered,
+  getStudentAttempts,
+  isAttemptExpired,
+  startAttempt,
+  getAttemptQuestions,
+  submitAttempt,
+  getResponseMap,
+  getItemAnalysis
+};
@@ -0,0 +1,331 @@
+import { Op } from 'sequelize';
+import { Assignment, Folder, Submission } from '../models/index.js';
+
+/**
+ * Release Service
+ * Scheduled and conditional release of materials, folders and assignments
+ *
+ * Each item can be hidden from students before visible_from, after
+ * visible_until, and until the student has submitted a prerequisite assignment
+ * (e.g. show lab 3 only once lab 2 is in). A hidden folder hides everything
+ * inside it. Teachers always see everything. An assignment a student has
+ * already submitted stays visible to them so they keep their feedback.
+ *
+ * @module services/releaseService
+ */
+
+export const RELEASE_FIELDS = ['visible_from', 'visible_until', 'prerequisite_assignment_id'];
+
+/**
+ * Parse an optional date field
+ * @param {string} value - Submitted value
+ * @returns {Date|null|undefined} - Date, null when empty, undefined when invalid
+ */
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Check whether making prerequisiteId the prerequisite of assignmentId would create a loop
+ * @param {number} assignmentId - Assignment being edited
+ * @param {number} prerequisiteId - Proposed prerequisite
+ * @returns {Promise<boolean>}
+ */
+const createsPrerequisiteLoop = async (assignmentId, prerequisiteId) => {
+  const seen = new Set();
+  let currentId = prerequisiteId;
+
+  while (currentId && !seen.has(currentId)) {
+    if (currentId === assignmentId) {
+      return true;
+    }
+    seen.add(currentId);
+    const current = await Assignment.findByPk(currentId, { attributes: ['id', 'prerequisite_assignment_id'] });
+    currentId = current ? current.prerequisite_assignment_id : null;
+  }
+  return false;
+};
+
+/**
+ * Validate the release settings form
+ * @param {Object} body - Request body: visible_from, visible_until, prerequisite_assignment_id (all optional)
+ * @param {Object} options - { courseIds: courses the prerequisite may come from, assignmentId: assignment being edited }
+ * @returns {Promise<Object>} - { values: { visible_from, visible_until, prerequisite_assignment_id } } or { error }
+ */
+export const parseReleaseInput = async (body, { courseIds = [], assignmentId = null } = {}) => {
+  const visibleFrom = parseOptionalDate(body.visible_from);
+  const visibleUntil = parseOptionalDate(body.visible_until);
+
+  if (visibleFrom === undefined) {
+    return { error: 'Invalid "visible from" date' };
+  }
+  if (visibleUntil === undefined) {
+    return { error: 'Invalid "visible until" date' };
+  }
+  if (visibleFrom && visibleUntil && visibleUntil <= visibleFrom) {
+    return { error: '"Visible until" must be after "visible from"' };
+  }
+
+  let prerequisiteId = null;
+  if (body.prerequisite_assignment_id !== undefined && body.prerequisite_assignment_id !== null &&
+      String(body.prerequisite_assignment_id).trim() !== '') {
+    prerequisiteId = parseInt(body.prerequisite_assignment_id);
+
+    const prerequisite = Number.isInteger(prerequisiteId)
+      ? await Assignment.findOne({
+          where: { id: prerequisiteId, course_id: { [Op.in]: courseIds } },
+          attributes: ['id']
+        })
+      : null;
+    if (!prerequisite) {
+      return { error: 'Prerequisite assignment not found in this course' };
+    }
+
+    if (assignmentId) {
+      const id = parseInt(assignmentId);
+      if (prerequisiteId === id) {
+        return { error: 'An assignment cannot be its own prerequisite' };
+      }
+      if (await createsPrerequisiteLoop(id, prerequisiteId)) {
+        return { error: 'That prerequisite depends on this assignment' };
+      }
+    }
+  }
+
+  return {
+    values: {
+      visible_from: visibleFrom,
+      visible_until: visibleUntil,
+      prerequisite_assignment_id: prerequisiteId
+    }
+  };
+};
+
+/**
+ * Load what a student's release conditions depend on
+ * @param {number} studentId - Student user ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { now, submittedAssignmentIds: Set<number> }
+ */
+export const getReleaseContext = async (studentId, now = new Date()) => {
+  const submissions = await Submission.findAll({
+    where: { student_id: studentId },
+    attributes: ['assignment_id']
+  });
+
+  return {
+    now,
+    submittedAssignmentIds: new Set(submissions.map(s => s.assignment_id))
+  };
+};
+
+/**
+ * Why an item is hidden from a student
+ * @param {Object} item - Material, Folder or Assignment
+ * @param {Object} context - Result of getReleaseContext()
+ * @returns {string|null} - 'scheduled', 'ended', 'prerequisite' or null if visible
+ */
+export const getHiddenReason = (item, context) => {
+  if (item.visible_from && new Date(item.visible_from) > context.now) {
+    return 'scheduled';
+  }
+  if (item.visible_until && new Date(item.visible_until) <= context.now) {
+    return 'ended';
+  }
+  if (item.prerequisite_assignment_id && !context.submittedAssignmentIds.has(item.prerequisite_assignment_id)) {
+    return 'prerequisite';
+  }
+  return null;
+};
+
+/**
+ * Check whether an item's release dates allow it to be seen now (ignoring its prerequisite)
+ * @param {Object} item - Material, Folder or Assignment
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isWithinReleaseWindow = (item, now = new Date()) => {
+  return !(item.visible_from && new Date(item.visible_from) > now) &&
+    !(item.visible_until && new Date(item.visible_until) <= now);
+};
+
+/**
+ * Check whether a student can see a material or folder (ignoring its parent folders)
+ * @param {Object} item - Material or Folder
+ * @param {Object} context - Result of getReleaseContext()
+ * @returns {boolean}
+ */
+export const isReleased = (item, context) => getHiddenReason(item, context) === null;
+
+/**
+ * Check whether a student can see an assignment
+ * Submitted assignments stay visible so the student keeps their marks and feedback.
+ * @param {Object} assignment - Assignment
+ * @param {Object} context - Result of getReleaseContext()
+ * @returns {boolean}
+ */
+export const isAssignmentReleased = (assignment, context) => {
+  return context.submittedAssignmentIds.has(assignment.id) || isReleased(assignment, context);
+};
+
+/**
+ * Folders hidden from a student, including everything below a hidden folder
+ * @param {Array<Object>} folders - Folders with parent_id and release fields
+ * @param {Object} context - Result of getReleaseContext()
+ * @returns {Set<number>} - Hidden folder IDs
+ */
+export const getHiddenFolderIds = (folders, context) => {
+  const folderMap = new Map(folders.map(folder => [folder.id, folder]));
+  const hidden = new Map();
+
+  const isHidden = (folder, seen = new Set()) => {
+    if (hidden.has(folder.id)) {
+      return hidden.get(folder.id);
+    }
+    seen.add(folder.id);
+    const parent = folder.parent_id ? folderMap.get(folder.parent_id) : null;
+    const result = !isReleased(folder, context) ||
+      (!!parent && !seen.has(parent.id) && isHidden(parent, seen));
+    hidden.set(folder.id, result);
+    return result;
+  };
+
+  folders.forEach(folder => isHidden(folder));
+  return new Set([...hidden.entries()].filter(([, isFolderHidden]) => isFolderHidden).map(([id]) => id));
+};
+
+/**
+ * Get a folder and every folder above it
+ * @param {number} folderId - Folder ID
+ * @returns {Promise<Array>} - Folders (id, parent_id, release fields), innermost first
+ */
+export const getFolderChain = async (folderId) => {
+  const folders = [];
+  const seen = new Set();
+  let currentId = folderId;
+
+  while (currentId && !seen.has(currentId)) {
+    seen.add(currentId);
+    const folder = await Folder.findByPk(currentId, {
+      attributes: ['id', 'parent_id', ...RELEASE_FIELDS]
+    });
+    if (!folder) {
+      break;
+    }
+    folders.push(folder);
+    currentId = folder.parent_id;
+  }
+  return folders;
+};
+
+/**
+ * Check whether a student can see a folder and every folder above it
+ * @param {number} folderId - Folder ID
+ * @param {Object} context - Result of getReleaseContext()
+ * @returns {Promise<boolean>}
+ */
+export const isFolderChainReleased = async (folderId, context) => {
+  return (await getFolderChain(folderId)).every(folder => isReleased(folder, context));
+};
+
+/**
+ * Check whether a student can see a material, taking its folders into account
+ * @param {Object} material - Material
+ * @param {Object} context - Result of getReleaseContext()
+ * @returns {Promise<boolean>}
+ */
+export const isMaterialReleased = async (material, context) => {
+  if (!isReleased(material, context)) {
+    return false;
+  }
+  return material.folder_id ? await isFolderChainReleased(material.folder_id, context) : true;
+};
+
+/**
+ * Release context of a student who has not submitted anything
+ * Used where a decision applies to the whole course, e.g. deadline reminders.
+ * @param {Date} now - Current time
+ * @returns {Object} - { now, submittedAssignmentIds }
+ */
+export const getOpenReleaseContext = (now = new Date()) => ({ now, submittedAssignmentIds: new Set() });
+
+/**
+ * Describe release settings for the teacher views
+ * Sets item.release to null (no settings) or
+ * { status: 'scheduled'|'ended'|'open', visible_from, visible_until, prerequisite_title }
+ * @param {Array<Object>} items - Plain materials, folders or assignments
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<Object>>} - The same items
+ */
+export const attachReleaseSummaries = async (items, now = new Date()) => {
+  const prerequisiteIds = [...new Set(items.map(item => item.prerequisite_assignment_id).filter(Boolean))];
+  const prerequisites = prerequisiteIds.length > 0
+    ? await Assignment.findAll({ where: { id: { [Op.in]: prerequisiteIds } }, attributes: ['id', 'title'] })
+    : [];
+  const titles = new Map(prerequisites.map(a => [a.id, a.title]));
+
+  items.forEach(item => {
+    if (!item.visible_from && !item.visible_until && !item.prerequisite_assignment_id) {
+      item.release = null;
+      return;
+    }
+
+    let status = 'open';
+    if (item.visible_from && new Date(item.visible_from) > now) {
+      status = 'scheduled';
+    } else if (item.visible_until && new Date(item.visible_until) <= now) {
+      status = 'ended';
+    }
+
+    item.release = {
+      status,
+      visible_from: item.visible_from,
+      visible_until: item.visible_until,
+      prerequisite_title: item.prerequisite_assignment_id
+        ? titles.get(item.prerequisite_assignment_id) || 'a deleted assignment'
+        : null
+    };
+  });
+
+  return items;
+};
+
+/**
+ * Assignments a teacher can pick as a prerequisite
+ * @param {number} courseId - Course ID
+ * @param {number} excludeId - Assignment being edited (cannot depend on itself)
+ * @returns {Promise<Array>} - Assignments (id, title), by deadline
+ */
+export const getPrerequisiteOptions = async (courseId, excludeId = null) => {
+  const where = { course_id: courseId };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  return await Assignment.findAll({
+    where,
+    attributes: ['id', 'title'],
+    order: [['deadline', 'ASC']]
+  });
+};
+
+export default {
+  RELEASE_FIELDS,
+  parseReleaseInput,
+  getReleaseContext,
+  getHiddenReason,
+  isWithinReleaseWindow,
+  isReleased,
+  isAssignmentReleased,
+  getHiddenFolderIds,
+  getFolderChain,
+  isFolderChainReleased,
+  isMaterialReleased,
+  getOpenReleaseContext,
+  attachReleaseSummaries,
+  getPrerequisiteOptions
+};
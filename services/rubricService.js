@@ -0,0 +1,278 @@
+import { RubricCriterion, RubricLevel, RubricScore } from '../models/index.js';
+
+/**
+ * Rubric Service
+ * Rubric-based grading for assignments
+ *
+ * A rubric is a list of criteria, each with performance levels worth points.
+ * Grading picks one level per criterion; the submission's marks are the earned
+ * share of the rubric's maximum points, scaled to the assignment's max_points.
+ *
+ * @module services/rubricService
+ */
+
+const MAX_CRITERIA = 20;
+const MAX_LEVELS = 6;
+
+/**
+ * Round to 2 decimal places (matches DECIMAL(x, 2) columns)
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate the rubric builder input from the assignment create/edit forms
+ * @param {string} raw - JSON string: [{ title, description, levels: [{ label, description, points }] }]
+ * @returns {Object} - { values: criteria } (empty array = no rubric) or { error }
+ */
+export const parseRubricInput = (raw) => {
+  if (!raw || raw.trim() === '') {
+    return { values: [] };
+  }
+
+  let input;
+  try {
+    input = JSON.parse(raw);
+  } catch (error) {
+    return { error: 'Rubric data is invalid. Please rebuild the rubric and try again.' };
+  }
+
+  if (!Array.isArray(input)) {
+    return { error: 'Rubric data is invalid. Please rebuild the rubric and try again.' };
+  }
+
+  if (input.length > MAX_CRITERIA) {
+    return { error: `A rubric can have at most ${MAX_CRITERIA} criteria` };
+  }
+
+  const criteria = [];
+  for (let i = 0; i < input.length; i++) {
+    const criterion = input[i] || {};
+    const title = String(criterion.title || '').trim();
+    const levels = Array.isArray(criterion.levels) ? criterion.levels : [];
+
+    if (!title) {
+      return { error: `Rubric criterion ${i + 1} needs a title` };
+    }
+    if (title.length > 200) {
+      return { error: `Rubric criterion "${title.slice(0, 30)}..." title is too long (max 200 characters)` };
+    }
+    if (levels.length < 1 || levels.length > MAX_LEVELS) {
+      return { error: `Rubric criterion "${title}" must have between 1 and ${MAX_LEVELS} levels` };
+    }
+
+    const parsedLevels = [];
+    for (const level of levels) {
+      const label = String((level && level.label) || '').trim();
+      const points = Number(level && level.points);
+
+      if (!label || label.length > 100) {
+        return { error: `Every level of "${title}" needs a label (max 100 characters)` };
+      }
+      if (level.points === '' || !Number.isFinite(points) || points < 0 || points > 1000) {
+        return { error: `Level "${label}" of "${title}" must be worth 0 to 1000 points` };
+      }
+
+      parsedLevels.push({
+        label,
+        description: level.description ? String(level.description).trim() || null : null,
+        points: round2(points)
+      });
+    }
+
+    criteria.push({
+      title,
+      description: criterion.description ? String(criterion.description).trim() || null : null,
+      levels: parsedLevels
+    });
+  }
+
+  if (criteria.length > 0 && getRubricMaxPoints(criteria) <= 0) {
+    return { error: 'At least one rubric level must be worth more than 0 points' };
+  }
+
+  return { values: criteria };
+};
+
+/**
+ * Get the rubric of an assignment
+ * @param {number} assignmentId - Assignment ID
+ * @returns {Array} - Criteria with levels, in display order (empty if no rubric)
+ */
+export const getRubric = async (assignmentId) => {
+  return await RubricCriterion.findAll({
+    where: { assignment_id: assignmentId },
+    include: [{ model: RubricLevel, as: 'levels' }],
+    order: [
+      ['position', 'ASC'],
+      [{ model: RubricLevel, as: 'levels' }, 'position', 'ASC']
+    ]
+  });
+};
+
+/**
+ * Maximum points a submission can earn with a rubric
+ * @param {Array} criteria - Criteria with levels
+ * @returns {number} - Sum of the highest level of each criterion
+ */
+export const getRubricMaxPoints = (criteria) => {
+  return round2(criteria.reduce((sum, criterion) => {
+    const best = Math.max(0, ...criterion.levels.map(level => parseFloat(level.points)));
+    return sum + best;
+  }, 0));
+};
+
+/**
+ * Check whether any submission has been graded with the assignment's rubric
+ * Graded rubrics are locked so existing scores keep matching their criteria
+ * @param {number} assignmentId - Assignment ID
+ * @returns {boolean} - True if rubric scores exist
+ */
+export const isRubricInUse = async (assignmentId) => {
+  const count = await RubricScore.count({
+    include: [{
+      model: RubricCriterion,
+      as: 'criterion',
+      where: { assignment_id: assignmentId },
+      attributes: []
+    }]
+  });
+  return count > 0;
+};
+
+/**
+ * Replace the rubric of an assignment
+ * @param {number} assignmentId - Assignment ID
+ * @param {Array} criteria - Result of parseRubricInput()
+ * @param {Object} options - { transaction }
+ */
+export const saveRubric = async (assignmentId, criteria, { transaction } = {}) => {
+  const existing = await RubricCriterion.findAll({
+    where: { assignment_id: assignmentId },
+    attributes: ['id'],
+    transaction
+  });
+
+  if (existing.length > 0) {
+    const criterionIds = existing.map(c => c.id);
+    await RubricLevel.destroy({ where: { criterion_id: criterionIds }, transaction });
+    await RubricCriterion.destroy({ where: { id: criterionIds }, transaction });
+  }
+
+  for (let i = 0; i < criteria.length; i++) {
+    const criterion = await RubricCriterion.create({
+      assignment_id: assignmentId,
+      title: criteria[i].title,
+      description: criteria[i].description,
+      position: i
+    }, { transaction });
+
+    await RubricLevel.bulkCreate(
+      criteria[i].levels.map((level, index) => ({
+        ...level,
+        criterion_id: criterion.id,
+        position: index
+      })),
+      { transaction }
+    );
+  }
+};
+
+/**
+ * Convert a stored rubric to the builder's JSON format (for pre-filling the edit form)
+ * @param {Array} criteria - Result of getRubric()
+ * @returns {Array} - [{ title, description, levels: [{ label, description, points }] }]
+ */
+export const serializeRubric = (criteria) => {
+  return criteria.map(criterion => ({
+    title: criterion.title,
+    description: criterion.description || '',
+    levels: criterion.levels.map(level => ({
+      label: level.label,
+      description: level.description || '',
+      points: parseFloat(level.points)
+    }))
+  }));
+};
+
+/**
+ * Score a submission against a rubric from the grading form
+ * Expects one chosen level per criterion: rubric_level_<criterionId>, and an
+ * optional comment: rubric_comment_<criterionId>
+ * @param {Array} criteria - Result of getRubric()
+ * @param {Object} body - Request body
+ * @param {number} assignmentMaxPoints - Points the assignment is marked out of
+ * @returns {Object} - { values: { scores, totalPoints, maxPoints, marks } } or { error }
+ */
+export const scoreRubric = (criteria, body, assignmentMaxPoints = 100) => {
+  const scores = [];
+
+  for (const criterion of criteria) {
+    const levelId = parseInt(body[`rubric_level_${criterion.id}`], 10);
+    const level = criterion.levels.find(l => l.id === levelId);
+
+    if (!level) {
+      return { error: `Choose a level for "${criterion.title}"` };
+    }
+
+    const comment = body[`rubric_comment_${criterion.id}`];
+    scores.push({
+      criterion_id: criterion.id,
+      level_id: level.id,
+      points: parseFloat(level.points),
+      comment: comment && comment.trim() !== '' ? comment.trim() : null
+    });
+  }
+
+  const totalPoints = round2(scores.reduce((sum, score) => sum + score.points, 0));
+  const maxPoints = getRubricMaxPoints(criteria);
+
+  return {
+    values: {
+      scores,
+      totalPoints,
+      maxPoints,
+      marks: maxPoints > 0 ? round2(totalPoints / maxPoints * assignmentMaxPoints) : 0
+    }
+  };
+};
+
+/**
+ * Replace the rubric scores of a submission
+ * @param {number} submissionId - Submission ID
+ * @param {Array} scores - From scoreRubric(); empty to clear
+ * @param {Object} options - { transaction }
+ */
+export const saveRubricScores = async (submissionId, scores, { transaction } = {}) => {
+  await RubricScore.destroy({ where: { submission_id: submissionId }, transaction });
+
+  if (scores.length > 0) {
+    await RubricScore.bulkCreate(
+      scores.map(score => ({ ...score, submission_id: submissionId })),
+      { transaction }
+    );
+  }
+};
+
+/**
+ * Get the rubric scores of a submission keyed by criterion
+ * @param {number} submissionId - Submission ID
+ * @returns {Map<number, Object>} - criterion_id => RubricScore
+ */
+export const getRubricScoreMap = async (submissionId) => {
+  const scores = await RubricScore.findAll({ where: { submission_id: submissionId } });
+  return new Map(scores.map(score => [score.criterion_id, score]));
+};
+
+export default {
+  parseRubricInput,
+  getRubric,
+  getRubricMaxPoints,
+  isRubricInUse,
+  saveRubric,
+  serializeRubric,
+  scoreRubric,
+  saveRubricScores,
+  getRubricScoreMap
+};
@@ -0,0 +1,249 @@
+import { Op } from 'sequelize';
+import { UserSession, SessionPolicy } from '../models/index.js';
+
+/**
+ * Session Service
+ * Tracks each user's signed-in sessions and enforces the per-role session limit
+ *
+ * Every login registers its express-session ID in user_sessions. A session that
+ * is no longer listed there (revoked by the user, evicted by the limit, ended by
+ * a password reset) is signed out by isAuthenticated on its next request.
+ *
+ * The limit per role is set in session_policies (AdminJS): 1 keeps the old
+ * single-session behaviour, a number allows that many devices, and an empty
+ * value means unlimited. When a new login goes over the limit, the sessions
+ * seen least recently are ended. Roles without a policy get DEFAULT_MAX_SESSIONS.
+ *
+ * @module services/sessionService
+ */
+
+const DEFAULT_MAX_SESSIONS = 1;
+const POLICY_CACHE_MS = 60 * 1000;
+const TOUCH_INTERVAL_MS = 60 * 1000; // how often last_seen_at is written
+
+/**
+ * Policies are read on every login, so keep them briefly in memory
+ */
+let policyCache = { loadedAt: 0, limits: new Map() };
+
+/**
+ * Destroy a session in the session store
+ * @param {Object} store - express-session store (req.sessionStore), may be null
+ * @param {string} sessionId - Session ID
+ */
+const destroyStoredSession = (store, sessionId) => {
+  if (!store) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    store.destroy(sessionId, (error) => {
+      if (error) {
+        console.error(`Failed to destroy session ${sessionId}:`, error.message);
+      }
+      resolve();
+    });
+  });
+};
+
+/**
+ * Check whether a session still exists (and has not expired) in the session store
+ * @param {Object} store - express-session store
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} - True if the store still has it
+ */
+const isStoredSessionAlive = (store, sessionId) => {
+  return new Promise((resolve) => {
+    store.get(sessionId, (error, session) => resolve(!error && Boolean(session)));
+  });
+};
+
+/**
+ * Maximum number of simultaneous sessions for a role
+ * @param {string} role - User role
+ * @returns {number|null} - Limit, or null for unlimited
+ */
+export const getMaxSessions = async (role) => {
+  if (Date.now() - policyCache.loadedAt > POLICY_CACHE_MS) {
+    const policies = await SessionPolicy.findAll({ attributes: ['role', 'max_sessions'] });
+    policyCache = {
+      loadedAt: Date.now(),
+      limits: new Map(policies.map(policy => [policy.role, policy.max_sessions]))
+    };
+  }
+  return policyCache.limits.has(role) ? policyCache.limits.get(role) : DEFAULT_MAX_SESSIONS;
+};
+
+/**
+ * Forget cached policies (after an admin edits them)
+ */
+export const clearPolicyCache = () => {
+  policyCache = { loadedAt: 0, limits: new Map() };
+};
+
+/**
+ * Short human description of a browser user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - e.g. "Chrome on Windows"
+ */
+export const describeUserAgent = (userAgent) => {
+  const ua = userAgent || '';
+
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Chrome\//.test(ua)) browser = 'Chrome';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+
+  let os = 'unknown device';
+  if (/Android/.test(ua)) os = 'Android';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/CrOS/.test(ua)) os = 'ChromeOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  return `${browser} on ${os}`;
+};
+
+/**
+ * Register the current session after a login and apply the role's session limit
+ * @param {Object} req - Express request (after req.logIn)
+ * @param {Object} user - Signed-in user
+ */
+export const registerSession = async (req, user) => {
+  await UserSession.create({
+    session_id: req.sessionID,
+    user_id: user.id,
+    ip_address: req.ip || null,
+    user_agent: (req.get('User-Agent') || '').slice(0, 500) || null,
+    last_seen_at: new Date()
+  });
+
+  const maxSessions = await getMaxSessions(user.role);
+  if (maxSessions === null) {
+    return;
+  }
+
+  const sessions = await UserSession.findAll({
+    where: { user_id: user.id },
+    order: [['last_seen_at', 'DESC'], ['id', 'DESC']]
+  });
+
+  // The new session is the most recent, so it is always kept
+  for (const stale of sessions.slice(maxSessions)) {
+    await stale.destroy();
+    await destroyStoredSession(req.sessionStore, stale.session_id);
+  }
+};
+
+/**
+ * Find the tracked session of the current request
+ * @param {Object} req - Express request
+ * @param {Object} user - Signed-in user
+ * @returns {Object|null} - UserSession, or null if it was ended
+ */
+export const findCurrentSession = async (req, user) => {
+  return await UserSession.findOne({
+    where: { session_id: req.sessionID, user_id: user.id }
+  });
+};
+
+/**
+ * Record activity on a session (at most once per TOUCH_INTERVAL_MS)
+ * @param {Object} req - Express request
+ * @param {Object} userSession - UserSession of the request
+ */
+export const touchSession = async (req, userSession) => {
+  if (Date.now() - new Date(userSession.last_seen_at).getTime() < TOUCH_INTERVAL_MS) {
+    return;
+  }
+  await userSession.update({
+    last_seen_at: new Date(),
+    ip_address: req.ip || userSession.ip_address
+  });
+};
+
+/**
+ * Stop tracking a session (on logout)
+ * @param {string} sessionId - Session ID
+ */
+export const endSession = async (sessionId) => {
+  await UserSession.destroy({ where: { session_id: sessionId } });
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * Sessions that expired in the session store are cleaned up on the way.
+ * @param {number} userId - User ID
+ * @param {Object} store - express-session store (req.sessionStore)
+ * @returns {Array} - UserSession instances with a `device` description
+ */
+export const getActiveSessions = async (userId, store) => {
+  const sessions = await UserSession.findAll({
+    where: { user_id: userId },
+    order: [['last_seen_at', 'DESC'], ['id', 'DESC']]
+  });
+
+  const active = [];
+  for (const session of sessions) {
+    if (store && !(await isStoredSessionAlive(store, session.session_id))) {
+      await session.destroy();
+      continue;
+    }
+    session.device = describeUserAgent(session.user_agent);
+    active.push(session);
+  }
+  return active;
+};
+
+/**
+ * End one of a user's sessions
+ * @param {number} userId - Owner of the session
+ * @param {number} id - UserSession ID
+ * @param {Object} store - express-session store (req.sessionStore)
+ * @returns {boolean} - True if a session was ended
+ */
+export const revokeSession = async (userId, id, store) => {
+  const session = await UserSession.findOne({ where: { id, user_id: userId } });
+  if (!session) {
+    return false;
+  }
+  await session.destroy();
+  await destroyStoredSession(store, session.session_id);
+  return true;
+};
+
+/**
+ * End all of a user's sessions, optionally keeping one
+ * @param {number} userId - User ID
+ * @param {Object} options - { exceptSessionId, store, transaction }
+ * @returns {number} - Number of sessions ended
+ */
+export const revokeAllSessions = async (userId, { exceptSessionId = null, store = null, transaction } = {}) => {
+  const where = { user_id: userId };
+  if (exceptSessionId) {
+    where.session_id = { [Op.ne]: exceptSessionId };
+  }
+
+  const sessions = await UserSession.findAll({ where, attributes: ['id', 'session_id'], transaction });
+  await UserSession.destroy({ where, transaction });
+
+  for (const session of sessions) {
+    await destroyStoredSession(store, session.session_id);
+  }
+  return sessions.length;
+};
+
+export default {
+  getMaxSessions,
+  clearPolicyCache,
+  describeUserAgent,
+  registerSession,
+  findCurrentSession,
+  touchSession,
+  endSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,172 @@
+import cloudinary from '../../config/cloudinary.js';
+import { fetchStream } from './http.js';
+
+/**
+ * Cloudinary storage driver
+ * Files go to the "lms-uploads/<folder>" folder of the configured account
+ * (CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET).
+ *
+ * Images are stored as image resources, everything else as raw files. A raw
+ * file's public id keeps its extension; an image's does not.
+ *
+ * Files are uploaded with the "authenticated" delivery type, so the stored URL
+ * alone does not open them - only signed download URLs do.
+ *
+ * @module services/storage/cloudinaryDriver
+ */
+
+const FOLDER_PREFIX = 'lms-uploads';
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'];
+
+// /<cloud>/<resource type>/<delivery type>/[s--signature--/][v<version>/]<public id>
+const PATH_PATTERN = /^\/[^/]+\/(image|raw|video)\/(upload|authenticated|private)\/(?:s--[^/]+--\/)?(?:v\d+\/)?(.+)$/;
+
+/**
+ * Split a Cloudinary delivery URL into its parts
+ * @param {string} url - Delivery URL
+ * @returns {Object|null} - { resourceType, type, publicId, format } or null if not a Cloudinary file
+ */
+const parseUrl = (url) => {
+  let match;
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname !== 'res.cloudinary.com') {
+      return null;
+    }
+    match = decodeURIComponent(parsed.pathname).match(PATH_PATTERN);
+  } catch {
+    return null;
+  }
+  if (!match) {
+    return null;
+  }
+
+  const [, resourceType, type, path] = match;
+  if (resourceType === 'raw') {
+    return { resourceType, type, publicId: path, format: '' };
+  }
+
+  const dot = path.lastIndexOf('.');
+  return dot > path.lastIndexOf('/')
+    ? { resourceType, type, publicId: path.slice(0, dot), format: path.slice(dot + 1) }
+    : { resourceType, type, publicId: path, format: '' };
+};
+
+/**
+ * Check whether a URL points to a Cloudinary file
+ * @param {string} url - Stored file URL
+ * @returns {boolean}
+ */
+const owns = (url) => parseUrl(url) !== null;
+
+/**
+ * Upload a file
+ * The contents are piped into Cloudinary's upload stream as they arrive.
+ * @param {stream.Readable} body - File contents
+ * @param {Object} options - { folder, name, extension, resourceType } - resourceType 'raw' keeps images as raw files
+ * @returns {Promise<Object>} - { url, key }
+ */
+const put = (body, { folder, name, extension, resourceType }) => {
+  const isImage = resourceType !== 'raw' && IMAGE_EXTENSIONS.includes(extension);
+
+  return new Promise((resolve, reject) => {
+    const upload = cloudinary.uploader.upload_stream({
+      folder: `${FOLDER_PREFIX}/${folder}`,
+      resource_type: isImage ? 'image' : 'raw',
+      public_id: name,
+      format: extension || undefined,
+      use_filename: false,
+      type: 'authenticated'
+    }, (error, result) => {
+      if (error) {
+        return reject(error instanceof Error ? error : new Error(error.message || 'Cloudinary upload failed'));
+      }
+      resolve({ url: result.secure_url, key: result.public_id });
+    });
+
+    // A failed source leaves the upload request unfinished, so Cloudinary stores nothing
+    body.on('error', (error) => {
+      body.unpipe(upload);
+      upload.destroy();
+      reject(error);
+    });
+    body.pipe(upload);
+  });
+};
+
+/**
+ * Open a file for reading
+ * Goes through a short-lived signed URL, which works for public and private files alike.
+ * @param {string} url - Stored file URL
+ * @returns {Promise<stream.Readable>} - File contents
+ */
+const get = (url) => fetchStream(signedUrl(url, 60));
+
+/**
+ * Delete a file
+ * @param {string} url - Stored file URL
+ * @returns {Promise<Object>} - Cloudinary result, e.g. { result: 'ok' } or { result: 'not found' }
+ */
+const remove = async (url) => {
+  const file = parseUrl(url);
+  if (!file) {
+    return { result: 'invalid_url' };
+  }
+
+  return await cloudinary.uploader.destroy(file.publicId, {
+    resource_type: file.resourceType,
+    type: file.type,
+    invalidate: true
+  });
+};
+
+/**
+ * Time-limited download URL (Cloudinary's private download API)
+ * @param {string} url - Stored file URL
+ * @param {number} expiresIn - Seconds until the URL expires
+ * @returns {string} - Signed URL
+ */
+const signedUrl = (url, expiresIn) => {
+  const file = parseUrl(url);
+  if (!file) {
+    return url;
+  }
+
+  return cloudinary.utils.private_download_url(file.publicId, file.format, {
+    resource_type: file.resourceType,
+    type: file.type,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn
+  });
+};
+
+/**
+ * Make a public file private
+ * Changes the delivery type from "upload" to "authenticated"; the public id stays
+ * the same but the URL changes.
+ * @param {string} url - Stored file URL
+ * @returns {Promise<string>} - New URL (unchanged if the file was already private)
+ */
+const makePrivate = async (url) => {
+  const file = parseUrl(url);
+  if (!file || file.type !== 'upload') {
+    return url;
+  }
+
+  const result = await cloudinary.uploader.rename(file.publicId, file.publicId, {
+    resource_type: file.resourceType,
+    type: 'upload',
+    to_type: 'authenticated',
+    invalidate: true
+  });
+  return result.secure_url;
+};
+
+export default {
+  name: 'cloudinary',
+  owns,
+  put,
+  get,
+  delete: remove,
+  signedUrl,
+  makePrivate
+};
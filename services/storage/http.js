@@ -0,0 +1,82 @@
+import https from 'https';
+import http from 'http';
+
+/**
+ * HTTP helpers for the remote storage drivers (Cloudinary, S3)
+ *
+ * @module services/storage/http
+ */
+
+/**
+ * Send a request and resolve with the response once headers arrive
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<http.IncomingMessage>} - Response (body not yet read)
+ */
+export const sendRequest = (url, { method = 'GET', headers = {}, body = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, { method, headers }, resolve);
+
+    request.on('error', reject);
+    if (body) {
+      request.write(body);
+    }
+    request.end();
+  });
+};
+
+/**
+ * Read a stream to the end
+ * @param {stream.Readable} stream - Readable stream
+ * @returns {Promise<Buffer>} - Contents
+ */
+export const readBody = (stream) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+};
+
+/**
+ * Throw for a non-2xx response, including the start of the error body
+ * @param {http.IncomingMessage} response - Response
+ * @param {string} action - What was attempted, for the message
+ */
+export const assertOk = async (response, action) => {
+  if (response.statusCode >= 200 && response.statusCode < 300) {
+    return;
+  }
+
+  const body = (await readBody(response)).toString('utf8').slice(0, 200);
+  const error = new Error(`${action} failed (HTTP ${response.statusCode})${body ? `: ${body}` : ''}`);
+  error.statusCode = response.statusCode;
+  throw error;
+};
+
+/**
+ * GET a URL, following up to a few redirects
+ * @param {string} url - Absolute http(s) URL
+ * @param {number} redirectsLeft - Redirects still allowed
+ * @returns {Promise<http.IncomingMessage>} - 200 response stream
+ */
+export const fetchStream = async (url, redirectsLeft = 3) => {
+  const response = await sendRequest(url);
+
+  if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && redirectsLeft > 0) {
+    response.resume();
+    return fetchStream(new URL(response.headers.location, url).toString(), redirectsLeft - 1);
+  }
+
+  await assertOk(response, 'Fetching file');
+  return response;
+};
+
+export default {
+  sendRequest,
+  readBody,
+  assertOk,
+  fetchStream
+};
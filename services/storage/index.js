@@ -0,0 +1,196 @@
+import { Transform } from 'stream';
+import multer from 'multer';
+import cloudinaryDriver from './cloudinaryDriver.js';
+import localDriver from './localDriver.js';
+import s3Driver from './s3Driver.js';
+
+/**
+ * Storage Service
+ * One interface for uploaded files (put / get / delete / signed URL), whatever
+ * holds them. STORAGE_DRIVER picks where new uploads go:
+ * - cloudinary (default) - Cloudinary account, see config/cloudinary.js
+ * - local - the server's disk, see localDriver.js
+ * - s3 - any S3-compatible bucket, see s3Driver.js
+ *
+ * The database keeps each file's URL. Reads and deletes go to whichever driver
+ * the URL belongs to, so files uploaded before a driver change keep working.
+ *
+ * Stored files are private. Browsers get them through a short-lived signed URL
+ * (FILE_URL_TTL_SECONDS, default 5 minutes) once the app has checked access.
+ *
+ * @module services/storage
+ */
+
+const DRIVERS = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+  s3: s3Driver
+};
+
+const DEFAULT_SIGNED_URL_SECONDS = 5 * 60;
+
+/**
+ * Name of the configured driver
+ * @returns {string} - 'cloudinary', 'local' or 's3'
+ */
+export const getDriverName = () => {
+  const name = (process.env.STORAGE_DRIVER || 'cloudinary').trim().toLowerCase();
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return name;
+};
+
+/**
+ * Driver a stored URL belongs to
+ * @param {string} url - Stored file URL
+ * @returns {Object|null} - Driver, or null for URLs that are not stored files (e.g. links)
+ */
+const getDriverForUrl = (url) => {
+  if (!url) {
+    return null;
+  }
+  return Object.values(DRIVERS).find(driver => driver.owns(url)) || null;
+};
+
+/**
+ * Lower-case extension of a file name
+ * @param {string} fileName - Original file name
+ * @returns {string} - Extension without the dot, or ''
+ */
+const getExtension = (fileName) => {
+  const name = String(fileName || '');
+  return name.includes('.') ? name.split('.').pop().toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+};
+
+/**
+ * Check whether a URL points to a stored file (as opposed to an external link)
+ * @param {string} url - URL from the database
+ * @returns {boolean}
+ */
+export const isStoredFile = (url) => getDriverForUrl(url) !== null;
+
+/**
+ * Store a file with the configured driver
+ * The contents are streamed to the driver as they arrive; if the stream fails,
+ * nothing is stored.
+ * @param {stream.Readable} body - File contents
+ * @param {Object} options - { folder, originalName, mimeType, resourceType }
+ * @returns {Promise<Object>} - { url, key }
+ */
+export const putFile = async (body, { folder, originalName, mimeType, resourceType } = {}) => {
+  const driver = DRIVERS[getDriverName()];
+  return await driver.put(body, {
+    folder,
+    name: `${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    extension: getExtension(originalName),
+    mimeType,
+    resourceType
+  });
+};
+
+/**
+ * Open a stored file for reading
+ * Only stored files are read - arbitrary URLs are never fetched.
+ * @param {string} url - Stored file URL
+ * @returns {Promise<stream.Readable>} - File contents
+ */
+export const openFile = async (url) => {
+  const driver = getDriverForUrl(url);
+  if (!driver) {
+    throw new Error('Not a stored file');
+  }
+  return await driver.get(url);
+};
+
+/**
+ * Delete a stored file
+ * URLs that are not stored files are left alone.
+ * @param {string} url - Stored file URL
+ * @returns {Promise<Object>} - Driver result, e.g. { result: 'ok' }, or { result: 'not_stored' }
+ */
+export const deleteFile = async (url) => {
+  const driver = getDriverForUrl(url);
+  if (!driver) {
+    return { result: 'not_stored' };
+  }
+  return await driver.delete(url);
+};
+
+/**
+ * Lifetime of signed URLs
+ * @returns {number} - Seconds (FILE_URL_TTL_SECONDS, default 5 minutes)
+ */
+export const getSignedUrlTtl = () => parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || DEFAULT_SIGNED_URL_SECONDS;
+
+/**
+ * Time-limited URL for a stored file
+ * @param {string} url - Stored file URL
+ * @param {Object} options - { expiresIn } in seconds (default getSignedUrlTtl())
+ * @returns {string} - Signed URL, or the URL unchanged if it is not a stored file
+ */
+export const getSignedUrl = (url, { expiresIn = getSignedUrlTtl() } = {}) => {
+  const driver = getDriverForUrl(url);
+  return driver ? driver.signedUrl(url, expiresIn) : url;
+};
+
+/**
+ * Make a stored file private (for files uploaded while storage was public)
+ * @param {string} url - Stored file URL
+ * @returns {Promise<string>} - The file's URL afterwards (Cloudinary URLs change), or the URL unchanged if it is not a stored file
+ */
+export const makeFilePrivate = async (url) => {
+  const driver = getDriverForUrl(url);
+  return driver ? await driver.makePrivate(url) : url;
+};
+
+/**
+ * Multer storage engine that stores uploads with the configured driver
+ * Each file is handed on like multer-storage-cloudinary did: file.path is the
+ * stored URL, file.filename the storage key. Files are streamed to the driver,
+ * so an upload never sits in memory as a whole.
+ * @param {string} folder - Folder for the files, e.g. 'materials'
+ * @param {Object} options - { resourceType: 'raw' } keeps images as plain files on Cloudinary
+ * @returns {Object} - Multer storage engine
+ */
+export const createStorageEngine = (folder, { resourceType } = {}) => ({
+  _handleFile(req, file, cb) {
+    let size = 0;
+    const body = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    // Multer cuts the stream off at its fileSize limit; fail the upload instead
+    // of storing the cut-off part, and discard the rest of the file
+    file.stream.on('limit', () => {
+      file.stream.unpipe(body);
+      file.stream.resume();
+      body.destroy(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+    });
+    file.stream.on('error', error => body.destroy(error));
+    file.stream.pipe(body);
+
+    putFile(body, { folder, originalName: file.originalname, mimeType: file.mimetype, resourceType })
+      .then(({ url, key }) => cb(null, { path: url, filename: key, size }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    deleteFile(file.path).then(() => cb(null), cb);
+  }
+});
+
+export default {
+  getDriverName,
+  isStoredFile,
+  putFile,
+  openFile,
+  deleteFile,
+  getSignedUrlTtl,
+  getSignedUrl,
+  makeFilePrivate,
+  createStorageEngine
+};
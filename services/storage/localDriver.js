@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Local disk storage driver
+ * Files are written under STORAGE_LOCAL_PATH (default ./uploads) and served by
+ * the app itself at /uploads/<folder>/<file> (see serveFiles).
+ *
+ * @module services/storage/localDriver
+ */
+
+export const PUBLIC_PATH = '/uploads';
+const DEFAULT_ROOT = 'uploads';
+
+/**
+ * Absolute directory that holds the files
+ * @returns {string}
+ */
+const getRoot = () => path.resolve(process.env.STORAGE_LOCAL_PATH || DEFAULT_ROOT);
+
+/**
+ * Secret for signed URLs
+ * @returns {string}
+ */
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET || '';
+
+/**
+ * Absolute path of a key, refusing anything outside the storage directory
+ * @param {string} key - Storage key, e.g. "materials/1700000000000-123.pdf"
+ * @returns {string} - File path
+ */
+const resolvePath = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+/**
+ * URL path of a key
+ * @param {string} key - Storage key
+ * @returns {string} - e.g. "/uploads/materials/1700000000000-123.pdf"
+ */
+const toUrl = (key) => `${PUBLIC_PATH}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+/**
+ * Storage key of a stored URL
+ * @param {string} url - Stored file URL
+ * @returns {string|null} - Key, or null if the URL is not a local file
+ */
+const toKey = (url) => {
+  if (typeof url !== 'string' || !url.startsWith(`${PUBLIC_PATH}/`)) {
+    return null;
+  }
+  try {
+    const key = decodeURIComponent(url.slice(PUBLIC_PATH.length + 1).split(/[?#]/)[0]);
+    resolvePath(key);
+    return key;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Signature of a key and expiry time
+ * @param {string} key - Storage key
+ * @param {number} expires - Unix time in seconds
+ * @returns {string} - base64url HMAC-SHA256
+ */
+const sign = (key, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${key}:${expires}`)
+  .digest('base64url');
+
+/**
+ * Check the signature of a signed URL
+ * @param {string} key - Storage key
+ * @param {string} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @returns {boolean} - True if signed and not expired
+ */
+const verifySignature = (key, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!getSigningSecret() || typeof signature !== 'string' || !Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expiresAt));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Check whether a URL points to a local file
+ * @param {string} url - Stored file URL
+ * @returns {boolean}
+ */
+const owns = (url) => toKey(url) !== null;
+
+/**
+ * Write a file
+ * A file left incomplete because the stream failed is removed again.
+ * @param {stream.Readable} body - File contents
+ * @param {Object} options - { folder, name, extension }
+ * @returns {Promise<Object>} - { url, key }
+ */
+const put = async (body, { folder, name, extension }) => {
+  const key = `${folder}/${name}${extension ? `.${extension}` : ''}`;
+  const filePath = resolvePath(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await pipeline(body, fs.createWriteStream(filePath, { flags: 'wx' }));
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+    throw error;
+  }
+
+  return { url: toUrl(key), key };
+};
+
+/**
+ * Open a file for reading
+ * @param {string} url - Stored file URL
+ * @returns {Promise<stream.Readable>} - File contents
+ */
+const get = async (url) => {
+  const filePath = resolvePath(toKey(url));
+  await fs.promises.access(filePath, fs.constants.R_OK);
+  return fs.createReadStream(filePath);
+};
+
+/**
+ * Delete a file
+ * @param {string} url - Stored file URL
+ * @returns {Promise<Object>} - { result: 'ok' } or { result: 'not found' }
+ */
+const remove = async (url) => {
+  const key = toKey(url);
+  if (!key) {
+    return { result: 'invalid_url' };
+  }
+
+  try {
+    await fs.promises.unlink(resolvePath(key));
+    return { result: 'ok' };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { result: 'not found' };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Make a file private
+ * Local files are only ever served through signed URLs, so there is nothing to do.
+ * @param {string} url - Stored file URL
+ * @returns {Promise<string>} - The URL unchanged
+ */
+const makePrivate = async (url) => url;
+
+/**
+ * Time-limited URL
+ * @param {string} url - Stored file URL
+ * @param {number} expiresIn - Seconds until the URL expires
+ * @returns {string} - Signed URL
+ */
+const signedUrl = (url, expiresIn) => {
+  const key = toKey(url);
+  if (!key) {
+    return url;
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${toUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+/**
+ * Serve stored files (mounted at PUBLIC_PATH)
+ * Only signed URLs are served - the app checks access in /files/<kind>/<id> and
+ * then redirects here. Files are sent sandboxed so an uploaded HTML or SVG file
+ * cannot run script on the app's origin.
+ */
+export const serveFiles = (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next();
+  }
+
+  const key = toKey(`${PUBLIC_PATH}${req.path}`);
+  if (!key) {
+    return res.status(404).send('File not found');
+  }
+
+  if (!verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).send('Access denied');
+  }
+
+  res.sendFile(resolvePath(key), {
+    dotfiles: 'deny',
+    headers: {
+      'Content-Security-Policy': 'sandbox',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode === 404 ? 404 : 500).send(error.statusCode === 404 ? 'File not found' : 'Error reading file');
+    }
+  });
+};
+
+export default {
+  name: 'local',
+  owns,
+  put,
+  get,
+  delete: remove,
+  signedUrl,
+  makePrivate
+};
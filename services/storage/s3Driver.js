@@ -0,0 +1,391 @@
+import crypto from 'crypto';
+import { sendRequest, assertOk, readBody } from './http.js';
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...)
+ * Requests are signed with AWS Signature Version 4 and use path-style URLs
+ * (<endpoint>/<bucket>/<key>), which every S3-compatible service accepts.
+ *
+ * Configuration:
+ * - S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (required)
+ * - S3_REGION (default us-east-1)
+ * - S3_ENDPOINT (default https://s3.<region>.amazonaws.com)
+ * - S3_PUBLIC_URL - base URL stored with each file (default <endpoint>/<bucket>)
+ *
+ * Objects are private; they are read through presigned URLs only.
+ *
+ * Uploads are sent in parts of PART_SIZE bytes as they arrive (multipart upload),
+ * so at most one part per upload is held in memory. Files smaller than one part
+ * go up in a single PUT.
+ *
+ * @module services/storage/s3Driver
+ */
+
+const MAX_SIGNED_URL_SECONDS = 7 * 24 * 60 * 60; // SigV4 limit
+const PART_SIZE = 8 * 1024 * 1024; // S3 needs at least 5 MB for every part but the last
+
+/**
+ * Read the S3 settings
+ * @returns {Object} - Driver configuration
+ */
+const getConfig = () => {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+  const bucket = process.env.S3_BUCKET;
+
+  if (!bucket || !process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  return {
+    region,
+    endpoint,
+    bucket,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: (process.env.S3_PUBLIC_URL || `${endpoint}/${bucket}`).replace(/\/+$/, '')
+  };
+};
+
+/**
+ * URI-encode per the SigV4 rules (RFC 3986 unreserved characters only)
+ * @param {string} value - Raw value
+ * @returns {string} - Encoded value
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Encode a key for use in a URL path (slashes kept)
+ * @param {string} key - Object key
+ * @returns {string}
+ */
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+/**
+ * Path of an object on the endpoint
+ * @param {Object} config - Driver configuration
+ * @param {string} key - Object key
+ * @returns {string} - e.g. "/lms-bucket/materials/1700000000000-123.pdf"
+ */
+const objectPath = (config, key) => `${new URL(config.endpoint).pathname.replace(/\/$/, '')}/${encodeRfc3986(config.bucket)}/${encodeKey(key)}`;
+
+/**
+ * SigV4 timestamp
+ * @param {Date} date - Request time
+ * @returns {string} - YYYYMMDDTHHMMSSZ
+ */
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Derive the SigV4 signing key for a day
+ * @param {Object} config - Driver configuration
+ * @param {string} dateStamp - YYYYMMDD
+ * @returns {Buffer}
+ */
+const getSigningKey = (config, dateStamp) => {
+  const dateKey = hmac(`AWS4${config.secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, config.region);
+  const serviceKey = hmac(regionKey, 's3');
+  return hmac(serviceKey, 'aws4_request');
+};
+
+/**
+ * Sign a request
+ * @param {Object} config - Driver configuration
+ * @param {Object} request - { method, path, query, headers, payloadHash, date }
+ * @returns {Object} - { signature, signedHeaders, credentialScope }
+ */
+const signRequest = (config, { method, path, query = {}, headers, payloadHash, date }) => {
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+  const credentialScope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+  const canonicalQuery = Object.keys(query).sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+
+  const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
+  const signature = crypto.createHmac('sha256', getSigningKey(config, dateStamp)).update(stringToSign).digest('hex');
+
+  return { signature, signedHeaders, credentialScope };
+};
+
+/**
+ * Send a signed request for an object
+ * @param {string} method - HTTP method
+ * @param {string} key - Object key
+ * @param {Object} options - { body, headers, query }
+ * @returns {Promise<http.IncomingMessage>} - Response
+ */
+const objectRequest = (method, key, { body = null, headers = {}, query = {} } = {}) => {
+  const config = getConfig();
+  const endpoint = new URL(config.endpoint);
+  const path = objectPath(config, key);
+  const payloadHash = sha256(body || '');
+  const date = new Date();
+
+  const requestHeaders = {
+    host: endpoint.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': toAmzDate(date),
+    ...headers
+  };
+  if (body) {
+    requestHeaders['content-length'] = body.length;
+  }
+
+  const { signature, signedHeaders, credentialScope } = signRequest(config, {
+    method, path, query, headers: requestHeaders, payloadHash, date
+  });
+  requestHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  const queryString = Object.keys(query).sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+  return sendRequest(`${endpoint.origin}${path}${queryString ? `?${queryString}` : ''}`, { method, headers: requestHeaders, body });
+};
+
+/**
+ * Object key of a stored URL
+ * @param {string} url - Stored file URL
+ * @returns {string|null} - Key, or null if the URL is not in the bucket
+ */
+const toKey = (url) => {
+  let config;
+  try {
+    config = getConfig();
+  } catch {
+    return null;
+  }
+  if (typeof url !== 'string' || !url.startsWith(`${config.publicUrl}/`)) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(url.slice(config.publicUrl.length + 1).split(/[?#]/)[0]);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check whether a URL points to an object in the bucket
+ * @param {string} url - Stored file URL
+ * @returns {boolean}
+ */
+const owns = (url) => toKey(url) !== null;
+
+/**
+ * Start a multipart upload
+ * @param {string} key - Object key
+ * @param {Object} headers - Object headers, e.g. content-type
+ * @returns {Promise<string>} - Upload ID
+ */
+const createMultipartUpload = async (key, headers) => {
+  const response = await objectRequest('POST', key, { query: { uploads: '' }, headers });
+  await assertOk(response, 'S3 upload');
+
+  const match = (await readBody(response)).toString('utf8').match(/<UploadId>([^<]+)<\/UploadId>/);
+  if (!match) {
+    throw new Error('S3 upload failed: no upload ID returned');
+  }
+  return match[1];
+};
+
+/**
+ * Upload one part of a multipart upload
+ * @param {string} key - Object key
+ * @param {string} uploadId - Upload ID
+ * @param {number} partNumber - 1-based part number
+ * @param {Buffer} body - Part contents
+ * @returns {Promise<Object>} - { partNumber, etag }
+ */
+const uploadPart = async (key, uploadId, partNumber, body) => {
+  const response = await objectRequest('PUT', key, {
+    body,
+    query: { partNumber: String(partNumber), uploadId }
+  });
+  await assertOk(response, 'S3 upload');
+  response.resume();
+  return { partNumber, etag: response.headers.etag };
+};
+
+/**
+ * Finish a multipart upload
+ * @param {string} key - Object key
+ * @param {string} uploadId - Upload ID
+ * @param {Array} parts - Results of uploadPart()
+ * @returns {Promise<void>}
+ */
+const completeMultipartUpload = async (key, uploadId, parts) => {
+  const body = Buffer.from(
+    '<CompleteMultipartUpload>' +
+    parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('') +
+    '</CompleteMultipartUpload>'
+  );
+  const response = await objectRequest('POST', key, { body, query: { uploadId } });
+  await assertOk(response, 'S3 upload');
+
+  // S3 can report a failed completion inside a 200 response
+  const result = (await readBody(response)).toString('utf8');
+  if (result.includes('<Error>')) {
+    throw new Error(`S3 upload failed: ${result.slice(0, 200)}`);
+  }
+};
+
+/**
+ * Upload a file
+ * @param {stream.Readable} body - File contents
+ * @param {Object} options - { folder, name, extension, mimeType }
+ * @returns {Promise<Object>} - { url, key }
+ */
+const put = async (body, { folder, name, extension, mimeType }) => {
+  const config = getConfig();
+  const key = `${folder}/${name}${extension ? `.${extension}` : ''}`;
+  const headers = { 'content-type': mimeType || 'application/octet-stream' };
+
+  let uploadId = null;
+  const parts = [];
+  let chunks = [];
+  let bufferedBytes = 0;
+
+  try {
+    for await (const chunk of body) {
+      chunks.push(chunk);
+      bufferedBytes += chunk.length;
+
+      if (bufferedBytes >= PART_SIZE) {
+        uploadId = uploadId || await createMultipartUpload(key, headers);
+        parts.push(await uploadPart(key, uploadId, parts.length + 1, Buffer.concat(chunks)));
+        chunks = [];
+        bufferedBytes = 0;
+      }
+    }
+
+    if (!uploadId) {
+      const response = await objectRequest('PUT', key, { body: Buffer.concat(chunks), headers });
+      await assertOk(response, 'S3 upload');
+      response.resume();
+    } else {
+      if (bufferedBytes > 0) {
+        parts.push(await uploadPart(key, uploadId, parts.length + 1, Buffer.concat(chunks)));
+      }
+      await completeMultipartUpload(key, uploadId, parts);
+    }
+  } catch (error) {
+    // Drop the parts already stored so an unfinished upload does not linger in the bucket
+    if (uploadId) {
+      await objectRequest('DELETE', key, { query: { uploadId } })
+        .then(response => response.resume())
+        .catch(() => {});
+    }
+    throw error;
+  }
+
+  return { url: `${config.publicUrl}/${encodeKey(key)}`, key };
+};
+
+/**
+ * Open a file for reading
+ * @param {string} url - Stored file URL
+ * @returns {Promise<stream.Readable>} - File contents
+ */
+const get = async (url) => {
+  const response = await objectRequest('GET', toKey(url));
+  await assertOk(response, 'S3 download');
+  return response;
+};
+
+/**
+ * Delete a file
+ * @param {string} url - Stored file URL
+ * @returns {Promise<Object>} - { result: 'ok' } (S3 does not report missing objects)
+ */
+const remove = async (url) => {
+  const key = toKey(url);
+  if (!key) {
+    return { result: 'invalid_url' };
+  }
+
+  const response = await objectRequest('DELETE', key);
+  await assertOk(response, 'S3 delete');
+  response.resume();
+  return { result: 'ok' };
+};
+
+/**
+ * Presigned GET URL
+ * @param {string} url - Stored file URL
+ * @param {number} expiresIn - Seconds until the URL expires
+ * @returns {string} - Signed URL
+ */
+const signedUrl = (url, expiresIn) => {
+  const key = toKey(url);
+  if (!key) {
+    return url;
+  }
+
+  const config = getConfig();
+  const endpoint = new URL(config.endpoint);
+  const path = objectPath(config, key);
+  const date = new Date();
+  const amzDate = toAmzDate(date);
+  const credentialScope = `${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`;
+
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${config.accessKeyId}/${credentialScope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(Math.min(expiresIn, MAX_SIGNED_URL_SECONDS)),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const { signature } = signRequest(config, {
+    method: 'GET', path, query, headers: { host: endpoint.host }, payloadHash: 'UNSIGNED-PAYLOAD', date
+  });
+
+  const queryString = Object.keys(query).sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+  return `${endpoint.origin}${path}?${queryString}&X-Amz-Signature=${signature}`;
+};
+
+/**
+ * Make a public file private
+ * Resets the object's ACL (files uploaded with the old S3_ACL=public-read).
+ * Services without ACL support (e.g. Cloudflare R2) never had public objects,
+ * so a 501 is not an error. A bucket policy that allows public reads still
+ * has to be removed by hand.
+ * @param {string} url - Stored file URL
+ * @returns {Promise<string>} - The URL unchanged
+ */
+const makePrivate = async (url) => {
+  const key = toKey(url);
+  if (!key) {
+    return url;
+  }
+
+  const response = await objectRequest('PUT', key, { query: { acl: '' }, headers: { 'x-amz-acl': 'private' } });
+  if (response.statusCode !== 501) {
+    await assertOk(response, 'S3 ACL update');
+  }
+  response.resume();
+  return url;
+};
+
+export default {
+  name: 's3',
+  owns,
+  put,
+  get,
+  delete: remove,
+  signedUrl,
+  makePrivate
+};
@@ -0,0 +1,349 @@
+import { Op } from 'sequelize';
+import { SubmissionVersion, SubmissionAttachment, sequelize } from '../models/index.js';
+import { writeZip, uniqueFileNames } from './zipService.js';
+import { openFile } from './storage/index.js';
+import { filePath } from './fileAccessService.js';
+
+/**
+ * Submission Service
+ * Attempt history for submissions
+ *
+ * The Submission row always holds the latest attempt (so grading and listings
+ * keep working unchanged); every attempt, including the latest, is also stored
+ * as a SubmissionVersion with its own file, text and timestamp.
+ *
+ * @module services/submissionService
+ */
+
+// Upper bound on the LCS table size used by diffText (lines x lines)
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * File extensions teachers can allow for submissions
+ */
+export const SUBMISSION_FILE_TYPES = [
+  'pdf', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx', 'csv', 'txt', 'md',
+  'zip', 'jpg', 'jpeg', 'png', 'py', 'java', 'c', 'cpp', 'h', 'js', 'ts',
+  'html', 'css', 'sql', 'json', 'ipynb'
+];
+
+/**
+ * Allowed extensions when an assignment does not restrict them
+ */
+export const DEFAULT_SUBMISSION_FILE_TYPES = ['pdf', 'doc', 'docx', 'txt', 'zip'];
+
+/**
+ * Get the upload limits of an assignment
+ * @param {Object} assignment - Assignment with allowed_file_types, max_files, max_file_size_mb
+ * @returns {Object} - { allowedTypes, maxFiles, maxFileSizeMb }
+ */
+export const getUploadSettings = (assignment) => {
+  const allowedTypes = parseFileTypes(assignment ? assignment.allowed_file_types : null);
+
+  return {
+    allowedTypes: allowedTypes.length > 0 ? allowedTypes : DEFAULT_SUBMISSION_FILE_TYPES,
+    maxFiles: assignment && assignment.max_files ? parseInt(assignment.max_files, 10) : 5,
+    maxFileSizeMb: assignment && assignment.max_file_size_mb ? parseInt(assignment.max_file_size_mb, 10) : 10
+  };
+};
+
+/**
+ * Parse a list of file extensions (comma-separated string or array)
+ * Unknown extensions are dropped
+ * @param {string|Array|null} value - e.g. "pdf, .docx,zip" or ['pdf', 'zip']
+ * @returns {Array<string>} - Known lowercase extensions without dots
+ */
+export const parseFileTypes = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const types = items
+    .map(type => String(type).trim().toLowerCase().replace(/^\./, ''))
+    .filter(type => SUBMISSION_FILE_TYPES.includes(type));
+
+  return [...new Set(types)];
+};
+
+/**
+ * Get the files of an attempt
+ * Attempts made before multiple attachments existed only have file_url.
+ * file_path is the app link that opens the file (see fileAccessService).
+ * @param {Object} version - SubmissionVersion (with attachments loaded) or Submission
+ * @returns {Array} - [{ file_url, file_path, original_name, mime_type, size_bytes }]
+ */
+export const getAttachments = (version) => {
+  if (!version) {
+    return [];
+  }
+
+  if (version.attachments && version.attachments.length > 0) {
+    return [...version.attachments]
+      .sort((a, b) => a.position - b.position)
+      .map(attachment => ({
+        ...(attachment.get ? attachment.get({ plain: true }) : attachment),
+        file_path: filePath('submission-attachments', attachment.id)
+      }));
+  }
+
+  if (version.file_url) {
+    const urlPath = version.file_url.split(/[?#]/)[0];
+    return [{
+      file_url: version.file_url,
+      // A version has submission_id; a Submission (or a legacy attempt built from one) does not
+      file_path: version.submission_id
+        ? filePath('submission-versions', version.id)
+        : filePath('submissions', version.id),
+      original_name: urlPath.split('/').pop() || 'submission',
+      mime_type: null,
+      size_bytes: null
+    }];
+  }
+
+  return [];
+};
+
+/**
+ * Get one attempt of a submission with its attachments
+ * @param {number} submissionId - Submission ID
+ * @param {number|null} attemptNumber - Attempt to load (default: latest)
+ * @returns {Object|null} - SubmissionVersion or null if there is no version history
+ */
+export const getAttempt = async (submissionId, attemptNumber = null) => {
+  const where = { submission_id: submissionId };
+  if (attemptNumber) {
+    where.attempt_number = attemptNumber;
+  }
+
+  return await SubmissionVersion.findOne({
+    where,
+    include: [{ model: SubmissionAttachment, as: 'attachments', required: false }],
+    order: [['attempt_number', 'DESC']]
+  });
+};
+
+/**
+ * Stream the files of an attempt as one ZIP archive
+ * Files are fetched one at a time while the archive is written.
+ * @param {stream.Writable} output - Destination (e.g. an Express response)
+ * @param {Array} attachments - Result of getAttachments()
+ * @returns {Promise<void>} - See zipService.writeZip()
+ */
+export const writeAttachmentsZip = async (output, attachments) => {
+  const names = uniqueFileNames(attachments.map(a => a.original_name));
+
+  await writeZip(output, attachments.map((attachment, i) => ({
+    name: names[i],
+    open: () => openFile(attachment.file_url),
+    size: attachment.size_bytes,
+    date: attachment.created_at ? new Date(attachment.created_at) : new Date()
+  })));
+};
+
+/**
+ * Check whether a student may make another attempt
+ * @param {Object} assignment - Assignment with max_attempts
+ * @param {number} attemptsUsed - Attempts already made
+ * @returns {Object} - { allowed, maxAttempts, remaining, message }
+ */
+export const checkAttemptLimit = (assignment, attemptsUsed) => {
+  const maxAttempts = assignment && assignment.max_attempts ? parseInt(assignment.max_attempts, 10) : null;
+
+  if (!maxAttempts) {
+    return { allowed: true, maxAttempts: null, remaining: null, message: null };
+  }
+
+  const remaining = Math.max(0, maxAttempts - attemptsUsed);
+  return {
+    allowed: remaining > 0,
+    maxAttempts,
+    remaining,
+    message: remaining > 0
+      ? `${remaining} of ${maxAttempts} attempt${maxAttempts !== 1 ? 's' : ''} remaining`
+      : `You have used all ${maxAttempts} attempt${maxAttempts !== 1 ? 's' : ''} for this assignment.`
+  };
+};
+
+/**
+ * Count attempts for one submission
+ * Submissions made before version history existed count as one attempt
+ * @param {Object|null} submission - Submission instance
+ * @param {Object} options - { transaction }
+ * @returns {number} - Number of attempts
+ */
+export const countAttempts = async (submission, { transaction } = {}) => {
+  if (!submission) {
+    return 0;
+  }
+
+  const count = await SubmissionVersion.count({ where: { submission_id: submission.id }, transaction });
+  return Math.max(count, 1);
+};
+
+/**
+ * Count attempts for many submissions in one query
+ * @param {Array<number>} submissionIds - Submission IDs
+ * @returns {Map<number, number>} - submission_id => attempt count (at least 1)
+ */
+export const getAttemptCounts = async (submissionIds) => {
+  const counts = new Map(submissionIds.map(id => [id, 1]));
+
+  if (submissionIds.length === 0) {
+    return counts;
+  }
+
+  const rows = await SubmissionVersion.findAll({
+    where: { submission_id: { [Op.in]: submissionIds } },
+    attributes: ['submission_id', [sequelize.fn('COUNT', sequelize.col('id')), 'attempts']],
+    group: ['submission_id'],
+    raw: true
+  });
+
+  rows.forEach(row => {
+    counts.set(row.submission_id, Math.max(parseInt(row.attempts, 10), 1));
+  });
+
+  return counts;
+};
+
+/**
+ * Store an attempt as a new version
+ * If the submission predates version history, its current contents are saved
+ * as attempt 1 first so nothing is lost.
+ * @param {Object} submission - Submission instance BEFORE it is updated with the new attempt
+ * @param {Object} attempt - { file_url, submission_text, submitted_at, is_late, attachments }
+ * @param {Object} options - { transaction, isNew }
+ * @returns {Object} - Created SubmissionVersion
+ */
+export const recordAttempt = async (submission, attempt, { transaction, isNew = false } = {}) => {
+  let lastAttempt = await SubmissionVersion.max('attempt_number', {
+    where: { submission_id: submission.id },
+    transaction
+  }) || 0;
+
+  if (lastAttempt === 0 && !isNew) {
+    await SubmissionVersion.create({
+      submission_id: submission.id,
+      attempt_number: 1,
+      file_url: submission.file_url,
+      submission_text: submission.submission_text,
+      submitted_at: submission.submitted_at,
+      is_late: submission.is_late
+    }, { transaction });
+    lastAttempt = 1;
+  }
+
+  const version = await SubmissionVersion.create({
+    submission_id: submission.id,
+    attempt_number: lastAttempt + 1,
+    file_url: attempt.file_url,
+    submission_text: attempt.submission_text,
+    submitted_at: attempt.submitted_at,
+    is_late: attempt.is_late
+  }, { transaction });
+
+  const attachments = attempt.attachments || [];
+  if (attachments.length > 0) {
+    await SubmissionAttachment.bulkCreate(
+      attachments.map((attachment, index) => ({
+        ...attachment,
+        submission_version_id: version.id,
+        position: index
+      })),
+      { transaction }
+    );
+  }
+
+  return version;
+};
+
+/**
+ * Get all file URLs of a submission's attempts, including attachments (for cleanup when deleting)
+ * @param {Array<number>} submissionIds - Submission IDs
+ * @returns {Array<string>} - Distinct file URLs across all versions
+ */
+export const getVersionFileUrls = async (submissionIds) => {
+  if (submissionIds.length === 0) {
+    return [];
+  }
+
+  const versions = await SubmissionVersion.findAll({
+    where: { submission_id: { [Op.in]: submissionIds } },
+    attributes: ['file_url'],
+    include: [{ model: SubmissionAttachment, as: 'attachments', attributes: ['file_url'], required: false }]
+  });
+
+  const urls = versions.flatMap(v => [v.file_url, ...v.attachments.map(a => a.file_url)]);
+  return [...new Set(urls.filter(Boolean))];
+};
+
+/**
+ * Line-by-line diff of two text attempts (longest common subsequence)
+ * @param {string|null} oldText - Earlier attempt text
+ * @param {string|null} newText - Later attempt text
+ * @returns {Array} - [{ type: 'same'|'added'|'removed', text }]
+ */
+export const diffText = (oldText, newText) => {
+  const a = (oldText || '').split(/\r?\n/);
+  const b = (newText || '').split(/\r?\n/);
+
+  // Very long texts: skip the quadratic table and show a full replacement
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // LCS length table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: b[j] });
+      j++;
+    }
+  }
+  while (i < a.length) {
+    lines.push({ type: 'removed', text: a[i++] });
+  }
+  while (j < b.length) {
+    lines.push({ type: 'added', text: b[j++] });
+  }
+
+  return lines;
+};
+
+export default {
+  SUBMISSION_FILE_TYPES,
+  DEFAULT_SUBMISSION_FILE_TYPES,
+  getUploadSettings,
+  parseFileTypes,
+  getAttachments,
+  getAttempt,
+  writeAttachmentsZip,
+  checkAttemptLimit,
+  countAttempts,
+  getAttemptCounts,
+  recordAttempt,
+  getVersionFileUrls,
+  diffText
+};
@@ -0,0 +1,329 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { sequelize, User, TwoFactorRecoveryCode, TwoFactorPolicy } from '../models/index.js';
+
+/**
+ * Two-Factor Service
+ * TOTP two-factor authentication (RFC 6238) for admin and teacher accounts
+ *
+ * Codes are 6 digits over 30-second steps with HMAC-SHA1, which every common
+ * authenticator app supports. One step of clock drift is accepted either way,
+ * and a code is never accepted twice. Recovery codes are single-use and only
+ * their SHA-256 is stored.
+ *
+ * Whether a role must use 2FA is set per role in two_factor_policies (AdminJS).
+ *
+ * @module services/twoFactorService
+ */
+
+const ISSUER = 'LMS EduManage';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const POLICY_CACHE_MS = 60 * 1000;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Roles that can use two-factor authentication
+ */
+export const TWO_FACTOR_ROLES = ['admin', 'teacher'];
+
+/**
+ * Policies are read on every authenticated request, so keep them briefly in memory
+ */
+let policyCache = { loadedAt: 0, requiredRoles: new Set() };
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Compute the code for one time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Hash a recovery code for storage and lookup
+ * @param {string} code - Recovery code (any formatting)
+ * @returns {string} - Hex SHA-256 of the normalized code
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Check whether a role can use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean} - True for admins and teachers
+ */
+export const isTwoFactorEligible = (role) => TWO_FACTOR_ROLES.includes(role);
+
+/**
+ * Check whether an account has two-factor authentication turned on
+ * @param {Object} user - User instance
+ * @returns {boolean} - True if enabled
+ */
+export const isTwoFactorEnabled = (user) => Boolean(user && user.totp_enabled_at && user.totp_secret);
+
+/**
+ * Check whether a role must use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean} - True if the role's policy requires it
+ */
+export const isTwoFactorRequired = async (role) => {
+  if (!isTwoFactorEligible(role)) {
+    return false;
+  }
+
+  if (Date.now() - policyCache.loadedAt > POLICY_CACHE_MS) {
+    const policies = await TwoFactorPolicy.findAll({ where: { required: true }, attributes: ['role'] });
+    policyCache = { loadedAt: Date.now(), requiredRoles: new Set(policies.map(policy => policy.role)) };
+  }
+  return policyCache.requiredRoles.has(role);
+};
+
+/**
+ * Forget cached policies (after an admin edits them)
+ */
+export const clearPolicyCache = () => {
+  policyCache = { loadedAt: 0, requiredRoles: new Set() };
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI shown as a QR code during setup
+ * @param {Object} user - User instance
+ * @param {string} secret - Base32 secret
+ * @returns {string} - otpauth URI
+ */
+export const getOtpauthUrl = (user, secret) => {
+  // Encoded by hand: some authenticator apps show '+' literally instead of a space
+  const label = encodeURIComponent(`${ISSUER}:${user.username}`);
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(ISSUER)}`,
+    'algorithm=SHA1',
+    `digits=${CODE_DIGITS}`,
+    `period=${STEP_SECONDS}`
+  ];
+  return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+/**
+ * Check a TOTP code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { lastStep: step of the last accepted code, now }
+ * @returns {number|null} - Matching time step, or null
+ */
+export const verifyTotp = (secret, code, { lastStep = null, now = Date.now() } = {}) => {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${CODE_DIGITS}}$`).test(digits)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    if (lastStep !== null && step <= Number(lastStep)) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {number} userId - User ID
+ * @param {Object} options - { transaction }
+ * @returns {Array<string>} - New codes (xxxxx-xxxxx), to be shown once
+ */
+export const generateRecoveryCodes = async (userId, { transaction } = {}) => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await TwoFactorRecoveryCode.destroy({ where: { user_id: userId }, transaction });
+  await TwoFactorRecoveryCode.bulkCreate(
+    codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) })),
+    { transaction }
+  );
+
+  return codes;
+};
+
+/**
+ * Count a user's unused recovery codes
+ * @param {number} userId - User ID
+ * @returns {number} - Remaining codes
+ */
+export const countRecoveryCodes = async (userId) => {
+  return await TwoFactorRecoveryCode.count({ where: { user_id: userId, used_at: null } });
+};
+
+/**
+ * Turn on two-factor authentication after the user proves the app works
+ * @param {Object} user - User instance
+ * @param {string} secret - Secret generated for setup
+ * @param {string} code - Code from the authenticator app
+ * @returns {Object} - { recoveryCodes } or { error }
+ */
+export const enableTwoFactor = async (user, secret, code) => {
+  if (!isTwoFactorEligible(user.role)) {
+    return { error: 'Two-factor authentication is only available for admin and teacher accounts' };
+  }
+
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    return { error: 'That code is not correct. Check the time on your phone and try again.' };
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    await User.update(
+      { totp_secret: secret, totp_enabled_at: new Date(), totp_last_step: step },
+      { where: { id: user.id }, hooks: false, transaction }
+    );
+    const recoveryCodes = await generateRecoveryCodes(user.id, { transaction });
+    return { recoveryCodes };
+  });
+};
+
+/**
+ * Check a login or confirmation code: a TOTP code or an unused recovery code
+ * An accepted code is spent so it cannot be replayed.
+ * @param {Object} user - User instance (with totp fields)
+ * @param {string} code - Code entered by the user
+ * @returns {Object} - { valid, usedRecoveryCode }
+ */
+export const verifyTwoFactorCode = async (user, code) => {
+  if (!isTwoFactorEnabled(user)) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  const step = verifyTotp(user.totp_secret, code, { lastStep: user.totp_last_step });
+  if (step !== null) {
+    // Conditional update so the same code cannot be accepted twice in parallel
+    const [updated] = await User.update(
+      { totp_last_step: step },
+      {
+        where: {
+          id: user.id,
+          [Op.or]: [{ totp_last_step: null }, { totp_last_step: { [Op.lt]: step } }]
+        },
+        hooks: false
+      }
+    );
+    return { valid: updated > 0, usedRecoveryCode: false };
+  }
+
+  if (!code || String(code).replace(/[^a-z0-9]/gi, '').length !== 10) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  const [spent] = await TwoFactorRecoveryCode.update(
+    { used_at: new Date() },
+    { where: { user_id: user.id, code_hash: hashRecoveryCode(code), used_at: null } }
+  );
+  return { valid: spent > 0, usedRecoveryCode: spent > 0 };
+};
+
+/**
+ * Turn off two-factor authentication and delete the recovery codes
+ * Used when a user disables it and when an admin resets it.
+ * @param {number} userId - User ID
+ */
+export const disableTwoFactor = async (userId) => {
+  await sequelize.transaction(async (transaction) => {
+    await User.update(
+      { totp_secret: null, totp_enabled_at: null, totp_last_step: null },
+      { where: { id: userId }, hooks: false, transaction }
+    );
+    await TwoFactorRecoveryCode.destroy({ where: { user_id: userId }, transaction });
+  });
+};
+
+export default {
+  TWO_FACTOR_ROLES,
+  isTwoFactorEligible,
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  clearPolicyCache,
+  generateSecret,
+  getOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  disableTwoFactor
+};
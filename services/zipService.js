@@ -0,0 +1,215 @@
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+
+/**
+ * Zip Service
+ * Streams ZIP archives (used for "download all" of submission attachments)
+ *
+ * Each file is read, compressed and written out chunk by chunk; only the
+ * central directory (a few dozen bytes per file) is kept in memory. There is no
+ * zip64 support, so archives past the classic 4 GB / 65,535-file limits are refused.
+ *
+ * @module services/zipService
+ */
+
+// CRC-32 lookup table (IEEE polynomial, as required by the ZIP format)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Largest size, offset and file count the ZIP format holds without zip64
+const MAX_ZIP32_BYTES = 0xFFFFFFFF;
+const MAX_ZIP32_ENTRIES = 0xFFFF;
+
+// Formats that are compressed already; deflating them again only costs CPU
+const STORED_EXTENSIONS = new Set([
+  'zip', 'gz', '7z', 'rar', 'jpg', 'jpeg', 'png', 'gif', 'webp', 'mp3', 'mp4',
+  'docx', 'xlsx', 'pptx'
+]);
+
+/**
+ * Calculate the CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @param {number} previous - CRC-32 of the data before this buffer (for streaming)
+ * @returns {number} - Unsigned CRC-32
+ */
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS time/date fields
+ * @param {Date} date - Timestamp
+ * @returns {Object} - { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Make file names unique inside an archive ("report.pdf", "report (2).pdf")
+ * @param {Array<string>} names - Desired names
+ * @returns {Array<string>} - Unique names in the same order
+ */
+export const uniqueFileNames = (names) => {
+  const used = new Set();
+
+  return names.map(name => {
+    const clean = (name || 'file').replace(/[\\/:*?"<>|]/g, '_');
+    let candidate = clean;
+    let counter = 2;
+
+    while (used.has(candidate.toLowerCase())) {
+      const dot = clean.lastIndexOf('.');
+      candidate = dot > 0
+        ? `${clean.slice(0, dot)} (${counter})${clean.slice(dot)}`
+        : `${clean} (${counter})`;
+      counter++;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+/**
+ * Create an error for an archive the ZIP format cannot hold
+ * @returns {Error} - Error with statusCode 413
+ */
+const tooLargeError = () => {
+  const error = new Error('These files are too large to download as one ZIP archive; download them one by one');
+  error.statusCode = 413;
+  return error;
+};
+
+/**
+ * Write a buffer and wait until the output has taken it
+ * @param {stream.Writable} output - Destination (e.g. an Express response)
+ * @param {Buffer} chunk - Data
+ * @returns {Promise<void>}
+ */
+const write = (output, chunk) => {
+  return new Promise((resolve, reject) => {
+    output.write(chunk, error => (error ? reject(error) : resolve()));
+  });
+};
+
+/**
+ * Stream a ZIP archive
+ * Sizes and checksums follow each file's data (data descriptors), so nothing
+ * has to be read twice. The output is not ended, so the caller can finish it.
+ * @param {stream.Writable} output - Destination (e.g. an Express response)
+ * @param {Array} entries - [{ name: string, open: () => Promise<stream.Readable>, size?: number, date?: Date }]
+ * @returns {Promise<void>} - Rejects with statusCode 413 before anything is written
+ *   if the known sizes are already too large, or part-way if the files turn out larger
+ */
+export const writeZip = async (output, entries) => {
+  const knownBytes = entries.reduce((total, entry) => total + (Number(entry.size) || 0), 0);
+  if (entries.length > MAX_ZIP32_ENTRIES || knownBytes > MAX_ZIP32_BYTES) {
+    throw tooLargeError();
+  }
+
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const extension = entry.name.includes('.') ? entry.name.split('.').pop().toLowerCase() : '';
+    const method = STORED_EXTENSIONS.has(extension) ? 0 : 8;
+    const { time, date } = toDosDateTime(entry.date || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);     // Local file header signature
+    local.writeUInt16LE(20, 4);             // Version needed to extract
+    local.writeUInt16LE(0x0808, 6);         // Flags: UTF-8 file names, sizes in data descriptor
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    // CRC-32 and sizes stay 0 here; they follow the data
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const localOffset = offset;
+    await write(output, Buffer.concat([local, name]));
+    offset += local.length + name.length;
+
+    let checksum = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        checksum = crc32(chunk, checksum);
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    const stages = method === 8 ? [measure, zlib.createDeflateRaw()] : [measure];
+
+    await pipeline(await entry.open(), ...stages, async (source) => {
+      for await (const chunk of source) {
+        compressedSize += chunk.length;
+        if (offset + compressedSize > MAX_ZIP32_BYTES) {
+          throw tooLargeError();
+        }
+        await write(output, chunk);
+      }
+    });
+    offset += compressedSize;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074B50, 0); // Data descriptor signature
+    descriptor.writeUInt32LE(checksum, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await write(output, descriptor);
+    offset += descriptor.length;
+
+    if (size > MAX_ZIP32_BYTES || offset > MAX_ZIP32_BYTES) {
+      throw tooLargeError();
+    }
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);   // Central directory header signature
+    central.writeUInt16LE(20, 4);           // Version made by
+    central.writeUInt16LE(20, 6);           // Version needed to extract
+    central.writeUInt16LE(0x0808, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressedSize, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(localOffset, 42); // Offset of the local header
+    centralParts.push(central, name);
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);         // End of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  await write(output, Buffer.concat([centralDirectory, end]));
+};
+
+export default {
+  uniqueFileNames,
+  writeZip
+};
@@ -0,0 +1,85 @@
+/**
+ * Make Stored Files Private
+ * Converts files uploaded while storage was public (Cloudinary "upload" delivery
+ * type, S3 objects with a public-read ACL) to private ones and updates the URLs
+ * kept in the database.
+ * Run with: node utils/make-files-private.js [--dry-run]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import {
+  Material,
+  MaterialVersion,
+  AssignmentMaterial,
+  Submission,
+  SubmissionVersion,
+  SubmissionAttachment,
+  AnnouncementAttachment,
+  sequelize
+} from '../models/index.js';
+import { isStoredFile, makeFilePrivate } from '../services/storage/index.js';
+
+// Every column that holds a stored file URL
+const FILE_COLUMNS = [
+  { model: Material, column: 'file_url' },
+  { model: MaterialVersion, column: 'file_url' },
+  { model: AssignmentMaterial, column: 'url', where: { type: 'file' } },
+  { model: Submission, column: 'file_url' },
+  { model: SubmissionVersion, column: 'file_url' },
+  { model: SubmissionAttachment, column: 'file_url' },
+  { model: AnnouncementAttachment, column: 'file_url' }
+];
+
+const makeFilesPrivate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  // The same file can be referenced by several rows (a submission and its latest version)
+  const converted = new Map();
+  let updatedRows = 0;
+  let failed = 0;
+
+  try {
+    console.log(`🔒 Making stored files private${dryRun ? ' (dry run)' : ''}...\n`);
+
+    for (const { model, column, where = {} } of FILE_COLUMNS) {
+      const rows = await model.findAll({ where, attributes: ['id', column] });
+      let tableUpdates = 0;
+
+      for (const row of rows) {
+        const url = row[column];
+        if (!url || !isStoredFile(url)) {
+          continue;
+        }
+
+        if (!converted.has(url)) {
+          try {
+            converted.set(url, dryRun ? url : await makeFilePrivate(url));
+          } catch (error) {
+            failed++;
+            console.error(`❌ ${model.tableName} #${row.id}: ${error.message}`);
+            continue;
+          }
+        }
+
+        const newUrl = converted.get(url);
+        if (newUrl !== url) {
+          await model.update({ [column]: newUrl }, { where: { id: row.id }, hooks: false });
+          tableUpdates++;
+        }
+      }
+
+      updatedRows += tableUpdates;
+      console.log(`📁 ${model.tableName}.${column}: ${rows.length} rows, ${tableUpdates} URLs updated`);
+    }
+
+    console.log(`\n✅ ${converted.size} files ${dryRun ? 'found' : 'made private'}, ${updatedRows} rows updated, ${failed} failed`);
+    await sequelize.close();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error making files private:', error);
+    process.exit(1);
+  }
+};
+
+makeFilesPrivate();